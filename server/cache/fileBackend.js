@@ -0,0 +1,109 @@
+/**
+ * SocialCog.io - File Cache Backend
+ * TM (2025) - TPCL, LLC
+ * Memory cache backend mirrored to a JSON file, so entries survive restarts
+ */
+
+const fs = require("fs");
+const path = require("path");
+const logger = require("../utils/logger");
+const MemoryBackend = require("./memoryBackend");
+
+// Bursts of cached responses are written out together
+const WRITE_DELAY_MS = 1000;
+
+class FileBackend extends MemoryBackend {
+  constructor({ filePath }) {
+    super();
+    this.name = "file";
+    this.filePath = filePath;
+    this.timer = null;
+
+    // Serialises writes so a slow one is never overtaken by the next
+    this.writeQueue = Promise.resolve();
+
+    this.load();
+  }
+
+  // An unreadable file costs the cached responses, never startup
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    try {
+      const { entries = {} } = JSON.parse(
+        fs.readFileSync(this.filePath, "utf8")
+      );
+      const now = Date.now();
+      for (const [key, entry] of Object.entries(entries)) {
+        if (entry.stale_until > now) this.entries.set(key, entry);
+      }
+      logger.info(
+        `📋 SocialCog.io: Loaded ${this.entries.size} cached responses from ${this.filePath}`
+      );
+    } catch (error) {
+      logger.warn(
+        `⚠️ SocialCog.io: Ignoring unreadable cache file ${this.filePath}: ${error.message}`
+      );
+    }
+  }
+
+  async set(key, entry) {
+    await super.set(key, entry);
+    this.scheduleWrite();
+  }
+
+  async deleteByPrefix(prefix = "") {
+    const removed = await super.deleteByPrefix(prefix);
+    if (removed > 0) this.scheduleWrite();
+    return removed;
+  }
+
+  async prune(now = Date.now()) {
+    const removed = await super.prune(now);
+    if (removed > 0) this.scheduleWrite();
+    return removed;
+  }
+
+  scheduleWrite() {
+    if (this.timer) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.write().catch((error) =>
+        logger.error(
+          `❌ SocialCog.io: Could not write cache file ${this.filePath}:`,
+          error.message
+        )
+      );
+    }, WRITE_DELAY_MS);
+    this.timer.unref();
+  }
+
+  write() {
+    const write = async () => {
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(
+        tempPath,
+        JSON.stringify({ entries: Object.fromEntries(this.entries) })
+      );
+      await fs.promises.rename(tempPath, this.filePath);
+    };
+
+    this.writeQueue = this.writeQueue.then(write, write);
+    return this.writeQueue;
+  }
+
+  describe() {
+    return { backend: this.name, path: this.filePath };
+  }
+
+  // Writes out anything still waiting for its turn
+  async close() {
+    if (!this.timer) return this.writeQueue;
+    clearTimeout(this.timer);
+    this.timer = null;
+    return this.write();
+  }
+}
+
+module.exports = FileBackend;
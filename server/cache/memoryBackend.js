@@ -0,0 +1,64 @@
+/**
+ * SocialCog.io - Memory Cache Backend
+ * TM (2025) - TPCL, LLC
+ * Keeps cache entries in process memory; they are gone after a restart
+ */
+
+const _ = require("lodash");
+
+/**
+ * Every backend stores entries shaped { value, stored_at, fresh_until,
+ * stale_until } (times in ms) under string keys, and implements the same
+ * async methods, so SharedCache never knows which one it talks to.
+ * Values are copied in and out, so callers can change what they get.
+ */
+class MemoryBackend {
+  constructor() {
+    this.name = "memory";
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    return entry ? _.cloneDeep(entry) : null;
+  }
+
+  async set(key, entry) {
+    this.entries.set(key, _.cloneDeep(entry));
+  }
+
+  async count(prefix = "") {
+    return this.matching(prefix).length;
+  }
+
+  // Returns how many entries were removed
+  async deleteByPrefix(prefix = "") {
+    const keys = this.matching(prefix);
+    keys.forEach((key) => this.entries.delete(key));
+    return keys.length;
+  }
+
+  // Drops entries that can no longer be served, even stale
+  async prune(now = Date.now()) {
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (entry.stale_until <= now) {
+        this.entries.delete(key);
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+
+  matching(prefix) {
+    return [...this.entries.keys()].filter((key) => key.startsWith(prefix));
+  }
+
+  describe() {
+    return { backend: this.name };
+  }
+
+  async close() {}
+}
+
+module.exports = MemoryBackend;
@@ -0,0 +1,262 @@
+/**
+ * SocialCog.io - Shared Cache
+ * TM (2025) - TPCL, LLC
+ * One cache for every platform service, over a pluggable backend
+ */
+
+const path = require("path");
+const _ = require("lodash");
+const logger = require("../utils/logger");
+const MemoryBackend = require("./memoryBackend");
+const FileBackend = require("./fileBackend");
+const SqliteBackend = require("./sqliteBackend");
+
+// Relative cache paths are resolved against the project root, next to .env
+const PROJECT_ROOT = path.join(__dirname, "..", "..");
+
+const BACKENDS = {
+  memory: () => new MemoryBackend(),
+  file: (filePath) =>
+    new FileBackend({ filePath: path.resolve(PROJECT_ROOT, filePath) }),
+  sqlite: (filePath) =>
+    new SqliteBackend({ filePath: path.resolve(PROJECT_ROOT, filePath) }),
+};
+
+const DEFAULT_PATHS = { file: "cache.json", sqlite: "cache.sqlite" };
+
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+const emptyStats = () => ({
+  hits: 0,
+  stale_hits: 0,
+  misses: 0,
+  coalesced: 0,
+  revalidations: 0,
+  errors: 0,
+});
+
+/**
+ * Keys look like "<platform>:<identity>:<endpoint>:<request>", e.g.
+ * "twitter:user:4:followers:12345_100", so one prefix flushes a platform,
+ * an identity's responses or one endpoint. Responses are fresh for their
+ * endpoint's ttl (config/cache.js), then served stale for up to `stale`
+ * seconds while one background call refreshes them. Concurrent requests
+ * for the same key share one upstream call.
+ */
+class SharedCache {
+  constructor({
+    backend = new MemoryBackend(),
+    ttls = require("../config/cache").ttls,
+    pruneIntervalMs = PRUNE_INTERVAL_MS,
+  } = {}) {
+    this.backend = backend;
+    this.ttls = ttls;
+
+    // Key -> pending upstream call
+    this.inflight = new Map();
+    // Platform -> counters since startup
+    this.counters = new Map();
+
+    this.pruneTimer = setInterval(() => this.prune(), pruneIntervalMs);
+    this.pruneTimer.unref();
+  }
+
+  // Builds the cache CACHE_BACKEND and CACHE_PATH ask for. A backend that
+  // cannot be used is logged and replaced by memory, so a cache problem
+  // never stops startup
+  static fromConfig(config = require("../config/cache")) {
+    let backend;
+    try {
+      const build = BACKENDS[config.backend];
+      if (!build) {
+        throw new Error(
+          `Unknown CACHE_BACKEND "${config.backend}" - expected one of ${Object.keys(BACKENDS).join(", ")}`
+        );
+      }
+      backend = build(config.path || DEFAULT_PATHS[config.backend]);
+    } catch (error) {
+      logger.warn(
+        `⚠️ SocialCog.io: Cache backend unavailable, caching in memory instead: ${error.message}`
+      );
+      backend = new MemoryBackend();
+    }
+
+    logger.info(
+      `📋 SocialCog.io: Caching platform responses in ${JSON.stringify(backend.describe())}`
+    );
+    return new SharedCache({ backend, ttls: config.ttls });
+  }
+
+  // The view of the cache a platform service uses
+  namespace(platform) {
+    return new CacheNamespace(this, platform);
+  }
+
+  policy(platform, endpoint) {
+    return this.ttls[platform]?.[endpoint] || this.ttls.default;
+  }
+
+  statsFor(platform) {
+    if (!this.counters.has(platform)) {
+      this.counters.set(platform, emptyStats());
+    }
+    return this.counters.get(platform);
+  }
+
+  /**
+   * The cached response for `key`, or fetch()'s result. cacheIf(value)
+   * can keep a result out of the cache (e.g. partial lists) while still
+   * returning it.
+   */
+  async getOrFetch(
+    key,
+    fetch,
+    { platform, endpoint, cacheIf = () => true } = {}
+  ) {
+    const policy = this.policy(platform, endpoint);
+    const stats = this.statsFor(platform);
+    const entry = policy.ttl > 0 ? await this.backend.get(key) : null;
+    const now = Date.now();
+
+    if (entry && now < entry.fresh_until) {
+      stats.hits += 1;
+      return entry.value;
+    }
+
+    if (entry && now < entry.stale_until) {
+      stats.stale_hits += 1;
+      if (!this.inflight.has(key)) {
+        stats.revalidations += 1;
+        this.load(key, fetch, { platform, policy, cacheIf }).catch((error) =>
+          logger.warn(
+            `⚠️ SocialCog.io: Could not refresh cached ${key}, serving it stale: ${error.message}`
+          )
+        );
+      }
+      return entry.value;
+    }
+
+    stats.misses += 1;
+    return this.load(key, fetch, { platform, policy, cacheIf });
+  }
+
+  // Runs fetch() once per key at a time; later callers wait for the same
+  // call and get their own copy of its result
+  load(key, fetch, { platform, policy, cacheIf }) {
+    const stats = this.statsFor(platform);
+    if (this.inflight.has(key)) {
+      stats.coalesced += 1;
+      return this.inflight.get(key).then((value) => _.cloneDeep(value));
+    }
+
+    const pending = (async () => {
+      try {
+        const value = await fetch();
+        if (policy.ttl > 0 && cacheIf(value)) {
+          const now = Date.now();
+          await this.backend.set(key, {
+            value,
+            stored_at: now,
+            fresh_until: now + policy.ttl * 1000,
+            stale_until: now + (policy.ttl + (policy.stale || 0)) * 1000,
+          });
+        }
+        return value;
+      } catch (error) {
+        stats.errors += 1;
+        throw error;
+      } finally {
+        this.inflight.delete(key);
+      }
+    })();
+
+    this.inflight.set(key, pending);
+    return pending;
+  }
+
+  // Removes every key under platform (if given) and then prefix; returns
+  // how many entries went
+  async flush({ platform = null, prefix = "" } = {}) {
+    const keyPrefix = platform ? `${platform}:${prefix}` : prefix;
+    const removed = await this.backend.deleteByPrefix(keyPrefix);
+    logger.info(
+      `🗑️ SocialCog.io: Flushed ${removed} cached responses${keyPrefix ? ` under "${keyPrefix}"` : ""}`
+    );
+    return removed;
+  }
+
+  async stats({ platform = null } = {}) {
+    const platforms = platform
+      ? [platform]
+      : _.uniq([
+          ...Object.keys(_.omit(this.ttls, "default")),
+          ...this.counters.keys(),
+        ]);
+
+    const perPlatform = {};
+    for (const name of platforms) {
+      const stats = this.statsFor(name);
+      const lookups = stats.hits + stats.stale_hits + stats.misses;
+      perPlatform[name] = {
+        keys: await this.backend.count(`${name}:`),
+        ...stats,
+        hit_ratio:
+          lookups > 0
+            ? Math.round(((stats.hits + stats.stale_hits) / lookups) * 1e4) /
+              1e4
+            : null,
+        inflight: [...this.inflight.keys()].filter((key) =>
+          key.startsWith(`${name}:`)
+        ).length,
+      };
+    }
+
+    return {
+      ...this.backend.describe(),
+      keys: await this.backend.count(platform ? `${platform}:` : ""),
+      platforms: perPlatform,
+    };
+  }
+
+  async prune() {
+    try {
+      await this.backend.prune(Date.now());
+    } catch (error) {
+      logger.error("❌ SocialCog.io: Cache prune failed:", error.message);
+    }
+  }
+
+  async close() {
+    clearInterval(this.pruneTimer);
+    await this.backend.close();
+  }
+}
+
+// One platform's slice of the shared cache
+class CacheNamespace {
+  constructor(cache, platform) {
+    this.cache = cache;
+    this.platform = platform;
+  }
+
+  // identity is whose credentials the call runs with ("app", "user:<id>")
+  async wrap(endpoint, request, fetch, { identity = "app", cacheIf } = {}) {
+    return this.cache.getOrFetch(
+      `${this.platform}:${identity}:${endpoint}:${request}`,
+      fetch,
+      { platform: this.platform, endpoint, cacheIf }
+    );
+  }
+
+  async flush(prefix = "") {
+    return this.cache.flush({ platform: this.platform, prefix });
+  }
+
+  async stats() {
+    return (await this.cache.stats({ platform: this.platform })).platforms[
+      this.platform
+    ];
+  }
+}
+
+module.exports = SharedCache;
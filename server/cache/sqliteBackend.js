@@ -0,0 +1,106 @@
+/**
+ * SocialCog.io - SQLite Cache Backend
+ * TM (2025) - TPCL, LLC
+ * Keeps cache entries in a SQLite file through better-sqlite3
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// better-sqlite3 is an optional dependency with a native build, so an
+// install without it gets a clear error instead of a crash later
+const loadSqlite = () => {
+  try {
+    return require("better-sqlite3");
+  } catch (error) {
+    throw new Error(
+      `CACHE_BACKEND=sqlite needs the better-sqlite3 package, which could not be loaded: ${error.message}`
+    );
+  }
+};
+
+class SqliteBackend {
+  constructor({ filePath }) {
+    const Database = loadSqlite();
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    this.name = "sqlite";
+    this.filePath = filePath;
+    this.db = new Database(filePath);
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS cache_entries (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        stored_at INTEGER NOT NULL,
+        fresh_until INTEGER NOT NULL,
+        stale_until INTEGER NOT NULL
+      )
+    `);
+
+    // Prefixes are compared with substr() so "_" and "%" in keys are taken
+    // literally
+    this.statements = {
+      get: this.db.prepare("SELECT * FROM cache_entries WHERE key = ?"),
+      set: this.db.prepare(
+        `INSERT INTO cache_entries (key, value, stored_at, fresh_until, stale_until)
+         VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT(key) DO UPDATE SET value = excluded.value,
+           stored_at = excluded.stored_at, fresh_until = excluded.fresh_until,
+           stale_until = excluded.stale_until`
+      ),
+      count: this.db.prepare(
+        "SELECT COUNT(*) AS count FROM cache_entries WHERE substr(key, 1, ?) = ?"
+      ),
+      deleteByPrefix: this.db.prepare(
+        "DELETE FROM cache_entries WHERE substr(key, 1, ?) = ?"
+      ),
+      prune: this.db.prepare(
+        "DELETE FROM cache_entries WHERE stale_until <= ?"
+      ),
+    };
+  }
+
+  async get(key) {
+    const row = this.statements.get.get(key);
+    if (!row) return null;
+
+    return {
+      value: JSON.parse(row.value),
+      stored_at: row.stored_at,
+      fresh_until: row.fresh_until,
+      stale_until: row.stale_until,
+    };
+  }
+
+  async set(key, entry) {
+    this.statements.set.run(
+      key,
+      JSON.stringify(entry.value),
+      entry.stored_at,
+      entry.fresh_until,
+      entry.stale_until
+    );
+  }
+
+  async count(prefix = "") {
+    return this.statements.count.get(prefix.length, prefix).count;
+  }
+
+  async deleteByPrefix(prefix = "") {
+    return this.statements.deleteByPrefix.run(prefix.length, prefix).changes;
+  }
+
+  async prune(now = Date.now()) {
+    return this.statements.prune.run(now).changes;
+  }
+
+  describe() {
+    return { backend: this.name, path: this.filePath };
+  }
+
+  async close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteBackend;
@@ -0,0 +1,424 @@
+/**
+ * SocialCog.io - HTTP Cassette
+ * TM (2025) - TPCL, LLC
+ * Records platform API responses to fixture files and replays them offline
+ */
+
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+const { ApiResponseError } = require("twitter-api-v2");
+const logger = require("../utils/logger");
+
+const MODES = ["off", "record", "replay"];
+
+const DEFAULT_DIR = path.join(__dirname, "fixtures");
+
+// Relative HTTP_CASSETTE_DIR paths are resolved against the project root,
+// next to .env
+const PROJECT_ROOT = path.join(__dirname, "..", "..");
+
+const SCRUBBED = "[SCRUBBED]";
+
+// Credentials whose values must never reach a fixture file, wherever they
+// turn up (echoed in a body, embedded in a next-page URL...)
+const SECRET_ENV_KEYS = [
+  "TWITTER_API_KEY",
+  "TWITTER_API_SECRET",
+  "TWITTER_BEARER_TOKEN",
+  "TWITTER_ACCESS_TOKEN",
+  "TWITTER_ACCESS_TOKEN_SECRET",
+  "TWITTER_CLIENT_SECRET",
+  "LINKEDIN_CLIENT_ID",
+  "LINKEDIN_CLIENT_SECRET",
+  "LINKEDIN_ACCESS_TOKEN",
+  "GITHUB_TOKEN",
+];
+
+// Headers that carry credentials or session state
+const SECRET_HEADER_PATTERN = /authorization|cookie|token|secret|api-key/i;
+
+// Transport headers that describe the original connection, not the
+// recorded (already decoded) body
+const TRANSPORT_HEADERS = [
+  "connection",
+  "keep-alive",
+  "transfer-encoding",
+  "content-encoding",
+  "content-length",
+];
+
+// Query and body fields that carry credentials; pagination tokens
+// (next_token, pagination_token) are not secrets and must survive
+const SECRET_FIELD_PATTERN =
+  /^(access_|refresh_|id_|bearer_|oauth_)?token$|secret|password|^api_?key$|^client_id$|^code_verifier$|^oauth_/i;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const isJson = (text) => {
+  try {
+    JSON.parse(text);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Bodies are stored parsed when they are JSON so fixtures stay readable
+const decodeBody = (text) => {
+  if (text === "" || text == null) return null;
+  if (typeof text !== "string") return text;
+  return isJson(text) ? JSON.parse(text) : text;
+};
+
+const encodeBody = (body) =>
+  body == null ? "" : typeof body === "string" ? body : JSON.stringify(body);
+
+const scrubValue = (value, key = "") => {
+  if (SECRET_FIELD_PATTERN.test(key) && value != null) return SCRUBBED;
+  if (Array.isArray(value)) return value.map((item) => scrubValue(item));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([name, item]) => [
+        name,
+        scrubValue(item, name),
+      ])
+    );
+  }
+  return value;
+};
+
+// Query parameters sorted and credentials blanked, so the same request
+// always gets the same key
+const normaliseUrl = (rawUrl) => {
+  const url = new URL(rawUrl);
+  const params = [...url.searchParams.entries()]
+    .map(([name, value]) => [
+      name,
+      SECRET_FIELD_PATTERN.test(name) ? SCRUBBED : value,
+    ])
+    .sort(([a], [b]) => a.localeCompare(b));
+  url.search = new URLSearchParams(params).toString();
+  return url.toString();
+};
+
+const requestKey = ({ method, url, body }) =>
+  `${method.toUpperCase()} ${normaliseUrl(url)}${
+    body == null ? "" : ` ${JSON.stringify(scrubValue(body))}`
+  }`;
+
+const headerObject = (headers) => {
+  if (!headers) return {};
+  const entries =
+    typeof headers.entries === "function"
+      ? [...headers.entries()]
+      : Object.entries(
+          typeof headers.toJSON === "function" ? headers.toJSON() : headers
+        );
+  return Object.fromEntries(
+    entries
+      .filter(
+        ([name]) =>
+          !SECRET_HEADER_PATTERN.test(name) &&
+          !TRANSPORT_HEADERS.includes(name.toLowerCase())
+      )
+      .map(([name, value]) => [
+        name.toLowerCase(),
+        Array.isArray(value) ? value.join(", ") : String(value),
+      ])
+  );
+};
+
+// twitter-api-v2 substitutes :params and appends the query itself, after
+// the plugin hooks that see the request have run
+const twitterRequestUrl = (params) => {
+  const url = new URL(
+    params.url.startsWith("http") ? params.url : `https://${params.url}`
+  );
+  for (const [name, value] of Object.entries(params.params || {})) {
+    url.pathname = url.pathname.replace(`:${name}`, encodeURIComponent(value));
+  }
+  for (const [name, value] of Object.entries(params.query || {})) {
+    if (value === undefined) continue;
+    url.searchParams.set(
+      name,
+      Array.isArray(value) ? value.join(",") : String(value)
+    );
+  }
+  return url.toString();
+};
+
+const twitterRateLimit = (headers) =>
+  headers["x-rate-limit-limit"]
+    ? {
+        limit: Number(headers["x-rate-limit-limit"]),
+        remaining: Number(headers["x-rate-limit-remaining"]),
+        reset: Number(headers["x-rate-limit-reset"]),
+      }
+    : undefined;
+
+/**
+ * A cassette is one fixture file of request/response pairs. In record mode
+ * the platform clients call the real API and every response is appended,
+ * scrubbed of credentials; in replay mode nothing leaves the process and
+ * each request is answered from the file, in recorded order when the same
+ * request was made more than once. A request with no recording fails
+ * rather than falling through to the network.
+ *
+ * Each service's client plugs in differently: a twitter-api-v2 plugin, a
+ * fetch for Octokit and an axios adapter for LinkedIn.
+ */
+class HttpCassette {
+  constructor({ name, mode = "replay", dir = DEFAULT_DIR }) {
+    if (!MODES.includes(mode) || mode === "off") {
+      throw new Error(`Cassette mode must be record or replay (got ${mode})`);
+    }
+
+    this.name = name;
+    this.mode = mode;
+    this.filePath = path.join(dir, `${name}.json`);
+    this.interactions = mode === "replay" ? this.load() : [];
+
+    // Request key -> how many of its recordings have been played
+    this.played = new Map();
+    this.writeQueue = Promise.resolve();
+  }
+
+  // HTTP_CASSETTE_MODE=record|replay puts every platform service on a
+  // cassette named after it; off (the default) returns null
+  static fromEnv(name) {
+    const mode = process.env.HTTP_CASSETTE_MODE || "off";
+    if (mode === "off") return null;
+
+    return new HttpCassette({
+      name,
+      mode,
+      dir: HttpCassette.directory(),
+    });
+  }
+
+  static directory() {
+    const dir = process.env.HTTP_CASSETTE_DIR;
+    return dir ? path.resolve(PROJECT_ROOT, dir) : DEFAULT_DIR;
+  }
+
+  get replaying() {
+    return this.mode === "replay";
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      throw new Error(`No cassette recorded at ${this.filePath}`);
+    }
+    const cassette = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    // Synthetic cassettes were written by hand, not recorded
+    logger.info(
+      `📼 SocialCog.io: Replaying ${cassette.interactions.length} ${cassette.synthetic ? "synthetic " : ""}${this.name} responses from ${this.filePath}`
+    );
+    return cassette.interactions;
+  }
+
+  // Credential values are cut out of the serialised interaction as a last
+  // line of defence, after the key-based scrubbing
+  scrub(interaction) {
+    let text = JSON.stringify(interaction);
+    for (const key of SECRET_ENV_KEYS) {
+      const secret = process.env[key];
+      if (secret && secret.length >= 6) {
+        text = text.replace(
+          new RegExp(escapeRegExp(JSON.stringify(secret).slice(1, -1)), "g"),
+          SCRUBBED
+        );
+      }
+    }
+    return JSON.parse(text);
+  }
+
+  record(request, response) {
+    const interaction = this.scrub({
+      request: {
+        method: request.method.toUpperCase(),
+        url: normaliseUrl(request.url),
+        body: request.body == null ? null : scrubValue(request.body),
+      },
+      response: {
+        status: response.status,
+        headers: headerObject(response.headers),
+        body: scrubValue(response.body),
+      },
+      recorded_at: new Date().toISOString(),
+    });
+    this.interactions.push(interaction);
+    return this.save();
+  }
+
+  save() {
+    const write = async () => {
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(
+        tempPath,
+        JSON.stringify(
+          { name: this.name, interactions: this.interactions },
+          null,
+          2
+        )
+      );
+      await fs.promises.rename(tempPath, this.filePath);
+    };
+
+    this.writeQueue = this.writeQueue.then(write, write);
+    return this.writeQueue;
+  }
+
+  // The next unplayed recording of this request; once they are used up the
+  // last one keeps answering, as a cache would
+  play(request) {
+    const key = requestKey(request);
+    const matches = this.interactions.filter(
+      (interaction) => requestKey(interaction.request) === key
+    );
+    if (matches.length === 0) {
+      throw new Error(
+        `No ${this.name} recording for ${request.method.toUpperCase()} ${normaliseUrl(request.url)}`
+      );
+    }
+
+    const played = this.played.get(key) || 0;
+    this.played.set(key, played + 1);
+    return matches[Math.min(played, matches.length - 1)].response;
+  }
+
+  twitterPlugin() {
+    const request = ({ params }) => ({
+      method: params.method,
+      url: twitterRequestUrl(params),
+      body: params.body && Object.keys(params.body).length ? params.body : null,
+    });
+
+    return {
+      onBeforeRequestConfig: (args) => {
+        if (!this.replaying) return undefined;
+
+        const { status, headers, body } = this.play(request(args));
+        const rateLimit = twitterRateLimit(headers);
+        if (status >= 400) {
+          throw new ApiResponseError(`Request failed with code ${status}`, {
+            code: status,
+            data: body,
+            headers,
+            rateLimit,
+            request: null,
+            response: { statusCode: status, headers },
+          });
+        }
+        return { data: body, headers, rateLimit };
+      },
+      onAfterRequest: async (args) => {
+        if (this.replaying) return;
+        await this.record(request(args), {
+          status: 200,
+          headers: args.response.headers,
+          body: args.response.data,
+        });
+      },
+      onResponseError: async (args) => {
+        if (this.replaying) return;
+        await this.record(request(args), {
+          status: args.error.code,
+          headers: args.error.headers,
+          body: args.error.data,
+        });
+      },
+    };
+  }
+
+  // Octokit's `request.fetch` option
+  fetch(realFetch = global.fetch) {
+    return async (input, init = {}) => {
+      const request = {
+        method: init.method || "GET",
+        url: String(input.url || input),
+        body: init.body ? decodeBody(init.body) : null,
+      };
+
+      if (this.replaying) {
+        const { status, headers, body } = this.play(request);
+        return new Response(
+          [204, 304].includes(status) ? null : encodeBody(body),
+          { status, headers }
+        );
+      }
+
+      const response = await realFetch(input, init);
+      const text = await response.clone().text();
+      await this.record(request, {
+        status: response.status,
+        headers: response.headers,
+        body: decodeBody(text),
+      });
+      return response;
+    };
+  }
+
+  // Works with the default axios response handling: the adapter returns the
+  // raw body and lets validateStatus and transformResponse do the rest
+  axiosAdapter() {
+    const send = axios.getAdapter(axios.defaults.adapter);
+
+    return async (config) => {
+      const request = {
+        method: config.method || "get",
+        url: axios.getUri(config),
+        body: config.data ? decodeBody(config.data) : null,
+      };
+
+      if (this.replaying) {
+        const { status, headers, body } = this.play(request);
+        const response = {
+          data: encodeBody(body),
+          status,
+          statusText: "",
+          headers: new axios.AxiosHeaders(headers),
+          config,
+          request: null,
+        };
+        if (!config.validateStatus || config.validateStatus(status)) {
+          return response;
+        }
+        throw new axios.AxiosError(
+          `Request failed with status code ${status}`,
+          status >= 500
+            ? axios.AxiosError.ERR_BAD_RESPONSE
+            : axios.AxiosError.ERR_BAD_REQUEST,
+          config,
+          null,
+          response
+        );
+      }
+
+      try {
+        const response = await send(config);
+        await this.record(request, {
+          status: response.status,
+          headers: response.headers,
+          body: decodeBody(response.data),
+        });
+        return response;
+      } catch (error) {
+        if (error.response) {
+          await this.record(request, {
+            status: error.response.status,
+            headers: error.response.headers,
+            body: decodeBody(error.response.data),
+          });
+        }
+        throw error;
+      }
+    };
+  }
+}
+
+HttpCassette.MODES = MODES;
+
+module.exports = HttpCassette;
@@ -0,0 +1,43 @@
+/**
+ * SocialCog.io - Cache Configuration
+ * TM (2025) - TPCL, LLC
+ *
+ * CACHE_BACKEND picks where platform API responses are kept: "memory"
+ * (the default, lost on restart), "file" (a JSON file) or "sqlite" (needs
+ * the optional better-sqlite3 package). A backend that cannot be used
+ * falls back to memory. CACHE_PATH sets the file for the persistent
+ * backends, relative to the project root.
+ *
+ * `ttls` has a policy per platform endpoint, in seconds: responses are
+ * fresh for `ttl`, then served for up to `stale` more while a background
+ * call refreshes them. A ttl of 0 turns caching off for the endpoint;
+ * endpoints not listed get `default`.
+ */
+
+const MINUTE = 60;
+const HOUR = 60 * MINUTE;
+
+module.exports = {
+  backend: process.env.CACHE_BACKEND || "memory",
+  path: process.env.CACHE_PATH || null,
+  ttls: {
+    default: { ttl: 5 * MINUTE, stale: 0 },
+    twitter: {
+      profile: { ttl: 5 * MINUTE, stale: HOUR },
+      // Lists cost a request per 1000 users out of 15 per 15 minutes
+      followers: { ttl: 15 * MINUTE, stale: 6 * HOUR },
+      following: { ttl: 15 * MINUTE, stale: 6 * HOUR },
+    },
+    linkedin: {
+      profile: { ttl: 10 * MINUTE, stale: HOUR },
+      connections: { ttl: 10 * MINUTE, stale: HOUR },
+      company: { ttl: 24 * HOUR, stale: 24 * HOUR },
+      search: { ttl: 10 * MINUTE, stale: 0 },
+    },
+    github: {
+      profile: { ttl: 5 * MINUTE, stale: HOUR },
+      followers: { ttl: 15 * MINUTE, stale: 6 * HOUR },
+      following: { ttl: 15 * MINUTE, stale: 6 * HOUR },
+    },
+  },
+};
@@ -0,0 +1,105 @@
+/**
+ * SocialCog.io - Platform Credentials
+ * TM (2025) - TPCL, LLC
+ *
+ * The one place platform credentials are read from .env; services get them
+ * handed in instead of reading process.env themselves.
+ *
+ * `oauthProvider(platform)` describes the platform's OAuth 2.0 app, through
+ * which each user connects their own account (authorization code flow with
+ * PKCE). `appCredentials(platform)` are the server's own tokens, used for
+ * calls made on behalf of nobody in particular (status checks, records
+ * without an owner) and for users who have not connected an account.
+ * Either is enough to enable a platform's live adapter.
+ */
+
+const OAUTH_PROVIDERS = {
+  twitter: {
+    label: "Twitter",
+    authorizeUrl: "https://twitter.com/i/oauth2/authorize",
+    tokenUrl: "https://api.twitter.com/2/oauth2/token",
+    revokeUrl: "https://api.twitter.com/2/oauth2/revoke",
+    accountUrl: "https://api.twitter.com/2/users/me",
+    // offline.access is what gets a refresh token
+    scopes: ["tweet.read", "users.read", "follows.read", "offline.access"],
+    // Confidential clients authenticate with HTTP Basic; public clients
+    // only send their client_id
+    clientAuth: "basic",
+    clientIdEnv: "TWITTER_CLIENT_ID",
+    clientSecretEnv: "TWITTER_CLIENT_SECRET",
+    toAccount: (body) => ({
+      id: body.data?.id || null,
+      username: body.data?.username || null,
+      name: body.data?.name || null,
+    }),
+  },
+  linkedin: {
+    label: "LinkedIn",
+    authorizeUrl: "https://www.linkedin.com/oauth/v2/authorization",
+    tokenUrl: "https://www.linkedin.com/oauth/v2/accessToken",
+    revokeUrl: null,
+    accountUrl: "https://api.linkedin.com/v2/userinfo",
+    scopes: ["openid", "profile", "email"],
+    // LinkedIn wants the secret in the form body
+    clientAuth: "body",
+    clientIdEnv: "LINKEDIN_CLIENT_ID",
+    clientSecretEnv: "LINKEDIN_CLIENT_SECRET",
+    toAccount: (body) => ({
+      id: body.sub || null,
+      username: body.email || null,
+      name: body.name || null,
+    }),
+  },
+};
+
+const OAUTH_PLATFORMS = Object.keys(OAUTH_PROVIDERS);
+
+// The provider with its client credentials, or null when the platform has
+// no OAuth support or its client ID is not configured
+const oauthProvider = (platform, env = process.env) => {
+  const provider = OAUTH_PROVIDERS[platform];
+  const clientId = provider && env[provider.clientIdEnv];
+  if (!clientId) return null;
+
+  const clientSecret = env[provider.clientSecretEnv] || null;
+  return {
+    ...provider,
+    platform,
+    clientId,
+    clientSecret,
+    clientAuth: clientSecret ? provider.clientAuth : "none",
+  };
+};
+
+const APP_CREDENTIALS = {
+  // OAuth 1.0a user context for the app's own account, as before
+  twitter: (env) => {
+    const credentials = {
+      appKey: env.TWITTER_API_KEY,
+      appSecret: env.TWITTER_API_SECRET,
+      accessToken: env.TWITTER_ACCESS_TOKEN,
+      accessSecret: env.TWITTER_ACCESS_TOKEN_SECRET,
+      bearerToken: env.TWITTER_BEARER_TOKEN,
+    };
+    return Object.values(credentials).every(Boolean) ? credentials : null;
+  },
+  linkedin: (env) =>
+    env.LINKEDIN_ACCESS_TOKEN
+      ? { accessToken: env.LINKEDIN_ACCESS_TOKEN }
+      : null,
+};
+
+const appCredentials = (platform, env = process.env) =>
+  APP_CREDENTIALS[platform]?.(env) || null;
+
+// Where providers send users back to; must match the redirect URI
+// registered with the platform's app
+const oauthRedirectUri = (platform, env = process.env) =>
+  `${(env.API_PUBLIC_URL || `http://localhost:${env.PORT || 5000}`).replace(/\/$/, "")}/api/oauth/${platform}/callback`;
+
+module.exports = {
+  OAUTH_PLATFORMS,
+  oauthProvider,
+  appCredentials,
+  oauthRedirectUri,
+};
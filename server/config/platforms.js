@@ -0,0 +1,48 @@
+/**
+ * SocialCog.io - Platform Configuration
+ * TM (2025) - TPCL, LLC
+ *
+ * Each entry maps a platform name to its adapter module in server/platforms.
+ * To add a platform (e.g. instagram), drop an adapter extending
+ * PlatformAdapter into server/platforms and list it here. Set PLATFORMS in
+ * .env (comma separated) to enable a subset; by default every entry loads.
+ *
+ * `refreshLimit` caps background refreshes (profile + follower lists) per
+ * window, below the platform's own API limits so interactive use keeps
+ * some headroom. The cap applies to each identity separately: the app, and
+ * every user refreshing through their own connected account.
+ *
+ * `demoService` names the module in server/demo that stands in for the
+ * platform service in demo mode.
+ */
+
+const MINUTE = 60 * 1000;
+
+module.exports = {
+  twitter: {
+    adapter: "twitterAdapter",
+    demoService: "twitterDemoService",
+    label: "Twitter",
+    color: "#1DA1F2",
+    // followers/following lookups allow 15 requests per 15 minutes
+    refreshLimit: { max: 5, windowMs: 15 * MINUTE },
+  },
+  linkedin: {
+    adapter: "linkedinAdapter",
+    demoService: "linkedinDemoService",
+    label: "LinkedIn",
+    color: "#0077B5",
+    refreshLimit: { max: 20, windowMs: 60 * MINUTE },
+  },
+  github: {
+    adapter: "githubAdapter",
+    demoService: "githubDemoService",
+    label: "GitHub",
+    color: "#333333",
+    // 60 requests/hour unauthenticated, 5000 with a token
+    refreshLimit: {
+      max: process.env.GITHUB_TOKEN ? 500 : 15,
+      windowMs: 60 * MINUTE,
+    },
+  },
+};
@@ -0,0 +1,147 @@
+/**
+ * SocialCog.io - Database
+ * TM (2025) - TPCL, LLC
+ * File-backed JSON data store with versioned schema migrations
+ */
+
+const fs = require("fs");
+const path = require("path");
+const logger = require("../utils/logger");
+const migrations = require("./migrations");
+
+// Relative database paths are resolved against the project root, next to .env
+const PROJECT_ROOT = path.join(__dirname, "..", "..");
+const DEFAULT_DATABASE_URL = "file:./db.json";
+
+function resolveDatabasePath(databaseUrl) {
+  const url = databaseUrl || DEFAULT_DATABASE_URL;
+
+  let filePath = null;
+  if (url.startsWith("file://")) {
+    filePath = url.slice("file://".length);
+  } else if (url.startsWith("file:")) {
+    filePath = url.slice("file:".length);
+  } else if (url.endsWith(".json")) {
+    filePath = url;
+  }
+
+  if (!filePath) {
+    throw new Error(
+      `Unsupported DATABASE_URL "${url}" - expected file:<path-to-json>`
+    );
+  }
+
+  return path.resolve(PROJECT_ROOT, filePath);
+}
+
+class Database {
+  constructor(databaseUrl = process.env.DATABASE_URL) {
+    this.filePath = resolveDatabasePath(databaseUrl);
+    this.data = null;
+
+    // Serialises writes so concurrent mutations never interleave on disk
+    this.writeQueue = Promise.resolve();
+  }
+
+  async connect() {
+    logger.info(`🗄️ SocialCog.io: Opening database at ${this.filePath}`);
+
+    this.data = this.load();
+    const applied = this.migrate();
+
+    if (applied > 0 || !fs.existsSync(this.filePath)) {
+      await this.persist();
+    }
+
+    logger.info(
+      `✅ SocialCog.io: Database ready (schema v${this.data.schema_version})`
+    );
+    return this;
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return {};
+    }
+
+    const raw = fs.readFileSync(this.filePath, "utf8");
+    if (!raw.trim()) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      throw new Error(
+        `Database file ${this.filePath} is not valid JSON: ${error.message}`
+      );
+    }
+  }
+
+  migrate() {
+    const currentVersion = this.data.schema_version || 0;
+    const pending = migrations
+      .filter((migration) => migration.version > currentVersion)
+      .sort((a, b) => a.version - b.version);
+
+    this.data.migrations = this.data.migrations || [];
+
+    for (const migration of pending) {
+      logger.info(
+        `🔧 SocialCog.io: Applying migration ${migration.version} (${migration.name})`
+      );
+      migration.up(this.data);
+      this.data.schema_version = migration.version;
+      this.data.migrations.push({
+        version: migration.version,
+        name: migration.name,
+        applied_at: new Date().toISOString(),
+      });
+    }
+
+    return pending.length;
+  }
+
+  collection(name) {
+    if (!this.data) {
+      throw new Error("Database not connected - call connect() first");
+    }
+
+    if (!Array.isArray(this.data[name])) {
+      throw new Error(`Unknown collection: ${name}`);
+    }
+
+    return this.data[name];
+  }
+
+  nextId(sequence) {
+    this.data.sequences[sequence] = (this.data.sequences[sequence] || 0) + 1;
+    return this.data.sequences[sequence];
+  }
+
+  persist() {
+    const write = async () => {
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(
+        tempPath,
+        JSON.stringify(this.data, null, 2)
+      );
+      await fs.promises.rename(tempPath, this.filePath);
+    };
+
+    this.writeQueue = this.writeQueue.then(write, write);
+    return this.writeQueue;
+  }
+
+  getSchemaInfo() {
+    return {
+      file: this.filePath,
+      schema_version: this.data?.schema_version || 0,
+      migrations: this.data?.migrations || [],
+    };
+  }
+}
+
+module.exports = Database;
+module.exports.resolveDatabasePath = resolveDatabasePath;
@@ -0,0 +1,238 @@
+/**
+ * SocialCog.io - Database Migrations
+ * TM (2025) - TPCL, LLC
+ * Versioned schema migrations for the SocialCog.io data store
+ */
+
+// Each migration receives the raw data object and mutates it in place.
+// Migrations run in ascending version order and must never be edited once
+// released - add a new version instead.
+const migrations = [
+  {
+    version: 1,
+    name: "initial_schema",
+    up(data) {
+      // Legacy db.json files only carried a bare profiles array
+      data.profiles = Array.isArray(data.profiles) ? data.profiles : [];
+      data.connections = Array.isArray(data.connections)
+        ? data.connections
+        : [];
+
+      const now = new Date().toISOString();
+
+      data.profiles = data.profiles.map((profile) => ({
+        ...profile,
+        created_at: profile.created_at || now,
+        updated_at: profile.updated_at || now,
+        fetch: profile.fetch || {
+          source: "unknown",
+          fetched_at: profile.updated_at || null,
+          fetched_by: profile.fetched_by || null,
+          api_version: profile.api_version || null,
+          mock_reason: profile.mock_reason || null,
+        },
+      }));
+
+      const maxId = (records) =>
+        records.reduce((max, record) => {
+          const id = parseInt(record.id);
+          return Number.isInteger(id) && id > max ? id : max;
+        }, 0);
+
+      data.sequences = {
+        profiles: maxId(data.profiles),
+        connections: maxId(data.connections),
+      };
+    },
+  },
+  {
+    version: 2,
+    name: "profile_networks",
+    up(data) {
+      // Follower/following lists fetched per tracked profile
+      data.networks = Array.isArray(data.networks) ? data.networks : [];
+
+      // Random placeholder edges carry no evidence and cannot be rebuilt
+      data.connections = data.connections.filter(
+        (connection) => connection.evidence
+      );
+    },
+  },
+  {
+    version: 3,
+    name: "identity_resolution",
+    up(data) {
+      // People behind one or more tracked profiles, and the scored
+      // cross-platform links that propose or confirm them
+      data.persons = Array.isArray(data.persons) ? data.persons : [];
+      data.identity_links = Array.isArray(data.identity_links)
+        ? data.identity_links
+        : [];
+      data.sequences.persons = data.sequences.persons || 0;
+      data.sequences.identity_links = data.sequences.identity_links || 0;
+    },
+  },
+  {
+    version: 4,
+    name: "bulk_imports",
+    up(data) {
+      // Bulk import jobs with their per-row outcomes
+      data.imports = Array.isArray(data.imports) ? data.imports : [];
+      data.sequences.imports = data.sequences.imports || 0;
+    },
+  },
+  {
+    version: 5,
+    name: "metric_snapshots",
+    up(data) {
+      // Point-in-time follower/following/post counts per tracked profile
+      data.metric_snapshots = Array.isArray(data.metric_snapshots)
+        ? data.metric_snapshots
+        : [];
+      data.sequences.metric_snapshots = data.sequences.metric_snapshots || 0;
+    },
+  },
+  {
+    version: 6,
+    name: "refresh_schedules",
+    up(data) {
+      // Cron-like refresh schedules and the history of the runs they made
+      data.refresh_schedules = Array.isArray(data.refresh_schedules)
+        ? data.refresh_schedules
+        : [];
+      data.refresh_runs = Array.isArray(data.refresh_runs)
+        ? data.refresh_runs
+        : [];
+      data.sequences.refresh_schedules = data.sequences.refresh_schedules || 0;
+      data.sequences.refresh_runs = data.sequences.refresh_runs || 0;
+    },
+  },
+  {
+    version: 7,
+    name: "ego_crawls",
+    up(data) {
+      // Multi-hop crawls with their frontier, so they survive restarts
+      data.crawls = Array.isArray(data.crawls) ? data.crawls : [];
+      data.sequences.crawls = data.sequences.crawls || 0;
+    },
+  },
+  {
+    version: 8,
+    name: "pagination_cursors",
+    up(data) {
+      // Where an interrupted follower/following listing should resume
+      data.pagination_cursors = Array.isArray(data.pagination_cursors)
+        ? data.pagination_cursors
+        : [];
+    },
+  },
+  {
+    version: 9,
+    name: "user_accounts",
+    up(data) {
+      // Accounts, and an owner on every record a user creates. Records from
+      // before accounts existed stay unowned until the first account
+      // registers and adopts them
+      data.users = Array.isArray(data.users) ? data.users : [];
+      data.sequences.users = data.sequences.users || 0;
+
+      for (const collection of [
+        "profiles",
+        "connections",
+        "persons",
+        "identity_links",
+        "imports",
+        "refresh_schedules",
+        "refresh_runs",
+        "crawls",
+      ]) {
+        data[collection] = data[collection].map((record) => ({
+          ...record,
+          user_id: record.user_id ?? null,
+        }));
+      }
+    },
+  },
+  {
+    version: 10,
+    name: "oauth_connections",
+    up(data) {
+      // Platform accounts users connected over OAuth, tokens encrypted
+      data.oauth_connections = Array.isArray(data.oauth_connections)
+        ? data.oauth_connections
+        : [];
+      data.sequences.oauth_connections = data.sequences.oauth_connections || 0;
+    },
+  },
+  {
+    version: 11,
+    name: "workspaces",
+    up(data) {
+      // Named network maps. Every account gets a Default workspace holding
+      // what it tracked so far; unowned records join the first account's
+      // Default workspace when it adopts them
+      data.workspaces = Array.isArray(data.workspaces) ? data.workspaces : [];
+      data.sequences.workspaces = data.sequences.workspaces || 0;
+
+      const now = new Date().toISOString();
+      const defaults = new Map();
+      for (const user of data.users) {
+        const workspace = {
+          id: ++data.sequences.workspaces,
+          user_id: user.id,
+          name: "Default",
+          description: null,
+          layout: { positions: {} },
+          archived_at: null,
+          created_at: now,
+          updated_at: now,
+        };
+        data.workspaces.push(workspace);
+        defaults.set(user.id, workspace.id);
+      }
+
+      for (const collection of [
+        "profiles",
+        "connections",
+        "persons",
+        "identity_links",
+        "imports",
+        "refresh_schedules",
+        "refresh_runs",
+        "crawls",
+      ]) {
+        data[collection] = data[collection].map((record) => ({
+          ...record,
+          workspace_id:
+            record.workspace_id ?? defaults.get(record.user_id) ?? null,
+        }));
+      }
+    },
+  },
+  {
+    version: 12,
+    name: "pagination_cursor_identity",
+    up(data) {
+      // Cursors are kept per set of credentials; the ones saved so far were
+      // all paged with the app's own
+      data.pagination_cursors = data.pagination_cursors.map((cursor) => ({
+        ...cursor,
+        identity: cursor.identity ?? "app",
+      }));
+    },
+  },
+  {
+    version: 13,
+    name: "user_roles",
+    up(data) {
+      // Admin access is a role stored on the account; ADMIN_USER_IDS
+      // grants it at startup
+      data.users = data.users.map((user) => ({
+        ...user,
+        role: user.role ?? "user",
+      }));
+    },
+  },
+];
+
+module.exports = migrations;
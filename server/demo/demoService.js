@@ -0,0 +1,65 @@
+/**
+ * SocialCog.io - Demo Service
+ * TM (2025) - TPCL, LLC
+ * Base for the demo stand-ins of the platform services
+ */
+
+const HttpError = require("../utils/httpError");
+
+/**
+ * Demo services expose the same methods and result shapes as the live
+ * platform service they replace, backed by the shared SyntheticNetwork.
+ * Every result carries `demo: true`, so responses and stored records can
+ * say where their data came from.
+ */
+class DemoService {
+  constructor({ platform, label, network }) {
+    this.platform = platform;
+    this.label = label;
+    this.network = network;
+  }
+
+  async checkApiStatus() {
+    return {
+      status: "demo",
+      service: `${this.label} demo data`,
+      seed: this.network.seed,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  account(handle) {
+    return this.network.account(this.platform, handle);
+  }
+
+  accountById(id) {
+    const account = this.network.accountById(this.platform, id);
+    if (!account) {
+      throw new HttpError(404, `${this.label} user ${id} not found`);
+    }
+    return account;
+  }
+
+  // Followers or following of an account, capped at maxResults
+  listAccounts(account, direction, maxResults) {
+    const all =
+      direction === "followers"
+        ? this.network.followersOf(this.platform, account)
+        : this.network.followingOf(this.platform, account);
+    return { all, list: all.slice(0, maxResults) };
+  }
+
+  stamp() {
+    return {
+      fetched_by: "SocialCog.io (Demo)",
+      api_version: "demo",
+      demo: true,
+    };
+  }
+
+  bio(account) {
+    return `${account.role} · ${account.topics.join(" · ")}`;
+  }
+}
+
+module.exports = DemoService;
@@ -0,0 +1,100 @@
+/**
+ * SocialCog.io - GitHub Demo Service
+ * TM (2025) - TPCL, LLC
+ * GitHubService's interface over the synthetic network
+ */
+
+const DemoService = require("./demoService");
+
+class GitHubDemoService extends DemoService {
+  constructor({ network }) {
+    super({ platform: "github", label: "GitHub", network });
+  }
+
+  toUser(account) {
+    return {
+      id: Number(account.id),
+      username: account.username,
+      profile_url: `https://github.com/${account.username}`,
+      profile_image_url: null,
+      platform: "github",
+    };
+  }
+
+  async getUserProfile(username) {
+    const account = this.account(username);
+
+    return {
+      id: Number(account.id),
+      username: account.username,
+      name: account.name,
+      platform: "github",
+      followers: account.followers.length,
+      following: account.following.length,
+      posts: Math.round(account.posts / 20),
+      bio: this.bio(account),
+      verified: false,
+      location: account.location,
+      company: account.company,
+      profile_url: `https://github.com/${account.username}`,
+      profile_image_url: null,
+      external_url: null,
+      created_at: account.created_at,
+      updated_at: new Date().toISOString(),
+      ...this.stamp(),
+    };
+  }
+
+  async getUserFollowers(username, maxResults = 100) {
+    return this.listUsers("followers", username, maxResults);
+  }
+
+  async getUserFollowing(username, maxResults = 100) {
+    return this.listUsers("following", username, maxResults);
+  }
+
+  async listUsers(direction, username, maxResults) {
+    const { list } = this.listAccounts(
+      this.account(username),
+      direction,
+      maxResults
+    );
+
+    return {
+      username,
+      count: list.length,
+      [direction]: list.map((account) => this.toUser(account)),
+      fetched_at: new Date().toISOString(),
+      ...this.stamp(),
+    };
+  }
+
+  async findMutualConnections(usernames) {
+    const connections = [];
+
+    for (let i = 0; i < usernames.length; i++) {
+      for (let j = i + 1; j < usernames.length; j++) {
+        const [first, second] = await Promise.all([
+          this.getUserFollowers(usernames[i]),
+          this.getUserFollowers(usernames[j]),
+        ]);
+        const firstIds = new Set(first.followers.map((user) => user.id));
+        const mutual = second.followers.filter((user) => firstIds.has(user.id));
+
+        if (mutual.length > 0) {
+          connections.push({
+            source_username: usernames[i],
+            target_username: usernames[j],
+            connection_strength: Math.min(mutual.length / 20, 1),
+            connection_type: "mutual_followers",
+            mutual_count: mutual.length,
+          });
+        }
+      }
+    }
+
+    return connections;
+  }
+}
+
+module.exports = GitHubDemoService;
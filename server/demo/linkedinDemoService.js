@@ -0,0 +1,111 @@
+/**
+ * SocialCog.io - LinkedIn Demo Service
+ * TM (2025) - TPCL, LLC
+ * LinkedInService's interface over the synthetic network
+ */
+
+const DemoService = require("./demoService");
+const LinkedInService = require("../services/linkedinService");
+
+class LinkedInDemoService extends DemoService {
+  constructor({ network }) {
+    super({ platform: "linkedin", label: "LinkedIn", network });
+  }
+
+  // URLs parse exactly as they do against the live API
+  extractProfileId(profileUrl) {
+    return LinkedInService.prototype.extractProfileId.call(this, profileUrl);
+  }
+
+  extractCompanyId(companyUrl) {
+    return LinkedInService.prototype.extractCompanyId.call(this, companyUrl);
+  }
+
+  // Connections are mutual, so both follow directions count
+  connectionsOf(account) {
+    const followers = this.network.followersOf("linkedin", account);
+    const following = this.network.followingOf("linkedin", account);
+    return [...new Set([...followers, ...following])];
+  }
+
+  toPerson(account) {
+    return {
+      id: account.id,
+      username: account.username,
+      name: account.name,
+      headline: `${account.role} at ${account.company}`,
+      industry: account.industry,
+      location: account.location,
+      profile_url: `https://www.linkedin.com/in/${account.username}`,
+      profile_image_url: null,
+      platform: "linkedin",
+    };
+  }
+
+  async getUserProfile(profileUrl) {
+    const account = this.account(this.extractProfileId(profileUrl));
+
+    return {
+      ...this.toPerson(account),
+      connections: this.connectionsOf(account).length,
+      summary: `${this.bio(account)}. Based in ${account.location}.`,
+      verified: true,
+      created_at: null,
+      updated_at: new Date().toISOString(),
+      ...this.stamp(),
+    };
+  }
+
+  async getUserConnections(profileId, maxResults = 100) {
+    const account = this.account(this.extractProfileId(profileId));
+    const connections = this.connectionsOf(account).slice(0, maxResults);
+
+    return {
+      profile_id: profileId,
+      count: connections.length,
+      connections: connections.map((person) => this.toPerson(person)),
+      fetched_at: new Date().toISOString(),
+      ...this.stamp(),
+    };
+  }
+
+  async getCompanyProfile(companyUrl) {
+    const slug = this.extractCompanyId(companyUrl);
+    const company = this.network.company(slug);
+
+    return {
+      id: company.id,
+      name: company.name,
+      platform: "linkedin",
+      description: `${company.name} works on ${company.topics.join(", ")}.`,
+      industry: company.industry,
+      employee_count: company.employee_count,
+      headquarters: company.headquarters,
+      founded_year: company.founded_year,
+      website: null,
+      followers: company.followers,
+      logo_url: null,
+      profile_url: companyUrl,
+      updated_at: new Date().toISOString(),
+      ...this.stamp(),
+    };
+  }
+
+  async searchPeople(query, maxResults = 10) {
+    const results = this.network
+      .search("linkedin", query)
+      .slice(0, maxResults)
+      .map((account) => this.toPerson(account));
+
+    return {
+      query,
+      count: results.length,
+      results,
+      searched_at: new Date().toISOString(),
+      searched_by: "SocialCog.io (Demo)",
+      demo: true,
+    };
+  }
+}
+
+module.exports = LinkedInDemoService;
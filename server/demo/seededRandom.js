@@ -0,0 +1,64 @@
+/**
+ * SocialCog.io - Seeded Random
+ * TM (2025) - TPCL, LLC
+ * Reproducible pseudo-random numbers for the demo data set
+ */
+
+// 32-bit FNV-1a; turns any seed text into a PRNG state or a stable ID part
+const hashString = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// mulberry32: small, fast and good enough for synthetic data
+class SeededRandom {
+  constructor(seed) {
+    this.state =
+      typeof seed === "number" ? seed >>> 0 : hashString(String(seed));
+  }
+
+  // Uniform in [0, 1)
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Integer in [min, max]
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  pick(list) {
+    return list[Math.floor(this.next() * list.length)];
+  }
+
+  // Standard normal via Box-Muller
+  normal() {
+    const u = 1 - this.next();
+    const v = this.next();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  logNormal(mu, sigma) {
+    return Math.exp(mu + sigma * this.normal());
+  }
+
+  // Heavy-tailed: most values sit near `min`, a few are orders larger
+  pareto(min, alpha) {
+    return min / Math.pow(1 - this.next(), 1 / alpha);
+  }
+}
+
+module.exports = SeededRandom;
+module.exports.hashString = hashString;
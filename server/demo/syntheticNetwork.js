@@ -0,0 +1,387 @@
+/**
+ * SocialCog.io - Synthetic Network
+ * TM (2025) - TPCL, LLC
+ * Deterministic social graph behind demo mode: same seed, same accounts,
+ * same IDs and same follow edges on every run
+ */
+
+const SeededRandom = require("./seededRandom");
+const { hashString } = SeededRandom;
+
+const DEFAULT_SEED = "socialcog";
+const DEFAULT_SIZE = 2000;
+
+// Accounts requested by handle that are not in the population are generated
+// on demand; this caps how many are kept around
+const MAX_EXTRA_ACCOUNTS = 10000;
+
+// Each account follows a log-normal number of others (median ~9), most of
+// them chosen in proportion to their follower count (Price's model), which
+// gives the heavy-tailed follower counts real networks have
+const FOLLOWING_MU = 2.2;
+const FOLLOWING_SIGMA = 1;
+const PREFERENTIAL_SHARE = 0.85;
+const RECIPROCITY = 0.2;
+
+const FIRST_NAMES = (
+  "Ada Amara Ben Carlos Chen Dana Diego Elena Emeka Farah Grace Hana Ivan " +
+  "Jamal Jonas Kai Lena Liam Maya Mei Nadia Noah Omar Priya Quinn Rafael " +
+  "Rosa Sam Sofia Tariq Uma Victor Wen Yara Yusuf Zoe"
+).split(" ");
+
+const LAST_NAMES = (
+  "Adams Bauer Costa Dubois Eze Fischer Garcia Haddad Ito Johansson Kim " +
+  "Larsen Mendes Nakamura Okafor Patel Quispe Rossi Schmidt Tanaka Usman " +
+  "Varga Wang Xu Yilmaz Zhang"
+).split(" ");
+
+const ROLES = [
+  "Software engineer",
+  "Product designer",
+  "Data scientist",
+  "Founder",
+  "Researcher",
+  "Journalist",
+  "Developer advocate",
+  "Engineering manager",
+  "Investor",
+  "Community lead",
+  "Photographer",
+  "Writer",
+];
+
+const TOPICS = [
+  "open source",
+  "machine learning",
+  "climate tech",
+  "design systems",
+  "distributed systems",
+  "security",
+  "fintech",
+  "developer tools",
+  "public health",
+  "urbanism",
+  "robotics",
+  "education",
+];
+
+const INDUSTRIES = [
+  "Technology",
+  "Finance",
+  "Healthcare",
+  "Education",
+  "Media",
+  "Energy",
+  "Retail",
+  "Government",
+];
+
+const COMPANIES = [
+  "Northwind",
+  "Contoso",
+  "Globex",
+  "Initech",
+  "Umbrella Labs",
+  "Hooli",
+  "Stark Industries",
+  "Wayne Analytics",
+  "Acme Cloud",
+  "Soylent Data",
+];
+
+const CITIES = [
+  "Amsterdam",
+  "Austin",
+  "Bangalore",
+  "Berlin",
+  "Bogotá",
+  "Cape Town",
+  "Lagos",
+  "Lisbon",
+  "London",
+  "Melbourne",
+  "Mexico City",
+  "Nairobi",
+  "New York",
+  "Paris",
+  "San Francisco",
+  "São Paulo",
+  "Seoul",
+  "Singapore",
+  "Stockholm",
+  "Tokyo",
+  "Toronto",
+];
+
+const EPOCH_START = Date.UTC(2008, 0, 1);
+const EPOCH_END = Date.UTC(2023, 11, 31);
+
+// "jane_doe" / "janeDoe" -> "Jane Doe"
+const nameFromHandle = (handle) =>
+  handle
+    .replace(/([a-z])([A-Z])/g, "$1 $2")
+    .split(/[\s_.-]+/)
+    .filter(Boolean)
+    .map((part) => part[0].toUpperCase() + part.slice(1).toLowerCase())
+    .join(" ") || handle;
+
+const normalise = (handle) => String(handle).replace(/^@/, "").toLowerCase();
+
+class SyntheticNetwork {
+  constructor({
+    seed = process.env.DEMO_SEED || DEFAULT_SEED,
+    size = DEFAULT_SIZE,
+  } = {}) {
+    this.seed = seed;
+    this.size = size;
+
+    // Platform -> { accounts, byUsername, byId, sources, targets }
+    this.populations = new Map();
+    // "platform:handle" -> account generated on demand
+    this.extras = new Map();
+  }
+
+  // Up to 16 digits, so it fits a JavaScript number and Twitter's ID format
+  stableId(platform, username) {
+    const key = `${this.seed}:${platform}:${normalise(username)}`;
+    const high = hashString(`${key}:high`) & 0x1fffff;
+    return String(high * 2 ** 32 + hashString(key) + 1);
+  }
+
+  population(platform) {
+    if (!this.populations.has(platform)) {
+      this.populations.set(platform, this.build(platform));
+    }
+    return this.populations.get(platform);
+  }
+
+  build(platform) {
+    const random = new SeededRandom(`${this.seed}:${platform}:population`);
+    const accounts = [];
+    const byUsername = new Map();
+
+    for (let index = 0; index < this.size; index++) {
+      const first = random.pick(FIRST_NAMES);
+      const last = random.pick(LAST_NAMES);
+      const styles = [
+        `${first}${last}`,
+        `${first}_${last}`,
+        `${first[0]}${last}`,
+        `${first}${last[0]}`,
+      ];
+      let username = random.pick(styles).toLowerCase();
+      if (byUsername.has(username)) {
+        username = `${username}${random.int(2, 999)}`;
+      }
+      while (byUsername.has(username)) {
+        username = `${username}${random.int(0, 9)}`;
+      }
+
+      const account = this.describe(platform, random, {
+        index,
+        username,
+        name: `${first} ${last}`,
+      });
+      accounts.push(account);
+      byUsername.set(username, account);
+    }
+
+    // `targets` holds one entry per follower of each account (plus one per
+    // account), so picking from it favours the already popular;
+    // `sources` does the same for the accounts doing the following
+    const following = accounts.map(() => new Set());
+    const targets = [];
+    const sources = [];
+    const follow = (from, to) => {
+      if (from === to || following[from].has(to)) return false;
+      following[from].add(to);
+      targets.push(to);
+      sources.push(from);
+      return true;
+    };
+
+    for (let index = 1; index < accounts.length; index++) {
+      const wanted = Math.min(
+        index,
+        Math.round(random.logNormal(FOLLOWING_MU, FOLLOWING_SIGMA))
+      );
+
+      for (let attempt = 0; attempt < wanted * 4; attempt++) {
+        if (following[index].size >= wanted) break;
+        const target =
+          targets.length > 0 && random.chance(PREFERENTIAL_SHARE)
+            ? random.pick(targets)
+            : random.int(0, index - 1);
+        if (follow(index, target) && random.chance(RECIPROCITY)) {
+          follow(target, index);
+        }
+      }
+      targets.push(index);
+      sources.push(index);
+    }
+
+    const followers = accounts.map(() => []);
+    following.forEach((set, index) => {
+      accounts[index].following = [...set];
+      for (const target of set) followers[target].push(index);
+    });
+    accounts.forEach((account, index) => {
+      account.followers = followers[index];
+    });
+
+    // The best-followed 1% get a verified badge
+    const threshold = [...followers]
+      .map((list) => list.length)
+      .sort((a, b) => b - a)[Math.floor(accounts.length / 100)];
+    for (const account of accounts) {
+      account.verified = account.followers.length > threshold;
+    }
+
+    return {
+      accounts,
+      byUsername,
+      byId: new Map(accounts.map((account) => [account.id, account])),
+      sources,
+      targets,
+    };
+  }
+
+  // Profile attributes shared by population and on-demand accounts
+  describe(platform, random, { index, username, name }) {
+    return {
+      index,
+      platform,
+      id: this.stableId(platform, username),
+      username,
+      name,
+      role: random.pick(ROLES),
+      topics: [random.pick(TOPICS), random.pick(TOPICS)].filter(
+        (topic, position, list) => list.indexOf(topic) === position
+      ),
+      company: random.pick(COMPANIES),
+      industry: random.pick(INDUSTRIES),
+      location: random.pick(CITIES),
+      created_at: new Date(
+        EPOCH_START + Math.floor(random.next() * (EPOCH_END - EPOCH_START))
+      ).toISOString(),
+      posts: Math.round(random.logNormal(5, 1.4)),
+      verified: false,
+      followers: [],
+      following: [],
+    };
+  }
+
+  /**
+   * Any handle resolves: population accounts by username, everything else
+   * gets an account of its own, seeded by the handle, following and
+   * followed by population accounts.
+   */
+  account(platform, handle) {
+    const username = String(handle).replace(/^@/, "");
+    const population = this.population(platform);
+    const existing = population.byUsername.get(normalise(username));
+    if (existing) return existing;
+
+    const key = `${platform}:${normalise(username)}`;
+    if (!this.extras.has(key)) {
+      if (this.extras.size >= MAX_EXTRA_ACCOUNTS) this.extras.clear();
+      this.extras.set(key, this.generate(platform, username));
+    }
+    return this.extras.get(key);
+  }
+
+  generate(platform, username) {
+    const random = new SeededRandom(
+      `${this.seed}:${platform}:${normalise(username)}`
+    );
+    const { accounts, sources, targets } = this.population(platform);
+    const account = this.describe(platform, random, {
+      index: null,
+      username,
+      name: nameFromHandle(username),
+    });
+
+    const sample = (pool, count) => {
+      const picked = new Set();
+      for (let attempt = 0; attempt < count * 4; attempt++) {
+        if (picked.size >= count) break;
+        picked.add(random.pick(pool));
+      }
+      return [...picked];
+    };
+
+    const followerCount = Math.min(
+      Math.floor(accounts.length / 2),
+      Math.round(random.pareto(12, 1.1))
+    );
+    const followingCount = Math.min(
+      Math.floor(accounts.length / 4),
+      Math.round(random.logNormal(FOLLOWING_MU + 0.5, FOLLOWING_SIGMA))
+    );
+
+    // Active accounts follow more; popular accounts get followed more
+    account.followers = sample(sources, followerCount);
+    account.following = sample(targets, followingCount);
+    account.verified = followerCount >= 500;
+    return account;
+  }
+
+  // Population accounts always resolve by ID; on-demand ones once generated
+  accountById(platform, id) {
+    const account = this.population(platform).byId.get(String(id));
+    if (account) return account;
+
+    for (const extra of this.extras.values()) {
+      if (extra.platform === platform && extra.id === String(id)) return extra;
+    }
+    return null;
+  }
+
+  followersOf(platform, account) {
+    const { accounts } = this.population(platform);
+    return account.followers.map((index) => accounts[index]);
+  }
+
+  followingOf(platform, account) {
+    const { accounts } = this.population(platform);
+    return account.following.map((index) => accounts[index]);
+  }
+
+  // Case-insensitive match on handle, name, role or topics; best followed first
+  search(platform, text) {
+    const needle = text.toLowerCase();
+    return this.population(platform)
+      .accounts.filter((account) =>
+        [account.username, account.name, account.role, ...account.topics].some(
+          (field) => field.toLowerCase().includes(needle)
+        )
+      )
+      .sort((a, b) => b.followers.length - a.followers.length);
+  }
+
+  // LinkedIn company pages, keyed by their slug
+  company(slug) {
+    const random = new SeededRandom(`${this.seed}:company:${normalise(slug)}`);
+    return {
+      id: this.stableId("linkedin-company", slug),
+      name: nameFromHandle(slug),
+      industry: random.pick(INDUSTRIES),
+      headquarters: random.pick(CITIES),
+      founded_year: random.int(1975, 2022),
+      employee_count: random.pick([
+        "2-10",
+        "11-50",
+        "51-200",
+        "201-500",
+        "501-1000",
+        "1001-5000",
+        "5001-10000",
+        "10000+",
+      ]),
+      followers: Math.min(5000000, Math.round(random.pareto(200, 0.9))),
+      topics: [random.pick(TOPICS)],
+    };
+  }
+}
+
+module.exports = SyntheticNetwork;
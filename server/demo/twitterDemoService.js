@@ -0,0 +1,126 @@
+/**
+ * SocialCog.io - Twitter Demo Service
+ * TM (2025) - TPCL, LLC
+ * TwitterService's interface over the synthetic network
+ */
+
+const DemoService = require("./demoService");
+
+class TwitterDemoService extends DemoService {
+  constructor({ network }) {
+    super({ platform: "twitter", label: "Twitter", network });
+  }
+
+  toUser(account) {
+    return {
+      id: account.id,
+      username: account.username,
+      name: account.name,
+      verified: account.verified,
+      followers: account.followers.length,
+      profile_image_url: null,
+      platform: "twitter",
+    };
+  }
+
+  async getUserProfile(usernameOrId) {
+    const account = /^\d+$/.test(usernameOrId)
+      ? this.accountById(usernameOrId)
+      : this.account(usernameOrId);
+
+    return {
+      id: account.id,
+      username: account.username,
+      name: account.name,
+      platform: "twitter",
+      followers: account.followers.length,
+      following: account.following.length,
+      posts: account.posts,
+      likes: account.posts * 3,
+      bio: this.bio(account),
+      verified: account.verified,
+      verified_type: account.verified ? "blue" : null,
+      location: account.location,
+      profile_url: `https://twitter.com/${account.username}`,
+      profile_image_url: null,
+      external_url: null,
+      created_at: account.created_at,
+      updated_at: new Date().toISOString(),
+      ...this.stamp(),
+    };
+  }
+
+  async getUserFollowers(userId, maxResults = 100, options = {}) {
+    return this.listUsers("followers", userId, maxResults, options);
+  }
+
+  async getUserFollowing(userId, maxResults = 100, options = {}) {
+    return this.listUsers("following", userId, maxResults, options);
+  }
+
+  // Tracked profiles pass their handle along, so accounts generated for a
+  // handle still resolve by ID after a restart
+  resolve(userId, username) {
+    const known = this.network.accountById("twitter", userId);
+    if (known) return known;
+    if (username) return this.account(username);
+    return /^\d+$/.test(userId)
+      ? this.accountById(userId)
+      : this.account(userId);
+  }
+
+  async listUsers(kind, userId, maxResults, { username = null } = {}) {
+    const account = this.resolve(userId, username);
+    const { all, list } = this.listAccounts(account, kind, maxResults);
+
+    return {
+      user_id: userId,
+      count: list.length,
+      [kind]: list.map((user) => this.toUser(user)),
+      pagination: {
+        complete: list.length === all.length,
+        pages: Math.max(1, Math.ceil(list.length / 1000)),
+        resumed: false,
+        next_token: null,
+        stop_reason: list.length === all.length ? null : "max_results",
+        error: null,
+      },
+      completeness: {
+        fetched: list.length,
+        expected: all.length,
+        ratio:
+          all.length > 0
+            ? Math.round((list.length / all.length) * 1e4) / 1e4
+            : null,
+      },
+      fetched_at: new Date().toISOString(),
+      ...this.stamp(),
+    };
+  }
+
+  async getMutualConnections(userId1, userId2) {
+    const [first, second] = await Promise.all([
+      this.getUserFollowers(userId1, Infinity),
+      this.getUserFollowers(userId2, Infinity),
+    ]);
+    const firstIds = new Set(first.followers.map((user) => user.id));
+    const mutual = second.followers.filter((user) => firstIds.has(user.id));
+
+    return {
+      user1_id: userId1,
+      user2_id: userId2,
+      count: mutual.length,
+      mutual_connections: mutual,
+      complete: true,
+      completeness: {
+        [userId1]: first.completeness,
+        [userId2]: second.completeness,
+      },
+      analyzed_at: new Date().toISOString(),
+      analyzed_by: "SocialCog.io (Demo)",
+      demo: true,
+    };
+  }
+}
+
+module.exports = TwitterDemoService;
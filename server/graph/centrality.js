@@ -0,0 +1,220 @@
+/**
+ * SocialCog.io - Centrality
+ * TM (2025) - TPCL, LLC
+ * Node centrality scores over an undirected, strength-weighted graph
+ */
+
+const MinHeap = require("./minHeap");
+
+// Edges without a usable strength still count as a (weak) tie
+const DEFAULT_WEIGHT = 0.05;
+
+const PAGERANK_DAMPING = 0.85;
+const MAX_ITERATIONS = 100;
+const TOLERANCE = 1e-8;
+
+const METRICS = [
+  "degree",
+  "weighted_degree",
+  "betweenness",
+  "closeness",
+  "eigenvector",
+  "pagerank",
+];
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Collapses the edge list into per-node neighbour lists. Parallel edges
+ * between a pair (e.g. follows + shared_followers) keep the strongest tie.
+ */
+const buildAdjacency = (nodes, edges) => {
+  const indexById = new Map(nodes.map((node, index) => [node.id, index]));
+  const weights = nodes.map(() => new Map());
+
+  for (const edge of edges) {
+    const a = indexById.get(edge.source_id);
+    const b = indexById.get(edge.target_id);
+    if (a === undefined || b === undefined || a === b) continue;
+
+    const weight = Number(edge.connection_strength) || DEFAULT_WEIGHT;
+    const current = weights[a].get(b) || 0;
+    if (weight > current) {
+      weights[a].set(b, weight);
+      weights[b].set(a, weight);
+    }
+  }
+
+  return weights.map((neighbours) =>
+    [...neighbours].map(([index, weight]) => ({ index, weight }))
+  );
+};
+
+/**
+ * Brandes' algorithm with Dijkstra, treating 1 / strength as the length of
+ * an edge so strong ties are "shorter". Closeness comes out of the same
+ * shortest-path pass (Wasserman-Faust form, so disconnected graphs work).
+ */
+const shortestPathCentrality = (adjacency) => {
+  const n = adjacency.length;
+  const betweenness = new Array(n).fill(0);
+  const closeness = new Array(n).fill(0);
+
+  for (let s = 0; s < n; s++) {
+    const stack = [];
+    const predecessors = adjacency.map(() => []);
+    const sigma = new Array(n).fill(0);
+    const distance = new Array(n).fill(Infinity);
+    const settled = new Array(n).fill(false);
+    const heap = new MinHeap();
+
+    sigma[s] = 1;
+    distance[s] = 0;
+    heap.push({ index: s, distance: 0 });
+
+    while (heap.size > 0) {
+      const { index: v, distance: d } = heap.pop();
+      if (settled[v] || d > distance[v]) continue;
+      settled[v] = true;
+      stack.push(v);
+
+      for (const { index: w, weight } of adjacency[v]) {
+        const candidate = distance[v] + 1 / weight;
+        if (candidate < distance[w] - 1e-12) {
+          distance[w] = candidate;
+          sigma[w] = sigma[v];
+          predecessors[w] = [v];
+          heap.push({ index: w, distance: candidate });
+        } else if (Math.abs(candidate - distance[w]) <= 1e-12) {
+          sigma[w] += sigma[v];
+          predecessors[w].push(v);
+        }
+      }
+    }
+
+    const reachable = stack.length - 1;
+    const totalDistance = stack.reduce((sum, v) => sum + distance[v], 0);
+    if (reachable > 0 && totalDistance > 0 && n > 1) {
+      closeness[s] = (reachable / totalDistance) * (reachable / (n - 1));
+    }
+
+    const delta = new Array(n).fill(0);
+    while (stack.length > 0) {
+      const w = stack.pop();
+      for (const v of predecessors[w]) {
+        delta[v] += (sigma[v] / sigma[w]) * (1 + delta[w]);
+      }
+      if (w !== s) {
+        betweenness[w] += delta[w];
+      }
+    }
+  }
+
+  // Every pair was counted from both ends; scale to [0, 1]
+  const scale = n > 2 ? 1 / ((n - 1) * (n - 2)) : 0;
+  return {
+    betweenness: betweenness.map((value) => value * scale),
+    closeness,
+  };
+};
+
+// Applies step() until the vector stops changing (or gives up)
+const iterate = (initial, step) => {
+  let current = initial;
+
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    const previous = current;
+    const next = step(previous);
+    if (!next) break;
+
+    const change = next.reduce(
+      (sum, value, v) => sum + Math.abs(value - previous[v]),
+      0
+    );
+    current = next;
+    if (change < current.length * TOLERANCE) break;
+  }
+
+  return current;
+};
+
+// Power iteration on (A + I), which converges on bipartite graphs too
+const eigenvectorCentrality = (adjacency) =>
+  iterate(
+    new Array(adjacency.length).fill(1 / Math.sqrt(adjacency.length)),
+    (scores) => {
+      const next = scores.slice();
+      adjacency.forEach((neighbours, v) => {
+        for (const { index, weight } of neighbours) {
+          next[v] += scores[index] * weight;
+        }
+      });
+
+      const norm = Math.sqrt(
+        next.reduce((sum, value) => sum + value * value, 0)
+      );
+      return norm === 0 ? null : next.map((value) => value / norm);
+    }
+  );
+
+// Weighted PageRank; isolated nodes spread their rank evenly
+const pageRank = (adjacency, weightedDegree) => {
+  const n = adjacency.length;
+
+  return iterate(new Array(n).fill(1 / n), (ranks) => {
+    const dangling = ranks.reduce(
+      (sum, rank, v) => (weightedDegree[v] === 0 ? sum + rank : sum),
+      0
+    );
+    const base = (1 - PAGERANK_DAMPING) / n + (PAGERANK_DAMPING * dangling) / n;
+    const next = new Array(n).fill(base);
+
+    adjacency.forEach((neighbours, v) => {
+      if (weightedDegree[v] === 0) return;
+      const share = (PAGERANK_DAMPING * ranks[v]) / weightedDegree[v];
+      for (const { index, weight } of neighbours) {
+        next[index] += share * weight;
+      }
+    });
+
+    return next;
+  });
+};
+
+/**
+ * Returns one score record per node, in node order:
+ *   degree           share of the other nodes this node is tied to
+ *   weighted_degree  sum of connection strengths
+ *   betweenness      share of shortest paths passing through the node
+ *   closeness        inverse mean distance to reachable nodes
+ *   eigenvector      influence from being tied to influential nodes
+ *   pagerank         stationary probability of a strength-weighted walk
+ */
+const computeCentrality = ({ nodes, edges }) => {
+  const n = nodes.length;
+  if (n === 0) return [];
+
+  const adjacency = buildAdjacency(nodes, edges);
+  const weightedDegree = adjacency.map((neighbours) =>
+    neighbours.reduce((sum, { weight }) => sum + weight, 0)
+  );
+  const { betweenness, closeness } = shortestPathCentrality(adjacency);
+  const eigenvector = eigenvectorCentrality(adjacency);
+  const pagerank = pageRank(adjacency, weightedDegree);
+
+  return nodes.map((node, v) => ({
+    id: node.id,
+    neighbor_count: adjacency[v].length,
+    degree: n > 1 ? round(adjacency[v].length / (n - 1)) : 0,
+    weighted_degree: round(weightedDegree[v]),
+    betweenness: round(betweenness[v]),
+    closeness: round(closeness[v]),
+    eigenvector: round(eigenvector[v]),
+    pagerank: round(pagerank[v]),
+  }));
+};
+
+module.exports = {
+  METRICS,
+  computeCentrality,
+};
@@ -0,0 +1,254 @@
+/**
+ * SocialCog.io - Communities
+ * TM (2025) - TPCL, LLC
+ * Louvain community detection and keyword labels for the clusters it finds
+ */
+
+const DEFAULT_WEIGHT = 0.05;
+const MAX_LEVELS = 10;
+const LABEL_TERMS = 3;
+
+// Words that say nothing about what a community is about
+const STOPWORDS = new Set(
+  `a about above after all also am an and any are as at be been being but by
+  can could did do does doing for from had has have having he her here hers
+  him his how i if in into is it its just me more most my no nor not now of
+  off on once only or other our ours out over own same she so some such than
+  that the their them then there these they this those through to too under
+  until up very was we were what when where which while who whom why will
+  with you your yours
+
+  mock profile professional title company account official views opinions
+  twitter linkedin github instagram facebook http https www com`.split(/\s+/)
+);
+
+/**
+ * Symmetric weighted adjacency as Maps. Parallel edges keep the strongest
+ * tie. Entries on the diagonal hold twice a node's internal weight, which
+ * only appears once nodes have been aggregated into communities.
+ */
+const buildAdjacency = (nodes, edges) => {
+  const indexById = new Map(nodes.map((node, index) => [node.id, index]));
+  const adjacency = nodes.map(() => new Map());
+
+  for (const edge of edges) {
+    const a = indexById.get(edge.source_id);
+    const b = indexById.get(edge.target_id);
+    if (a === undefined || b === undefined || a === b) continue;
+
+    const weight = Number(edge.connection_strength) || DEFAULT_WEIGHT;
+    if (weight > (adjacency[a].get(b) || 0)) {
+      adjacency[a].set(b, weight);
+      adjacency[b].set(a, weight);
+    }
+  }
+
+  return adjacency;
+};
+
+const degreesOf = (adjacency) =>
+  adjacency.map((neighbours) => {
+    let degree = 0;
+    for (const weight of neighbours.values()) degree += weight;
+    return degree;
+  });
+
+/**
+ * One Louvain local-moving phase: nodes repeatedly move to the neighbouring
+ * community with the best modularity gain until nothing moves. Nodes are
+ * visited in index order so the result is deterministic.
+ */
+const moveNodes = (adjacency, resolution) => {
+  const n = adjacency.length;
+  const degrees = degreesOf(adjacency);
+  const totalWeight = degrees.reduce((sum, degree) => sum + degree, 0);
+  const community = adjacency.map((_, index) => index);
+  const communityTotal = degrees.slice();
+  let moved = false;
+
+  if (totalWeight === 0) return { community, moved };
+
+  let improved = true;
+  while (improved) {
+    improved = false;
+
+    for (let node = 0; node < n; node++) {
+      const current = community[node];
+      const degree = degrees[node];
+
+      // Weight from this node into each neighbouring community
+      const links = new Map();
+      for (const [neighbour, weight] of adjacency[node]) {
+        if (neighbour === node) continue;
+        const target = community[neighbour];
+        links.set(target, (links.get(target) || 0) + weight);
+      }
+
+      communityTotal[current] -= degree;
+
+      const gain = (target) =>
+        (links.get(target) || 0) -
+        (resolution * communityTotal[target] * degree) / totalWeight;
+
+      let best = current;
+      let bestGain = gain(current);
+      for (const target of links.keys()) {
+        const targetGain = gain(target);
+        if (targetGain > bestGain + 1e-12) {
+          best = target;
+          bestGain = targetGain;
+        }
+      }
+
+      communityTotal[best] += degree;
+      if (best !== current) {
+        community[node] = best;
+        improved = true;
+        moved = true;
+      }
+    }
+  }
+
+  return { community, moved };
+};
+
+// Collapses each community into a single node for the next level
+const aggregate = (adjacency, community) => {
+  const renumbered = new Map();
+  for (const id of community) {
+    if (!renumbered.has(id)) renumbered.set(id, renumbered.size);
+  }
+
+  const next = [...renumbered.keys()].map(() => new Map());
+  adjacency.forEach((neighbours, node) => {
+    const from = renumbered.get(community[node]);
+    for (const [neighbour, weight] of neighbours) {
+      const to = renumbered.get(community[neighbour]);
+      next[from].set(to, (next[from].get(to) || 0) + weight);
+    }
+  });
+
+  return {
+    adjacency: next,
+    membership: community.map((id) => renumbered.get(id)),
+  };
+};
+
+const modularity = (adjacency, membership, resolution) => {
+  const degrees = degreesOf(adjacency);
+  const totalWeight = degrees.reduce((sum, degree) => sum + degree, 0);
+  if (totalWeight === 0) return 0;
+
+  const internal = new Map();
+  const totals = new Map();
+  adjacency.forEach((neighbours, node) => {
+    const id = membership[node];
+    totals.set(id, (totals.get(id) || 0) + degrees[node]);
+    for (const [neighbour, weight] of neighbours) {
+      if (membership[neighbour] === id) {
+        internal.set(id, (internal.get(id) || 0) + weight);
+      }
+    }
+  });
+
+  let q = 0;
+  for (const [id, total] of totals) {
+    q +=
+      (internal.get(id) || 0) / totalWeight -
+      resolution * (total / totalWeight) ** 2;
+  }
+  return q;
+};
+
+/**
+ * Runs Louvain over the graph. Returns the cluster index of each node (in
+ * node order, numbered from 0 by descending cluster size) and the
+ * modularity of that partition.
+ */
+const detectCommunities = ({ nodes, edges }, { resolution = 1 } = {}) => {
+  const original = buildAdjacency(nodes, edges);
+  let adjacency = original;
+  let membership = nodes.map((_, index) => index);
+
+  for (let level = 0; level < MAX_LEVELS; level++) {
+    const { community, moved } = moveNodes(adjacency, resolution);
+    if (!moved) break;
+
+    const next = aggregate(adjacency, community);
+    membership = membership.map((id) => next.membership[id]);
+    adjacency = next.adjacency;
+  }
+
+  // Biggest cluster first; ties go to the one holding the earliest node
+  const sizes = new Map();
+  membership.forEach((id) => sizes.set(id, (sizes.get(id) || 0) + 1));
+  const order = [...new Set(membership)].sort(
+    (a, b) => sizes.get(b) - sizes.get(a)
+  );
+  const rank = new Map(order.map((id, index) => [id, index]));
+  const clusters = membership.map((id) => rank.get(id));
+
+  return {
+    clusters,
+    modularity: modularity(original, clusters, resolution),
+  };
+};
+
+const tokenize = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .split(/[^a-z0-9+#]+/)
+    .filter(
+      (term) => term.length > 2 && !STOPWORDS.has(term) && !/^\d+$/.test(term)
+    );
+
+/**
+ * Picks the terms that best describe each cluster: frequent among its
+ * members (each member counted once) and rare elsewhere.
+ *
+ * documents: one array of text snippets per node, in node order
+ */
+const labelCommunities = (documents, clusters) => {
+  const termSets = documents.map((texts) => new Set(texts.flatMap(tokenize)));
+  const globalCounts = new Map();
+  const clusterCounts = new Map();
+
+  termSets.forEach((terms, node) => {
+    const cluster = clusters[node];
+    if (!clusterCounts.has(cluster)) clusterCounts.set(cluster, new Map());
+    const counts = clusterCounts.get(cluster);
+
+    for (const term of terms) {
+      globalCounts.set(term, (globalCounts.get(term) || 0) + 1);
+      counts.set(term, (counts.get(term) || 0) + 1);
+    }
+  });
+
+  const total = documents.length;
+  const labels = new Map();
+
+  for (const [cluster, counts] of clusterCounts) {
+    const terms = [...counts]
+      .map(([term, count]) => ({
+        term,
+        count,
+        score:
+          Math.round(
+            count * Math.log(1 + total / globalCounts.get(term)) * 1000
+          ) / 1000,
+      }))
+      .sort((a, b) => b.score - a.score || a.term.localeCompare(b.term))
+      .slice(0, LABEL_TERMS);
+
+    labels.set(cluster, terms);
+  }
+
+  return labels;
+};
+
+module.exports = {
+  detectCommunities,
+  labelCommunities,
+};
@@ -0,0 +1,311 @@
+/**
+ * SocialCog.io - Graph Exporters
+ * TM (2025) - TPCL, LLC
+ * Serialises a node/edge graph as GraphML, GEXF, CSV tables or JSON Graph Format
+ */
+
+// Graph-structure fields that every format writes in its own way
+const NODE_STRUCTURE = ["id"];
+const EDGE_STRUCTURE = ["id", "source_id", "target_id"];
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+const escapeCsv = (value) => {
+  if (value == null) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Flat, scalar-only attributes for the tabular and XML formats: nested
+ * objects become prefix_key columns, arrays are joined with ";".
+ */
+const flatten = (record, omit = [], prefix = "") => {
+  const flat = {};
+
+  for (const [key, value] of Object.entries(record)) {
+    if (!prefix && omit.includes(key)) continue;
+    const name = prefix ? `${prefix}_${key}` : key;
+
+    if (value == null) continue;
+    if (Array.isArray(value)) {
+      flat[name] = value
+        .map((item) =>
+          item !== null && typeof item === "object"
+            ? JSON.stringify(item)
+            : item
+        )
+        .join(";");
+    } else if (typeof value === "object") {
+      Object.assign(flat, flatten(value, [], name));
+    } else {
+      flat[name] = value;
+    }
+  }
+
+  return flat;
+};
+
+const attributeType = (values) => {
+  if (values.every((value) => typeof value === "boolean")) return "boolean";
+  if (values.every((value) => Number.isInteger(value))) return "long";
+  if (values.every((value) => typeof value === "number")) return "double";
+  return "string";
+};
+
+// Union of attribute names across records, with one type per name
+const describeAttributes = (records) => {
+  const valuesByName = new Map();
+  for (const record of records) {
+    for (const [name, value] of Object.entries(record)) {
+      if (!valuesByName.has(name)) valuesByName.set(name, []);
+      valuesByName.get(name).push(value);
+    }
+  }
+
+  return [...valuesByName].map(([name, values]) => ({
+    name,
+    type: attributeType(values),
+  }));
+};
+
+const prepare = ({ nodes, edges }) => {
+  const nodeRows = nodes.map((node) => ({
+    id: node.id,
+    label: node.name || node.username,
+    attributes: flatten(node, NODE_STRUCTURE),
+  }));
+  const edgeRows = edges.map((edge) => ({
+    id: edge.id,
+    source: edge.source_id,
+    target: edge.target_id,
+    weight: edge.connection_strength,
+    attributes: flatten(edge, EDGE_STRUCTURE),
+  }));
+
+  return {
+    nodeRows,
+    edgeRows,
+    nodeAttributes: describeAttributes(nodeRows.map((row) => row.attributes)),
+    edgeAttributes: describeAttributes(edgeRows.map((row) => row.attributes)),
+  };
+};
+
+const toGraphML = (graph) => {
+  const { nodeRows, edgeRows, nodeAttributes, edgeAttributes } = prepare(graph);
+  const keyId = (kind, name) => `${kind}_${name}`;
+  const dataLines = (kind, attributes, indent) =>
+    Object.entries(attributes).map(
+      ([name, value]) =>
+        `${indent}<data key="${escapeXml(keyId(kind, name))}">${escapeXml(
+          value
+        )}</data>`
+    );
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns"',
+    '    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+    '    xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+    ...nodeAttributes.map(
+      ({ name, type }) =>
+        `  <key id="${escapeXml(keyId("n", name))}" for="node" attr.name="${escapeXml(
+          name
+        )}" attr.type="${type}"/>`
+    ),
+    ...edgeAttributes.map(
+      ({ name, type }) =>
+        `  <key id="${escapeXml(keyId("e", name))}" for="edge" attr.name="${escapeXml(
+          name
+        )}" attr.type="${type}"/>`
+    ),
+    '  <graph id="socialcog" edgedefault="undirected">',
+  ];
+
+  for (const node of nodeRows) {
+    lines.push(`    <node id="${escapeXml(node.id)}">`);
+    lines.push(...dataLines("n", node.attributes, "      "));
+    lines.push("    </node>");
+  }
+  for (const edge of edgeRows) {
+    lines.push(
+      `    <edge id="e${escapeXml(edge.id)}" source="${escapeXml(
+        edge.source
+      )}" target="${escapeXml(edge.target)}">`
+    );
+    lines.push(...dataLines("e", edge.attributes, "      "));
+    lines.push("    </edge>");
+  }
+
+  lines.push("  </graph>", "</graphml>");
+  return lines.join("\n") + "\n";
+};
+
+const toGEXF = (graph) => {
+  const { nodeRows, edgeRows, nodeAttributes, edgeAttributes } = prepare(graph);
+  const declare = (kind, attributes) => [
+    `    <attributes class="${kind}">`,
+    ...attributes.map(
+      ({ name, type }, index) =>
+        `      <attribute id="${index}" title="${escapeXml(
+          name
+        )}" type="${type}"/>`
+    ),
+    "    </attributes>",
+  ];
+  const attvalues = (attributes, declared, indent) => {
+    const values = declared
+      .map(({ name }, index) =>
+        name in attributes
+          ? `${indent}  <attvalue for="${index}" value="${escapeXml(
+              attributes[name]
+            )}"/>`
+          : null
+      )
+      .filter(Boolean);
+    return values.length
+      ? [`${indent}<attvalues>`, ...values, `${indent}</attvalues>`]
+      : [];
+  };
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+    `  <meta lastmodifieddate="${new Date().toISOString().slice(0, 10)}">`,
+    "    <creator>SocialCog.io</creator>",
+    "  </meta>",
+    '  <graph mode="static" defaultedgetype="undirected">',
+    ...declare("node", nodeAttributes),
+    ...declare("edge", edgeAttributes),
+    "    <nodes>",
+  ];
+
+  for (const node of nodeRows) {
+    lines.push(
+      `      <node id="${escapeXml(node.id)}" label="${escapeXml(node.label)}">`
+    );
+    lines.push(...attvalues(node.attributes, nodeAttributes, "        "));
+    lines.push("      </node>");
+  }
+  lines.push("    </nodes>", "    <edges>");
+  for (const edge of edgeRows) {
+    const weight = edge.weight != null ? ` weight="${edge.weight}"` : "";
+    lines.push(
+      `      <edge id="${escapeXml(edge.id)}" source="${escapeXml(
+        edge.source
+      )}" target="${escapeXml(edge.target)}"${weight}>`
+    );
+    lines.push(...attvalues(edge.attributes, edgeAttributes, "        "));
+    lines.push("      </edge>");
+  }
+
+  lines.push("    </edges>", "  </graph>", "</gexf>");
+  return lines.join("\n") + "\n";
+};
+
+// Column names follow Gephi's spreadsheet importer (Id/Label, Source/Target)
+const toCsvTable = (headers, rows) =>
+  [headers, ...rows].map((row) => row.map(escapeCsv).join(",")).join("\r\n") +
+  "\r\n";
+
+const toNodesCsv = (graph) => {
+  const { nodeRows, nodeAttributes } = prepare(graph);
+  const names = nodeAttributes.map(({ name }) => name);
+
+  return toCsvTable(
+    ["Id", "Label", ...names],
+    nodeRows.map((node) => [
+      node.id,
+      node.label,
+      ...names.map((name) => node.attributes[name]),
+    ])
+  );
+};
+
+const toEdgesCsv = (graph) => {
+  const { edgeRows, edgeAttributes } = prepare(graph);
+  const names = edgeAttributes.map(({ name }) => name);
+
+  return toCsvTable(
+    ["Id", "Source", "Target", "Type", "Weight", ...names],
+    edgeRows.map((edge) => [
+      edge.id,
+      edge.source,
+      edge.target,
+      "Undirected",
+      edge.weight,
+      ...names.map((name) => edge.attributes[name]),
+    ])
+  );
+};
+
+// JSON Graph Format v2; metadata keeps the records' original nesting
+const toJGF = ({ nodes, edges }, metadata = {}) =>
+  JSON.stringify(
+    {
+      graph: {
+        id: "socialcog",
+        type: "social-network",
+        label: "SocialCog.io network",
+        directed: false,
+        metadata,
+        nodes: Object.fromEntries(
+          nodes.map(({ id, ...attributes }) => [
+            String(id),
+            {
+              label: attributes.name || attributes.username,
+              metadata: attributes,
+            },
+          ])
+        ),
+        edges: edges.map(({ id, source_id, target_id, ...attributes }) => ({
+          id: String(id),
+          source: String(source_id),
+          target: String(target_id),
+          relation: attributes.connection_type,
+          directed: false,
+          metadata: attributes,
+        })),
+      },
+    },
+    null,
+    2
+  );
+
+const FORMATS = {
+  graphml: {
+    contentType: "application/graphml+xml",
+    extension: "graphml",
+    write: toGraphML,
+  },
+  gexf: {
+    contentType: "application/gexf+xml",
+    extension: "gexf",
+    write: toGEXF,
+  },
+  jgf: {
+    contentType: "application/vnd.jgf+json",
+    extension: "json",
+    write: toJGF,
+  },
+  csv_nodes: {
+    contentType: "text/csv",
+    extension: "nodes.csv",
+    write: toNodesCsv,
+  },
+  csv_edges: {
+    contentType: "text/csv",
+    extension: "edges.csv",
+    write: toEdgesCsv,
+  },
+};
+
+module.exports = {
+  FORMATS,
+};
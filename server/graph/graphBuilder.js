@@ -0,0 +1,134 @@
+/**
+ * SocialCog.io - Graph Builder
+ * TM (2025) - TPCL, LLC
+ * Turns stored profiles and connections into a filtered node/edge graph
+ */
+
+const personNodeId = (personId) => `person-${personId}`;
+
+const sumOf = (profiles, field) =>
+  profiles.reduce((total, profile) => total + (Number(profile[field]) || 0), 0);
+
+const toPersonNode = (person, members) => ({
+  id: personNodeId(person.id),
+  node_type: "person",
+  person_id: person.id,
+  username: person.name,
+  name: person.name,
+  platform: "person",
+  platforms: [...new Set(members.map((profile) => profile.platform))],
+  followers: sumOf(members, "followers"),
+  following: sumOf(members, "following"),
+  posts: sumOf(members, "posts"),
+  verified: members.some((profile) => profile.verified),
+  profile_ids: members.map((profile) => profile.id),
+  profiles: members.map((profile) => ({
+    id: profile.id,
+    platform: profile.platform,
+    username: profile.username,
+    profile_url: profile.profile_url || null,
+  })),
+});
+
+// Parallel edges produced by collapsing persons are folded into one
+const mergeEdge = (existing, edge) => {
+  existing.connection_strength = Math.max(
+    existing.connection_strength || 0,
+    edge.connection_strength || 0
+  );
+  existing.mutual_count = (existing.mutual_count || 0) + (edge.mutual_count || 0);
+  existing.merged_edge_ids.push(edge.id);
+
+  if (edge.evidence) {
+    existing.evidence = existing.evidence || {};
+    for (const [key, count] of Object.entries(edge.evidence)) {
+      existing.evidence[key] = (existing.evidence[key] || 0) + count;
+    }
+  }
+};
+
+/**
+ * Options:
+ *   platforms        only keep profiles on these platforms
+ *   edgeTypes        only keep connections of these connection_types
+ *   persons          person records ({ id, name, profile_ids })
+ *   collapsePersons  replace each person's accounts with one node
+ */
+const buildGraph = ({
+  profiles,
+  connections,
+  persons = [],
+  platforms = null,
+  edgeTypes = null,
+  collapsePersons = false,
+}) => {
+  const keptProfiles = platforms
+    ? profiles.filter((profile) => platforms.includes(profile.platform))
+    : profiles;
+
+  const nodeIdByProfileId = new Map(
+    keptProfiles.map((profile) => [profile.id, profile.id])
+  );
+  const nodes = [];
+
+  if (collapsePersons) {
+    const profileById = new Map(keptProfiles.map((p) => [p.id, p]));
+
+    for (const person of persons) {
+      const members = person.profile_ids
+        .map((id) => profileById.get(id))
+        .filter(Boolean);
+      if (members.length < 2) continue;
+
+      nodes.push(toPersonNode(person, members));
+      for (const member of members) {
+        nodeIdByProfileId.set(member.id, personNodeId(person.id));
+        profileById.delete(member.id);
+      }
+    }
+
+    for (const profile of profileById.values()) {
+      nodes.push({ ...profile, node_type: "profile", profile_ids: [profile.id] });
+    }
+  } else {
+    for (const profile of keptProfiles) {
+      nodes.push({ ...profile, node_type: "profile", profile_ids: [profile.id] });
+    }
+  }
+
+  const edgesByKey = new Map();
+
+  for (const connection of connections) {
+    if (edgeTypes && !edgeTypes.includes(connection.connection_type)) continue;
+
+    const source = nodeIdByProfileId.get(connection.source_id);
+    const target = nodeIdByProfileId.get(connection.target_id);
+    if (source === undefined || target === undefined || source === target) {
+      continue;
+    }
+
+    const key = `${source}:${target}:${connection.connection_type}`;
+    const reverseKey = `${target}:${source}:${connection.connection_type}`;
+    const existing = edgesByKey.get(key) || edgesByKey.get(reverseKey);
+
+    if (existing) {
+      mergeEdge(existing, connection);
+      continue;
+    }
+
+    edgesByKey.set(key, {
+      ...connection,
+      evidence: connection.evidence ? { ...connection.evidence } : undefined,
+      source_id: source,
+      target_id: target,
+      merged_edge_ids: [connection.id],
+    });
+  }
+
+  return { nodes, edges: [...edgesByKey.values()] };
+};
+
+module.exports = {
+  buildGraph,
+  personNodeId,
+};
@@ -0,0 +1,61 @@
+/**
+ * SocialCog.io - Min Heap
+ * TM (2025) - TPCL, LLC
+ * Priority queue for the graph's shortest-path searches
+ */
+
+// Minimal binary heap of { distance, ... } items, for Dijkstra
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].distance <= items[i].distance) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (
+          left < items.length &&
+          items[left].distance < items[smallest].distance
+        ) {
+          smallest = left;
+        }
+        if (
+          right < items.length &&
+          items[right].distance < items[smallest].distance
+        ) {
+          smallest = right;
+        }
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+module.exports = MinHeap;
@@ -0,0 +1,217 @@
+/**
+ * SocialCog.io - Paths
+ * TM (2025) - TPCL, LLC
+ * Shortest, strongest and alternative routes between two nodes
+ */
+
+const MinHeap = require("./minHeap");
+
+const DEFAULT_WEIGHT = 0.05;
+
+/**
+ * Edge costs per ranking. "hops" counts edges (stronger ties win ties);
+ * "strength" is -log(strength), so the cheapest path is the one whose
+ * strengths multiply out highest.
+ */
+const COSTS = {
+  hops: (strength) => 1 + (1 - strength) * 1e-3,
+  strength: (strength) => -Math.log(strength),
+};
+
+const pairKey = (a, b) => {
+  const [x, y] = [String(a), String(b)].sort();
+  return `${x}|${y}`;
+};
+
+// Neighbour links per node; every edge type between a pair is kept as evidence
+const buildAdjacency = ({ nodes, edges }) => {
+  const adjacency = new Map(nodes.map((node) => [node.id, new Map()]));
+
+  for (const edge of edges) {
+    const a = adjacency.get(edge.source_id);
+    const b = adjacency.get(edge.target_id);
+    if (!a || !b || edge.source_id === edge.target_id) continue;
+
+    let link = a.get(edge.target_id);
+    if (!link) {
+      link = { strength: 0, edges: [] };
+      a.set(edge.target_id, link);
+      b.set(edge.source_id, link);
+    }
+    link.strength = Math.max(
+      link.strength,
+      Number(edge.connection_strength) || DEFAULT_WEIGHT
+    );
+    link.edges.push(edge);
+  }
+
+  return adjacency;
+};
+
+const pathCost = (adjacency, path, cost) => {
+  let total = 0;
+  for (let i = 0; i < path.length - 1; i++) {
+    total += cost(adjacency.get(path[i]).get(path[i + 1]).strength);
+  }
+  return total;
+};
+
+const dijkstra = (adjacency, source, target, cost, blocked = {}) => {
+  const { nodes = new Set(), links = new Set() } = blocked;
+  const distance = new Map([[source, 0]]);
+  const previous = new Map();
+  const settled = new Set();
+  const heap = new MinHeap();
+  heap.push({ id: source, distance: 0 });
+
+  while (heap.size > 0) {
+    const { id, distance: d } = heap.pop();
+    if (settled.has(id)) continue;
+    settled.add(id);
+    if (id === target) break;
+
+    for (const [neighbour, link] of adjacency.get(id)) {
+      if (nodes.has(neighbour) || links.has(pairKey(id, neighbour))) continue;
+
+      const candidate = d + cost(link.strength);
+      if (candidate < (distance.get(neighbour) ?? Infinity)) {
+        distance.set(neighbour, candidate);
+        previous.set(neighbour, id);
+        heap.push({ id: neighbour, distance: candidate });
+      }
+    }
+  }
+
+  if (!settled.has(target)) return null;
+
+  const path = [target];
+  while (path[0] !== source) {
+    path.unshift(previous.get(path[0]));
+  }
+  return path;
+};
+
+// Yen's algorithm: the k cheapest loop-free paths, cheapest first
+const kShortestPaths = (adjacency, source, target, k, cost) => {
+  const first = dijkstra(adjacency, source, target, cost);
+  if (!first) return [];
+
+  const found = [first];
+  const seen = new Set([first.join(">")]);
+  const candidates = [];
+
+  while (found.length < k) {
+    const last = found[found.length - 1];
+
+    for (let i = 0; i < last.length - 1; i++) {
+      const root = last.slice(0, i + 1);
+      const rootKey = root.join(">");
+      const links = new Set();
+
+      for (const path of found) {
+        if (path.length > i + 1 && path.slice(0, i + 1).join(">") === rootKey) {
+          links.add(pairKey(path[i], path[i + 1]));
+        }
+      }
+
+      const spur = dijkstra(adjacency, last[i], target, cost, {
+        nodes: new Set(root.slice(0, -1)),
+        links,
+      });
+      if (!spur) continue;
+
+      const path = [...root.slice(0, -1), ...spur];
+      const key = path.join(">");
+      if (!seen.has(key)) {
+        seen.add(key);
+        candidates.push({ path, cost: pathCost(adjacency, path, cost) });
+      }
+    }
+
+    if (candidates.length === 0) break;
+    candidates.sort((a, b) => a.cost - b.cost);
+    found.push(candidates.shift().path);
+  }
+
+  return found;
+};
+
+const summariseNode = (node) => ({
+  id: node.id,
+  node_type: node.node_type,
+  username: node.username,
+  name: node.name || node.username,
+  platform: node.platform,
+  profile_ids: node.profile_ids,
+});
+
+// Hops, the links walked and the evidence behind each of them
+const describePath = (adjacency, nodeById, path) => {
+  const steps = [];
+  let strength = 1;
+  let weakest = Infinity;
+
+  for (let i = 0; i < path.length - 1; i++) {
+    const link = adjacency.get(path[i]).get(path[i + 1]);
+    strength *= link.strength;
+    weakest = Math.min(weakest, link.strength);
+
+    steps.push({
+      from: path[i],
+      to: path[i + 1],
+      connection_strength: link.strength,
+      connection_types: link.edges.map((edge) => edge.connection_type),
+      evidence: link.edges.map((edge) => ({
+        edge_ids: edge.merged_edge_ids || [edge.id],
+        connection_type: edge.connection_type,
+        connection_strength: edge.connection_strength,
+        mutual_count: edge.mutual_count,
+        evidence: edge.evidence || null,
+        data_source: edge.data_source || null,
+      })),
+    });
+  }
+
+  const nodes = path.map((id) => summariseNode(nodeById.get(id)));
+  return {
+    node_ids: path,
+    hops: path.length - 1,
+    strength: Math.round(strength * 1e6) / 1e6,
+    weakest_link: Math.round(weakest * 1e6) / 1e6,
+    nodes,
+    intermediaries: nodes.slice(1, -1),
+    steps,
+  };
+};
+
+/**
+ * Routes from source to target:
+ *   shortest      fewest hops (stronger ties break ties)
+ *   strongest     highest product of connection strengths
+ *   alternatives  the next k strongest paths after that one
+ */
+const findPaths = (graph, sourceId, targetId, { k = 3 } = {}) => {
+  const adjacency = buildAdjacency(graph);
+  const nodeById = new Map(graph.nodes.map((node) => [node.id, node]));
+  const describe = (path) => describePath(adjacency, nodeById, path);
+
+  const shortest = dijkstra(adjacency, sourceId, targetId, COSTS.hops);
+  const [strongest, ...alternatives] = kShortestPaths(
+    adjacency,
+    sourceId,
+    targetId,
+    k + 1,
+    COSTS.strength
+  );
+
+  return {
+    connected: Boolean(shortest),
+    shortest: shortest ? describe(shortest) : null,
+    strongest: strongest ? describe(strongest) : null,
+    alternatives: alternatives.map(describe),
+  };
+};
+
+module.exports = {
+  findPaths,
+};
@@ -0,0 +1,61 @@
+/**
+ * SocialCog.io - Authentication Middleware
+ * TM (2025) - TPCL, LLC
+ */
+
+const HttpError = require("../utils/httpError");
+
+// Paths under /api reachable without an access token
+const PUBLIC_PATHS = [
+  "/status",
+  "/auth/register",
+  "/auth/login",
+  "/auth/refresh",
+];
+
+// OAuth providers redirect the browser here without our access token; the
+// flow's state identifies the user instead
+const OAUTH_CALLBACK_PATH = /^\/oauth\/[^/]+\/callback$/;
+
+const isPublic = (path) =>
+  PUBLIC_PATHS.includes(path) || OAUTH_CALLBACK_PATH.test(path);
+
+const bearerToken = (req) => {
+  const [scheme, token] = (req.get("Authorization") || "").split(" ");
+  return scheme === "Bearer" && token ? token : null;
+};
+
+// Sets req.user ({ id, email, name, role }) from the Authorization: Bearer
+// access token; anything without a valid token gets a 401
+const authenticate = async (req, res, next) => {
+  if (isPublic(req.path)) return next();
+
+  const token = bearerToken(req);
+  if (!token) {
+    return next(new HttpError(401, "Authentication required"));
+  }
+
+  try {
+    const user = await req.app.locals.authService.authenticate(token);
+    req.user = {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+    };
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// Guards server-wide operations; goes after authenticate. The role is
+// stored on the account (see AuthService.syncAdmins)
+const requireAdmin = (req, res, next) => {
+  if (req.user?.role !== "admin") {
+    return next(new HttpError(403, "Admin access required"));
+  }
+  return next();
+};
+
+module.exports = { authenticate, bearerToken, requireAdmin };
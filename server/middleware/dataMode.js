@@ -0,0 +1,29 @@
+/**
+ * SocialCog.io - Data Mode Middleware
+ * TM (2025) - TPCL, LLC
+ */
+
+const HttpError = require("../utils/httpError");
+const { DATA_MODES, defaultDataMode } = require("../utils/dataMode");
+
+// Sets req.dataMode from the X-Data-Mode header or ?data_mode=, falling
+// back to DATA_MODE
+const dataMode = (req, res, next) => {
+  const requested = req.get("X-Data-Mode") || req.query.data_mode;
+  if (requested === undefined) {
+    req.dataMode = defaultDataMode();
+    return next();
+  }
+
+  const mode = String(requested).trim().toLowerCase();
+  if (!DATA_MODES.includes(mode)) {
+    return next(
+      new HttpError(400, `Data mode must be ${DATA_MODES.join(" or ")}`)
+    );
+  }
+
+  req.dataMode = mode;
+  return next();
+};
+
+module.exports = { dataMode };
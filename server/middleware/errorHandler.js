@@ -52,6 +52,7 @@ const errorHandler = (err, req, res, next) => {
   } else if (err.statusCode) {
     statusCode = err.statusCode;
     message = err.message;
+    details = err.details;
   } else if (err.message.includes("Twitter API")) {
     statusCode = 503;
     message = "Twitter API unavailable";
@@ -91,8 +92,10 @@ const errorHandler = (err, req, res, next) => {
     401: "UNAUTHORIZED",
     403: "FORBIDDEN",
     404: "NOT_FOUND",
+    409: "CONFLICT",
     429: "RATE_LIMITED",
     500: "INTERNAL_ERROR",
+    501: "NOT_IMPLEMENTED",
     502: "BAD_GATEWAY",
     503: "SERVICE_UNAVAILABLE",
   };
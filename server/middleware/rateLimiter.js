@@ -41,8 +41,9 @@ const strictLimiter = rateLimit({
   legacyHeaders: false,
 });
 
-// Authentication-based limiter (higher limits for authenticated users)
-const createAuthLimiter = (maxRequests = 500) =>
+// Authentication-based limiter (higher limits for authenticated users);
+// `options` override any express-rate-limit setting, e.g. the message
+const createAuthLimiter = (maxRequests = 500, options = {}) =>
   rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: maxRequests,
@@ -55,6 +56,7 @@ const createAuthLimiter = (maxRequests = 500) =>
         "API rate limit exceeded. Please upgrade your plan for higher limits.",
       service: "SocialCog.io API",
     },
+    ...options,
   });
 
 module.exports = {
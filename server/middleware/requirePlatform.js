@@ -0,0 +1,29 @@
+/**
+ * SocialCog.io - Platform Guard Middleware
+ * TM (2025) - TPCL, LLC
+ */
+
+const HttpError = require("../utils/httpError");
+
+// Rejects requests to platform-specific routes when the platform is
+// disabled or its live API is unavailable, and sets req.platformService
+// to the live or demo service for the request's data mode, bound to the
+// user's platform credentials
+const requirePlatform = (name) => (req, res, next) => {
+  const registry = req.app.locals.platformRegistry;
+  if (!registry?.has(name) && !registry?.unavailableReason(name)) {
+    return next(new HttpError(503, `Platform ${name} is not enabled`));
+  }
+
+  try {
+    req.platformService = registry.require(name, {
+      mode: req.dataMode,
+      userId: req.user?.id ?? null,
+    }).service;
+  } catch (error) {
+    return next(error);
+  }
+  return next();
+};
+
+module.exports = { requirePlatform };
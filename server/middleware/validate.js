@@ -0,0 +1,37 @@
+/**
+ * SocialCog.io - Request Validation Middleware
+ * TM (2025) - TPCL, LLC
+ */
+
+const { query, validationResult } = require("express-validator");
+const HttpError = require("../utils/httpError");
+
+// Runs after express-validator chains and forwards failures to errorHandler
+const validate = (req, res, next) => {
+  const result = validationResult(req);
+
+  if (result.isEmpty()) {
+    return next();
+  }
+
+  const details = result.array().map((error) => ({
+    field: error.path,
+    location: error.location,
+    message: error.msg,
+  }));
+
+  return next(new HttpError(400, "Validation Error", details));
+};
+
+// Optional comma-separated query parameter: "a,b" -> ["a", "b"]
+const csvQuery = (name) =>
+  query(name)
+    .optional()
+    .customSanitizer((value) =>
+      String(value)
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean)
+    );
+
+module.exports = { validate, csvQuery };
@@ -0,0 +1,56 @@
+/**
+ * SocialCog.io - Workspace Middleware
+ * TM (2025) - TPCL, LLC
+ */
+
+const HttpError = require("../utils/httpError");
+
+// Paths that work on accounts, workspaces or the server itself, so they
+// stay writable while the current workspace is archived
+const UNSCOPED_WRITE_PATHS = /^\/(workspaces|auth|oauth|admin)(\/|$)/;
+
+const READ_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// Sets req.workspace from the X-Workspace-Id header or ?workspace_id=,
+// falling back to the user's first active workspace. Archived workspaces
+// can be read but not changed
+const workspace = async (req, res, next) => {
+  if (!req.user) return next();
+
+  const requested = req.get("X-Workspace-Id") || req.query.workspace_id;
+  let workspaceId = null;
+  if (requested !== undefined) {
+    workspaceId = parseInt(requested);
+    if (!Number.isInteger(workspaceId) || workspaceId < 1) {
+      return next(
+        new HttpError(400, "Workspace ID must be a positive integer")
+      );
+    }
+  }
+
+  try {
+    req.workspace = await req.app.locals.workspaceService.resolve(
+      req.user.id,
+      workspaceId
+    );
+  } catch (error) {
+    return next(error);
+  }
+
+  if (
+    req.workspace.archived_at &&
+    !READ_METHODS.includes(req.method) &&
+    !UNSCOPED_WRITE_PATHS.test(req.path)
+  ) {
+    return next(
+      new HttpError(
+        409,
+        `Workspace "${req.workspace.name}" is archived; restore it to make changes`
+      )
+    );
+  }
+
+  return next();
+};
+
+module.exports = { workspace };
@@ -0,0 +1,38 @@
+/**
+ * SocialCog.io - GitHub Platform Adapter
+ * TM (2025) - TPCL, LLC
+ */
+
+const PlatformAdapter = require("./platformAdapter");
+const GitHubService = require("../services/githubService");
+
+class GitHubAdapter extends PlatformAdapter {
+  constructor({ service, cache, ...options } = {}) {
+    super({
+      name: "github",
+      label: "GitHub",
+      profileUrlPattern:
+        /^(?:https?:\/\/)?(?:www\.)?github\.com\/([a-z\d](?:[a-z\d-]{0,38}))\/?(?:[?#].*)?$/i,
+      handlePattern: /^[a-z\d](?:[a-z\d-]{0,38})$/i,
+      ...options,
+      service: service || new GitHubService({ cache }),
+      capabilities: { profile: true, followers: true, following: true },
+    });
+  }
+
+  async getProfile(handle) {
+    return this.service.getUserProfile(String(handle));
+  }
+
+  async listFollowers(profile, { limit = 100 } = {}) {
+    const result = await this.service.getUserFollowers(profile.username, limit);
+    return this.toUserList(result.followers, result);
+  }
+
+  async listFollowing(profile, { limit = 100 } = {}) {
+    const result = await this.service.getUserFollowing(profile.username, limit);
+    return this.toUserList(result.following, result);
+  }
+}
+
+module.exports = GitHubAdapter;
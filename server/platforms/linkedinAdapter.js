@@ -0,0 +1,73 @@
+/**
+ * SocialCog.io - LinkedIn Platform Adapter
+ * TM (2025) - TPCL, LLC
+ */
+
+const PlatformAdapter = require("./platformAdapter");
+const LinkedInService = require("../services/linkedinService");
+const { appCredentials, oauthProvider } = require("../config/credentials");
+
+class LinkedInAdapter extends PlatformAdapter {
+  constructor({ service, cache, ...options } = {}) {
+    super({
+      name: "linkedin",
+      label: "LinkedIn",
+      profileUrlPattern:
+        /^(?:https?:\/\/)?(?:[a-z]{2,3}\.)?(?:www\.)?linkedin\.com\/in\/([^/?#\s]+)\/?(?:[?#].*)?$/i,
+      // Public profile slugs, or the member IDs the API returns
+      handlePattern: /^[\p{L}\p{N}_-]{2,100}$/u,
+      ...options,
+      service:
+        service ||
+        new LinkedInService({
+          cache,
+          appCredentials: appCredentials("linkedin"),
+          oauthEnabled: Boolean(oauthProvider("linkedin")),
+        }),
+      capabilities: {
+        profile: true,
+        followers: true,
+        following: true,
+        search: true,
+      },
+    });
+  }
+
+  // LinkedIn has connections rather than followers; the headline is the
+  // closest thing to a bio
+  async getProfile(handle) {
+    const profile = await this.service.getUserProfile(handle);
+
+    return {
+      ...profile,
+      followers: profile.connections || 0,
+      following: profile.connections || 0,
+      posts: 0,
+      bio: profile.headline || profile.summary || "",
+    };
+  }
+
+  // Connections are symmetric, so they serve as both directions
+  async listFollowers(profile, { limit = 100 } = {}) {
+    return this.listConnections(profile, limit);
+  }
+
+  async listFollowing(profile, { limit = 100 } = {}) {
+    return this.listConnections(profile, limit);
+  }
+
+  async listConnections(profile, limit) {
+    const result = await this.service.getUserConnections(
+      profile.username,
+      limit
+    );
+    return this.toUserList(result.connections, result);
+  }
+
+  async search(query, { limit = 10 } = {}) {
+    const result = await this.service.searchPeople(query, limit);
+    return this.toUserList(result.results, result);
+  }
+}
+
+module.exports = LinkedInAdapter;
@@ -0,0 +1,159 @@
+/**
+ * SocialCog.io - Platform Adapter
+ * TM (2025) - TPCL, LLC
+ * Common interface every social platform integration implements
+ */
+
+const HttpError = require("../utils/httpError");
+
+const CAPABILITIES = ["profile", "followers", "following", "search"];
+
+const DEFAULT_REFRESH_LIMIT = { max: 10, windowMs: 60 * 60 * 1000 };
+
+// Letters, digits and the punctuation most platforms allow in handles
+const DEFAULT_HANDLE_PATTERN = /^[\w.-]{1,100}$/;
+
+/**
+ * Adapters wrap a platform service and translate its responses into one
+ * shape:
+ *
+ *   getProfile(handle)              -> profile (followers/following/posts
+ *                                      counts, bio, demo for demo data)
+ *   listFollowers(profile, options) -> { count, users, demo, fetched_at,
+ *                                        pagination, completeness }
+ *   listFollowing(profile, options) -> same as listFollowers
+ *   search(query, options)          -> { count, users, demo, fetched_at }
+ *   status()                        -> { status, ... } from the upstream check
+ *
+ * `profile` is a tracked profile record (platform_user_id, username).
+ * Methods for capabilities the platform lacks reject with a 501; upstream
+ * failures reject with the HttpError from utils/upstreamError.
+ *
+ * `profileUrlPattern` matches the platform's profile URLs and captures the
+ * handle, so pasted links can be routed to the right adapter.
+ * `handlePattern` matches a bare handle the way the platform spells them.
+ *
+ * `refreshLimit` ({ max, windowMs }) bounds background refreshes.
+ *
+ * withCredentials(credentials) returns a view of the adapter whose service
+ * calls run with a user's credential context, for services that support
+ * per-request credentials (see OAuthService.credentialsFor).
+ */
+class PlatformAdapter {
+  constructor({
+    name,
+    label,
+    color = null,
+    service = null,
+    capabilities = {},
+    profileUrlPattern = null,
+    handlePattern = DEFAULT_HANDLE_PATTERN,
+    refreshLimit = DEFAULT_REFRESH_LIMIT,
+  }) {
+    this.name = name;
+    this.label = label || name;
+    this.color = color;
+    this.service = service;
+    this.profileUrlPattern = profileUrlPattern;
+    this.handlePattern = handlePattern;
+    this.refreshLimit = refreshLimit;
+    this.capabilities = Object.fromEntries(
+      CAPABILITIES.map((capability) => [
+        capability,
+        Boolean(capabilities[capability]),
+      ])
+    );
+  }
+
+  supports(capability) {
+    return Boolean(this.capabilities[capability]);
+  }
+
+  withCredentials(credentials) {
+    if (typeof this.service?.withCredentials !== "function") return this;
+    return Object.assign(Object.create(this), {
+      service: this.service.withCredentials(credentials),
+    });
+  }
+
+  // "https://github.com/octocat" -> "octocat"; null if not this platform's
+  parseProfileUrl(url) {
+    const match = this.profileUrlPattern?.exec(String(url).trim());
+    return match ? decodeURIComponent(match[1]) : null;
+  }
+
+  // The handle in a bare handle or one of this platform's profile URLs;
+  // null if it is neither
+  parseHandle(value) {
+    if (typeof value !== "string") return null;
+    const trimmed = value.trim();
+    if (this.handlePattern.test(trimmed)) return trimmed;
+    return this.parseProfileUrl(trimmed);
+  }
+
+  async getProfile() {
+    return this.unsupported("profile");
+  }
+
+  async listFollowers() {
+    return this.unsupported("followers");
+  }
+
+  async listFollowing() {
+    return this.unsupported("following");
+  }
+
+  async search() {
+    return this.unsupported("search");
+  }
+
+  async status() {
+    if (typeof this.service?.checkApiStatus === "function") {
+      return this.service.checkApiStatus();
+    }
+
+    return {
+      status: "unknown",
+      service: this.label,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  // The API budget left to the server's own credentials ({ limit,
+  // remaining, reset_at, updated_at }), or null if nobody has counted it
+  rateLimit() {
+    if (typeof this.service?.rateLimitStatus === "function") {
+      return this.service.rateLimitStatus();
+    }
+    return null;
+  }
+
+  unsupported(capability) {
+    throw new HttpError(501, `${this.label} does not support ${capability}`);
+  }
+
+  toUserList(users, result = {}) {
+    return {
+      count: users.length,
+      users,
+      demo: Boolean(result.demo),
+      // Paginating services report whether the list is whole
+      pagination: result.pagination || null,
+      completeness: result.completeness || null,
+      fetched_at:
+        result.fetched_at || result.searched_at || new Date().toISOString(),
+    };
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      label: this.label,
+      color: this.color,
+      capabilities: { ...this.capabilities },
+    };
+  }
+}
+
+module.exports = PlatformAdapter;
+module.exports.CAPABILITIES = CAPABILITIES;
@@ -0,0 +1,170 @@
+/**
+ * SocialCog.io - Platform Registry
+ * TM (2025) - TPCL, LLC
+ * Holds the platform adapters enabled for this server
+ */
+
+const path = require("path");
+const logger = require("../utils/logger");
+const HttpError = require("../utils/httpError");
+const PlatformAdapter = require("./platformAdapter");
+const SyntheticNetwork = require("../demo/syntheticNetwork");
+const { DATA_MODES, defaultDataMode } = require("../utils/dataMode");
+
+// Each platform has a live adapter, a demo adapter (the same adapter class
+// over a demo service), or both. `mode` picks one; it defaults to DATA_MODE.
+// With a credential provider (OAuthService), live adapters come back bound
+// to the credentials of `userId`, so calls run as that user's connected
+// account; a null userId gets the app's credentials.
+class PlatformRegistry {
+  constructor({ credentialProvider = null } = {}) {
+    this.credentialProvider = credentialProvider;
+    this.adapters = new Map();
+    this.demoAdapters = new Map();
+    // Platform -> why its live adapter could not be built
+    this.unavailable = new Map();
+  }
+
+  register(adapter, { demo = false } = {}) {
+    if (!(adapter instanceof PlatformAdapter)) {
+      throw new Error(
+        `Adapter for ${adapter?.name || "unknown platform"} must extend PlatformAdapter`
+      );
+    }
+
+    (demo ? this.demoAdapters : this.adapters).set(adapter.name, adapter);
+    logger.info(
+      `🧩 SocialCog.io: Registered ${adapter.label} ${demo ? "demo" : "platform"} adapter`
+    );
+    return adapter;
+  }
+
+  markUnavailable(name, reason) {
+    this.unavailable.set(name, reason);
+  }
+
+  // Why the platform's live adapter could not be built, or null
+  unavailableReason(name) {
+    return this.unavailable.get(name) || null;
+  }
+
+  has(name) {
+    return this.adapters.has(name) || this.demoAdapters.has(name);
+  }
+
+  // The handle the platform reads from `value` (a handle or profile URL),
+  // or null. Live and demo adapters of a platform share their patterns; a
+  // platform with no adapter at all gets `value` back, for require() to
+  // reject
+  parseHandle(name, value) {
+    const adapter = this.adapters.get(name) || this.demoAdapters.get(name);
+    return adapter ? adapter.parseHandle(value) : value;
+  }
+
+  get(name, { mode = defaultDataMode(), userId = null } = {}) {
+    if (mode === "demo") return this.demoAdapters.get(name) || null;
+
+    const adapter = this.adapters.get(name) || null;
+    if (!adapter || !this.credentialProvider) return adapter;
+    return adapter.withCredentials(
+      this.credentialProvider.credentialsFor(userId)
+    );
+  }
+
+  // Like get(), but rejects unknown platforms with a 400 for API callers
+  require(name, { mode = defaultDataMode(), userId = null } = {}) {
+    const adapter = this.get(name, { mode, userId });
+    if (adapter) return adapter;
+
+    if (this.unavailable.has(name) && mode === "live") {
+      throw new HttpError(
+        503,
+        this.demoAdapters.has(name)
+          ? `Platform ${name} is only available in demo mode: ${this.unavailable.get(name)}`
+          : `Platform ${name} is unavailable: ${this.unavailable.get(name)}`
+      );
+    }
+    if (this.has(name)) {
+      throw new HttpError(400, `Platform ${name} has no ${mode} data source`);
+    }
+    throw new HttpError(400, `Platform ${name} is not supported yet`);
+  }
+
+  names() {
+    return [...new Set([...this.adapters.keys(), ...this.demoAdapters.keys()])];
+  }
+
+  // One adapter per platform (live where there is one), or every adapter
+  // of one mode
+  list({ mode = null } = {}) {
+    if (mode) {
+      const adapters = mode === "demo" ? this.demoAdapters : this.adapters;
+      return [...adapters.values()];
+    }
+    return this.names().map(
+      (name) => this.adapters.get(name) || this.demoAdapters.get(name)
+    );
+  }
+
+  describe() {
+    return this.list().map((adapter) => ({
+      ...adapter.describe(),
+      modes: DATA_MODES.filter((mode) => this.get(adapter.name, { mode })),
+    }));
+  }
+}
+
+// Builds a registry from config/platforms.js, filtered by PLATFORMS.
+// `dependencies` (e.g. repositories) are handed to every adapter; demo
+// services share one synthetic network. A platform whose live adapter
+// fails to build (e.g. no credentials) is marked unavailable rather than
+// stopping the server; it serves demo data only, if it has any.
+const loadPlatformRegistry = ({
+  platformConfig = require("../config/platforms"),
+  enabled = process.env.PLATFORMS,
+  dependencies = {},
+  demoNetwork = new SyntheticNetwork(),
+  credentialProvider = null,
+} = {}) => {
+  const registry = new PlatformRegistry({ credentialProvider });
+  const enabledNames = enabled
+    ? enabled
+        .split(",")
+        .map((name) => name.trim().toLowerCase())
+        .filter(Boolean)
+    : Object.keys(platformConfig);
+
+  for (const name of enabledNames) {
+    const entry = platformConfig[name];
+    if (!entry) {
+      logger.warn(`⚠️ SocialCog.io: No platform config for "${name}", skipping`);
+      continue;
+    }
+
+    const Adapter = require(path.join(__dirname, entry.adapter));
+    const { adapter: _module, demoService, ...options } = entry;
+
+    try {
+      registry.register(new Adapter({ name, ...options, ...dependencies }));
+    } catch (error) {
+      registry.markUnavailable(name, error.message);
+      logger.warn(
+        `⚠️ SocialCog.io: ${entry.label || name} live API unavailable${demoService ? ", serving demo data only" : ""}: ${error.message}`
+      );
+    }
+
+    if (demoService) {
+      const DemoService = require(path.join(__dirname, "../demo", demoService));
+      const service = new DemoService({ network: demoNetwork });
+      registry.register(
+        new Adapter({ name, ...options, ...dependencies, service }),
+        { demo: true }
+      );
+    }
+  }
+
+  return registry;
+};
+
+module.exports = PlatformRegistry;
+module.exports.loadPlatformRegistry = loadPlatformRegistry;
@@ -0,0 +1,64 @@
+/**
+ * SocialCog.io - Twitter Platform Adapter
+ * TM (2025) - TPCL, LLC
+ */
+
+const PlatformAdapter = require("./platformAdapter");
+const TwitterService = require("../services/twitterService");
+const { appCredentials, oauthProvider } = require("../config/credentials");
+
+class TwitterAdapter extends PlatformAdapter {
+  constructor({
+    service,
+    cursorRepository,
+    twitterScheduler,
+    cache,
+    ...options
+  } = {}) {
+    super({
+      name: "twitter",
+      label: "Twitter",
+      profileUrlPattern:
+        /^(?:https?:\/\/)?(?:www\.|mobile\.)?(?:twitter|x)\.com\/@?(\w{1,15})\/?(?:[?#].*)?$/i,
+      handlePattern: /^@?\w{1,15}$/,
+      ...options,
+      service:
+        service ||
+        new TwitterService({
+          cursorRepository,
+          scheduler: twitterScheduler,
+          cache,
+          appCredentials: appCredentials("twitter"),
+          oauthEnabled: Boolean(oauthProvider("twitter")),
+        }),
+      capabilities: { profile: true, followers: true, following: true },
+    });
+  }
+
+  async getProfile(handle) {
+    return this.service.getUserProfile(String(handle).replace(/^@/, ""));
+  }
+
+  // The followers endpoints need the numeric user ID; the tracked counts
+  // tell the service how complete its pages are, and the handle lets the
+  // demo service resolve accounts it generated by name
+  async listFollowers(profile, { limit = 100 } = {}) {
+    const result = await this.service.getUserFollowers(
+      profile.platform_user_id || profile.username,
+      limit,
+      { expectedCount: profile.followers ?? null, username: profile.username }
+    );
+    return this.toUserList(result.followers, result);
+  }
+
+  async listFollowing(profile, { limit = 100 } = {}) {
+    const result = await this.service.getUserFollowing(
+      profile.platform_user_id || profile.username,
+      limit,
+      { expectedCount: profile.following ?? null, username: profile.username }
+    );
+    return this.toUserList(result.following, result);
+  }
+}
+
+module.exports = TwitterAdapter;
@@ -0,0 +1,386 @@
+/**
+ * SocialCog.io - Live Update Hub
+ * TM (2025) - TPCL, LLC
+ * WebSocket channel that pushes profile and connection changes to clients
+ *
+ * Clients connect with ?token=<access token>&workspace_id=<id> and only ever
+ * hear about that workspace of their own user; without workspace_id they
+ * get the user's first active workspace, as the REST API does.
+ */
+
+const { WebSocketServer, WebSocket } = require("ws");
+const logger = require("../utils/logger");
+
+const TOPICS = ["profiles", "connections", "persons", "imports", "crawls"];
+
+// Close codes for rejected sockets, kept apart so clients know whether
+// renewing the access token can help
+const TOKEN_REJECTED = 4001;
+const WORKSPACE_REJECTED = 4003;
+
+const scopeOf = (record) => ({
+  userId: record.user_id,
+  workspaceId: record.workspace_id,
+});
+
+const scopeOfClient = (client) => ({
+  userId: client.userId,
+  workspaceId: client.workspaceId,
+});
+
+class LiveUpdateHub {
+  constructor({
+    authService,
+    workspaceService,
+    profileRepository,
+    connectionRepository,
+    personRepository,
+    importRepository,
+    crawlRepository,
+    path = "/ws",
+    heartbeatInterval = 30000,
+  }) {
+    this.authService = authService;
+    this.workspaceService = workspaceService;
+    this.profileRepository = profileRepository;
+    this.connectionRepository = connectionRepository;
+    this.personRepository = personRepository;
+    this.importRepository = importRepository;
+    this.crawlRepository = crawlRepository;
+    this.path = path;
+    this.heartbeatInterval = heartbeatInterval;
+
+    this.wss = null;
+    this.heartbeatTimer = null;
+    this.clientCounter = 0;
+
+    // Topics with changes waiting to be flushed to subscribers
+    this.pendingTopics = new Set();
+    this.flushScheduled = false;
+  }
+
+  attach(httpServer) {
+    this.wss = new WebSocketServer({ server: httpServer, path: this.path });
+    this.wss.on("connection", (ws, req) => this.handleConnection(ws, req));
+
+    this.heartbeatTimer = setInterval(
+      () => this.checkHeartbeats(),
+      this.heartbeatInterval
+    );
+    this.heartbeatTimer.unref();
+
+    this.watchRepositories();
+
+    logger.info(`🔌 SocialCog.io: Live update hub listening on ${this.path}`);
+    return this;
+  }
+
+  watchRepositories() {
+    this.profileRepository.on("created", (profile) => {
+      this.publish(
+        "profiles",
+        { type: "profile_added", profile },
+        scopeOf(profile)
+      );
+      this.markChanged("profiles");
+    });
+    this.profileRepository.on("updated", () => this.markChanged("profiles"));
+    this.profileRepository.on("deleted", () => this.markChanged("profiles"));
+
+    this.connectionRepository.on("created", () =>
+      this.markChanged("connections")
+    );
+    this.connectionRepository.on("synced", () =>
+      this.markChanged("connections")
+    );
+    this.connectionRepository.on("deleted", () =>
+      this.markChanged("connections")
+    );
+
+    this.personRepository.on("changed", () => this.markChanged("persons"));
+
+    // Every row outcome is pushed so import reports fill in as they run
+    this.importRepository.on("updated", (job) =>
+      this.publish(
+        "imports",
+        { type: "import_progress", import: job },
+        scopeOf(job)
+      )
+    );
+
+    // Crawls push their summary (counters, frontier size) after each step
+    this.crawlRepository.on("updated", (crawl) =>
+      this.publish("crawls", { type: "crawl_progress", crawl }, scopeOf(crawl))
+    );
+    this.crawlRepository.on("deleted", () => this.markChanged("crawls"));
+  }
+
+  // The browser WebSocket API cannot set headers, so the access token and
+  // workspace travel in the query string. Resolves to { user, workspace },
+  // or to { rejection: [code, reason] } naming which of the two failed
+  async authenticate(req) {
+    const params = new URL(req.url, "http://localhost").searchParams;
+    const token = params.get("token");
+
+    let user;
+    try {
+      if (!token) throw new Error("No access token");
+      user = await this.authService.authenticate(token);
+    } catch (error) {
+      return { rejection: [TOKEN_REJECTED, "Invalid access token"] };
+    }
+
+    try {
+      const requested = params.get("workspace_id");
+      const workspace = await this.workspaceService.resolve(
+        user.id,
+        requested ? parseInt(requested) : null
+      );
+      return { user, workspace };
+    } catch (error) {
+      return { rejection: [WORKSPACE_REJECTED, "Workspace not available"] };
+    }
+  }
+
+  async handleConnection(ws, req) {
+    ws.clientId = ++this.clientCounter;
+    ws.isAlive = true;
+    ws.topics = new Set();
+
+    ws.on("error", (error) => {
+      logger.error(
+        `❌ SocialCog.io: WebSocket client ${ws.clientId} error:`,
+        error.message
+      );
+    });
+
+    // Listening before authentication settles: messages a client sends
+    // right after opening would otherwise be lost. They wait until then
+    let early = [];
+    ws.on("message", (raw) =>
+      early ? early.push(raw) : this.handleMessage(ws, raw)
+    );
+
+    const session = await this.authenticate(req);
+    if (session.rejection) {
+      const [code, reason] = session.rejection;
+      logger.warn(
+        `⚠️ SocialCog.io: WebSocket client ${ws.clientId} rejected: ${reason}`
+      );
+      ws.close(code, reason);
+      return;
+    }
+    if (ws.readyState !== WebSocket.OPEN) return;
+
+    ws.userId = session.user.id;
+    ws.workspaceId = session.workspace.id;
+    ws.topics = new Set(TOPICS);
+
+    logger.info(
+      `🔌 SocialCog.io: WebSocket client ${ws.clientId} (user ${ws.userId}, workspace ${ws.workspaceId}) connected from ${req.socket.remoteAddress}`
+    );
+
+    ws.on("pong", () => {
+      ws.isAlive = true;
+    });
+    ws.on("close", () => {
+      logger.info(
+        `🔌 SocialCog.io: WebSocket client ${ws.clientId} disconnected`
+      );
+    });
+
+    this.send(ws, {
+      type: "welcome",
+      client_id: ws.clientId,
+      workspace_id: ws.workspaceId,
+      topics: [...ws.topics],
+      heartbeat_interval: this.heartbeatInterval,
+    });
+    this.sendSnapshot(ws);
+
+    const buffered = early.splice(0);
+    early = null;
+    buffered.forEach((raw) => this.handleMessage(ws, raw));
+  }
+
+  handleMessage(ws, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      return this.send(ws, { type: "error", error: "Invalid JSON message" });
+    }
+
+    const topics = (Array.isArray(message.topics) ? message.topics : []).filter(
+      (topic) => TOPICS.includes(topic)
+    );
+
+    switch (message.type) {
+      case "subscribe":
+        topics.forEach((topic) => ws.topics.add(topic));
+        this.send(ws, { type: "subscribed", topics: [...ws.topics] });
+        this.sendSnapshot(ws, topics);
+        break;
+      case "unsubscribe":
+        topics.forEach((topic) => ws.topics.delete(topic));
+        this.send(ws, { type: "subscribed", topics: [...ws.topics] });
+        break;
+      case "snapshot":
+        this.sendSnapshot(ws);
+        break;
+      case "ping":
+        ws.isAlive = true;
+        this.send(ws, { type: "pong", timestamp: new Date().toISOString() });
+        break;
+      default:
+        this.send(ws, {
+          type: "error",
+          error: `Unknown message type: ${message.type}`,
+        });
+    }
+  }
+
+  async sendSnapshot(ws, topics = [...ws.topics]) {
+    try {
+      for (const topic of topics) {
+        if (ws.topics.has(topic)) {
+          this.send(ws, await this.buildUpdate(topic, scopeOfClient(ws)));
+        }
+      }
+    } catch (error) {
+      logger.error(
+        "❌ SocialCog.io: Failed to send WebSocket snapshot:",
+        error.message
+      );
+    }
+  }
+
+  // The topic's full state as one workspace sees it
+  async buildUpdate(topic, scope) {
+    if (topic === "profiles") {
+      return {
+        type: "profiles_update",
+        profiles: await this.profileRepository.findAll(scope),
+      };
+    }
+
+    if (topic === "imports") {
+      return {
+        type: "imports_update",
+        imports: await this.importRepository.findAll(scope),
+      };
+    }
+
+    if (topic === "crawls") {
+      return {
+        type: "crawls_update",
+        crawls: await this.crawlRepository.findAll(scope),
+      };
+    }
+
+    if (topic === "persons") {
+      return {
+        type: "persons_update",
+        persons: await this.personRepository.findAll(scope),
+      };
+    }
+
+    return {
+      type: "connections_update",
+      connections: await this.connectionRepository.findAll(scope),
+    };
+  }
+
+  // Coalesces bursts of mutations into one full update per topic
+  markChanged(topic) {
+    this.pendingTopics.add(topic);
+    if (this.flushScheduled) return;
+
+    this.flushScheduled = true;
+    setImmediate(() => this.flush());
+  }
+
+  async flush() {
+    const topics = [...this.pendingTopics];
+    this.pendingTopics.clear();
+    this.flushScheduled = false;
+
+    try {
+      for (const topic of topics) {
+        // One update per workspace with a subscribed client
+        const scopes = new Map(
+          [...this.subscribers(topic)].map((client) => [
+            client.workspaceId,
+            scopeOfClient(client),
+          ])
+        );
+        for (const scope of scopes.values()) {
+          this.publish(topic, await this.buildUpdate(topic, scope), scope);
+        }
+      }
+    } catch (error) {
+      logger.error(
+        "❌ SocialCog.io: Failed to broadcast live update:",
+        error.message
+      );
+    }
+  }
+
+  *subscribers(topic) {
+    if (!this.wss) return;
+
+    for (const client of this.wss.clients) {
+      if (client.topics?.has(topic)) yield client;
+    }
+  }
+
+  // Only clients on the record's workspace hear about it
+  publish(topic, message, { userId, workspaceId }) {
+    for (const client of this.subscribers(topic)) {
+      if (client.userId === userId && client.workspaceId === workspaceId) {
+        this.send(client, message);
+      }
+    }
+  }
+
+  send(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  }
+
+  checkHeartbeats() {
+    for (const client of this.wss.clients) {
+      if (!client.isAlive) {
+        logger.warn(
+          `⚠️ SocialCog.io: WebSocket client ${client.clientId} missed heartbeat, terminating`
+        );
+        client.terminate();
+        continue;
+      }
+
+      client.isAlive = false;
+      client.ping();
+    }
+  }
+
+  getStats() {
+    return {
+      clients: this.wss ? this.wss.clients.size : 0,
+      path: this.path,
+      heartbeat_interval: this.heartbeatInterval,
+    };
+  }
+
+  close() {
+    clearInterval(this.heartbeatTimer);
+    if (this.wss) {
+      for (const client of this.wss.clients) {
+        client.close(1001, "Server shutting down");
+      }
+      this.wss.close();
+    }
+  }
+}
+
+module.exports = LiveUpdateHub;
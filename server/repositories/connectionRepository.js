@@ -0,0 +1,121 @@
+/**
+ * SocialCog.io - Connection Repository
+ * TM (2025) - TPCL, LLC
+ * Persistent storage for connections between tracked profiles
+ */
+
+const EventEmitter = require("events");
+const _ = require("lodash");
+const { inScope } = require("../utils/ownership");
+
+// Emits "created", "synced" and "deleted" after each change is persisted
+class ConnectionRepository extends EventEmitter {
+  constructor(database) {
+    super();
+    this.db = database;
+  }
+
+  get connections() {
+    return this.db.collection("connections");
+  }
+
+  async findAll({ userId = null, workspaceId = null } = {}) {
+    return _.cloneDeep(
+      this.connections.filter((c) => inScope(c, { userId, workspaceId }))
+    );
+  }
+
+  async findByProfileId(profileId) {
+    const id = parseInt(profileId);
+    return _.cloneDeep(
+      this.connections.filter((c) => c.source_id === id || c.target_id === id)
+    );
+  }
+
+  async create(attributes) {
+    const now = new Date().toISOString();
+    const connection = {
+      ...attributes,
+      id: this.db.nextId("connections"),
+      created_at: now,
+      updated_at: now,
+    };
+
+    this.connections.push(connection);
+    await this.db.persist();
+
+    const created = _.cloneDeep(connection);
+    this.emit("created", created);
+    return created;
+  }
+
+  // Replaces every edge touching a profile with the given set, keeping the
+  // id and created_at of edges that survive (matched on pair + type)
+  async syncForProfile(profileId, edges) {
+    const id = parseInt(profileId);
+    const now = new Date().toISOString();
+    const edgeKey = (edge) =>
+      `${edge.source_id}:${edge.target_id}:${edge.connection_type}`;
+
+    const incoming = new Map(edges.map((edge) => [edgeKey(edge), edge]));
+    const connections = this.connections;
+    const stats = { profile_id: id, created: 0, updated: 0, removed: 0 };
+
+    for (let i = connections.length - 1; i >= 0; i--) {
+      const existing = connections[i];
+      if (existing.source_id !== id && existing.target_id !== id) continue;
+
+      const key = edgeKey(existing);
+      if (incoming.has(key)) {
+        Object.assign(existing, incoming.get(key), {
+          id: existing.id,
+          created_at: existing.created_at,
+          updated_at: now,
+        });
+        incoming.delete(key);
+        stats.updated++;
+      } else {
+        connections.splice(i, 1);
+        stats.removed++;
+      }
+    }
+
+    for (const edge of incoming.values()) {
+      connections.push({
+        ...edge,
+        id: this.db.nextId("connections"),
+        created_at: now,
+        updated_at: now,
+      });
+      stats.created++;
+    }
+
+    await this.db.persist();
+    this.emit("synced", stats);
+
+    return stats;
+  }
+
+  async deleteByProfileId(profileId) {
+    const id = parseInt(profileId);
+    const connections = this.connections;
+    const before = connections.length;
+
+    // Splice in place so the database keeps its collection reference
+    for (let i = connections.length - 1; i >= 0; i--) {
+      if (connections[i].source_id === id || connections[i].target_id === id) {
+        connections.splice(i, 1);
+      }
+    }
+
+    const removed = before - connections.length;
+    if (removed > 0) {
+      await this.db.persist();
+      this.emit("deleted", { profile_id: id, count: removed });
+    }
+
+    return removed;
+  }
+}
+
+module.exports = ConnectionRepository;
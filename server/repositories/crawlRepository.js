@@ -0,0 +1,100 @@
+/**
+ * SocialCog.io - Crawl Repository
+ * TM (2025) - TPCL, LLC
+ * Persistent storage for ego-network crawls, including their frontier
+ */
+
+const EventEmitter = require("events");
+const _ = require("lodash");
+const { inScope } = require("../utils/ownership");
+
+// The bulky parts of a crawl; summaries leave them out
+const STATE_FIELDS = ["frontier", "nodes", "edges"];
+
+const summarise = (crawl) => ({
+  ..._.omit(crawl, STATE_FIELDS),
+  frontier_size: crawl.frontier.length,
+});
+
+// Emits "updated" with the crawl summary whenever a crawl changes
+class CrawlRepository extends EventEmitter {
+  constructor(database) {
+    super();
+    this.db = database;
+  }
+
+  get crawls() {
+    return this.db.collection("crawls");
+  }
+
+  // Newest first, summaries only
+  async findAll({ limit = 20, userId = null, workspaceId = null } = {}) {
+    return _.cloneDeep(
+      this.crawls
+        .filter((c) => inScope(c, { userId, workspaceId }))
+        .sort((a, b) => b.id - a.id)
+        .slice(0, limit)
+        .map(summarise)
+    );
+  }
+
+  async findById(id) {
+    const crawl = this.crawls.find((c) => c.id === parseInt(id));
+    return crawl ? _.cloneDeep(crawl) : null;
+  }
+
+  async findSummary(id) {
+    const crawl = this.crawls.find((c) => c.id === parseInt(id));
+    return crawl ? _.cloneDeep(summarise(crawl)) : null;
+  }
+
+  async findByStatus(statuses) {
+    return _.cloneDeep(this.crawls.filter((c) => statuses.includes(c.status)));
+  }
+
+  async create(attributes) {
+    const now = new Date().toISOString();
+    const crawl = {
+      frontier: [],
+      nodes: {},
+      edges: [],
+      ...attributes,
+      id: this.db.nextId("crawls"),
+      created_at: now,
+      updated_at: now,
+    };
+
+    this.crawls.push(crawl);
+    await this.db.persist();
+    this.emit("updated", _.cloneDeep(summarise(crawl)));
+
+    return _.cloneDeep(crawl);
+  }
+
+  async update(id, changes) {
+    const crawl = this.crawls.find((c) => c.id === parseInt(id));
+    if (!crawl) return null;
+
+    Object.assign(crawl, _.cloneDeep(changes), {
+      id: crawl.id,
+      created_at: crawl.created_at,
+      updated_at: new Date().toISOString(),
+    });
+    await this.db.persist();
+    this.emit("updated", _.cloneDeep(summarise(crawl)));
+
+    return _.cloneDeep(crawl);
+  }
+
+  async delete(id) {
+    const index = this.crawls.findIndex((c) => c.id === parseInt(id));
+    if (index === -1) return false;
+
+    const [removed] = this.crawls.splice(index, 1);
+    await this.db.persist();
+    this.emit("deleted", _.cloneDeep(summarise(removed)));
+    return true;
+  }
+}
+
+module.exports = CrawlRepository;
@@ -0,0 +1,127 @@
+/**
+ * SocialCog.io - Identity Link Repository
+ * TM (2025) - TPCL, LLC
+ * Scored links proposing that two profiles belong to the same person
+ */
+
+const _ = require("lodash");
+const { inScope } = require("../utils/ownership");
+
+class IdentityLinkRepository {
+  constructor(database) {
+    this.db = database;
+  }
+
+  get links() {
+    return this.db.collection("identity_links");
+  }
+
+  async findAll({
+    status,
+    minConfidence,
+    userId = null,
+    workspaceId = null,
+  } = {}) {
+    return _.cloneDeep(
+      this.links.filter(
+        (link) =>
+          inScope(link, { userId, workspaceId }) &&
+          (!status || link.status === status) &&
+          (minConfidence == null || link.confidence >= minConfidence)
+      )
+    );
+  }
+
+  async findById(id) {
+    const link = this.links.find((l) => l.id === parseInt(id));
+    return link ? _.cloneDeep(link) : null;
+  }
+
+  async findByPair(profileAId, profileBId) {
+    const [a, b] = [parseInt(profileAId), parseInt(profileBId)].sort(
+      (x, y) => x - y
+    );
+    const link = this.links.find(
+      (l) => l.profile_a_id === a && l.profile_b_id === b
+    );
+    return link ? _.cloneDeep(link) : null;
+  }
+
+  // Creates or rescores the link for a pair; decided links keep their status
+  async upsert(profileAId, profileBId, attributes) {
+    const [a, b] = [parseInt(profileAId), parseInt(profileBId)].sort(
+      (x, y) => x - y
+    );
+    const now = new Date().toISOString();
+    let link = this.links.find(
+      (l) => l.profile_a_id === a && l.profile_b_id === b
+    );
+
+    if (link) {
+      Object.assign(link, attributes, {
+        status: link.status,
+        updated_at: now,
+      });
+    } else {
+      link = {
+        status: "candidate",
+        ...attributes,
+        id: this.db.nextId("identity_links"),
+        profile_a_id: a,
+        profile_b_id: b,
+        created_at: now,
+        updated_at: now,
+      };
+      this.links.push(link);
+    }
+
+    await this.db.persist();
+    return _.cloneDeep(link);
+  }
+
+  async update(id, changes) {
+    const link = this.links.find((l) => l.id === parseInt(id));
+    if (!link) return null;
+
+    Object.assign(link, changes, {
+      id: link.id,
+      profile_a_id: link.profile_a_id,
+      profile_b_id: link.profile_b_id,
+      updated_at: new Date().toISOString(),
+    });
+    await this.db.persist();
+
+    return _.cloneDeep(link);
+  }
+
+  async delete(id) {
+    const index = this.links.findIndex((l) => l.id === parseInt(id));
+    if (index === -1) return false;
+
+    this.links.splice(index, 1);
+    await this.db.persist();
+
+    return true;
+  }
+
+  async deleteByProfileId(profileId) {
+    const id = parseInt(profileId);
+    const links = this.links;
+    const before = links.length;
+
+    for (let i = links.length - 1; i >= 0; i--) {
+      if (links[i].profile_a_id === id || links[i].profile_b_id === id) {
+        links.splice(i, 1);
+      }
+    }
+
+    const removed = before - links.length;
+    if (removed > 0) {
+      await this.db.persist();
+    }
+
+    return removed;
+  }
+}
+
+module.exports = IdentityLinkRepository;
@@ -0,0 +1,87 @@
+/**
+ * SocialCog.io - Import Repository
+ * TM (2025) - TPCL, LLC
+ * Persistent storage for bulk import jobs and their per-row results
+ */
+
+const EventEmitter = require("events");
+const _ = require("lodash");
+const { inScope } = require("../utils/ownership");
+
+// Emits "updated" with the job whenever a job or one of its rows changes
+class ImportRepository extends EventEmitter {
+  constructor(database) {
+    super();
+    this.db = database;
+  }
+
+  get imports() {
+    return this.db.collection("imports");
+  }
+
+  // Newest first, without the row details
+  async findAll({ limit = 20, userId = null, workspaceId = null } = {}) {
+    return _.cloneDeep(
+      this.imports
+        .filter((j) => inScope(j, { userId, workspaceId }))
+        .sort((a, b) => b.id - a.id)
+        .slice(0, limit)
+        .map((job) => _.omit(job, "rows"))
+    );
+  }
+
+  async findById(id) {
+    const job = this.imports.find((j) => j.id === parseInt(id));
+    return job ? _.cloneDeep(job) : null;
+  }
+
+  async findUnfinished() {
+    return _.cloneDeep(this.imports.filter((j) => j.status !== "completed"));
+  }
+
+  async create(attributes) {
+    const now = new Date().toISOString();
+    const job = {
+      ...attributes,
+      id: this.db.nextId("imports"),
+      created_at: now,
+      updated_at: now,
+    };
+
+    this.imports.push(job);
+    await this.db.persist();
+    this.emit("updated", _.cloneDeep(job));
+
+    return _.cloneDeep(job);
+  }
+
+  async update(id, changes) {
+    const job = this.imports.find((j) => j.id === parseInt(id));
+    if (!job) return null;
+
+    Object.assign(job, changes, {
+      id: job.id,
+      created_at: job.created_at,
+      updated_at: new Date().toISOString(),
+    });
+    await this.db.persist();
+    this.emit("updated", _.cloneDeep(job));
+
+    return _.cloneDeep(job);
+  }
+
+  async updateRow(id, rowNumber, changes) {
+    const job = this.imports.find((j) => j.id === parseInt(id));
+    const row = job?.rows.find((r) => r.row === rowNumber);
+    if (!row) return null;
+
+    Object.assign(row, changes);
+    job.updated_at = new Date().toISOString();
+    await this.db.persist();
+    this.emit("updated", _.cloneDeep(job));
+
+    return _.cloneDeep(row);
+  }
+}
+
+module.exports = ImportRepository;
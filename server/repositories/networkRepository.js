@@ -0,0 +1,61 @@
+/**
+ * SocialCog.io - Network Repository
+ * TM (2025) - TPCL, LLC
+ * Persistent follower/following lists for tracked profiles
+ */
+
+const _ = require("lodash");
+
+class NetworkRepository {
+  constructor(database) {
+    this.db = database;
+  }
+
+  get networks() {
+    return this.db.collection("networks");
+  }
+
+  async findAll() {
+    return _.cloneDeep(this.networks);
+  }
+
+  async findByProfileId(profileId) {
+    const network = this.networks.find(
+      (n) => n.profile_id === parseInt(profileId)
+    );
+    return network ? _.cloneDeep(network) : null;
+  }
+
+  async upsert(profileId, attributes) {
+    const id = parseInt(profileId);
+    const network = {
+      ...attributes,
+      profile_id: id,
+      updated_at: new Date().toISOString(),
+    };
+
+    const index = this.networks.findIndex((n) => n.profile_id === id);
+    if (index === -1) {
+      this.networks.push(network);
+    } else {
+      this.networks[index] = network;
+    }
+    await this.db.persist();
+
+    return _.cloneDeep(network);
+  }
+
+  async deleteByProfileId(profileId) {
+    const index = this.networks.findIndex(
+      (n) => n.profile_id === parseInt(profileId)
+    );
+    if (index === -1) return false;
+
+    this.networks.splice(index, 1);
+    await this.db.persist();
+
+    return true;
+  }
+}
+
+module.exports = NetworkRepository;
@@ -0,0 +1,70 @@
+/**
+ * SocialCog.io - OAuth Connection Repository
+ * TM (2025) - TPCL, LLC
+ * The platform accounts each user has connected, with their encrypted tokens
+ */
+
+const _ = require("lodash");
+
+// One connection per user and platform; access_token and refresh_token are
+// stored as TokenCipher ciphertexts
+class OAuthConnectionRepository {
+  constructor(database) {
+    this.db = database;
+  }
+
+  get connections() {
+    return this.db.collection("oauth_connections");
+  }
+
+  findIndex(userId, platform) {
+    return this.connections.findIndex(
+      (c) => c.user_id === userId && c.platform === platform
+    );
+  }
+
+  async find(userId, platform) {
+    const index = this.findIndex(userId, platform);
+    return index === -1 ? null : _.cloneDeep(this.connections[index]);
+  }
+
+  async findByUser(userId) {
+    return _.cloneDeep(this.connections.filter((c) => c.user_id === userId));
+  }
+
+  // Creates the user's connection to the platform or replaces its fields
+  async save(userId, platform, attributes) {
+    const index = this.findIndex(userId, platform);
+    const now = new Date().toISOString();
+    const existing = index === -1 ? null : this.connections[index];
+    const connection = {
+      ...existing,
+      ...attributes,
+      id: existing ? existing.id : this.db.nextId("oauth_connections"),
+      user_id: userId,
+      platform,
+      created_at: existing ? existing.created_at : now,
+      updated_at: now,
+    };
+
+    if (index === -1) {
+      this.connections.push(connection);
+    } else {
+      this.connections[index] = connection;
+    }
+    await this.db.persist();
+
+    return _.cloneDeep(connection);
+  }
+
+  async delete(userId, platform) {
+    const index = this.findIndex(userId, platform);
+    if (index === -1) return null;
+
+    const [removed] = this.connections.splice(index, 1);
+    await this.db.persist();
+    return _.cloneDeep(removed);
+  }
+}
+
+module.exports = OAuthConnectionRepository;
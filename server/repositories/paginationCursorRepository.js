@@ -0,0 +1,68 @@
+/**
+ * SocialCog.io - Pagination Cursor Repository
+ * TM (2025) - TPCL, LLC
+ * Resumable pagination tokens (and the users fetched so far) per user list
+ * and per set of credentials
+ */
+
+const _ = require("lodash");
+
+class PaginationCursorRepository {
+  constructor(database) {
+    this.db = database;
+  }
+
+  get cursors() {
+    return this.db.collection("pagination_cursors");
+  }
+
+  // identity is whose credentials paged the list ("app" or "user:<id>"),
+  // since tokens and what they can see differ per account; kind is the list
+  // being paged: "followers" or "following"
+  findIndex(platform, identity, userId, kind) {
+    return this.cursors.findIndex(
+      (c) =>
+        c.platform === platform &&
+        c.identity === identity &&
+        c.user_id === String(userId) &&
+        c.kind === kind
+    );
+  }
+
+  async find(platform, identity, userId, kind) {
+    const index = this.findIndex(platform, identity, userId, kind);
+    return index === -1 ? null : _.cloneDeep(this.cursors[index]);
+  }
+
+  async save(platform, identity, userId, kind, attributes) {
+    const index = this.findIndex(platform, identity, userId, kind);
+    const cursor = {
+      ...attributes,
+      platform,
+      identity,
+      user_id: String(userId),
+      kind,
+      updated_at: new Date().toISOString(),
+    };
+
+    if (index === -1) {
+      this.cursors.push(cursor);
+    } else {
+      this.cursors[index] = cursor;
+    }
+    await this.db.persist();
+
+    return _.cloneDeep(cursor);
+  }
+
+  async delete(platform, identity, userId, kind) {
+    const index = this.findIndex(platform, identity, userId, kind);
+    if (index === -1) return false;
+
+    this.cursors.splice(index, 1);
+    await this.db.persist();
+    return true;
+  }
+}
+
+module.exports = PaginationCursorRepository;
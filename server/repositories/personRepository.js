@@ -0,0 +1,82 @@
+/**
+ * SocialCog.io - Person Repository
+ * TM (2025) - TPCL, LLC
+ * Persistent storage for people linked across platform accounts
+ */
+
+const EventEmitter = require("events");
+const _ = require("lodash");
+const { inScope } = require("../utils/ownership");
+
+// Emits "changed" after any person is created, updated or deleted
+class PersonRepository extends EventEmitter {
+  constructor(database) {
+    super();
+    this.db = database;
+  }
+
+  get persons() {
+    return this.db.collection("persons");
+  }
+
+  async findAll({ userId = null, workspaceId = null } = {}) {
+    return _.cloneDeep(
+      this.persons.filter((p) => inScope(p, { userId, workspaceId }))
+    );
+  }
+
+  async findById(id) {
+    const person = this.persons.find((p) => p.id === parseInt(id));
+    return person ? _.cloneDeep(person) : null;
+  }
+
+  async findByProfileId(profileId) {
+    const id = parseInt(profileId);
+    const person = this.persons.find((p) => p.profile_ids.includes(id));
+    return person ? _.cloneDeep(person) : null;
+  }
+
+  async create(attributes) {
+    const now = new Date().toISOString();
+    const person = {
+      ...attributes,
+      id: this.db.nextId("persons"),
+      created_at: now,
+      updated_at: now,
+    };
+
+    this.persons.push(person);
+    await this.db.persist();
+    this.emit("changed");
+
+    return _.cloneDeep(person);
+  }
+
+  async update(id, changes) {
+    const person = this.persons.find((p) => p.id === parseInt(id));
+    if (!person) return null;
+
+    Object.assign(person, changes, {
+      id: person.id,
+      created_at: person.created_at,
+      updated_at: new Date().toISOString(),
+    });
+    await this.db.persist();
+    this.emit("changed");
+
+    return _.cloneDeep(person);
+  }
+
+  async delete(id) {
+    const index = this.persons.findIndex((p) => p.id === parseInt(id));
+    if (index === -1) return false;
+
+    this.persons.splice(index, 1);
+    await this.db.persist();
+    this.emit("changed");
+
+    return true;
+  }
+}
+
+module.exports = PersonRepository;
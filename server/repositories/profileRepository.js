@@ -0,0 +1,97 @@
+/**
+ * SocialCog.io - Profile Repository
+ * TM (2025) - TPCL, LLC
+ * Persistent storage for tracked social profiles
+ */
+
+const EventEmitter = require("events");
+const _ = require("lodash");
+const { inScope } = require("../utils/ownership");
+
+// Emits "created", "updated" and "deleted" after each change is persisted
+class ProfileRepository extends EventEmitter {
+  constructor(database) {
+    super();
+    this.db = database;
+  }
+
+  get profiles() {
+    return this.db.collection("profiles");
+  }
+
+  // userId/workspaceId: only that user's or workspace's profiles (every
+  // profile when omitted)
+  async findAll({ userId = null, workspaceId = null } = {}) {
+    return _.cloneDeep(
+      this.profiles.filter((p) => inScope(p, { userId, workspaceId }))
+    );
+  }
+
+  async findById(id) {
+    const profile = this.profiles.find((p) => p.id === parseInt(id));
+    return profile ? _.cloneDeep(profile) : null;
+  }
+
+  // Each workspace tracks a handle at most once; userId and workspaceId
+  // scope the lookup
+  async findByUsername(
+    platform,
+    username,
+    { userId = null, workspaceId = null } = {}
+  ) {
+    const needle = String(username).toLowerCase();
+    const profile = this.profiles.find(
+      (p) =>
+        p.platform === platform &&
+        String(p.username).toLowerCase() === needle &&
+        inScope(p, { userId, workspaceId })
+    );
+    return profile ? _.cloneDeep(profile) : null;
+  }
+
+  async create(attributes) {
+    const now = new Date().toISOString();
+    const profile = {
+      ...attributes,
+      id: this.db.nextId("profiles"),
+      created_at: now,
+      updated_at: now,
+    };
+
+    this.profiles.push(profile);
+    await this.db.persist();
+
+    const created = _.cloneDeep(profile);
+    this.emit("created", created);
+    return created;
+  }
+
+  async update(id, changes) {
+    const profile = this.profiles.find((p) => p.id === parseInt(id));
+    if (!profile) return null;
+
+    Object.assign(profile, changes, {
+      id: profile.id,
+      created_at: profile.created_at,
+      updated_at: new Date().toISOString(),
+    });
+    await this.db.persist();
+
+    const updated = _.cloneDeep(profile);
+    this.emit("updated", updated);
+    return updated;
+  }
+
+  async delete(id) {
+    const index = this.profiles.findIndex((p) => p.id === parseInt(id));
+    if (index === -1) return false;
+
+    const [removed] = this.profiles.splice(index, 1);
+    await this.db.persist();
+
+    this.emit("deleted", _.cloneDeep(removed));
+    return true;
+  }
+}
+
+module.exports = ProfileRepository;
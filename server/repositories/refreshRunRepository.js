@@ -0,0 +1,94 @@
+/**
+ * SocialCog.io - Refresh Run Repository
+ * TM (2025) - TPCL, LLC
+ * History of background profile refreshes, capped to the most recent runs
+ */
+
+const _ = require("lodash");
+const { inScope } = require("../utils/ownership");
+
+const MAX_RUNS = 5000;
+
+class RefreshRunRepository {
+  constructor(database, { maxRuns = MAX_RUNS } = {}) {
+    this.db = database;
+    this.maxRuns = maxRuns;
+  }
+
+  get runs() {
+    return this.db.collection("refresh_runs");
+  }
+
+  // Newest first
+  async findAll({
+    scheduleId = null,
+    profileId = null,
+    status = null,
+    userId = null,
+    workspaceId = null,
+    limit = 50,
+  } = {}) {
+    return _.cloneDeep(
+      this.runs
+        .filter(
+          (r) =>
+            inScope(r, { userId, workspaceId }) &&
+            (scheduleId == null || r.schedule_id === scheduleId) &&
+            (profileId == null || r.profile_id === profileId) &&
+            (!status || r.status === status)
+        )
+        .sort((a, b) => b.id - a.id)
+        .slice(0, limit)
+    );
+  }
+
+  async create(attributes) {
+    const run = {
+      ...attributes,
+      id: this.db.nextId("refresh_runs"),
+    };
+
+    const runs = this.runs;
+    runs.push(run);
+    if (runs.length > this.maxRuns) {
+      runs.splice(0, runs.length - this.maxRuns);
+    }
+    await this.db.persist();
+
+    return _.cloneDeep(run);
+  }
+
+  async update(id, changes) {
+    const run = this.runs.find((r) => r.id === parseInt(id));
+    if (!run) return null;
+
+    Object.assign(run, changes, { id: run.id });
+    await this.db.persist();
+
+    return _.cloneDeep(run);
+  }
+
+  // Runs left "queued" or "running" by a restart never finished
+  async abandonUnfinished() {
+    const now = new Date().toISOString();
+    let abandoned = 0;
+
+    for (const run of this.runs) {
+      if (run.status === "queued" || run.status === "running") {
+        Object.assign(run, {
+          status: "skipped",
+          error: "Server restarted before the run finished",
+          finished_at: now,
+        });
+        abandoned += 1;
+      }
+    }
+
+    if (abandoned > 0) {
+      await this.db.persist();
+    }
+    return abandoned;
+  }
+}
+
+module.exports = RefreshRunRepository;
@@ -0,0 +1,98 @@
+/**
+ * SocialCog.io - Schedule Repository
+ * TM (2025) - TPCL, LLC
+ * Persistent storage for background refresh schedules
+ */
+
+const _ = require("lodash");
+const { inScope } = require("../utils/ownership");
+
+class ScheduleRepository {
+  constructor(database) {
+    this.db = database;
+  }
+
+  get schedules() {
+    return this.db.collection("refresh_schedules");
+  }
+
+  async findAll({ userId = null, workspaceId = null } = {}) {
+    return _.cloneDeep(
+      this.schedules.filter((s) => inScope(s, { userId, workspaceId }))
+    );
+  }
+
+  async findById(id) {
+    const schedule = this.schedules.find((s) => s.id === parseInt(id));
+    return schedule ? _.cloneDeep(schedule) : null;
+  }
+
+  // Enabled schedules whose next run is at or before `now`
+  async findDue(now) {
+    return _.cloneDeep(
+      this.schedules.filter(
+        (s) => s.enabled && s.next_run_at && s.next_run_at <= now
+      )
+    );
+  }
+
+  async create(attributes) {
+    const now = new Date().toISOString();
+    const schedule = {
+      ...attributes,
+      id: this.db.nextId("refresh_schedules"),
+      created_at: now,
+      updated_at: now,
+    };
+
+    this.schedules.push(schedule);
+    await this.db.persist();
+
+    return _.cloneDeep(schedule);
+  }
+
+  async update(id, changes) {
+    const schedule = this.schedules.find((s) => s.id === parseInt(id));
+    if (!schedule) return null;
+
+    Object.assign(schedule, changes, {
+      id: schedule.id,
+      created_at: schedule.created_at,
+      updated_at: new Date().toISOString(),
+    });
+    await this.db.persist();
+
+    return _.cloneDeep(schedule);
+  }
+
+  async delete(id) {
+    const index = this.schedules.findIndex((s) => s.id === parseInt(id));
+    if (index === -1) return false;
+
+    this.schedules.splice(index, 1);
+    await this.db.persist();
+    return true;
+  }
+
+  // Profile schedules go with their profile
+  async deleteByProfileId(profileId) {
+    const id = parseInt(profileId);
+    const schedules = this.schedules;
+    const before = schedules.length;
+
+    for (let i = schedules.length - 1; i >= 0; i--) {
+      if (schedules[i].profile_id === id) {
+        schedules.splice(i, 1);
+      }
+    }
+
+    const removed = before - schedules.length;
+    if (removed > 0) {
+      await this.db.persist();
+    }
+
+    return removed;
+  }
+}
+
+module.exports = ScheduleRepository;
@@ -0,0 +1,74 @@
+/**
+ * SocialCog.io - Snapshot Repository
+ * TM (2025) - TPCL, LLC
+ * Time series of profile metrics, one snapshot per fetch
+ */
+
+const _ = require("lodash");
+
+class SnapshotRepository {
+  constructor(database) {
+    this.db = database;
+  }
+
+  get snapshots() {
+    return this.db.collection("metric_snapshots");
+  }
+
+  // Oldest first; from/to are inclusive ISO timestamps
+  async findByProfileId(profileId, { from = null, to = null } = {}) {
+    const id = parseInt(profileId);
+    return _.cloneDeep(
+      this.snapshots
+        .filter(
+          (s) =>
+            s.profile_id === id &&
+            (!from || s.captured_at >= from) &&
+            (!to || s.captured_at <= to)
+        )
+        .sort((a, b) => a.captured_at.localeCompare(b.captured_at))
+    );
+  }
+
+  async findLatest(profileId) {
+    const id = parseInt(profileId);
+    const latest = _.maxBy(
+      this.snapshots.filter((s) => s.profile_id === id),
+      "captured_at"
+    );
+    return latest ? _.cloneDeep(latest) : null;
+  }
+
+  async create(attributes) {
+    const snapshot = {
+      ...attributes,
+      id: this.db.nextId("metric_snapshots"),
+    };
+
+    this.snapshots.push(snapshot);
+    await this.db.persist();
+
+    return _.cloneDeep(snapshot);
+  }
+
+  async deleteByProfileId(profileId) {
+    const id = parseInt(profileId);
+    const snapshots = this.snapshots;
+    const before = snapshots.length;
+
+    for (let i = snapshots.length - 1; i >= 0; i--) {
+      if (snapshots[i].profile_id === id) {
+        snapshots.splice(i, 1);
+      }
+    }
+
+    const removed = before - snapshots.length;
+    if (removed > 0) {
+      await this.db.persist();
+    }
+
+    return removed;
+  }
+}
+
+module.exports = SnapshotRepository;
@@ -0,0 +1,107 @@
+/**
+ * SocialCog.io - User Repository
+ * TM (2025) - TPCL, LLC
+ * Persistent storage for user accounts
+ */
+
+const _ = require("lodash");
+
+// Collections whose records carry a user_id owner
+const OWNED_COLLECTIONS = [
+  "profiles",
+  "connections",
+  "persons",
+  "identity_links",
+  "imports",
+  "refresh_schedules",
+  "refresh_runs",
+  "crawls",
+];
+
+class UserRepository {
+  constructor(database) {
+    this.db = database;
+  }
+
+  get users() {
+    return this.db.collection("users");
+  }
+
+  async count() {
+    return this.users.length;
+  }
+
+  async findAll() {
+    return _.cloneDeep(this.users);
+  }
+
+  async findById(id) {
+    const user = this.users.find((u) => u.id === parseInt(id));
+    return user ? _.cloneDeep(user) : null;
+  }
+
+  async findByEmail(email) {
+    const needle = String(email).toLowerCase();
+    const user = this.users.find((u) => u.email === needle);
+    return user ? _.cloneDeep(user) : null;
+  }
+
+  // Null when the email is taken; checked in the same tick as the insert
+  // so concurrent registrations cannot both get through
+  async create(attributes) {
+    const email = String(attributes.email).toLowerCase();
+    if (this.users.some((u) => u.email === email)) return null;
+
+    const now = new Date().toISOString();
+    const user = {
+      ...attributes,
+      email,
+      id: this.db.nextId("users"),
+      created_at: now,
+      updated_at: now,
+    };
+
+    this.users.push(user);
+    await this.db.persist();
+
+    return _.cloneDeep(user);
+  }
+
+  async update(id, changes) {
+    const user = this.users.find((u) => u.id === parseInt(id));
+    if (!user) return null;
+
+    Object.assign(user, changes, {
+      id: user.id,
+      email: user.email,
+      created_at: user.created_at,
+      updated_at: new Date().toISOString(),
+    });
+    await this.db.persist();
+
+    return _.cloneDeep(user);
+  }
+
+  // Hands every record without an owner to this user, filing it in the
+  // given workspace; returns how many records each collection gave up
+  async adoptUnowned(userId, { workspaceId = null } = {}) {
+    const adopted = {};
+
+    for (const name of OWNED_COLLECTIONS) {
+      adopted[name] = 0;
+      for (const record of this.db.collection(name)) {
+        if (record.user_id == null) {
+          record.user_id = userId;
+          record.workspace_id = workspaceId;
+          adopted[name] += 1;
+        }
+      }
+    }
+
+    await this.db.persist();
+    return adopted;
+  }
+}
+
+module.exports = UserRepository;
+module.exports.OWNED_COLLECTIONS = OWNED_COLLECTIONS;
@@ -0,0 +1,273 @@
+/**
+ * SocialCog.io - Workspace Repository
+ * TM (2025) - TPCL, LLC
+ * Persistent storage for workspaces, the named network maps users keep
+ */
+
+const _ = require("lodash");
+
+// What a workspace holds, in the order a copy has to be made: later
+// collections refer to the ids of earlier ones
+const CONTENT_COLLECTIONS = [
+  "profiles",
+  "networks",
+  "metric_snapshots",
+  "connections",
+  "persons",
+  "identity_links",
+  "refresh_schedules",
+];
+
+// Job history that is removed with a workspace but never copied
+const HISTORY_COLLECTIONS = ["imports", "crawls", "refresh_runs"];
+
+class WorkspaceRepository {
+  constructor(database) {
+    this.db = database;
+  }
+
+  get workspaces() {
+    return this.db.collection("workspaces");
+  }
+
+  // Oldest first, so a user's first workspace leads
+  async findByUser(userId, { includeArchived = true } = {}) {
+    return _.cloneDeep(
+      this.workspaces
+        .filter(
+          (w) => w.user_id === userId && (includeArchived || !w.archived_at)
+        )
+        .sort((a, b) => a.id - b.id)
+    );
+  }
+
+  async findById(id) {
+    const workspace = this.workspaces.find((w) => w.id === parseInt(id));
+    return workspace ? _.cloneDeep(workspace) : null;
+  }
+
+  async create(attributes) {
+    const now = new Date().toISOString();
+    const workspace = {
+      ...attributes,
+      description: attributes.description ?? null,
+      layout: attributes.layout || { positions: {} },
+      archived_at: null,
+      id: this.db.nextId("workspaces"),
+      created_at: now,
+      updated_at: now,
+    };
+
+    this.workspaces.push(workspace);
+    await this.db.persist();
+
+    return _.cloneDeep(workspace);
+  }
+
+  async update(id, changes) {
+    const workspace = this.workspaces.find((w) => w.id === parseInt(id));
+    if (!workspace) return null;
+
+    Object.assign(workspace, changes, {
+      id: workspace.id,
+      user_id: workspace.user_id,
+      created_at: workspace.created_at,
+      updated_at: new Date().toISOString(),
+    });
+    await this.db.persist();
+
+    return _.cloneDeep(workspace);
+  }
+
+  // Records per collection, for the workspace listing
+  async countContents(id) {
+    const workspaceId = parseInt(id);
+    const count = (name) =>
+      this.db.collection(name).filter((r) => r.workspace_id === workspaceId)
+        .length;
+
+    return {
+      profiles: count("profiles"),
+      connections: count("connections"),
+      persons: count("persons"),
+      refresh_schedules: count("refresh_schedules"),
+    };
+  }
+
+  /**
+   * Copies everything the source workspace holds into the target, giving
+   * each record a new id and pointing its references at the copies. Job
+   * history stays behind, and copied schedules start disabled so a clone
+   * does not double the API calls of the original. Returns how many
+   * records each collection gained.
+   */
+  async copyContents(sourceId, targetId, { includeSnapshots = true } = {}) {
+    const source = parseInt(sourceId);
+    const target = await this.findById(targetId);
+    const profileIds = new Map();
+    const personIds = new Map();
+    const copied = {};
+
+    const inSource = (name, belongs) =>
+      this.db
+        .collection(name)
+        .filter(belongs)
+        .map((r) => _.cloneDeep(r));
+    const insert = (name, records) => {
+      this.db.collection(name).push(...records);
+      copied[name] = records.length;
+    };
+    const owned = (record) => ({
+      ...record,
+      user_id: target.user_id,
+      workspace_id: target.id,
+    });
+
+    insert(
+      "profiles",
+      inSource("profiles", (p) => p.workspace_id === source).map((profile) => {
+        const id = this.db.nextId("profiles");
+        profileIds.set(profile.id, id);
+        return { ...owned(profile), id };
+      })
+    );
+    const belongsToCopy = (r) => profileIds.has(r.profile_id);
+
+    insert(
+      "networks",
+      inSource("networks", belongsToCopy).map((network) => ({
+        ...network,
+        profile_id: profileIds.get(network.profile_id),
+      }))
+    );
+
+    insert(
+      "metric_snapshots",
+      includeSnapshots
+        ? inSource("metric_snapshots", belongsToCopy).map((snapshot) => ({
+            ...snapshot,
+            id: this.db.nextId("metric_snapshots"),
+            profile_id: profileIds.get(snapshot.profile_id),
+          }))
+        : []
+    );
+
+    insert(
+      "connections",
+      inSource(
+        "connections",
+        (c) => profileIds.has(c.source_id) && profileIds.has(c.target_id)
+      ).map((connection) => ({
+        ...owned(connection),
+        id: this.db.nextId("connections"),
+        source_id: profileIds.get(connection.source_id),
+        target_id: profileIds.get(connection.target_id),
+      }))
+    );
+
+    insert(
+      "persons",
+      inSource("persons", (p) => p.workspace_id === source).map((person) => {
+        const id = this.db.nextId("persons");
+        personIds.set(person.id, id);
+        return {
+          ...owned(person),
+          id,
+          profile_ids: person.profile_ids
+            .filter((pid) => profileIds.has(pid))
+            .map((pid) => profileIds.get(pid)),
+        };
+      })
+    );
+
+    insert(
+      "identity_links",
+      inSource(
+        "identity_links",
+        (l) => profileIds.has(l.profile_a_id) && profileIds.has(l.profile_b_id)
+      ).map((link) => ({
+        ...owned(link),
+        id: this.db.nextId("identity_links"),
+        profile_a_id: profileIds.get(link.profile_a_id),
+        profile_b_id: profileIds.get(link.profile_b_id),
+        person_id: personIds.get(link.person_id) ?? null,
+      }))
+    );
+
+    insert(
+      "refresh_schedules",
+      inSource(
+        "refresh_schedules",
+        (s) =>
+          s.workspace_id === source &&
+          (s.profile_id == null || profileIds.has(s.profile_id))
+      ).map((schedule) => ({
+        ...owned(schedule),
+        id: this.db.nextId("refresh_schedules"),
+        profile_id:
+          schedule.profile_id == null
+            ? null
+            : profileIds.get(schedule.profile_id),
+        enabled: false,
+        next_run_at: null,
+        last_run_at: null,
+      }))
+    );
+
+    // Saved node positions are keyed by profile id
+    const { layout } = await this.findById(source);
+    await this.update(target.id, {
+      layout: {
+        ...layout,
+        positions: Object.fromEntries(
+          Object.entries(layout?.positions || {})
+            .filter(([id]) => profileIds.has(parseInt(id)))
+            .map(([id, position]) => [profileIds.get(parseInt(id)), position])
+        ),
+      },
+    });
+
+    return copied;
+  }
+
+  // Removes the workspace with everything in it; returns how many records
+  // each collection lost
+  async delete(id) {
+    const workspaceId = parseInt(id);
+    const index = this.workspaces.findIndex((w) => w.id === workspaceId);
+    if (index === -1) return null;
+
+    const profileIds = new Set(
+      this.db
+        .collection("profiles")
+        .filter((p) => p.workspace_id === workspaceId)
+        .map((p) => p.id)
+    );
+    const removed = {};
+
+    // Splice in place so the database keeps its collection references
+    const prune = (name, doomed) => {
+      const records = this.db.collection(name);
+      const before = records.length;
+      for (let i = records.length - 1; i >= 0; i--) {
+        if (doomed(records[i])) records.splice(i, 1);
+      }
+      removed[name] = before - records.length;
+    };
+
+    for (const name of [...CONTENT_COLLECTIONS, ...HISTORY_COLLECTIONS]) {
+      prune(name, (r) =>
+        r.workspace_id === undefined
+          ? profileIds.has(r.profile_id)
+          : r.workspace_id === workspaceId
+      );
+    }
+
+    this.workspaces.splice(index, 1);
+    await this.db.persist();
+
+    return removed;
+  }
+}
+
+module.exports = WorkspaceRepository;
@@ -0,0 +1,57 @@
+/**
+ * SocialCog.io - Admin Routes
+ * TM (2025) - TPCL, LLC
+ * Server-wide operations for accounts with the admin role
+ */
+
+const express = require("express");
+const { query, matchedData } = require("express-validator");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { validate } = require("../middleware/validate");
+const { requireAdmin } = require("../middleware/auth");
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+const platformQuery = () =>
+  query("platform")
+    .optional()
+    .custom((value, { req }) => {
+      if (!req.app.locals.platformRegistry.has(value)) {
+        throw new Error(`Platform ${value} is not enabled`);
+      }
+      return true;
+    });
+
+// Backend, key counts and hit/miss counters per platform since startup
+router.get(
+  "/cache",
+  platformQuery(),
+  validate,
+  asyncHandler(async (req, res) => {
+    const { platform } = matchedData(req);
+    res.json(await req.app.locals.cache.stats({ platform }));
+  })
+);
+
+// ?platform= and/or ?prefix= narrow the flush; keys look like
+// "<platform>:<identity>:<endpoint>:<request>", and with a platform the
+// prefix continues after it (e.g. platform=twitter&prefix=user:4:)
+router.delete(
+  "/cache",
+  platformQuery(),
+  query("prefix")
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 200 })
+    .withMessage("prefix must be 1-200 characters"),
+  validate,
+  asyncHandler(async (req, res) => {
+    const { platform, prefix } = matchedData(req);
+    const removed = await req.app.locals.cache.flush({ platform, prefix });
+    res.json({ message: "Cache flushed successfully", removed });
+  })
+);
+
+module.exports = router;
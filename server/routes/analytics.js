@@ -0,0 +1,103 @@
+/**
+ * SocialCog.io - Analytics Routes
+ * TM (2025) - TPCL, LLC
+ * Centrality, communities and introduction paths over the tracked network
+ */
+
+const express = require("express");
+const { query, matchedData } = require("express-validator");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { validate, csvQuery } = require("../middleware/validate");
+const { METRICS } = require("../graph/centrality");
+
+const router = express.Router();
+
+// Filters shared by every graph analysis
+const graphFilters = [
+  csvQuery("platform"),
+  csvQuery("edge_type"),
+  query("collapse")
+    .optional()
+    .isIn(["persons", "none"])
+    .withMessage("collapse must be persons or none"),
+];
+
+const toGraphOptions = ({ platform, edge_type: edgeType, collapse }) => ({
+  platforms: platform,
+  edgeTypes: edgeType,
+  collapsePersons: collapse === "persons",
+});
+
+router.get(
+  "/centrality",
+  ...graphFilters,
+  query("sort")
+    .optional()
+    .isIn(METRICS)
+    .withMessage(`sort must be one of ${METRICS.join(", ")}`),
+  validate,
+  asyncHandler(async (req, res) => {
+    const filters = matchedData(req);
+    const result = await req.app.locals.analyticsService.getCentrality({
+      ...toGraphOptions(filters),
+      userId: req.user.id,
+      workspaceId: req.workspace.id,
+      sort: filters.sort,
+    });
+    res.json(result);
+  })
+);
+
+router.get(
+  "/communities",
+  ...graphFilters,
+  query("resolution")
+    .optional()
+    .isFloat({ min: 0.1, max: 10 })
+    .withMessage("resolution must be between 0.1 and 10")
+    .toFloat(),
+  validate,
+  asyncHandler(async (req, res) => {
+    const filters = matchedData(req);
+    const result = await req.app.locals.analyticsService.getCommunities({
+      ...toGraphOptions(filters),
+      userId: req.user.id,
+      workspaceId: req.workspace.id,
+      resolution: filters.resolution,
+    });
+    res.json(result);
+  })
+);
+
+router.get(
+  "/paths",
+  ...graphFilters,
+  query("source")
+    .isInt({ min: 1 })
+    .withMessage("source must be a profile ID")
+    .toInt(),
+  query("target")
+    .isInt({ min: 1 })
+    .withMessage("target must be a profile ID")
+    .toInt(),
+  query("k")
+    .optional()
+    .isInt({ min: 0, max: 10 })
+    .withMessage("k must be between 0 and 10")
+    .toInt(),
+  validate,
+  asyncHandler(async (req, res) => {
+    const filters = matchedData(req);
+    const result = await req.app.locals.analyticsService.findIntroductionPaths({
+      ...toGraphOptions(filters),
+      userId: req.user.id,
+      workspaceId: req.workspace.id,
+      sourceProfileId: filters.source,
+      targetProfileId: filters.target,
+      k: filters.k,
+    });
+    res.json(result);
+  })
+);
+
+module.exports = router;
@@ -1,4 +1,162 @@
-const express = require('express');
+/**
+ * SocialCog.io - Core API Routes
+ * TM (2025) - TPCL, LLC
+ * Tracked profiles and the connections between them
+ */
+
+const express = require("express");
+const { body, param, query, matchedData } = require("express-validator");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { validate, csvQuery } = require("../middleware/validate");
+const { METRICS, INTERVALS } = require("../services/metricsService");
+
 const router = express.Router();
-router.get('/status', (req, res) => res.status(200).json({ status: 'API is running' }));
+
+const idRule = () =>
+  param("id").isInt({ min: 1 }).withMessage("id must be an ID").toInt();
+
+// Unavailable platforms pass, so adding a profile explains the 503
+const platformRule = () =>
+  body("platform")
+    .isString()
+    .withMessage("platform is required")
+    .bail()
+    .custom((value, { req }) => {
+      const registry = req.app.locals.platformRegistry;
+      if (!registry.has(value) && !registry.unavailableReason(value)) {
+        throw new Error(`Platform ${value} is not enabled`);
+      }
+      return true;
+    });
+
+const usernameRule = () =>
+  body("username")
+    .isString()
+    .withMessage("username must be a string")
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage("username is required")
+    .bail()
+    .custom((value, { req }) => {
+      const registry = req.app.locals.platformRegistry;
+      if (!registry.parseHandle(req.body.platform, value)) {
+        throw new Error(
+          `username is not a ${req.body.platform} handle or profile URL`
+        );
+      }
+      return true;
+    })
+    // Profile URLs are tracked under their handle
+    .customSanitizer((value, { req }) =>
+      req.app.locals.platformRegistry.parseHandle(req.body.platform, value)
+    );
+
+router.get("/status", (req, res) =>
+  res.status(200).json({ status: "API is running", data_mode: req.dataMode })
+);
+
+router.get(
+  "/profiles",
+  asyncHandler(async (req, res) => {
+    const profiles = await req.app.locals.profileService.listProfiles({
+      userId: req.user.id,
+      workspaceId: req.workspace.id,
+    });
+    res.json(profiles);
+  })
+);
+
+router.post(
+  "/profiles",
+  platformRule(),
+  usernameRule(),
+  validate,
+  asyncHandler(async (req, res) => {
+    const { username, platform } = matchedData(req);
+    const profile = await req.app.locals.profileService.addProfile(
+      platform,
+      username,
+      { mode: req.dataMode, userId: req.user.id, workspaceId: req.workspace.id }
+    );
+    res.status(201).json(profile);
+  })
+);
+
+router.post(
+  "/profiles/:id/refresh",
+  idRule(),
+  validate,
+  asyncHandler(async (req, res) => {
+    const profile = await req.app.locals.profileService.refreshProfile(
+      matchedData(req).id,
+      { userId: req.user.id, workspaceId: req.workspace.id }
+    );
+    res.json(profile);
+  })
+);
+
+// Metric history; ?days=N is shorthand for from = N days ago
+router.get(
+  "/profiles/:id/metrics",
+  idRule(),
+  query("from").optional().isISO8601().withMessage("from must be a date"),
+  query("to").optional().isISO8601().withMessage("to must be a date"),
+  query("days")
+    .optional()
+    .isInt({ min: 1, max: 3650 })
+    .withMessage("days must be between 1 and 3650")
+    .toInt(),
+  csvQuery("metric")
+    .custom((metrics) => metrics.every((metric) => METRICS.includes(metric)))
+    .withMessage(`metric must be among ${METRICS.join(", ")}`),
+  query("interval")
+    .optional()
+    .isIn(Object.keys(INTERVALS))
+    .withMessage(`interval must be ${Object.keys(INTERVALS).join(", ")}`),
+  query("include_mock").optional().isBoolean().toBoolean(),
+  validate,
+  asyncHandler(async (req, res) => {
+    const options = matchedData(req);
+    const from = options.days
+      ? new Date(Date.now() - options.days * 24 * 60 * 60 * 1000).toISOString()
+      : options.from && new Date(options.from).toISOString();
+
+    const history = await req.app.locals.metricsService.getHistory(options.id, {
+      from: from || null,
+      to: options.to ? new Date(options.to).toISOString() : null,
+      metrics: options.metric,
+      includeMock: options.include_mock,
+      interval: options.interval,
+      userId: req.user.id,
+      workspaceId: req.workspace.id,
+    });
+    res.json(history);
+  })
+);
+
+router.delete(
+  "/profiles/:id",
+  idRule(),
+  validate,
+  asyncHandler(async (req, res) => {
+    await req.app.locals.profileService.deleteProfile(matchedData(req).id, {
+      userId: req.user.id,
+      workspaceId: req.workspace.id,
+    });
+    res.json({ message: "Profile deleted successfully" });
+  })
+);
+
+router.get(
+  "/connections",
+  asyncHandler(async (req, res) => {
+    const connections = await req.app.locals.profileService.listConnections({
+      userId: req.user.id,
+      workspaceId: req.workspace.id,
+    });
+    res.json(connections);
+  })
+);
+
 module.exports = router;
@@ -0,0 +1,93 @@
+/**
+ * SocialCog.io - Auth Routes
+ * TM (2025) - TPCL, LLC
+ * Registration, login and token refresh
+ */
+
+const express = require("express");
+const { body, matchedData } = require("express-validator");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { validate } = require("../middleware/validate");
+const { createAuthLimiter } = require("../middleware/rateLimiter");
+const { NORMALIZE_EMAIL_OPTIONS } = require("../utils/email");
+
+const router = express.Router();
+
+// Password guessing and bulk sign-ups: 20 attempts per IP every 15 minutes,
+// shared by /register and /login
+const credentialLimiter = createAuthLimiter(20, {
+  message: {
+    error: "Too many attempts",
+    message: "Too many sign-in attempts, please try again later.",
+    service: "SocialCog.io API",
+  },
+});
+
+const email = () =>
+  body("email")
+    .isEmail()
+    .withMessage("email must be an email address")
+    .normalizeEmail(NORMALIZE_EMAIL_OPTIONS);
+
+router.post(
+  "/register",
+  credentialLimiter,
+  email(),
+  body("password")
+    .isString()
+    .isLength({ min: 8, max: 128 })
+    .withMessage("password must be 8 to 128 characters"),
+  body("name")
+    .optional({ values: "falsy" })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("name must be at most 100 characters"),
+  validate,
+  asyncHandler(async (req, res) => {
+    const session = await req.app.locals.authService.register(matchedData(req));
+    res.status(201).json(session);
+  })
+);
+
+router.post(
+  "/login",
+  credentialLimiter,
+  email(),
+  body("password").isString().notEmpty().withMessage("password is required"),
+  validate,
+  asyncHandler(async (req, res) => {
+    res.json(await req.app.locals.authService.login(matchedData(req)));
+  })
+);
+
+router.post(
+  "/refresh",
+  body("refresh_token")
+    .isString()
+    .notEmpty()
+    .withMessage("refresh_token is required"),
+  validate,
+  asyncHandler(async (req, res) => {
+    const { refresh_token: refreshToken } = matchedData(req);
+    res.json(await req.app.locals.authService.refresh(refreshToken));
+  })
+);
+
+// Revokes every access and refresh token issued to the user so far
+router.post(
+  "/logout",
+  asyncHandler(async (req, res) => {
+    await req.app.locals.authService.logout(req.user.id);
+    res.status(204).end();
+  })
+);
+
+router.get(
+  "/me",
+  asyncHandler(async (req, res) => {
+    res.json(await req.app.locals.authService.getUser(req.user.id));
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,147 @@
+/**
+ * SocialCog.io - Crawl Routes
+ * TM (2025) - TPCL, LLC
+ * Multi-hop ego-network crawls: start, control and read back the results
+ */
+
+const express = require("express");
+const { body, param, query, matchedData } = require("express-validator");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { validate } = require("../middleware/validate");
+const { DIRECTIONS } = require("../services/crawlService");
+
+const GRAPH_FORMATS = ["json", "graphml", "gexf", "jgf"];
+
+const router = express.Router();
+
+const idParam = param("id")
+  .isInt({ min: 1 })
+  .withMessage("id must be an ID")
+  .toInt();
+
+const intField = (name, min, max) =>
+  body(name)
+    .optional()
+    .isInt({ min, max })
+    .withMessage(`${name} must be between ${min} and ${max}`)
+    .toInt();
+
+// Body: { profile_id, depth?, request_budget?, max_nodes?, min_followers?,
+//         per_node_limit?, directions? }
+router.post(
+  "/",
+  body("profile_id")
+    .isInt({ min: 1 })
+    .withMessage("profile_id must be an ID")
+    .toInt(),
+  intField("depth", 1, 3),
+  intField("request_budget", 1, 10000),
+  intField("max_nodes", 2, 20000),
+  intField("min_followers", 0, 100000000),
+  intField("per_node_limit", 1, 1000),
+  body("directions")
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage("directions must be a non-empty array")
+    .bail()
+    .custom((directions) => directions.every((d) => DIRECTIONS.includes(d)))
+    .withMessage(`directions must be among ${DIRECTIONS.join(", ")}`),
+  validate,
+  asyncHandler(async (req, res) => {
+    const fields = matchedData(req);
+    const crawl = await req.app.locals.crawlService.startCrawl({
+      profileId: fields.profile_id,
+      depth: fields.depth,
+      requestBudget: fields.request_budget,
+      maxNodes: fields.max_nodes,
+      minFollowers: fields.min_followers,
+      perNodeLimit: fields.per_node_limit,
+      directions: fields.directions,
+      userId: req.user.id,
+      workspaceId: req.workspace.id,
+    });
+    res.status(202).json(crawl);
+  })
+);
+
+router.get(
+  "/",
+  asyncHandler(async (req, res) => {
+    res.json(
+      await req.app.locals.crawlService.listCrawls({
+        userId: req.user.id,
+        workspaceId: req.workspace.id,
+      })
+    );
+  })
+);
+
+router.get(
+  "/:id",
+  idParam,
+  validate,
+  asyncHandler(async (req, res) => {
+    res.json(
+      await req.app.locals.crawlService.getCrawl(req.params.id, {
+        userId: req.user.id,
+        workspaceId: req.workspace.id,
+      })
+    );
+  })
+);
+
+// The discovered accounts and follow edges, as JSON or a graph file
+router.get(
+  "/:id/graph",
+  idParam,
+  query("format")
+    .optional()
+    .isIn(GRAPH_FORMATS)
+    .withMessage(`format must be one of ${GRAPH_FORMATS.join(", ")}`),
+  validate,
+  asyncHandler(async (req, res) => {
+    const { id, format } = matchedData(req);
+    const result = await req.app.locals.crawlService.getCrawlGraph(id, {
+      format,
+      userId: req.user.id,
+      workspaceId: req.workspace.id,
+    });
+
+    if (!result.contentType) {
+      return res.json(result.body);
+    }
+    res.attachment(result.filename);
+    res.type(result.contentType).send(result.body);
+  })
+);
+
+for (const action of ["pause", "resume", "cancel"]) {
+  router.post(
+    `/:id/${action}`,
+    idParam,
+    validate,
+    asyncHandler(async (req, res) => {
+      const crawlService = req.app.locals.crawlService;
+      const crawl = await crawlService[`${action}Crawl`](req.params.id, {
+        userId: req.user.id,
+        workspaceId: req.workspace.id,
+      });
+      res.json(crawl);
+    })
+  );
+}
+
+router.delete(
+  "/:id",
+  idParam,
+  validate,
+  asyncHandler(async (req, res) => {
+    await req.app.locals.crawlService.deleteCrawl(req.params.id, {
+      userId: req.user.id,
+      workspaceId: req.workspace.id,
+    });
+    res.json({ message: "Crawl deleted successfully" });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,71 @@
+/**
+ * SocialCog.io - Export Routes
+ * TM (2025) - TPCL, LLC
+ * Downloads of the tracked network in graph-tool formats
+ */
+
+const express = require("express");
+const { param, query, matchedData } = require("express-validator");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { validate, csvQuery } = require("../middleware/validate");
+
+const router = express.Router();
+
+// GET /api/export/:format — csv needs ?table=nodes or ?table=edges
+router.get(
+  "/:format",
+  param("format")
+    .isIn(["graphml", "gexf", "jgf", "csv"])
+    .withMessage("format must be graphml, gexf, jgf or csv"),
+  query("table")
+    .if(param("format").equals("csv"))
+    .default("nodes")
+    .isIn(["nodes", "edges"])
+    .withMessage("table must be nodes or edges"),
+  csvQuery("platform"),
+  csvQuery("edge_type"),
+  query("collapse")
+    .optional()
+    .isIn(["persons", "none"])
+    .withMessage("collapse must be persons or none"),
+  csvQuery("cluster")
+    .custom((ids) => ids.every((id) => /^\d+$/.test(id)))
+    .withMessage("cluster must be a list of cluster IDs")
+    .customSanitizer((ids) => ids.map(Number)),
+  query("ego")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("ego must be a profile ID")
+    .toInt(),
+  query("depth")
+    .optional()
+    .isInt({ min: 1, max: 3 })
+    .withMessage("depth must be between 1 and 3")
+    .toInt(),
+  validate,
+  asyncHandler(async (req, res) => {
+    const options = matchedData(req);
+    const format =
+      options.format === "csv" ? `csv_${options.table}` : options.format;
+
+    const result = await req.app.locals.exportService.exportGraph({
+      format,
+      platforms: options.platform,
+      edgeTypes: options.edge_type,
+      collapsePersons: options.collapse === "persons",
+      clusterIds: options.cluster,
+      egoProfileId: options.ego,
+      egoDepth: options.depth,
+      userId: req.user.id,
+      workspaceId: req.workspace.id,
+    });
+
+    res.set("X-Node-Count", String(result.nodeCount));
+    res.set("X-Edge-Count", String(result.edgeCount));
+    res.attachment(result.filename);
+    res.type(result.contentType);
+    res.send(result.body);
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,99 @@
+/**
+ * SocialCog.io - GitHub Routes
+ * TM (2025) - TPCL, LLC
+ * GitHub profiles, follower graphs and mutual followers
+ */
+
+const express = require("express");
+const { body, param, query, matchedData } = require("express-validator");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { validate } = require("../middleware/validate");
+const { requirePlatform } = require("../middleware/requirePlatform");
+const { sendSuccess } = require("../utils/apiResponse");
+
+const router = express.Router();
+
+router.use(requirePlatform("github"));
+
+// GitHub logins: alphanumerics and single inner hyphens, at most 39 chars
+const USERNAME_PATTERN = /^[A-Za-z0-9](?:[A-Za-z0-9]|-(?=[A-Za-z0-9])){0,38}$/;
+
+const usernameRule = (chain) =>
+  chain
+    .trim()
+    .matches(USERNAME_PATTERN)
+    .withMessage("username must be a valid GitHub login");
+
+const maxResultsRule = (chain) =>
+  chain
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("max_results must be an integer between 1 and 100")
+    .toInt();
+
+router.get(
+  "/status",
+  asyncHandler(async (req, res) => {
+    const status = await req.platformService.checkApiStatus();
+    res.json(status);
+  })
+);
+
+router.get(
+  "/profile/:username",
+  usernameRule(param("username")),
+  validate,
+  asyncHandler(async (req, res) => {
+    const profile = await req.platformService.getUserProfile(
+      matchedData(req).username
+    );
+    sendSuccess(res, { profile }, { profile });
+  })
+);
+
+router.get(
+  "/profile/:username/followers",
+  usernameRule(param("username")),
+  maxResultsRule(query("max_results")),
+  validate,
+  asyncHandler(async (req, res) => {
+    const { username, max_results: maxResults = 100 } = matchedData(req);
+    const followers = await req.platformService.getUserFollowers(
+      username,
+      maxResults
+    );
+    sendSuccess(res, followers, { followers });
+  })
+);
+
+router.get(
+  "/profile/:username/following",
+  usernameRule(param("username")),
+  maxResultsRule(query("max_results")),
+  validate,
+  asyncHandler(async (req, res) => {
+    const { username, max_results: maxResults = 100 } = matchedData(req);
+    const following = await req.platformService.getUserFollowing(
+      username,
+      maxResults
+    );
+    sendSuccess(res, following, { following });
+  })
+);
+
+router.post(
+  "/mutual",
+  body("usernames")
+    .isArray({ min: 2, max: 10 })
+    .withMessage("usernames must be an array of 2 to 10 GitHub logins"),
+  usernameRule(body("usernames.*")),
+  validate,
+  asyncHandler(async (req, res) => {
+    const connections = await req.platformService.findMutualConnections(
+      matchedData(req).usernames
+    );
+    sendSuccess(res, { count: connections.length, connections });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,43 @@
+/**
+ * SocialCog.io - Graph Routes
+ * TM (2025) - TPCL, LLC
+ * Node/edge view of the tracked network
+ */
+
+const express = require("express");
+const { query, matchedData } = require("express-validator");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { validate, csvQuery } = require("../middleware/validate");
+const { buildGraph } = require("../graph/graphBuilder");
+
+const router = express.Router();
+
+router.get(
+  "/",
+  csvQuery("platform"),
+  csvQuery("edge_type"),
+  query("collapse")
+    .optional()
+    .isIn(["persons", "none"])
+    .withMessage("collapse must be persons or none"),
+  validate,
+  asyncHandler(async (req, res) => {
+    const { platform, edge_type: edgeType, collapse } = matchedData(req);
+    const { profileRepository, connectionRepository, personRepository } =
+      req.app.locals;
+    const scope = { userId: req.user.id, workspaceId: req.workspace.id };
+
+    const graph = buildGraph({
+      profiles: await profileRepository.findAll(scope),
+      connections: await connectionRepository.findAll(scope),
+      persons: await personRepository.findAll(scope),
+      platforms: platform,
+      edgeTypes: edgeType,
+      collapsePersons: collapse === "persons",
+    });
+
+    res.json(graph);
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+/**
+ * SocialCog.io - Health Routes
+ * TM (2025) - TPCL, LLC
+ * Liveness and readiness for load balancers and monitoring, without auth
+ */
+
+const express = require("express");
+const { asyncHandler } = require("../middleware/errorHandler");
+
+const router = express.Router();
+
+// Always 200 while the process runs; the body says how well it runs:
+// per-platform status and last check, rate-limit headroom, cache stats
+router.get(
+  "/",
+  asyncHandler(async (req, res) => {
+    res.json(await req.app.locals.platformHealth.report());
+  })
+);
+
+// 503 once no platform can serve requests, live or demo
+router.get(
+  "/ready",
+  asyncHandler(async (req, res) => {
+    const report = await req.app.locals.platformHealth.report();
+    res.status(report.ready ? 200 : 503).json(report);
+  })
+);
+
+module.exports = router;
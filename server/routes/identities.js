@@ -0,0 +1,134 @@
+/**
+ * SocialCog.io - Identity Routes
+ * TM (2025) - TPCL, LLC
+ * Cross-platform identity candidates and the persons they form
+ */
+
+const express = require("express");
+const { body, param, query, matchedData } = require("express-validator");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { validate } = require("../middleware/validate");
+
+const router = express.Router();
+
+const idRule = (name) =>
+  param(name).isInt({ min: 1 }).withMessage(`${name} must be an ID`).toInt();
+
+router.get(
+  "/candidates",
+  query("status")
+    .optional()
+    .isIn(["candidate", "confirmed", "rejected"])
+    .withMessage("status must be candidate, confirmed or rejected"),
+  query("min_confidence")
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage("min_confidence must be between 0 and 1")
+    .toFloat(),
+  validate,
+  asyncHandler(async (req, res) => {
+    const { status, min_confidence: minConfidence } = matchedData(req);
+    const candidates = await req.app.locals.identityResolver.listCandidates({
+      status,
+      minConfidence,
+      userId: req.user.id,
+      workspaceId: req.workspace.id,
+    });
+    res.json(candidates);
+  })
+);
+
+router.post(
+  "/resolve",
+  asyncHandler(async (req, res) => {
+    const result = await req.app.locals.identityResolver.resolveAll({
+      userId: req.user.id,
+      workspaceId: req.workspace.id,
+    });
+    res.json(result);
+  })
+);
+
+router.post(
+  "/candidates/:id/confirm",
+  idRule("id"),
+  validate,
+  asyncHandler(async (req, res) => {
+    const result = await req.app.locals.identityResolver.confirmLink(
+      req.params.id,
+      { userId: req.user.id, workspaceId: req.workspace.id }
+    );
+    res.json(result);
+  })
+);
+
+router.post(
+  "/candidates/:id/reject",
+  idRule("id"),
+  validate,
+  asyncHandler(async (req, res) => {
+    const link = await req.app.locals.identityResolver.rejectLink(
+      req.params.id,
+      { userId: req.user.id, workspaceId: req.workspace.id }
+    );
+    res.json(link);
+  })
+);
+
+router.get(
+  "/persons",
+  asyncHandler(async (req, res) => {
+    const persons = await req.app.locals.personRepository.findAll({
+      userId: req.user.id,
+      workspaceId: req.workspace.id,
+    });
+    res.json(persons);
+  })
+);
+
+// Manual merge: any persons the profiles already belong to are folded in
+router.post(
+  "/persons",
+  body("profile_ids")
+    .isArray({ min: 2 })
+    .withMessage("profile_ids must list at least two profiles"),
+  body("profile_ids.*").isInt({ min: 1 }).toInt(),
+  body("name").optional().trim().isLength({ min: 1, max: 200 }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const { profile_ids: profileIds, name } = matchedData(req);
+    const person = await req.app.locals.identityResolver.mergeProfiles(
+      profileIds,
+      {
+        name,
+        source: "manual",
+        userId: req.user.id,
+        workspaceId: req.workspace.id,
+      }
+    );
+    res.status(201).json(person);
+  })
+);
+
+router.delete(
+  "/persons/:id/profiles/:profileId",
+  idRule("id"),
+  idRule("profileId"),
+  validate,
+  asyncHandler(async (req, res) => {
+    const { id, profileId } = matchedData(req);
+    const person = await req.app.locals.identityResolver.detachProfile(
+      id,
+      profileId,
+      { userId: req.user.id, workspaceId: req.workspace.id }
+    );
+    res.json({
+      message: person
+        ? "Profile detached from person"
+        : "Profile detached; person dissolved",
+      person,
+    });
+  })
+);
+
+module.exports = router;
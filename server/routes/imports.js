@@ -0,0 +1,75 @@
+/**
+ * SocialCog.io - Import Routes
+ * TM (2025) - TPCL, LLC
+ * Bulk profile imports and their per-row reports
+ */
+
+const express = require("express");
+const { body, param, matchedData } = require("express-validator");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { validate } = require("../middleware/validate");
+
+const router = express.Router();
+
+// Body: { text, default_platform?, source? } where text is CSV/TSV or a
+// pasted list of handles and profile URLs
+router.post(
+  "/",
+  body("text")
+    .isString()
+    .withMessage("text must be a string")
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage("text is required"),
+  body("default_platform").optional({ values: "falsy" }).trim().toLowerCase(),
+  body("source")
+    .optional()
+    .isIn(["paste", "csv", "tsv"])
+    .withMessage("source must be paste, csv or tsv"),
+  validate,
+  asyncHandler(async (req, res) => {
+    const {
+      text,
+      default_platform: defaultPlatform,
+      source,
+    } = matchedData(req);
+    const job = await req.app.locals.importService.createImport({
+      text,
+      defaultPlatform,
+      source,
+      mode: req.dataMode,
+      userId: req.user.id,
+      workspaceId: req.workspace.id,
+    });
+    res.status(202).json(job);
+  })
+);
+
+router.get(
+  "/",
+  asyncHandler(async (req, res) => {
+    res.json(
+      await req.app.locals.importService.listImports({
+        userId: req.user.id,
+        workspaceId: req.workspace.id,
+      })
+    );
+  })
+);
+
+router.get(
+  "/:id",
+  param("id").isInt({ min: 1 }).withMessage("id must be an ID").toInt(),
+  validate,
+  asyncHandler(async (req, res) => {
+    res.json(
+      await req.app.locals.importService.getImport(req.params.id, {
+        userId: req.user.id,
+        workspaceId: req.workspace.id,
+      })
+    );
+  })
+);
+
+module.exports = router;
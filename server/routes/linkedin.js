@@ -1,4 +1,120 @@
-const express = require('express');
+/**
+ * SocialCog.io - LinkedIn Routes
+ * TM (2025) - TPCL, LLC
+ * LinkedIn profiles, companies, connections and people search
+ */
+
+const express = require("express");
+const { body, param, query, matchedData } = require("express-validator");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { validate } = require("../middleware/validate");
+const { requirePlatform } = require("../middleware/requirePlatform");
+const { sendSuccess } = require("../utils/apiResponse");
+
 const router = express.Router();
-router.post('/profile', (req, res) => res.json({ message: 'LinkedIn profile endpoint placeholder' }));
+
+router.use(requirePlatform("linkedin"));
+
+// Vanity slugs and member/company IDs left after stripping the URL
+const IDENTIFIER_PATTERN = /^[A-Za-z0-9_%-]{2,100}$/;
+
+// Accepts either a full LinkedIn URL or the bare identifier, validated
+// through the same extractor the service uses when it makes the request
+const linkedinIdentifier = (chain, extractor, label) =>
+  chain
+    .trim()
+    .notEmpty()
+    .withMessage(`${label} is required`)
+    .bail()
+    .custom((value, { req }) => {
+      const identifier = req.platformService[extractor](value);
+      if (!IDENTIFIER_PATTERN.test(identifier)) {
+        throw new Error(`${label} must be a LinkedIn URL or identifier`);
+      }
+      return true;
+    });
+
+const maxResultsRule = (chain, max) =>
+  chain
+    .optional()
+    .isInt({ min: 1, max })
+    .withMessage(`max_results must be an integer between 1 and ${max}`)
+    .toInt();
+
+const sendProfile = async (req, res, profileUrl) => {
+  const profile = await req.platformService.getUserProfile(profileUrl);
+  sendSuccess(res, { profile }, { profile });
+};
+
+const sendCompany = async (req, res, companyUrl) => {
+  const company = await req.platformService.getCompanyProfile(companyUrl);
+  sendSuccess(res, { company }, { company });
+};
+
+router.post(
+  "/profile",
+  linkedinIdentifier(body("profile_url"), "extractProfileId", "profile_url"),
+  validate,
+  asyncHandler(async (req, res) => {
+    await sendProfile(req, res, matchedData(req).profile_url);
+  })
+);
+
+router.get(
+  "/profile/:profileId",
+  linkedinIdentifier(param("profileId"), "extractProfileId", "profileId"),
+  validate,
+  asyncHandler(async (req, res) => {
+    await sendProfile(req, res, matchedData(req).profileId);
+  })
+);
+
+router.get(
+  "/profile/:profileId/connections",
+  linkedinIdentifier(param("profileId"), "extractProfileId", "profileId"),
+  maxResultsRule(query("max_results"), 500),
+  validate,
+  asyncHandler(async (req, res) => {
+    const { profileId, max_results: maxResults = 100 } = matchedData(req);
+    const connections = await req.platformService.getUserConnections(
+      profileId,
+      maxResults
+    );
+    sendSuccess(res, connections, { connections });
+  })
+);
+
+router.post(
+  "/company",
+  linkedinIdentifier(body("company_url"), "extractCompanyId", "company_url"),
+  validate,
+  asyncHandler(async (req, res) => {
+    await sendCompany(req, res, matchedData(req).company_url);
+  })
+);
+
+router.get(
+  "/company/:companyId",
+  linkedinIdentifier(param("companyId"), "extractCompanyId", "companyId"),
+  validate,
+  asyncHandler(async (req, res) => {
+    await sendCompany(req, res, matchedData(req).companyId);
+  })
+);
+
+router.get(
+  "/search",
+  query("q")
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("q must be between 2 and 100 characters"),
+  maxResultsRule(query("max_results"), 50),
+  validate,
+  asyncHandler(async (req, res) => {
+    const { q, max_results: maxResults = 10 } = matchedData(req);
+    const results = await req.platformService.searchPeople(q, maxResults);
+    sendSuccess(res, results, { results });
+  })
+);
+
 module.exports = router;
@@ -0,0 +1,84 @@
+/**
+ * SocialCog.io - OAuth Routes
+ * TM (2025) - TPCL, LLC
+ * Connecting and disconnecting each user's own platform accounts
+ */
+
+const express = require("express");
+const { param } = require("express-validator");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { validate } = require("../middleware/validate");
+const { OAUTH_PLATFORMS } = require("../config/credentials");
+const logger = require("../utils/logger");
+
+const router = express.Router();
+
+const platformRule = () =>
+  param("platform")
+    .isIn(OAUTH_PLATFORMS)
+    .withMessage(`platform must be one of: ${OAUTH_PLATFORMS.join(", ")}`);
+
+router.get(
+  "/",
+  asyncHandler(async (req, res) => {
+    const connections = await req.app.locals.oauthService.listConnections(
+      req.user.id
+    );
+    res.json({ connections });
+  })
+);
+
+// The client sends the user to authorize_url; the provider sends them back
+// to the callback below
+router.post("/:platform/connect", platformRule(), validate, (req, res) => {
+  res.json(
+    req.app.locals.oauthService.connect(req.user.id, req.params.platform)
+  );
+});
+
+// Reached by the provider's redirect, so without an access token: the
+// state ties it to the user who started the flow. Outcomes go back to the
+// app in the query string (?oauth=twitter&status=connected)
+router.get(
+  "/:platform/callback",
+  asyncHandler(async (req, res) => {
+    const { platform } = req.params;
+    const back = (params) =>
+      res.redirect(
+        `${process.env.FRONTEND_URL || "http://localhost:3000"}/?${new URLSearchParams(
+          { oauth: platform, ...params }
+        )}`
+      );
+
+    try {
+      const query = (name) =>
+        typeof req.query[name] === "string" ? req.query[name] : null;
+      await req.app.locals.oauthService.callback(platform, {
+        code: query("code"),
+        state: query("state"),
+        error: query("error_description") || query("error"),
+      });
+      back({ status: "connected" });
+    } catch (error) {
+      logger.warn(
+        `⚠️ SocialCog.io: ${platform} OAuth callback failed: ${error.message}`
+      );
+      back({ status: "error", message: error.message });
+    }
+  })
+);
+
+router.delete(
+  "/:platform",
+  platformRule(),
+  validate,
+  asyncHandler(async (req, res) => {
+    await req.app.locals.oauthService.disconnect(
+      req.user.id,
+      req.params.platform
+    );
+    res.status(204).end();
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,62 @@
+/**
+ * SocialCog.io - Platform Routes
+ * TM (2025) - TPCL, LLC
+ * Enabled platforms, their capabilities, status and search
+ */
+
+const express = require("express");
+const { param, query, matchedData } = require("express-validator");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { validate } = require("../middleware/validate");
+const { sendSuccess } = require("../utils/apiResponse");
+
+const router = express.Router();
+
+const platformRule = () =>
+  param("platform")
+    .custom((value, { req }) => {
+      if (!req.app.locals.platformRegistry.has(value)) {
+        throw new Error(`Platform ${value} is not enabled`);
+      }
+      return true;
+    });
+
+router.get("/", (req, res) => {
+  res.json(req.app.locals.platformRegistry.describe());
+});
+
+router.get(
+  "/:platform/status",
+  platformRule(),
+  validate,
+  asyncHandler(async (req, res) => {
+    const adapter = req.app.locals.platformRegistry.get(req.params.platform, {
+      userId: req.user.id,
+    });
+    res.json({ ...adapter.describe(), ...(await adapter.status()) });
+  })
+);
+
+router.get(
+  "/:platform/search",
+  platformRule(),
+  query("q")
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("q must be between 2 and 100 characters"),
+  query("max_results")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("max_results must be an integer between 1 and 50")
+    .toInt(),
+  validate,
+  asyncHandler(async (req, res) => {
+    const { platform, q, max_results: maxResults = 10 } = matchedData(req);
+    const results = await req.app.locals.platformRegistry
+      .get(platform, { userId: req.user.id })
+      .search(q, { limit: maxResults });
+    sendSuccess(res, results, { results });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,184 @@
+/**
+ * SocialCog.io - Schedule Routes
+ * TM (2025) - TPCL, LLC
+ * Background refresh schedules, their run history and the scheduler's queues
+ */
+
+const express = require("express");
+const { body, param, query, matchedData } = require("express-validator");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { validate } = require("../middleware/validate");
+const { SCOPES, RUN_STATUSES } = require("../services/refreshScheduler");
+
+const router = express.Router();
+
+const idParam = param("id")
+  .isInt({ min: 1 })
+  .withMessage("id must be an ID")
+  .toInt();
+
+// Shared by create and update; cron syntax is checked by the scheduler
+const scheduleFields = [
+  body("name").optional().isString().trim().isLength({ max: 100 }),
+  body("platforms")
+    .optional({ values: "null" })
+    .isArray({ min: 1 })
+    .withMessage("platforms must be a non-empty array"),
+  body("platforms.*").isString().trim().toLowerCase(),
+  body("include_connections").optional().isBoolean().toBoolean(),
+  body("enabled").optional().isBoolean().toBoolean(),
+];
+
+const toScheduleOptions = (fields) => ({
+  name: fields.name,
+  cron: fields.cron,
+  platforms: fields.platforms,
+  includeConnections: fields.include_connections,
+  enabled: fields.enabled,
+});
+
+router.get(
+  "/",
+  asyncHandler(async (req, res) => {
+    res.json(
+      await req.app.locals.refreshScheduler.listSchedules({
+        userId: req.user.id,
+        workspaceId: req.workspace.id,
+      })
+    );
+  })
+);
+
+// Body: { cron, scope, profile_id?, platforms?, name?, include_connections?, enabled? }
+router.post(
+  "/",
+  body("cron")
+    .isString()
+    .withMessage("cron must be a string")
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage("cron is required"),
+  body("scope")
+    .isIn(SCOPES)
+    .withMessage(`scope must be ${SCOPES.join(" or ")}`),
+  body("profile_id")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("profile_id must be an ID")
+    .toInt(),
+  ...scheduleFields,
+  validate,
+  asyncHandler(async (req, res) => {
+    const fields = matchedData(req);
+    const schedule = await req.app.locals.refreshScheduler.createSchedule({
+      ...toScheduleOptions(fields),
+      scope: fields.scope,
+      profileId: fields.profile_id,
+      userId: req.user.id,
+      workspaceId: req.workspace.id,
+    });
+    res.status(201).json(schedule);
+  })
+);
+
+// The scheduler's queues as far as the caller's workspace is concerned
+router.get(
+  "/status",
+  asyncHandler(async (req, res) => {
+    res.json(
+      await req.app.locals.refreshScheduler.status({
+        userId: req.user.id,
+        workspaceId: req.workspace.id,
+      })
+    );
+  })
+);
+
+router.get(
+  "/runs",
+  query("schedule_id").optional().isInt({ min: 1 }).toInt(),
+  query("profile_id").optional().isInt({ min: 1 }).toInt(),
+  query("status")
+    .optional()
+    .isIn(RUN_STATUSES)
+    .withMessage(`status must be one of ${RUN_STATUSES.join(", ")}`),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage("limit must be between 1 and 500")
+    .toInt(),
+  validate,
+  asyncHandler(async (req, res) => {
+    const filters = matchedData(req);
+    const runs = await req.app.locals.refreshScheduler.listRuns({
+      scheduleId: filters.schedule_id,
+      profileId: filters.profile_id,
+      status: filters.status,
+      limit: filters.limit,
+      userId: req.user.id,
+      workspaceId: req.workspace.id,
+    });
+    res.json(runs);
+  })
+);
+
+router.get(
+  "/:id",
+  idParam,
+  validate,
+  asyncHandler(async (req, res) => {
+    res.json(
+      await req.app.locals.refreshScheduler.getSchedule(req.params.id, {
+        userId: req.user.id,
+        workspaceId: req.workspace.id,
+      })
+    );
+  })
+);
+
+router.patch(
+  "/:id",
+  idParam,
+  body("cron").optional().isString().trim().notEmpty(),
+  ...scheduleFields,
+  validate,
+  asyncHandler(async (req, res) => {
+    const fields = matchedData(req);
+    const schedule = await req.app.locals.refreshScheduler.updateSchedule(
+      fields.id,
+      toScheduleOptions(fields),
+      { userId: req.user.id, workspaceId: req.workspace.id }
+    );
+    res.json(schedule);
+  })
+);
+
+router.delete(
+  "/:id",
+  idParam,
+  validate,
+  asyncHandler(async (req, res) => {
+    await req.app.locals.refreshScheduler.deleteSchedule(req.params.id, {
+      userId: req.user.id,
+      workspaceId: req.workspace.id,
+    });
+    res.json({ message: "Schedule deleted successfully" });
+  })
+);
+
+// Queues the schedule's profiles immediately; results land in /runs
+router.post(
+  "/:id/run",
+  idParam,
+  validate,
+  asyncHandler(async (req, res) => {
+    const result = await req.app.locals.refreshScheduler.runNow(req.params.id, {
+      userId: req.user.id,
+      workspaceId: req.workspace.id,
+    });
+    res.status(202).json(result);
+  })
+);
+
+module.exports = router;
@@ -1,4 +1,121 @@
-const express = require('express');
+/**
+ * SocialCog.io - Twitter Routes
+ * TM (2025) - TPCL, LLC
+ * Live Twitter profile ingestion with followers and following
+ */
+
+const express = require("express");
+const { body, param, query, matchedData } = require("express-validator");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { validate } = require("../middleware/validate");
+const { requirePlatform } = require("../middleware/requirePlatform");
+const { sendSuccess } = require("../utils/apiResponse");
+const { userIdentity } = require("../services/oauthService");
+
 const router = express.Router();
-router.post('/profile', (req, res) => res.json({ message: 'Twitter profile endpoint placeholder' }));
+
+router.use(requirePlatform("twitter"));
+
+// Twitter handles: 1-15 letters, digits or underscores, optional leading @
+const USERNAME_PATTERN = /^@?[A-Za-z0-9_]{1,15}$/;
+const USER_ID_PATTERN = /^\d{1,19}$/;
+
+// Lists page 1000 at a time, up to the service's page cap
+const maxResultsRule = (chain) =>
+  chain
+    .optional()
+    .isInt({ min: 1, max: 15000 })
+    .withMessage("max_results must be an integer between 1 and 15000")
+    .toInt();
+
+const usernameRule = (chain) =>
+  chain
+    .trim()
+    .matches(USERNAME_PATTERN)
+    .withMessage("username must be a valid Twitter handle")
+    .customSanitizer((value) => value.replace(/^@/, ""));
+
+// Fetches the profile and its follower graph in one go
+const fetchProfileBundle = async (twitterService, usernameOrId, maxResults) => {
+  const profile = await twitterService.getUserProfile(usernameOrId);
+
+  const [followers, following] = await Promise.all([
+    twitterService.getUserFollowers(profile.id, maxResults, {
+      expectedCount: profile.followers,
+    }),
+    twitterService.getUserFollowing(profile.id, maxResults, {
+      expectedCount: profile.following,
+    }),
+  ]);
+
+  return { profile, followers, following };
+};
+
+const sendProfileBundle = (res, bundle) =>
+  sendSuccess(res, bundle, {
+    profile: bundle.profile,
+    followers: bundle.followers,
+    following: bundle.following,
+  });
+
+// Remaining budget per endpoint, as last reported by the x-rate-limit
+// headers, for the app's credentials and the user's connected account
+router.get("/rate-limits", (req, res) =>
+  res.json(
+    req.app.locals.twitterScheduler.status({
+      identities: ["app", userIdentity(req.user.id)],
+    })
+  )
+);
+
+router.post(
+  "/profile",
+  usernameRule(body("username")),
+  maxResultsRule(body("max_results")),
+  validate,
+  asyncHandler(async (req, res) => {
+    const { username, max_results: maxResults = 100 } = matchedData(req);
+    const bundle = await fetchProfileBundle(
+      req.platformService,
+      username,
+      maxResults
+    );
+    sendProfileBundle(res, bundle);
+  })
+);
+
+router.get(
+  "/profile/id/:id",
+  param("id")
+    .matches(USER_ID_PATTERN)
+    .withMessage("id must be a numeric Twitter user ID"),
+  maxResultsRule(query("max_results")),
+  validate,
+  asyncHandler(async (req, res) => {
+    const { id, max_results: maxResults = 100 } = matchedData(req);
+    const bundle = await fetchProfileBundle(
+      req.platformService,
+      id,
+      maxResults
+    );
+    sendProfileBundle(res, bundle);
+  })
+);
+
+router.get(
+  "/profile/:username",
+  usernameRule(param("username")),
+  maxResultsRule(query("max_results")),
+  validate,
+  asyncHandler(async (req, res) => {
+    const { username, max_results: maxResults = 100 } = matchedData(req);
+    const bundle = await fetchProfileBundle(
+      req.platformService,
+      username,
+      maxResults
+    );
+    sendProfileBundle(res, bundle);
+  })
+);
+
 module.exports = router;
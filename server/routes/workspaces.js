@@ -0,0 +1,186 @@
+/**
+ * SocialCog.io - Workspace Routes
+ * TM (2025) - TPCL, LLC
+ * Named network maps: listing, cloning, archiving and saved layouts
+ */
+
+const express = require("express");
+const { body, param, query, matchedData } = require("express-validator");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { validate } = require("../middleware/validate");
+
+const router = express.Router();
+
+const idParam = param("id")
+  .isInt({ min: 1 })
+  .withMessage("id must be an ID")
+  .toInt();
+
+const nameField = () =>
+  body("name")
+    .isString()
+    .withMessage("name must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 80 })
+    .withMessage("name must be 1-80 characters");
+
+const descriptionField = () =>
+  body("description")
+    .optional({ values: "null" })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("description must be at most 500 characters");
+
+const isPosition = (position) =>
+  position !== null &&
+  typeof position === "object" &&
+  Number.isFinite(position.x) &&
+  Number.isFinite(position.y);
+
+router.get(
+  "/",
+  query("include_archived").optional().isBoolean().toBoolean(),
+  validate,
+  asyncHandler(async (req, res) => {
+    const { include_archived: includeArchived = true } = matchedData(req);
+    res.json({
+      current_workspace_id: req.workspace.id,
+      workspaces: await req.app.locals.workspaceService.listWorkspaces(
+        req.user.id,
+        { includeArchived }
+      ),
+    });
+  })
+);
+
+// Body: { name, description? }
+router.post(
+  "/",
+  nameField(),
+  descriptionField(),
+  validate,
+  asyncHandler(async (req, res) => {
+    const fields = matchedData(req);
+    const workspace = await req.app.locals.workspaceService.createWorkspace(
+      req.user.id,
+      { name: fields.name, description: fields.description }
+    );
+    res.status(201).json(workspace);
+  })
+);
+
+router.get(
+  "/:id",
+  idParam,
+  validate,
+  asyncHandler(async (req, res) => {
+    res.json(
+      await req.app.locals.workspaceService.getWorkspace(req.params.id, {
+        userId: req.user.id,
+      })
+    );
+  })
+);
+
+router.patch(
+  "/:id",
+  idParam,
+  nameField().optional(),
+  descriptionField(),
+  validate,
+  asyncHandler(async (req, res) => {
+    const fields = matchedData(req);
+    const workspace = await req.app.locals.workspaceService.updateWorkspace(
+      fields.id,
+      { name: fields.name, description: fields.description },
+      { userId: req.user.id }
+    );
+    res.json(workspace);
+  })
+);
+
+// Removes the workspace and everything tracked in it
+router.delete(
+  "/:id",
+  idParam,
+  validate,
+  asyncHandler(async (req, res) => {
+    const removed = await req.app.locals.workspaceService.deleteWorkspace(
+      req.params.id,
+      { userId: req.user.id }
+    );
+    res.json({ message: "Workspace deleted successfully", removed });
+  })
+);
+
+// Body: { name?, include_snapshots? }; schedules are copied disabled
+router.post(
+  "/:id/clone",
+  idParam,
+  nameField().optional(),
+  body("include_snapshots").optional().isBoolean().toBoolean(),
+  validate,
+  asyncHandler(async (req, res) => {
+    const fields = matchedData(req);
+    const workspace = await req.app.locals.workspaceService.cloneWorkspace(
+      fields.id,
+      { name: fields.name, includeSnapshots: fields.include_snapshots },
+      { userId: req.user.id }
+    );
+    res.status(201).json(workspace);
+  })
+);
+
+router.post(
+  "/:id/archive",
+  idParam,
+  validate,
+  asyncHandler(async (req, res) => {
+    res.json(
+      await req.app.locals.workspaceService.archiveWorkspace(req.params.id, {
+        userId: req.user.id,
+      })
+    );
+  })
+);
+
+router.post(
+  "/:id/restore",
+  idParam,
+  validate,
+  asyncHandler(async (req, res) => {
+    res.json(
+      await req.app.locals.workspaceService.restoreWorkspace(req.params.id, {
+        userId: req.user.id,
+      })
+    );
+  })
+);
+
+// Body: { positions: { <profile id>: { x, y } } }, replacing the saved ones
+router.put(
+  "/:id/layout",
+  idParam,
+  body("positions")
+    .isObject()
+    .withMessage("positions must be an object")
+    .bail()
+    .custom((positions) => Object.values(positions).every(isPosition))
+    .withMessage("every position needs numeric x and y"),
+  validate,
+  asyncHandler(async (req, res) => {
+    const fields = matchedData(req);
+    const positions = Object.fromEntries(
+      Object.entries(fields.positions).map(([id, { x, y }]) => [id, { x, y }])
+    );
+    res.json(
+      await req.app.locals.workspaceService.saveLayout(fields.id, positions, {
+        userId: req.user.id,
+      })
+    );
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,152 @@
+/**
+ * SocialCog.io - Cassette Runner
+ * TM (2025) - TPCL, LLC
+ * Records a platform's responses for one account, or replays recordings
+ * offline through the services and adapters
+ *
+ *   node scripts/cassettes.js record <platform> <handle>
+ *   node scripts/cassettes.js replay [<platform> <handle>]
+ *
+ * Recording needs live credentials and writes
+ * cassettes/fixtures/<platform>-<handle>.json (or HTTP_CASSETTE_DIR).
+ * Replay without arguments runs every recorded cassette and exits non-zero
+ * if there are none, any request has no recording or a response fails to
+ * map.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+require("dotenv").config({ path: path.join(__dirname, "..", "..", ".env") });
+
+const HttpCassette = require("../cassettes/httpCassette");
+const TwitterAdapter = require("../platforms/twitterAdapter");
+const LinkedInAdapter = require("../platforms/linkedinAdapter");
+const GitHubAdapter = require("../platforms/githubAdapter");
+const TwitterService = require("../services/twitterService");
+const LinkedInService = require("../services/linkedinService");
+const GitHubService = require("../services/githubService");
+const { appCredentials } = require("../config/credentials");
+
+const DIR = HttpCassette.directory();
+
+const LIST_LIMIT = 100;
+
+// Recording runs as the app's own credentials from .env
+const ADAPTERS = {
+  twitter: (cassette) =>
+    new TwitterAdapter({
+      service: new TwitterService({
+        cassette,
+        appCredentials: appCredentials("twitter"),
+      }),
+    }),
+  linkedin: (cassette) =>
+    new LinkedInAdapter({
+      service: new LinkedInService({
+        cassette,
+        appCredentials: appCredentials("linkedin"),
+      }),
+    }),
+  github: (cassette) =>
+    new GitHubAdapter({ service: new GitHubService({ cassette }) }),
+};
+
+// The same calls a tracked profile makes: the profile, then both lists
+async function runScenario(adapter, handle) {
+  const profile = await adapter.getProfile(handle);
+  const ref = {
+    platform_user_id: profile.id != null ? String(profile.id) : null,
+    username: profile.username,
+    followers: profile.followers,
+  };
+
+  const lists = {};
+  for (const direction of ["followers", "following"]) {
+    if (!adapter.supports(direction)) continue;
+    const result =
+      direction === "followers"
+        ? await adapter.listFollowers(ref, { limit: LIST_LIMIT })
+        : await adapter.listFollowing(ref, { limit: LIST_LIMIT });
+    lists[direction] = {
+      count: result.count,
+      complete: result.pagination?.complete ?? null,
+      sample: result.users.slice(0, 3).map((user) => user.username),
+    };
+  }
+
+  return {
+    id: profile.id,
+    username: profile.username,
+    followers: profile.followers,
+    following: profile.following,
+    lists,
+  };
+}
+
+async function run(mode, platform, handle) {
+  if (!ADAPTERS[platform]) {
+    throw new Error(
+      `Unknown platform ${platform} (expected ${Object.keys(ADAPTERS).join(", ")})`
+    );
+  }
+
+  const cassette = new HttpCassette({
+    name: `${platform}-${handle}`,
+    mode,
+    dir: DIR,
+  });
+  const result = await runScenario(ADAPTERS[platform](cassette), handle);
+  await cassette.writeQueue;
+
+  console.log(
+    `${mode === "record" ? "Recorded" : "Replayed"} ${platform} @${handle}:`
+  );
+  console.log(JSON.stringify(result, null, 2));
+}
+
+// "<platform>-<handle>.json" for every recorded cassette
+function recordedCassettes() {
+  if (!fs.existsSync(DIR)) return [];
+  return fs
+    .readdirSync(DIR)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => file.slice(0, -".json".length))
+    .filter((name) => ADAPTERS[name.split("-")[0]])
+    .map((name) => {
+      const [platform, ...rest] = name.split("-");
+      return [platform, rest.join("-")];
+    });
+}
+
+async function main() {
+  const [mode, platform, handle] = process.argv.slice(2);
+
+  if (HttpCassette.MODES.includes(mode) && mode !== "off" && handle) {
+    return run(mode, platform, handle);
+  }
+  if (mode === "replay" && !platform) {
+    const cassettes = recordedCassettes();
+    // An empty directory would otherwise pass without testing anything
+    if (cassettes.length === 0) {
+      console.error(`❌ No cassettes recorded in ${DIR}`);
+      process.exitCode = 1;
+      return;
+    }
+    for (const [name, account] of cassettes) {
+      await run(mode, name, account);
+    }
+    return;
+  }
+
+  console.error(
+    "Usage: node scripts/cassettes.js record <platform> <handle>\n" +
+      "       node scripts/cassettes.js replay [<platform> <handle>]"
+  );
+  process.exitCode = 2;
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
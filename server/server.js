@@ -22,11 +22,58 @@ async function startServer() {
     const morgan = require("morgan");
     const { errorHandler } = require("./middleware/errorHandler");
     const { generalLimiter } = require("./middleware/rateLimiter");
+    const { dataMode } = require("./middleware/dataMode");
+    const { authenticate } = require("./middleware/auth");
+    const { workspace } = require("./middleware/workspace");
     const apiRoutes = require("./routes/api");
+    const authRoutes = require("./routes/auth");
+    const oauthRoutes = require("./routes/oauth");
     const twitterRoutes = require("./routes/twitter");
     const linkedinRoutes = require("./routes/linkedin");
-    const TwitterService = require("./services/twitterService");
-    const LinkedInService = require("./services/linkedinService");
+    const githubRoutes = require("./routes/github");
+    const platformRoutes = require("./routes/platforms");
+    const identityRoutes = require("./routes/identities");
+    const graphRoutes = require("./routes/graph");
+    const analyticsRoutes = require("./routes/analytics");
+    const exportRoutes = require("./routes/export");
+    const importRoutes = require("./routes/imports");
+    const scheduleRoutes = require("./routes/schedules");
+    const crawlRoutes = require("./routes/crawls");
+    const workspaceRoutes = require("./routes/workspaces");
+    const adminRoutes = require("./routes/admin");
+    const healthRoutes = require("./routes/health");
+    const { loadPlatformRegistry } = require("./platforms/platformRegistry");
+    const SharedCache = require("./cache/sharedCache");
+    const ProfileService = require("./services/profileService");
+    const Database = require("./db/database");
+    const UserRepository = require("./repositories/userRepository");
+    const ProfileRepository = require("./repositories/profileRepository");
+    const ConnectionRepository = require("./repositories/connectionRepository");
+    const NetworkRepository = require("./repositories/networkRepository");
+    const PersonRepository = require("./repositories/personRepository");
+    const IdentityLinkRepository = require("./repositories/identityLinkRepository");
+    const ImportRepository = require("./repositories/importRepository");
+    const SnapshotRepository = require("./repositories/snapshotRepository");
+    const ScheduleRepository = require("./repositories/scheduleRepository");
+    const RefreshRunRepository = require("./repositories/refreshRunRepository");
+    const CrawlRepository = require("./repositories/crawlRepository");
+    const PaginationCursorRepository = require("./repositories/paginationCursorRepository");
+    const OAuthConnectionRepository = require("./repositories/oauthConnectionRepository");
+    const WorkspaceRepository = require("./repositories/workspaceRepository");
+    const AuthService = require("./services/authService");
+    const OAuthService = require("./services/oauthService");
+    const WorkspaceService = require("./services/workspaceService");
+    const IdentityResolver = require("./services/identityResolver");
+    const AnalyticsService = require("./services/analyticsService");
+    const ExportService = require("./services/exportService");
+    const ImportService = require("./services/importService");
+    const MetricsService = require("./services/metricsService");
+    const RefreshScheduler = require("./services/refreshScheduler");
+    const CrawlService = require("./services/crawlService");
+    const TwitterRequestScheduler = require("./services/twitterRequestScheduler");
+    const ConnectionBuilder = require("./services/connectionBuilder");
+    const PlatformHealthMonitor = require("./services/platformHealthMonitor");
+    const LiveUpdateHub = require("./realtime/liveUpdateHub");
 
     // --- Middleware ---
     app.use(helmet());
@@ -34,8 +81,14 @@ async function startServer() {
       cors({
         origin: process.env.FRONTEND_URL || "http://localhost:3000",
         credentials: true,
+        // Export downloads are fetched, so the client needs the file name
+        exposedHeaders: ["Content-Disposition"],
       })
     );
+    // Bulk imports carry whole client lists; everything else stays small
+    app.use("/api/imports", express.json({ limit: "1mb" }));
+    // Saved layouts carry a position per node
+    app.use("/api/workspaces", express.json({ limit: "1mb" }));
     app.use(express.json({ limit: "10kb" }));
     app.use(
       morgan("combined", {
@@ -43,21 +96,143 @@ async function startServer() {
       })
     );
     app.use("/api", generalLimiter);
+    app.use("/api", dataMode);
+    // Everything under /api but status, register, login and refresh
+    app.use("/api", authenticate);
+    app.use("/api", workspace);
 
     // --- Routes ---
-    app.get("/health", (req, res) =>
-      res.status(200).json({ status: "healthy" })
-    );
+    app.use("/health", healthRoutes);
     app.use("/api", apiRoutes);
+    app.use("/api/auth", authRoutes);
+    app.use("/api/oauth", oauthRoutes);
     app.use("/api/twitter", twitterRoutes);
     app.use("/api/linkedin", linkedinRoutes);
+    app.use("/api/github", githubRoutes);
+    app.use("/api/platforms", platformRoutes);
+    app.use("/api/identities", identityRoutes);
+    app.use("/api/graph", graphRoutes);
+    app.use("/api/analytics", analyticsRoutes);
+    app.use("/api/export", exportRoutes);
+    app.use("/api/imports", importRoutes);
+    app.use("/api/schedules", scheduleRoutes);
+    app.use("/api/crawls", crawlRoutes);
+    app.use("/api/workspaces", workspaceRoutes);
+    app.use("/api/admin", adminRoutes);
+
+    // --- Persistence ---
+    const database = await new Database(process.env.DATABASE_URL).connect();
+    app.locals.database = database;
+    app.locals.userRepository = new UserRepository(database);
+    app.locals.profileRepository = new ProfileRepository(database);
+    app.locals.connectionRepository = new ConnectionRepository(database);
+    app.locals.networkRepository = new NetworkRepository(database);
+    app.locals.personRepository = new PersonRepository(database);
+    app.locals.identityLinkRepository = new IdentityLinkRepository(database);
+    app.locals.importRepository = new ImportRepository(database);
+    app.locals.snapshotRepository = new SnapshotRepository(database);
+    app.locals.scheduleRepository = new ScheduleRepository(database);
+    app.locals.refreshRunRepository = new RefreshRunRepository(database);
+    app.locals.crawlRepository = new CrawlRepository(database);
+    app.locals.cursorRepository = new PaginationCursorRepository(database);
+    app.locals.oauthConnectionRepository = new OAuthConnectionRepository(
+      database
+    );
+    app.locals.workspaceRepository = new WorkspaceRepository(database);
 
     // --- Service Initialization ---
     logger.info("Initializing services...");
-    app.locals.twitterService = new TwitterService();
-    app.locals.linkedinService = new LinkedInService();
-    await app.locals.twitterService.checkApiStatus();
-    await app.locals.linkedinService.checkApiStatus();
+    app.locals.workspaceService = new WorkspaceService({
+      workspaceRepository: app.locals.workspaceRepository,
+      importRepository: app.locals.importRepository,
+      crawlRepository: app.locals.crawlRepository,
+    });
+    app.locals.authService = await new AuthService({
+      userRepository: app.locals.userRepository,
+      workspaceService: app.locals.workspaceService,
+    }).syncAdmins();
+    app.locals.oauthService = new OAuthService({
+      oauthConnectionRepository: app.locals.oauthConnectionRepository,
+    });
+    // Every Twitter call shares one scheduler; budgets are per endpoint and
+    // per identity (the app, or a user's connected account)
+    app.locals.twitterScheduler = new TwitterRequestScheduler();
+    // Platform services share one response cache (CACHE_BACKEND, see
+    // config/cache.js)
+    app.locals.cache = SharedCache.fromConfig();
+    const platformRegistry = loadPlatformRegistry({
+      dependencies: {
+        cursorRepository: app.locals.cursorRepository,
+        twitterScheduler: app.locals.twitterScheduler,
+        cache: app.locals.cache,
+      },
+      credentialProvider: app.locals.oauthService,
+    });
+    app.locals.platformRegistry = platformRegistry;
+
+    // Live APIs are checked in the background, so a platform that is down
+    // or misconfigured degrades instead of holding up startup
+    app.locals.platformHealth = new PlatformHealthMonitor({
+      platformRegistry,
+      cache: app.locals.cache,
+      database,
+    }).start();
+
+    app.locals.connectionBuilder = new ConnectionBuilder({
+      profileRepository: app.locals.profileRepository,
+      connectionRepository: app.locals.connectionRepository,
+      networkRepository: app.locals.networkRepository,
+      platformRegistry,
+    });
+    app.locals.profileService = new ProfileService({
+      profileRepository: app.locals.profileRepository,
+      connectionRepository: app.locals.connectionRepository,
+      networkRepository: app.locals.networkRepository,
+      connectionBuilder: app.locals.connectionBuilder,
+      platformRegistry,
+    });
+    app.locals.metricsService = new MetricsService({
+      profileRepository: app.locals.profileRepository,
+      snapshotRepository: app.locals.snapshotRepository,
+    }).watch();
+    app.locals.identityResolver = new IdentityResolver({
+      profileRepository: app.locals.profileRepository,
+      personRepository: app.locals.personRepository,
+      identityLinkRepository: app.locals.identityLinkRepository,
+    }).watch();
+    app.locals.analyticsService = new AnalyticsService({
+      profileRepository: app.locals.profileRepository,
+      connectionRepository: app.locals.connectionRepository,
+      personRepository: app.locals.personRepository,
+    }).watch();
+    app.locals.exportService = new ExportService({
+      analyticsService: app.locals.analyticsService,
+    });
+    app.locals.importService = await new ImportService({
+      profileService: app.locals.profileService,
+      profileRepository: app.locals.profileRepository,
+      importRepository: app.locals.importRepository,
+      platformRegistry,
+    }).resume();
+    app.locals.crawlService = await new CrawlService({
+      crawlRepository: app.locals.crawlRepository,
+      profileRepository: app.locals.profileRepository,
+      platformRegistry,
+    }).resume();
+
+    // REFRESH_SCHEDULER=off keeps the API but never fires schedules
+    app.locals.refreshScheduler = new RefreshScheduler({
+      scheduleRepository: app.locals.scheduleRepository,
+      refreshRunRepository: app.locals.refreshRunRepository,
+      profileRepository: app.locals.profileRepository,
+      workspaceRepository: app.locals.workspaceRepository,
+      profileService: app.locals.profileService,
+      platformRegistry,
+      credentialProvider: app.locals.oauthService,
+    });
+    if (process.env.REFRESH_SCHEDULER !== "off") {
+      await app.locals.refreshScheduler.start();
+    }
     logger.info("Services initialized successfully.");
 
     // --- Error Handling (must be last) ---
@@ -67,11 +242,32 @@ async function startServer() {
     );
 
     // --- Start Listening ---
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       logger.info(
         `🚀 SocialCog.io API Server is now running and listening on port ${PORT}`
       );
     });
+
+    // --- Live Updates (shares the HTTP server) ---
+    app.locals.liveUpdateHub = new LiveUpdateHub({
+      authService: app.locals.authService,
+      workspaceService: app.locals.workspaceService,
+      profileRepository: app.locals.profileRepository,
+      connectionRepository: app.locals.connectionRepository,
+      personRepository: app.locals.personRepository,
+      importRepository: app.locals.importRepository,
+      crawlRepository: app.locals.crawlRepository,
+    }).attach(server);
+
+    process.on("SIGTERM", () => {
+      logger.info("Server shutting down gracefully...");
+      app.locals.liveUpdateHub.close();
+      app.locals.refreshScheduler.stop();
+      app.locals.platformHealth.stop();
+      server.close(() =>
+        app.locals.cache.close().finally(() => process.exit(0))
+      );
+    });
   } catch (error) {
     // Use console.error as a fallback in case the logger itself fails
     console.error("❌ Fatal error during server startup:", error);
@@ -0,0 +1,269 @@
+/**
+ * SocialCog.io - Analytics Service
+ * TM (2025) - TPCL, LLC
+ * Graph analytics over stored profiles and connections, cached per graph version
+ */
+
+const logger = require("../utils/logger");
+const HttpError = require("../utils/httpError");
+const { buildGraph } = require("../graph/graphBuilder");
+const { METRICS, computeCentrality } = require("../graph/centrality");
+const { detectCommunities, labelCommunities } = require("../graph/communities");
+const { findPaths } = require("../graph/paths");
+
+// Profile fields that say what an account is about
+const TEXT_FIELDS = ["bio", "headline", "industry"];
+
+class AnalyticsService {
+  constructor({ profileRepository, connectionRepository, personRepository }) {
+    this.profileRepository = profileRepository;
+    this.connectionRepository = connectionRepository;
+    this.personRepository = personRepository;
+    this.graphVersion = 0;
+    this.cache = new Map();
+  }
+
+  // Any change to the graph makes every cached result stale
+  watch() {
+    const invalidate = () => this.invalidate();
+
+    for (const event of ["created", "updated", "deleted"]) {
+      this.profileRepository.on(event, invalidate);
+    }
+    for (const event of ["created", "synced", "deleted"]) {
+      this.connectionRepository.on(event, invalidate);
+    }
+    this.personRepository.on("changed", invalidate);
+
+    return this;
+  }
+
+  invalidate() {
+    this.graphVersion += 1;
+    this.cache.clear();
+  }
+
+  // userId/workspaceId: that user's or workspace's network only
+  // (everything when omitted)
+  async loadGraph({
+    platforms,
+    edgeTypes,
+    collapsePersons,
+    userId = null,
+    workspaceId = null,
+  }) {
+    const [profiles, connections, persons] = await Promise.all([
+      this.profileRepository.findAll({ userId, workspaceId }),
+      this.connectionRepository.findAll({ userId, workspaceId }),
+      this.personRepository.findAll({ userId, workspaceId }),
+    ]);
+
+    const graph = buildGraph({
+      profiles,
+      connections,
+      persons,
+      platforms,
+      edgeTypes,
+      collapsePersons,
+    });
+    return { graph, profiles };
+  }
+
+  // Runs compute(graph, profiles) once per graph version and filter set;
+  // userId and workspaceId are part of the filters, so workspaces never
+  // share cached results
+  async cached(analysis, filters, compute) {
+    const key = JSON.stringify([analysis, filters]);
+    const hit = this.cache.get(key);
+    if (hit) {
+      return { ...hit, cached: true };
+    }
+
+    const version = this.graphVersion;
+    const { graph, profiles } = await this.loadGraph(filters);
+    const started = Date.now();
+    const result = {
+      graph_version: version,
+      computed_at: new Date().toISOString(),
+      filters: {
+        platforms: filters.platforms || null,
+        edge_types: filters.edgeTypes || null,
+        collapse: filters.collapsePersons ? "persons" : "none",
+        ...(filters.resolution != null && { resolution: filters.resolution }),
+        ...(filters.k != null && { k: filters.k }),
+      },
+      node_count: graph.nodes.length,
+      edge_count: graph.edges.length,
+      ...compute(graph, profiles),
+    };
+
+    logger.info(
+      `📈 SocialCog.io: Computed ${analysis} for ${graph.nodes.length} nodes in ${
+        Date.now() - started
+      }ms`
+    );
+
+    // The graph may have changed while we were reading it
+    if (version === this.graphVersion) {
+      this.cache.set(key, result);
+    }
+
+    return { ...result, cached: false };
+  }
+
+  async getCentrality({
+    platforms = null,
+    edgeTypes = null,
+    collapsePersons = false,
+    sort = "pagerank",
+    userId = null,
+    workspaceId = null,
+  } = {}) {
+    const result = await this.cached(
+      "centrality",
+      { platforms, edgeTypes, collapsePersons, userId, workspaceId },
+      (graph) => {
+        const scores = computeCentrality(graph);
+        const nodeById = new Map(graph.nodes.map((node) => [node.id, node]));
+
+        return {
+          metrics: METRICS,
+          scores: scores.map((score) => {
+            const node = nodeById.get(score.id);
+            return {
+              ...score,
+              node_type: node.node_type,
+              username: node.username,
+              platform: node.platform,
+            };
+          }),
+        };
+      }
+    );
+
+    return {
+      ...result,
+      scores: [...result.scores].sort((a, b) => b[sort] - a[sort]),
+    };
+  }
+
+  /**
+   * Louvain clusters, largest first with IDs from 1. Person nodes are
+   * labelled from the text of every account they merge.
+   */
+  async getCommunities({
+    platforms = null,
+    edgeTypes = null,
+    collapsePersons = false,
+    resolution = 1,
+    userId = null,
+    workspaceId = null,
+  } = {}) {
+    return this.cached(
+      "communities",
+      {
+        platforms,
+        edgeTypes,
+        collapsePersons,
+        resolution,
+        userId,
+        workspaceId,
+      },
+      (graph, profiles) => {
+        const { clusters, modularity } = detectCommunities(graph, {
+          resolution,
+        });
+        const profileById = new Map(profiles.map((p) => [p.id, p]));
+        const documents = graph.nodes.map((node) =>
+          node.profile_ids
+            .map((id) => profileById.get(id))
+            .filter(Boolean)
+            .flatMap((profile) => TEXT_FIELDS.map((field) => profile[field]))
+        );
+        const labels = labelCommunities(documents, clusters);
+
+        const summaries = [];
+        const assignments = {};
+        graph.nodes.forEach((node, index) => {
+          const clusterId = clusters[index] + 1;
+          assignments[node.id] = clusterId;
+
+          if (!summaries[clusters[index]]) {
+            const terms = labels.get(clusters[index]) || [];
+            summaries[clusters[index]] = {
+              id: clusterId,
+              label: terms.length
+                ? terms.map(({ term }) => term).join(" · ")
+                : `Cluster ${clusterId}`,
+              terms,
+              size: 0,
+              node_ids: [],
+              platforms: {},
+            };
+          }
+
+          const summary = summaries[clusters[index]];
+          summary.size += 1;
+          summary.node_ids.push(node.id);
+          summary.platforms[node.platform] =
+            (summary.platforms[node.platform] || 0) + 1;
+        });
+
+        return {
+          algorithm: "louvain",
+          modularity: Math.round(modularity * 1e6) / 1e6,
+          clusters: summaries,
+          assignments,
+        };
+      }
+    );
+  }
+
+  /**
+   * Warm-introduction routes between two tracked profiles. With persons
+   * collapsed, each profile stands in for the person node it belongs to.
+   */
+  async findIntroductionPaths({
+    sourceProfileId,
+    targetProfileId,
+    platforms = null,
+    edgeTypes = null,
+    collapsePersons = false,
+    k = 3,
+    userId = null,
+    workspaceId = null,
+  }) {
+    return this.cached(
+      `paths:${sourceProfileId}:${targetProfileId}`,
+      { platforms, edgeTypes, collapsePersons, k, userId, workspaceId },
+      (graph) => {
+        const nodeFor = (profileId) => {
+          const node = graph.nodes.find((n) =>
+            n.profile_ids.includes(profileId)
+          );
+          if (!node) {
+            throw new HttpError(
+              404,
+              `Profile ${profileId} is not tracked or is filtered out`
+            );
+          }
+          return node;
+        };
+
+        const source = nodeFor(sourceProfileId);
+        const target = nodeFor(targetProfileId);
+        if (source.id === target.id) {
+          throw new HttpError(400, "Source and target are the same node");
+        }
+
+        return {
+          source: { profile_id: sourceProfileId, node_id: source.id },
+          target: { profile_id: targetProfileId, node_id: target.id },
+          ...findPaths(graph, source.id, target.id, { k }),
+        };
+      }
+    );
+  }
+}
+
+module.exports = AnalyticsService;
@@ -0,0 +1,200 @@
+/**
+ * SocialCog.io - Auth Service
+ * TM (2025) - TPCL, LLC
+ * User accounts, password hashing and JWT access/refresh tokens
+ */
+
+const crypto = require("crypto");
+const _ = require("lodash");
+const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+const logger = require("../utils/logger");
+const HttpError = require("../utils/httpError");
+
+const BCRYPT_ROUNDS = 10;
+const ISSUER = "socialcog.io";
+
+// Never leaves the service
+const PRIVATE_FIELDS = ["password_hash", "token_version"];
+
+/**
+ * Access tokens are short-lived and sent on every request; refresh tokens
+ * only buy a new pair. Both carry the user's token_version, so logging out
+ * (which bumps it) revokes every token issued before.
+ */
+class AuthService {
+  constructor({
+    userRepository,
+    workspaceService,
+    secret = process.env.JWT_SECRET,
+    accessTtl = process.env.JWT_EXPIRES_IN || "15m",
+    refreshTtl = process.env.JWT_REFRESH_EXPIRES_IN || "7d",
+    adminUserIds = process.env.ADMIN_USER_IDS || "",
+  }) {
+    this.userRepository = userRepository;
+    this.workspaceService = workspaceService;
+    this.accessTtl = accessTtl;
+    this.refreshTtl = refreshTtl;
+
+    this.adminUserIds = adminUserIds
+      .split(",")
+      .map((id) => parseInt(id.trim()))
+      .filter(Number.isInteger);
+    if (process.env.ADMIN_EMAILS) {
+      logger.warn(
+        "⚠️ SocialCog.io: ADMIN_EMAILS is no longer read; list admin account IDs in ADMIN_USER_IDS"
+      );
+    }
+
+    if (!secret) {
+      logger.warn(
+        "⚠️ JWT_SECRET not set - using a random secret, so sessions end when the server restarts"
+      );
+    }
+    this.secret = secret || crypto.randomBytes(32).toString("hex");
+  }
+
+  toPublicUser(user) {
+    return _.omit(user, PRIVATE_FIELDS);
+  }
+
+  // Every account starts with a Default workspace; the first one adopts
+  // everything tracked before accounts existed into it
+  async register({ email, password, name = null }) {
+    const taken = () =>
+      new HttpError(409, "An account with this email already exists");
+
+    // Checked up front to skip the hash; create() checks again, as another
+    // registration may take the email while this one hashes
+    if (await this.userRepository.findByEmail(email)) throw taken();
+
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    const firstUser = (await this.userRepository.count()) === 0;
+    const user = await this.userRepository.create({
+      email,
+      name: name || String(email).split("@")[0],
+      password_hash: passwordHash,
+      token_version: 0,
+      role: "user",
+    });
+    if (!user) throw taken();
+
+    const workspace = await this.workspaceService.ensureDefault(user.id);
+    if (firstUser) {
+      const adopted = await this.userRepository.adoptUnowned(user.id, {
+        workspaceId: workspace.id,
+      });
+      logger.info(
+        `👤 SocialCog.io: First account ${user.email} adopted existing data: ${JSON.stringify(adopted)}`
+      );
+    }
+
+    logger.info(`👤 SocialCog.io: Registered ${user.email}`);
+    return this.session(user);
+  }
+
+  /**
+   * Gives the accounts listed by ID in ADMIN_USER_IDS the "admin" role and
+   * takes it from the rest, at startup. Emails are not verified and anyone
+   * can register, so an address says nothing about who holds an account;
+   * an ID only names an account the operator has already seen. Listed IDs
+   * with no account are left alone rather than reserved, and flagged.
+   */
+  async syncAdmins() {
+    const users = await this.userRepository.findAll();
+    for (const user of users) {
+      const role = this.adminUserIds.includes(user.id) ? "admin" : "user";
+      if (user.role !== role) {
+        await this.userRepository.update(user.id, { role });
+        logger.info(
+          `👤 SocialCog.io: User ${user.id} (${user.email}) is now ${role}`
+        );
+      }
+    }
+
+    const missing = this.adminUserIds.filter(
+      (id) => !users.some((user) => user.id === id)
+    );
+    if (missing.length > 0) {
+      logger.warn(
+        `⚠️ SocialCog.io: ADMIN_USER_IDS lists ${missing.join(", ")}, which no account has; remove them before someone registers one`
+      );
+    }
+    return this;
+  }
+
+  async login({ email, password }) {
+    const user = await this.userRepository.findByEmail(email);
+    const valid = user && (await bcrypt.compare(password, user.password_hash));
+    if (!valid) {
+      throw new HttpError(401, "Invalid email or password");
+    }
+
+    return this.session(user);
+  }
+
+  async refresh(refreshToken) {
+    const user = await this.verify(refreshToken, "refresh");
+    return this.session(user);
+  }
+
+  async logout(userId) {
+    const user = await this.userRepository.findById(userId);
+    if (!user) {
+      throw new HttpError(404, "User not found");
+    }
+    await this.userRepository.update(user.id, {
+      token_version: user.token_version + 1,
+    });
+  }
+
+  async getUser(userId) {
+    const user = await this.userRepository.findById(userId);
+    if (!user) {
+      throw new HttpError(404, "User not found");
+    }
+    return this.toPublicUser(user);
+  }
+
+  // Resolves an access token to its user, or throws a 401
+  async authenticate(accessToken) {
+    return this.toPublicUser(await this.verify(accessToken, "access"));
+  }
+
+  // jwt's own errors (malformed, expired) reach the error handler as is
+  async verify(token, type) {
+    const payload = jwt.verify(token, this.secret, { issuer: ISSUER });
+    if (payload.type !== type) {
+      throw new HttpError(401, "Invalid token");
+    }
+
+    const user = await this.userRepository.findById(payload.sub);
+    if (!user || user.token_version !== payload.ver) {
+      throw new HttpError(401, "Token has been revoked");
+    }
+    return user;
+  }
+
+  sign(user, type, expiresIn) {
+    return jwt.sign(
+      { sub: String(user.id), type, ver: user.token_version },
+      this.secret,
+      { expiresIn, issuer: ISSUER }
+    );
+  }
+
+  session(user) {
+    const accessToken = this.sign(user, "access", this.accessTtl);
+    const { exp, iat } = jwt.decode(accessToken);
+
+    return {
+      user: this.toPublicUser(user),
+      token_type: "Bearer",
+      access_token: accessToken,
+      expires_in: exp - iat,
+      refresh_token: this.sign(user, "refresh", this.refreshTtl),
+    };
+  }
+}
+
+module.exports = AuthService;
@@ -0,0 +1,257 @@
+/**
+ * SocialCog.io - Connection Builder
+ * TM (2025) - TPCL, LLC
+ * Derives typed edges between tracked profiles from follower/following data
+ */
+
+const logger = require("../utils/logger");
+const { profileMode } = require("../utils/dataMode");
+
+// Strength of a direct follow relationship, by edge type
+const RELATIONSHIP_STRENGTH = {
+  mutual: 1,
+  follows: 0.6,
+  followed_by: 0.6,
+};
+
+// Shared followers saturate at this many in common (as in GitHubService)
+const SHARED_FOLLOWERS_SATURATION = 20;
+
+const toUserRef = (user) => ({
+  id: user.id != null ? String(user.id) : null,
+  username: user.username || null,
+});
+
+class UserIndex {
+  constructor(users) {
+    this.ids = new Set();
+    this.usernames = new Set();
+
+    for (const user of users || []) {
+      if (user.id) this.ids.add(user.id);
+      if (user.username) this.usernames.add(user.username.toLowerCase());
+    }
+  }
+
+  // Tracked profiles match on platform user ID first, then on handle
+  includes(profile) {
+    if (profile.platform_user_id && this.ids.has(profile.platform_user_id)) {
+      return true;
+    }
+    return this.usernames.has(String(profile.username).toLowerCase());
+  }
+}
+
+class ConnectionBuilder {
+  constructor({
+    profileRepository,
+    connectionRepository,
+    networkRepository,
+    platformRegistry,
+    fetchLimit = 1000,
+  }) {
+    this.profileRepository = profileRepository;
+    this.connectionRepository = connectionRepository;
+    this.networkRepository = networkRepository;
+    this.platformRegistry = platformRegistry;
+    this.fetchLimit = fetchLimit;
+  }
+
+  // Profiles read their network from the data mode they were added in, as
+  // their owner
+  adapterFor(profile) {
+    return this.platformRegistry.get(profile.platform, {
+      mode: profileMode(profile),
+      userId: profile.user_id ?? null,
+    });
+  }
+
+  supports(profile) {
+    const adapter = this.adapterFor(profile);
+    return Boolean(
+      adapter &&
+      (adapter.supports("followers") || adapter.supports("following"))
+    );
+  }
+
+  // A null list means the platform cannot tell us that direction, which is
+  // different from an empty list
+  async fetchNetwork(profile) {
+    const adapter = this.adapterFor(profile);
+    const options = { limit: this.fetchLimit };
+
+    const [followers, following] = await Promise.all([
+      adapter.supports("followers")
+        ? adapter.listFollowers(profile, options)
+        : null,
+      adapter.supports("following")
+        ? adapter.listFollowing(profile, options)
+        : null,
+    ]);
+
+    return {
+      followers: followers ? followers.users.map(toUserRef) : null,
+      following: following ? following.users.map(toUserRef) : null,
+      demo: Boolean(followers?.demo || following?.demo),
+      completeness: {
+        followers: followers?.completeness || null,
+        following: following?.completeness || null,
+      },
+    };
+  }
+
+  // Fetches a profile's followers/following and recomputes only its edges
+  async refreshProfile(profileId) {
+    const profile = await this.profileRepository.findById(profileId);
+    if (!profile) return null;
+
+    if (!this.supports(profile)) {
+      logger.info(
+        `ℹ️ SocialCog.io: No follower data source for ${profile.platform}, skipping edges for @${profile.username}`
+      );
+      return this.rebuildForProfile(profile.id);
+    }
+
+    const fetched = await this.fetchNetwork(profile);
+
+    await this.networkRepository.upsert(profile.id, {
+      platform: profile.platform,
+      followers: fetched.followers,
+      following: fetched.following,
+      source: fetched.demo ? "demo" : "live",
+      completeness: fetched.completeness,
+      fetched_at: new Date().toISOString(),
+    });
+
+    return this.rebuildForProfile(profile.id);
+  }
+
+  async rebuildForProfile(profileId) {
+    const profile = await this.profileRepository.findById(profileId);
+    if (!profile) return null;
+
+    const network = await this.networkRepository.findByProfileId(profile.id);
+    const edges = [];
+
+    if (network) {
+      // Demo accounts never connect to live ones, nor one workspace's
+      // profiles to another's
+      const others = (await this.profileRepository.findAll()).filter(
+        (other) =>
+          other.id !== profile.id &&
+          other.user_id === profile.user_id &&
+          (other.workspace_id ?? null) === (profile.workspace_id ?? null) &&
+          other.platform === profile.platform &&
+          profileMode(other) === profileMode(profile)
+      );
+
+      for (const other of others) {
+        const otherNetwork = await this.networkRepository.findByProfileId(
+          other.id
+        );
+        edges.push(...this.buildEdges(profile, network, other, otherNetwork));
+      }
+    }
+
+    const stats = await this.connectionRepository.syncForProfile(
+      profile.id,
+      edges
+    );
+
+    logger.info(
+      `🔗 SocialCog.io: Rebuilt edges for @${profile.username}: ${stats.created} created, ${stats.updated} updated, ${stats.removed} removed`
+    );
+    return stats;
+  }
+
+  // Edges are stored once per pair with the lower profile ID as the source;
+  // "follows" and "followed_by" are read from the source's point of view.
+  buildEdges(profileA, networkA, profileB, networkB) {
+    const [source, sourceNetwork, target, targetNetwork] =
+      profileA.id < profileB.id
+        ? [profileA, networkA, profileB, networkB]
+        : [profileB, networkB, profileA, networkA];
+
+    const sourceFollowers = new UserIndex(sourceNetwork?.followers);
+    const sourceFollowing = new UserIndex(sourceNetwork?.following);
+    const targetFollowers = new UserIndex(targetNetwork?.followers);
+    const targetFollowing = new UserIndex(targetNetwork?.following);
+
+    // Each list that shows the relationship counts as one piece of evidence
+    const sourceFollowsTarget =
+      Number(sourceFollowing.includes(target)) +
+      Number(targetFollowers.includes(source));
+    const targetFollowsSource =
+      Number(targetFollowing.includes(source)) +
+      Number(sourceFollowers.includes(target));
+    const sharedFollowers = this.countSharedFollowers(
+      sourceNetwork?.followers,
+      targetNetwork?.followers
+    );
+
+    const evidence = {
+      source_follows_target: sourceFollowsTarget,
+      target_follows_source: targetFollowsSource,
+      shared_followers: sharedFollowers,
+    };
+    // "mock" comes from networks stored before demo mode replaced fallbacks
+    const sources = [sourceNetwork?.source, targetNetwork?.source];
+    const base = {
+      source_id: source.id,
+      target_id: target.id,
+      platform: source.platform,
+      user_id: source.user_id ?? null,
+      workspace_id: source.workspace_id ?? null,
+      evidence,
+      data_source: sources.includes("mock")
+        ? "mock"
+        : sources.includes("demo")
+          ? "demo"
+          : "live",
+      computed_at: new Date().toISOString(),
+    };
+
+    const edges = [];
+
+    let relationship = null;
+    if (sourceFollowsTarget > 0 && targetFollowsSource > 0) {
+      relationship = "mutual";
+    } else if (sourceFollowsTarget > 0) {
+      relationship = "follows";
+    } else if (targetFollowsSource > 0) {
+      relationship = "followed_by";
+    }
+
+    if (relationship) {
+      edges.push({
+        ...base,
+        connection_type: relationship,
+        connection_strength: RELATIONSHIP_STRENGTH[relationship],
+        mutual_count: sharedFollowers,
+      });
+    }
+
+    if (sharedFollowers > 0) {
+      edges.push({
+        ...base,
+        connection_type: "shared_followers",
+        connection_strength: Math.min(
+          sharedFollowers / SHARED_FOLLOWERS_SATURATION,
+          1
+        ),
+        mutual_count: sharedFollowers,
+      });
+    }
+
+    return edges;
+  }
+
+  countSharedFollowers(followersA, followersB) {
+    if (!followersA || !followersB) return 0;
+
+    const ids = new Set(followersA.map((f) => f.id).filter(Boolean));
+    return followersB.filter((f) => f.id && ids.has(f.id)).length;
+  }
+}
+
+module.exports = ConnectionBuilder;
@@ -0,0 +1,466 @@
+/**
+ * SocialCog.io - Crawl Service
+ * TM (2025) - TPCL, LLC
+ * Breadth-first expansion of a profile's ego network, two or three hops out
+ */
+
+const logger = require("../utils/logger");
+const HttpError = require("../utils/httpError");
+const { FORMATS } = require("../graph/exporters");
+const { profileMode } = require("../utils/dataMode");
+const { inScope } = require("../utils/ownership");
+
+const DIRECTIONS = ["followers", "following"];
+
+// Crawls in these states still have a loop to run
+const ACTIVE_STATUSES = ["running", "paused"];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Users are keyed by platform ID when the platform gives one, else by handle
+const nodeKey = (user) =>
+  user.id != null
+    ? `id:${user.id}`
+    : `user:${String(user.username).toLowerCase()}`;
+
+class CrawlService {
+  constructor({
+    crawlRepository,
+    profileRepository,
+    platformRegistry,
+    spacingMs = 1000,
+  }) {
+    this.crawlRepository = crawlRepository;
+    this.profileRepository = profileRepository;
+    this.platformRegistry = platformRegistry;
+    this.spacingMs = spacingMs;
+
+    // Crawl ID -> { stop } for loops running in this process
+    this.controls = new Map();
+  }
+
+  // Restarts crawls that were running when the server stopped
+  async resume() {
+    for (const crawl of await this.crawlRepository.findByStatus(["running"])) {
+      logger.info(`🕸️ SocialCog.io: Resuming crawl ${crawl.id}`);
+      this.launch(crawl.id);
+    }
+    return this;
+  }
+
+  /**
+   * Options:
+   *   depth          hops from the seed to expand (1-3)
+   *   requestBudget  platform calls the crawl may spend in total
+   *   maxNodes       stop once this many accounts have been discovered
+   *   minFollowers   accounts below this follower count are kept as leaves
+   *                  and never expanded (costs a profile lookup when the
+   *                  follower list did not include counts)
+   *   perNodeLimit   followers/following fetched per expanded account
+   *   directions     followers and/or following
+   *   userId         the crawl's owner, who must own the seed profile
+   *   workspaceId    the workspace the seed profile must belong to
+   *
+   * The crawl runs in the seed profile's data mode, live or demo.
+   */
+  async startCrawl({
+    profileId,
+    depth = 2,
+    requestBudget = 100,
+    maxNodes = 500,
+    minFollowers = 0,
+    perNodeLimit = 100,
+    directions = DIRECTIONS,
+    userId = null,
+    workspaceId = null,
+  }) {
+    const profile = await this.profileRepository.findById(profileId);
+    if (!inScope(profile, { userId, workspaceId })) {
+      throw new HttpError(404, "Profile not found");
+    }
+
+    const mode = profileMode(profile);
+    const adapter = this.platformRegistry.require(profile.platform, { mode });
+    const supported = directions.filter((direction) =>
+      adapter.supports(direction)
+    );
+    if (supported.length === 0) {
+      throw new HttpError(
+        400,
+        `${adapter.label} does not expose ${directions.join(" or ")} lists`
+      );
+    }
+
+    const seed = {
+      id: profile.platform_user_id || null,
+      username: profile.username,
+    };
+    const key = nodeKey(seed);
+
+    const crawl = await this.crawlRepository.create({
+      user_id: profile.user_id ?? null,
+      workspace_id: profile.workspace_id ?? null,
+      seed_profile_id: profile.id,
+      platform: profile.platform,
+      username: profile.username,
+      status: "running",
+      stop_reason: null,
+      last_error: null,
+      options: {
+        depth,
+        request_budget: requestBudget,
+        max_nodes: maxNodes,
+        min_followers: minFollowers,
+        per_node_limit: perNodeLimit,
+        directions: supported,
+        mode,
+      },
+      stats: {
+        requests_used: 0,
+        failed_requests: 0,
+        nodes: 1,
+        edges: 0,
+        expanded: 0,
+        below_floor: 0,
+        depth_reached: 0,
+      },
+      frontier: [{ key, depth: 0 }],
+      nodes: {
+        [key]: {
+          key,
+          ...seed,
+          name: profile.name || null,
+          followers: profile.followers ?? null,
+          depth: 0,
+          expanded: false,
+          below_floor: false,
+          source: mode,
+        },
+      },
+      edges: [],
+      started_at: new Date().toISOString(),
+      finished_at: null,
+    });
+
+    logger.info(
+      `🕸️ SocialCog.io: Crawl ${crawl.id} started from ${profile.platform} @${profile.username} (depth ${depth}, budget ${requestBudget})`
+    );
+
+    this.launch(crawl.id);
+    return this.crawlRepository.findSummary(crawl.id);
+  }
+
+  launch(id) {
+    if (this.controls.has(id)) return;
+
+    const control = { stop: null };
+    this.controls.set(id, control);
+
+    this.run(id, control)
+      .catch(async (error) => {
+        logger.error(`❌ SocialCog.io: Crawl ${id} failed:`, error.message);
+        await this.crawlRepository.update(id, {
+          status: "failed",
+          last_error: error.message,
+          finished_at: new Date().toISOString(),
+        });
+      })
+      .finally(() => {
+        if (this.controls.get(id) === control) this.controls.delete(id);
+      });
+  }
+
+  // Frontier, nodes and edges are saved after every expanded account
+  async save(crawl, changes = {}) {
+    crawl.stats.nodes = Object.keys(crawl.nodes).length;
+    crawl.stats.edges = crawl.edges.length;
+
+    return this.crawlRepository.update(crawl.id, {
+      frontier: crawl.frontier,
+      nodes: crawl.nodes,
+      edges: crawl.edges,
+      stats: crawl.stats,
+      last_error: crawl.last_error,
+      ...changes,
+    });
+  }
+
+  // A pause or cancel that lands during the last expansion has already set
+  // the status, so the crawl is saved but keeps it; a resumed crawl with
+  // nothing left to expand is finished on the next run
+  async finish(crawl, stopReason, control) {
+    if (control.stop) {
+      await this.save(crawl);
+      if (control.stop) {
+        control.exited = true;
+        return;
+      }
+    }
+
+    logger.info(
+      `🕸️ SocialCog.io: Crawl ${crawl.id} finished (${stopReason}): ${
+        Object.keys(crawl.nodes).length
+      } accounts, ${crawl.edges.length} edges, ${
+        crawl.stats.requests_used
+      } requests`
+    );
+    return this.save(crawl, {
+      status: "completed",
+      stop_reason: stopReason,
+      finished_at: new Date().toISOString(),
+    });
+  }
+
+  // Every call spends budget; a failed one is recorded and skipped rather
+  // than ending the crawl
+  async attempt(crawl, call) {
+    crawl.stats.requests_used += 1;
+    try {
+      return await call();
+    } catch (error) {
+      crawl.stats.failed_requests += 1;
+      crawl.last_error = error.message;
+      return null;
+    }
+  }
+
+  async run(id, control) {
+    const crawl = await this.crawlRepository.findById(id);
+    if (!crawl) return;
+
+    const { options, stats } = crawl;
+    const adapter = this.platformRegistry.require(crawl.platform, {
+      mode: options.mode || "live",
+      userId: crawl.user_id ?? null,
+    });
+    const edgeKeys = new Set(
+      crawl.edges.map((edge) => `${edge.source}>${edge.target}`)
+    );
+    const budgetLeft = () => options.request_budget - stats.requests_used;
+
+    while (crawl.frontier.length > 0) {
+      // Pause and cancel set the status themselves; just save and stop
+      if (control.stop) {
+        await this.save(crawl);
+        // A resume during the save cleared the stop; carry on
+        if (!control.stop) continue;
+        control.exited = true;
+        return;
+      }
+
+      const { key, depth } = crawl.frontier[0];
+      const node = crawl.nodes[key];
+      const ref = { platform_user_id: node.id, username: node.username };
+
+      if (depth > 0 && options.min_followers > 0 && node.followers == null) {
+        if (budgetLeft() < 1) {
+          return this.finish(crawl, "request_budget", control);
+        }
+
+        const fetched = await this.attempt(crawl, () =>
+          adapter.getProfile(node.username)
+        );
+        if (fetched) {
+          node.followers = fetched.followers ?? null;
+        }
+      }
+
+      if (
+        depth > 0 &&
+        options.min_followers > 0 &&
+        !(node.followers >= options.min_followers)
+      ) {
+        node.below_floor = true;
+        stats.below_floor += 1;
+        crawl.frontier.shift();
+        await this.save(crawl);
+        continue;
+      }
+
+      if (budgetLeft() < options.directions.length) {
+        return this.finish(crawl, "request_budget", control);
+      }
+
+      for (const direction of options.directions) {
+        const result = await this.attempt(crawl, () =>
+          direction === "followers"
+            ? adapter.listFollowers(ref, { limit: options.per_node_limit })
+            : adapter.listFollowing(ref, { limit: options.per_node_limit })
+        );
+        if (!result) {
+          await sleep(this.spacingMs);
+          continue;
+        }
+
+        for (const user of result.users) {
+          const userKey = nodeKey(user);
+
+          if (!crawl.nodes[userKey]) {
+            if (Object.keys(crawl.nodes).length >= options.max_nodes) {
+              continue;
+            }
+
+            crawl.nodes[userKey] = {
+              key: userKey,
+              id: user.id != null ? String(user.id) : null,
+              username: user.username,
+              name: user.name || null,
+              followers:
+                typeof user.followers === "number" ? user.followers : null,
+              depth: depth + 1,
+              expanded: false,
+              below_floor: false,
+              source: result.demo ? "demo" : "live",
+            };
+            stats.depth_reached = Math.max(stats.depth_reached, depth + 1);
+            if (depth + 1 < options.depth) {
+              crawl.frontier.push({ key: userKey, depth: depth + 1 });
+            }
+          }
+
+          const [source, target] =
+            direction === "followers" ? [userKey, key] : [key, userKey];
+          if (!edgeKeys.has(`${source}>${target}`)) {
+            edgeKeys.add(`${source}>${target}`);
+            crawl.edges.push({ source, target });
+          }
+        }
+
+        await sleep(this.spacingMs);
+      }
+
+      node.expanded = true;
+      stats.expanded += 1;
+      crawl.frontier.shift();
+      await this.save(crawl);
+
+      if (Object.keys(crawl.nodes).length >= options.max_nodes) {
+        return this.finish(crawl, "max_nodes", control);
+      }
+    }
+
+    return this.finish(crawl, "exhausted", control);
+  }
+
+  async requireCrawl(id, { userId = null, workspaceId = null } = {}) {
+    const crawl = await this.crawlRepository.findSummary(id);
+    if (!inScope(crawl, { userId, workspaceId })) {
+      throw new HttpError(404, "Crawl not found");
+    }
+    return crawl;
+  }
+
+  async pauseCrawl(id, { userId = null, workspaceId = null } = {}) {
+    const crawl = await this.requireCrawl(id, { userId, workspaceId });
+    if (crawl.status !== "running") {
+      throw new HttpError(409, `Crawl is ${crawl.status}, not running`);
+    }
+
+    const control = this.controls.get(crawl.id);
+    if (control) control.stop = "paused";
+    await this.crawlRepository.update(crawl.id, { status: "paused" });
+    return this.crawlRepository.findSummary(crawl.id);
+  }
+
+  async resumeCrawl(id, { userId = null, workspaceId = null } = {}) {
+    const crawl = await this.requireCrawl(id, { userId, workspaceId });
+    if (crawl.status !== "paused") {
+      throw new HttpError(409, `Crawl is ${crawl.status}, not paused`);
+    }
+
+    await this.crawlRepository.update(crawl.id, { status: "running" });
+
+    // A loop still winding down from the pause simply carries on; one that
+    // has already quit is replaced
+    const control = this.controls.get(crawl.id);
+    if (control && !control.exited) {
+      control.stop = null;
+    } else {
+      this.controls.delete(crawl.id);
+      this.launch(crawl.id);
+    }
+    return this.crawlRepository.findSummary(crawl.id);
+  }
+
+  async cancelCrawl(id, { userId = null, workspaceId = null } = {}) {
+    const crawl = await this.requireCrawl(id, { userId, workspaceId });
+    if (!ACTIVE_STATUSES.includes(crawl.status)) {
+      throw new HttpError(409, `Crawl is already ${crawl.status}`);
+    }
+
+    const control = this.controls.get(crawl.id);
+    if (control) control.stop = "cancelled";
+    await this.crawlRepository.update(crawl.id, {
+      status: "cancelled",
+      stop_reason: "cancelled",
+      finished_at: new Date().toISOString(),
+    });
+    return this.crawlRepository.findSummary(crawl.id);
+  }
+
+  async deleteCrawl(id, { userId = null, workspaceId = null } = {}) {
+    const crawl = await this.requireCrawl(id, { userId, workspaceId });
+    const control = this.controls.get(crawl.id);
+    if (control) control.stop = "cancelled";
+    await this.crawlRepository.delete(crawl.id);
+  }
+
+  async listCrawls({ userId = null, workspaceId = null } = {}) {
+    return this.crawlRepository.findAll({ userId, workspaceId });
+  }
+
+  async getCrawl(id, { userId = null, workspaceId = null } = {}) {
+    return this.requireCrawl(id, { userId, workspaceId });
+  }
+
+  /**
+   * The discovered network. "json" returns nodes and directed follow edges;
+   * graphml, gexf and jgf reuse the graph exporters.
+   */
+  async getCrawlGraph(
+    id,
+    { format = "json", userId = null, workspaceId = null } = {}
+  ) {
+    const crawl = await this.crawlRepository.findById(id);
+    if (!inScope(crawl, { userId, workspaceId })) {
+      throw new HttpError(404, "Crawl not found");
+    }
+
+    const nodes = Object.values(crawl.nodes).map(({ key, id, ...node }) => ({
+      id: key,
+      node_type: "crawled",
+      platform: crawl.platform,
+      platform_user_id: id,
+      ...node,
+    }));
+    const edges = crawl.edges.map((edge, index) => ({
+      id: index + 1,
+      source_id: edge.source,
+      target_id: edge.target,
+      connection_type: "follows",
+    }));
+
+    if (format === "json") {
+      return {
+        body: {
+          crawl: await this.crawlRepository.findSummary(crawl.id),
+          nodes,
+          edges,
+        },
+      };
+    }
+
+    const writer = FORMATS[format];
+    return {
+      body: writer.write(
+        { nodes, edges },
+        { crawl_id: crawl.id, seed: crawl.username, options: crawl.options }
+      ),
+      contentType: writer.contentType,
+      filename: `socialcog-crawl-${crawl.id}.${writer.extension}`,
+    };
+  }
+}
+
+module.exports = CrawlService;
+module.exports.DIRECTIONS = DIRECTIONS;
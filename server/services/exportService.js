@@ -0,0 +1,155 @@
+/**
+ * SocialCog.io - Export Service
+ * TM (2025) - TPCL, LLC
+ * Filters the stored graph and writes it out for Gephi, notebooks and friends
+ */
+
+const logger = require("../utils/logger");
+const HttpError = require("../utils/httpError");
+const { FORMATS } = require("../graph/exporters");
+
+// Keeps only the nodes within `depth` hops of the centre node
+const egoNetwork = (graph, centreId, depth) => {
+  const neighbours = new Map(graph.nodes.map((node) => [node.id, []]));
+  for (const edge of graph.edges) {
+    neighbours.get(edge.source_id)?.push(edge.target_id);
+    neighbours.get(edge.target_id)?.push(edge.source_id);
+  }
+
+  const kept = new Set([centreId]);
+  let frontier = [centreId];
+  for (let hop = 0; hop < depth && frontier.length > 0; hop++) {
+    const next = [];
+    for (const id of frontier) {
+      for (const neighbour of neighbours.get(id)) {
+        if (!kept.has(neighbour)) {
+          kept.add(neighbour);
+          next.push(neighbour);
+        }
+      }
+    }
+    frontier = next;
+  }
+
+  return kept;
+};
+
+const restrictTo = (graph, keep) => ({
+  nodes: graph.nodes.filter((node) => keep.has(node.id)),
+  edges: graph.edges.filter(
+    (edge) => keep.has(edge.source_id) && keep.has(edge.target_id)
+  ),
+});
+
+class ExportService {
+  constructor({ analyticsService }) {
+    this.analyticsService = analyticsService;
+  }
+
+  /**
+   * Options:
+   *   format           graphml | gexf | jgf | csv_nodes | csv_edges
+   *   platforms, edgeTypes, collapsePersons   as for the graph view
+   *   clusterIds       only keep nodes in these communities
+   *   egoProfileId     only keep the ego network around this profile
+   *   egoDepth         hops from the ego profile (default 1)
+   *   userId           export only that user's network
+   *   workspaceId      export only that workspace's network
+   *
+   * Every node carries its community as cluster_id / cluster_label.
+   */
+  async exportGraph({
+    format,
+    platforms = null,
+    edgeTypes = null,
+    collapsePersons = false,
+    clusterIds = null,
+    egoProfileId = null,
+    egoDepth = 1,
+    userId = null,
+    workspaceId = null,
+  }) {
+    const writer = FORMATS[format];
+    if (!writer) {
+      throw new HttpError(400, `Export format ${format} is not supported`);
+    }
+
+    const filters = {
+      platforms,
+      edgeTypes,
+      collapsePersons,
+      userId,
+      workspaceId,
+    };
+    const [{ graph }, communities] = await Promise.all([
+      this.analyticsService.loadGraph(filters),
+      this.analyticsService.getCommunities(filters),
+    ]);
+
+    const clusterById = new Map(
+      communities.clusters.map((cluster) => [cluster.id, cluster])
+    );
+    let exported = {
+      nodes: graph.nodes.map((node) => {
+        const clusterId = communities.assignments[node.id];
+        return {
+          ...node,
+          cluster_id: clusterId ?? null,
+          cluster_label: clusterById.get(clusterId)?.label ?? null,
+        };
+      }),
+      edges: graph.edges,
+    };
+
+    if (clusterIds) {
+      const keep = new Set(
+        exported.nodes
+          .filter((node) => clusterIds.includes(node.cluster_id))
+          .map((node) => node.id)
+      );
+      exported = restrictTo(exported, keep);
+    }
+
+    if (egoProfileId != null) {
+      const centre = exported.nodes.find((node) =>
+        node.profile_ids.includes(egoProfileId)
+      );
+      if (!centre) {
+        throw new HttpError(
+          404,
+          `Profile ${egoProfileId} is not tracked or is filtered out`
+        );
+      }
+      exported = restrictTo(
+        exported,
+        egoNetwork(exported, centre.id, egoDepth)
+      );
+    }
+
+    const body = writer.write(exported, {
+      exported_at: new Date().toISOString(),
+      filters: {
+        platforms,
+        edge_types: edgeTypes,
+        collapse: collapsePersons ? "persons" : "none",
+        clusters: clusterIds,
+        ego: egoProfileId,
+        ego_depth: egoProfileId != null ? egoDepth : null,
+      },
+    });
+
+    logger.info(
+      `📤 SocialCog.io: Exported ${exported.nodes.length} nodes and ${exported.edges.length} edges as ${format}`
+    );
+
+    return {
+      body,
+      contentType: writer.contentType,
+      filename: `socialcog-network.${writer.extension}`,
+      nodeCount: exported.nodes.length,
+      edgeCount: exported.edges.length,
+    };
+  }
+}
+
+module.exports = ExportService;
@@ -1,19 +1,111 @@
+/**
+ * SocialCog.io - GitHub Service
+ * TM (2025) - TPCL, LLC
+ * GitHub REST API integration for profiles and follower graphs
+ */
+
 const { Octokit } = require("@octokit/rest");
+const logger = require("../utils/logger");
+const { upstreamError } = require("../utils/upstreamError");
+const HttpCassette = require("../cassettes/httpCassette");
+const SharedCache = require("../cache/sharedCache");
+
+const toInt = (value) => {
+  const number = parseInt(value);
+  return Number.isNaN(number) ? null : number;
+};
+
+// Classic, fine-grained, OAuth, user-to-server and server-to-server tokens
+const TOKEN_PATTERN = /^(ghp_|github_pat_|gho_|ghu_|ghs_)[A-Za-z0-9_]+$/;
 
 class GitHubService {
-  constructor() {
+  // cassette (optional) records or replays every Octokit request; cache is
+  // the SharedCache responses are kept in (a private one by default)
+  constructor({
+    cassette = HttpCassette.fromEnv("github"),
+    cache = new SharedCache(),
+  } = {}) {
+    if (!cassette?.replaying) this.validateConfig();
+
+    // Unauthenticated clients still work, with a 60 requests/hour budget
     this.octokit = new Octokit({
-      auth: process.env.GITHUB_TOKEN,
+      auth: process.env.GITHUB_TOKEN || undefined,
+      userAgent: "SocialCog.io/1.0",
+      ...(cassette && { request: { fetch: cassette.fetch() } }),
     });
+
+    // API responses, with per-endpoint TTLs from config/cache.js
+    this.cache = cache.namespace("github");
+
+    // Budget from the x-ratelimit headers of the latest response
+    this.lastRateLimit = null;
+
+    logger.info("✅ SocialCog.io GitHub Service initialized successfully");
   }
 
-  async getUserProfile(username) {
+  validateConfig() {
+    const token = process.env.GITHUB_TOKEN;
+
+    if (!token) {
+      logger.warn(
+        "⚠️ GITHUB_TOKEN not set - GitHub API will run unauthenticated (60 requests/hour)"
+      );
+      return;
+    }
+
+    if (!TOKEN_PATTERN.test(token)) {
+      throw new Error(
+        "Invalid GitHub API credentials: GITHUB_TOKEN is not a recognised GitHub token"
+      );
+    }
+
+    logger.info("✅ GitHub API configuration validated");
+  }
+
+  async checkApiStatus() {
     try {
-      const { data: user } = await this.octokit.rest.users.getByUsername({
-        username: username,
-      });
+      logger.info("🔍 SocialCog.io: Checking GitHub API status...");
+
+      const response = await this.makeAPIRequest(() =>
+        process.env.GITHUB_TOKEN
+          ? this.octokit.rest.users.getAuthenticated()
+          : this.octokit.rest.rateLimit.get()
+      );
 
       return {
+        status: "connected",
+        service: "GitHub API",
+        user: response.data?.login || "anonymous",
+        timestamp: new Date().toISOString(),
+        rate_limit: this.extractRateLimit(response.headers),
+      };
+    } catch (error) {
+      logger.error("❌ SocialCog.io: GitHub API check failed:", error.message);
+
+      return {
+        status: "error",
+        error: error.message,
+        status_code: error.status || error.statusCode,
+        timestamp: new Date().toISOString(),
+      };
+    }
+  }
+
+  async getUserProfile(username) {
+    return this.cache.wrap("profile", username.toLowerCase(), () =>
+      this.fetchUserProfile(username)
+    );
+  }
+
+  async fetchUserProfile(username) {
+    try {
+      logger.info(`🔍 SocialCog.io: Fetching GitHub profile for ${username}`);
+
+      const { data: user } = await this.makeAPIRequest(() =>
+        this.octokit.rest.users.getByUsername({ username })
+      );
+
+      const profile = {
         id: user.id,
         username: user.login,
         name: user.name || user.login,
@@ -22,33 +114,85 @@ class GitHubService {
         following: user.following,
         posts: user.public_repos,
         bio: user.bio || "",
-        profile_url: user.html_url,
         verified: user.site_admin,
+        location: user.location || null,
+        company: user.company || null,
+        profile_url: user.html_url,
+        profile_image_url: user.avatar_url || null,
+        external_url: user.blog || null,
         created_at: user.created_at,
         updated_at: new Date().toISOString(),
+        fetched_by: "SocialCog.io",
+        api_version: "v3",
       };
+
+      logger.info(
+        `✅ SocialCog.io: Successfully fetched GitHub profile for ${profile.username}`
+      );
+
+      return profile;
     } catch (error) {
-      console.error("GitHub API Error:", error);
-      throw error;
+      logger.error(
+        `❌ SocialCog.io: Error fetching GitHub profile for ${username}:`,
+        error.message
+      );
+      throw upstreamError("GitHub", error, `user ${username}`);
     }
   }
 
-  async getUserFollowers(username) {
+  async getUserFollowers(username, maxResults = 100) {
+    return this.listUsers("followers", username, maxResults);
+  }
+
+  async getUserFollowing(username, maxResults = 100) {
+    return this.listUsers("following", username, maxResults);
+  }
+
+  async listUsers(direction, username, maxResults) {
+    return this.cache.wrap(
+      direction,
+      `${username.toLowerCase()}_${maxResults}`,
+      () => this.fetchUsers(direction, username, maxResults)
+    );
+  }
+
+  async fetchUsers(direction, username, maxResults) {
     try {
-      const { data: followers } =
-        await this.octokit.rest.users.listFollowersForUser({
-          username: username,
-          per_page: 100,
-        });
-
-      return followers.map((follower) => ({
-        id: follower.id,
-        username: follower.login,
-        profile_url: follower.html_url,
-      }));
+      logger.info(`🔍 SocialCog.io: Fetching GitHub ${direction} for ${username}`);
+
+      const endpoint =
+        direction === "followers"
+          ? this.octokit.rest.users.listFollowersForUser
+          : this.octokit.rest.users.listFollowingForUser;
+
+      const { data: users } = await this.makeAPIRequest(() =>
+        endpoint({ username, per_page: Math.min(maxResults, 100) })
+      );
+
+      const result = {
+        username,
+        count: users.length,
+        [direction]: users.map((user) => ({
+          id: user.id,
+          username: user.login,
+          profile_url: user.html_url,
+          profile_image_url: user.avatar_url || null,
+          platform: "github",
+        })),
+        fetched_at: new Date().toISOString(),
+        fetched_by: "SocialCog.io",
+      };
+
+      logger.info(
+        `✅ SocialCog.io: Fetched ${result.count} GitHub ${direction} for ${username}`
+      );
+      return result;
     } catch (error) {
-      console.error("GitHub Followers Error:", error);
-      return [];
+      logger.error(
+        `❌ SocialCog.io: Error fetching GitHub ${direction}:`,
+        error.message
+      );
+      throw upstreamError("GitHub", error, `user ${username}`);
     }
   }
 
@@ -63,8 +207,11 @@ class GitHubService {
             this.getUserFollowers(usernames[j]),
           ]);
 
-          const mutualFollowers = user1Followers.filter((f1) =>
-            user2Followers.some((f2) => f2.id === f1.id)
+          const user1FollowerIds = new Set(
+            user1Followers.followers.map((f) => f.id)
+          );
+          const mutualFollowers = user2Followers.followers.filter((f) =>
+            user1FollowerIds.has(f.id)
           );
 
           if (mutualFollowers.length > 0) {
@@ -77,13 +224,82 @@ class GitHubService {
             });
           }
         } catch (error) {
-          console.error("GitHub mutual connections error:", error);
+          logger.error(
+            "❌ SocialCog.io: GitHub mutual connections error:",
+            error.message
+          );
         }
       }
     }
 
     return connections;
   }
+
+  // Utility methods
+  async makeAPIRequest(request) {
+    try {
+      const response = await request();
+      this.recordRateLimit(response.headers);
+      return response;
+    } catch (error) {
+      this.recordRateLimit(error.response?.headers);
+      const remaining = error.response?.headers?.["x-ratelimit-remaining"];
+
+      if (error.status === 429 || (error.status === 403 && remaining === "0")) {
+        logger.warn("⚠️ SocialCog.io: GitHub rate limit exceeded");
+        const rateLimitError = new Error(
+          "Rate limit exceeded - please try again later"
+        );
+        rateLimitError.statusCode = 429;
+        throw rateLimitError;
+      }
+
+      if (error.status === 401) {
+        logger.error("🔐 SocialCog.io: GitHub authentication failed");
+        const authError = new Error(
+          "GitHub authentication failed - check GITHUB_TOKEN"
+        );
+        authError.statusCode = 401;
+        throw authError;
+      }
+
+      throw error;
+    }
+  }
+
+  extractRateLimit(headers = {}) {
+    return {
+      limit: toInt(headers["x-ratelimit-limit"]),
+      remaining: toInt(headers["x-ratelimit-remaining"]),
+      reset: toInt(headers["x-ratelimit-reset"]),
+    };
+  }
+
+  recordRateLimit(headers) {
+    const { limit, remaining, reset } = this.extractRateLimit(headers);
+    if (limit == null || remaining == null) return;
+
+    this.lastRateLimit = {
+      limit,
+      remaining,
+      reset_at: reset ? new Date(reset * 1000).toISOString() : null,
+      updated_at: new Date().toISOString(),
+    };
+  }
+
+  rateLimitStatus() {
+    return this.lastRateLimit;
+  }
+
+  // Cache management
+  async clearCache() {
+    await this.cache.flush();
+    logger.info("🗑️ SocialCog.io: GitHub service cache cleared");
+  }
+
+  async getCacheStats() {
+    return this.cache.stats();
+  }
 }
 
-module.exports = new GitHubService();
+module.exports = GitHubService;
@@ -0,0 +1,499 @@
+/**
+ * SocialCog.io - Identity Resolver
+ * TM (2025) - TPCL, LLC
+ * Links accounts across platforms into person records
+ */
+
+const logger = require("../utils/logger");
+const HttpError = require("../utils/httpError");
+const { inScope } = require("../utils/ownership");
+
+// Relative weight of each signal; signals missing on either side are left
+// out and the remaining weights are renormalised
+const SIGNAL_WEIGHTS = {
+  bio_links: 0.35,
+  name: 0.3,
+  username: 0.25,
+  location: 0.1,
+};
+
+// Pairs scoring below this are not worth showing as candidates
+const CANDIDATE_THRESHOLD = 0.55;
+
+// A profile that links straight to the other account is near-certain
+const DIRECT_LINK_CONFIDENCE = 0.9;
+
+const URL_PATTERN =
+  /(?:https?:\/\/)?(?:www\.)?[a-z0-9-]+(?:\.[a-z0-9-]+)+(?:\/[^\s)]*)?/gi;
+
+const SOCIAL_DOMAINS = [
+  "twitter.com",
+  "x.com",
+  "linkedin.com",
+  "github.com",
+  "instagram.com",
+  "facebook.com",
+];
+
+const normalizeUrl = (url) =>
+  String(url)
+    .toLowerCase()
+    .replace(/^https?:\/\//, "")
+    .replace(/^www\./, "")
+    .replace(/^x\.com\//, "twitter.com/")
+    .replace(/[?#].*$/, "")
+    .replace(/\/+$/, "");
+
+const domainOf = (url) => normalizeUrl(url).split("/")[0];
+
+const normalizeName = (name) =>
+  String(name || "")
+    .replace(/\(mock\)/gi, "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+
+const normalizeHandle = (username) =>
+  String(username || "")
+    .toLowerCase()
+    .replace(/[^a-z]/g, "");
+
+const levenshtein = (a, b) => {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+
+  return previous[b.length];
+};
+
+const similarity = (a, b) => {
+  if (!a || !b) return 0;
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+};
+
+// Every URL a profile exposes about itself: links, website and bio mentions
+const collectLinks = (profile) => {
+  const links = [profile.external_url, profile.website, profile.blog].filter(
+    Boolean
+  );
+  const text = [profile.bio, profile.summary, profile.headline]
+    .filter(Boolean)
+    .join(" ");
+
+  return [...links, ...(text.match(URL_PATTERN) || [])].map(normalizeUrl);
+};
+
+class IdentityResolver {
+  constructor({ profileRepository, personRepository, identityLinkRepository }) {
+    this.profileRepository = profileRepository;
+    this.personRepository = personRepository;
+    this.identityLinkRepository = identityLinkRepository;
+  }
+
+  // Keeps candidates current as profiles come and go. Scoring is local and
+  // cheap, so it runs on every profile change.
+  watch() {
+    const rescore = (profile) =>
+      this.resolveProfile(profile.id).catch((error) =>
+        logger.error(
+          `❌ SocialCog.io: Identity resolution failed for @${profile.username}:`,
+          error.message
+        )
+      );
+
+    this.profileRepository.on("created", rescore);
+    this.profileRepository.on("updated", rescore);
+    this.profileRepository.on("deleted", (profile) =>
+      this.forgetProfile(profile.id).catch((error) =>
+        logger.error(
+          `❌ SocialCog.io: Failed to unlink deleted profile ${profile.id}:`,
+          error.message
+        )
+      )
+    );
+
+    return this;
+  }
+
+  scoreMatch(profileA, profileB) {
+    const signals = {
+      bio_links: this.scoreBioLinks(profileA, profileB),
+      name: this.scoreName(profileA, profileB),
+      username: this.scoreUsername(profileA, profileB),
+      location: this.scoreLocation(profileA, profileB),
+    };
+
+    let weighted = 0;
+    let totalWeight = 0;
+    for (const [signal, score] of Object.entries(signals)) {
+      if (score === null) continue;
+      weighted += score * SIGNAL_WEIGHTS[signal];
+      totalWeight += SIGNAL_WEIGHTS[signal];
+    }
+
+    let confidence = totalWeight > 0 ? weighted / totalWeight : 0;
+    if (signals.bio_links === 1) {
+      confidence = Math.max(confidence, DIRECT_LINK_CONFIDENCE);
+    }
+
+    return {
+      confidence: Math.round(confidence * 1000) / 1000,
+      signals,
+    };
+  }
+
+  // 1 when either profile links to the other account, 0.7 for a shared
+  // personal website, 0 when both expose links that do not agree
+  scoreBioLinks(profileA, profileB) {
+    const linksA = collectLinks(profileA);
+    const linksB = collectLinks(profileB);
+
+    const pointsTo = (links, profile) =>
+      Boolean(profile.profile_url) &&
+      links.includes(normalizeUrl(profile.profile_url));
+
+    if (pointsTo(linksA, profileB) || pointsTo(linksB, profileA)) {
+      return 1;
+    }
+    if (linksA.length === 0 || linksB.length === 0) return null;
+
+    const personalDomains = (links) =>
+      new Set(
+        links.map(domainOf).filter((domain) => !SOCIAL_DOMAINS.includes(domain))
+      );
+    const domainsA = personalDomains(linksA);
+    const shared = [...personalDomains(linksB)].some((domain) =>
+      domainsA.has(domain)
+    );
+
+    return shared ? 0.7 : 0;
+  }
+
+  // Best of whole-name edit similarity and token overlap, so that
+  // "Jane Q. Doe" and "Jane Doe" still match well
+  scoreName(profileA, profileB) {
+    const tokensA = normalizeName(profileA.name);
+    const tokensB = normalizeName(profileB.name);
+    if (tokensA.length === 0 || tokensB.length === 0) return null;
+
+    const setB = new Set(tokensB);
+    const overlap = tokensA.filter((token) => setB.has(token)).length;
+    const jaccard = overlap / new Set([...tokensA, ...tokensB]).size;
+    const containment = overlap / Math.min(tokensA.length, tokensB.length);
+
+    return Math.max(
+      similarity(tokensA.join(" "), tokensB.join(" ")),
+      jaccard,
+      containment * 0.9
+    );
+  }
+
+  scoreUsername(profileA, profileB) {
+    const rawA = String(profileA.username || "").toLowerCase();
+    const rawB = String(profileB.username || "").toLowerCase();
+    if (!rawA || !rawB) return null;
+    if (rawA === rawB) return 1;
+
+    // Separators and digits are often the only difference across platforms
+    const handleA = normalizeHandle(rawA);
+    const handleB = normalizeHandle(rawB);
+    if (handleA && handleA === handleB) return 0.85;
+
+    if (
+      handleA.length >= 4 &&
+      handleB.length >= 4 &&
+      (handleA.includes(handleB) || handleB.includes(handleA))
+    ) {
+      return 0.6;
+    }
+
+    return similarity(handleA, handleB) * 0.5;
+  }
+
+  scoreLocation(profileA, profileB) {
+    const partsOf = (location) =>
+      String(location || "")
+        .toLowerCase()
+        .split(",")
+        .map((part) => part.trim())
+        .filter(Boolean);
+
+    const partsA = partsOf(profileA.location);
+    const partsB = partsOf(profileB.location);
+    if (partsA.length === 0 || partsB.length === 0) return null;
+
+    if (partsA.join(",") === partsB.join(",")) return 1;
+    if (partsA[0] === partsB[0]) return 0.7;
+
+    const setB = new Set(partsB);
+    return partsA.some((part) => setB.has(part)) ? 0.4 : 0;
+  }
+
+  // Rescores a profile against every profile its workspace tracks on other
+  // platforms
+  async resolveProfile(profileId) {
+    const profile = await this.profileRepository.findById(profileId);
+    if (!profile) return [];
+
+    const others = (await this.profileRepository.findAll()).filter(
+      (other) =>
+        other.platform !== profile.platform &&
+        other.user_id === profile.user_id &&
+        (other.workspace_id ?? null) === (profile.workspace_id ?? null)
+    );
+    const candidates = [];
+
+    for (const other of others) {
+      const { confidence, signals } = this.scoreMatch(profile, other);
+      const existing = await this.identityLinkRepository.findByPair(
+        profile.id,
+        other.id
+      );
+
+      if (confidence < CANDIDATE_THRESHOLD) {
+        // Stale candidates go; confirmed and rejected decisions stay
+        if (existing?.status === "candidate") {
+          await this.identityLinkRepository.delete(existing.id);
+        }
+        continue;
+      }
+
+      candidates.push(
+        await this.identityLinkRepository.upsert(profile.id, other.id, {
+          user_id: profile.user_id ?? null,
+          workspace_id: profile.workspace_id ?? null,
+          confidence,
+          signals,
+          scored_at: new Date().toISOString(),
+        })
+      );
+    }
+
+    if (candidates.length > 0) {
+      logger.info(
+        `🧬 SocialCog.io: ${candidates.length} identity candidate(s) for @${profile.username}`
+      );
+    }
+    return candidates;
+  }
+
+  async resolveAll({ userId = null, workspaceId = null } = {}) {
+    const profiles = await this.profileRepository.findAll({
+      userId,
+      workspaceId,
+    });
+    let count = 0;
+
+    for (const profile of profiles) {
+      count += (await this.resolveProfile(profile.id)).length;
+    }
+
+    // Each pair is seen from both sides
+    return { profiles: profiles.length, links: count / 2 };
+  }
+
+  async listCandidates({
+    status = "candidate",
+    minConfidence,
+    userId = null,
+    workspaceId = null,
+  } = {}) {
+    const links = await this.identityLinkRepository.findAll({
+      status,
+      minConfidence,
+      userId,
+      workspaceId,
+    });
+    return links.sort((a, b) => b.confidence - a.confidence);
+  }
+
+  async confirmLink(linkId, { userId = null, workspaceId = null } = {}) {
+    const link = await this.getLink(linkId, { userId, workspaceId });
+    if (link.status === "rejected") {
+      throw new HttpError(409, "Rejected links cannot be confirmed");
+    }
+
+    const person = await this.mergeProfiles(
+      [link.profile_a_id, link.profile_b_id],
+      { source: "confirmed", userId, workspaceId }
+    );
+    const updated = await this.identityLinkRepository.update(link.id, {
+      status: "confirmed",
+      decided_at: new Date().toISOString(),
+      person_id: person.id,
+    });
+
+    return { link: updated, person };
+  }
+
+  async rejectLink(linkId, { userId = null, workspaceId = null } = {}) {
+    const link = await this.getLink(linkId, { userId, workspaceId });
+    if (link.status === "confirmed") {
+      throw new HttpError(
+        409,
+        "Confirmed links must be undone by detaching the profile from its person"
+      );
+    }
+
+    return this.identityLinkRepository.update(link.id, {
+      status: "rejected",
+      decided_at: new Date().toISOString(),
+    });
+  }
+
+  async getLink(linkId, { userId = null, workspaceId = null } = {}) {
+    const link = await this.identityLinkRepository.findById(linkId);
+    if (!inScope(link, { userId, workspaceId })) {
+      throw new HttpError(404, "Identity link not found");
+    }
+    return link;
+  }
+
+  // Folds the given profiles, and any persons they already belong to, into
+  // a single person record. Only profiles of one workspace can be merged.
+  async mergeProfiles(
+    profileIds,
+    { name, source = "manual", userId = null, workspaceId = null } = {}
+  ) {
+    const ids = [...new Set(profileIds.map((id) => parseInt(id)))];
+    const profiles = await Promise.all(
+      ids.map((id) => this.profileRepository.findById(id))
+    );
+
+    const missing = ids.filter(
+      (id, index) => !inScope(profiles[index], { userId, workspaceId })
+    );
+    if (missing.length > 0) {
+      throw new HttpError(404, `Profiles not found: ${missing.join(", ")}`);
+    }
+
+    const owner = profiles[0].user_id ?? null;
+    const workspace = profiles[0].workspace_id ?? null;
+    if (
+      profiles.some(
+        (profile) =>
+          (profile.user_id ?? null) !== owner ||
+          (profile.workspace_id ?? null) !== workspace
+      )
+    ) {
+      throw new HttpError(400, "Profiles belong to different workspaces");
+    }
+
+    const persons = (
+      await this.personRepository.findAll({
+        userId: owner,
+        workspaceId: workspace,
+      })
+    ).filter((person) => person.profile_ids.some((id) => ids.includes(id)));
+    const memberIds = [
+      ...new Set([...persons.flatMap((p) => p.profile_ids), ...ids]),
+    ];
+    const personName = name || persons[0]?.name || this.pickName(profiles);
+
+    if (persons.length === 0) {
+      return this.personRepository.create({
+        name: personName,
+        profile_ids: memberIds,
+        source,
+        user_id: owner,
+        workspace_id: workspace,
+      });
+    }
+
+    // Keep the oldest person and absorb the rest
+    const [keeper, ...absorbed] = persons.sort((a, b) => a.id - b.id);
+    for (const person of absorbed) {
+      await this.personRepository.delete(person.id);
+    }
+
+    return this.personRepository.update(keeper.id, {
+      name: personName,
+      profile_ids: memberIds,
+    });
+  }
+
+  async detachProfile(
+    personId,
+    profileId,
+    { userId = null, workspaceId = null } = {}
+  ) {
+    const person = await this.personRepository.findById(personId);
+    if (!inScope(person, { userId, workspaceId })) {
+      throw new HttpError(404, "Person not found");
+    }
+
+    const id = parseInt(profileId);
+    if (!person.profile_ids.includes(id)) {
+      throw new HttpError(404, "Profile is not part of this person");
+    }
+
+    // Confirmed links to the detached profile no longer hold
+    for (const link of await this.identityLinkRepository.findAll({
+      status: "confirmed",
+    })) {
+      if (
+        link.person_id === person.id &&
+        (link.profile_a_id === id || link.profile_b_id === id)
+      ) {
+        await this.identityLinkRepository.update(link.id, {
+          status: "candidate",
+          decided_at: null,
+          person_id: null,
+        });
+      }
+    }
+
+    const remaining = person.profile_ids.filter((pid) => pid !== id);
+    if (remaining.length < 2) {
+      await this.personRepository.delete(person.id);
+      return null;
+    }
+
+    return this.personRepository.update(person.id, {
+      profile_ids: remaining,
+    });
+  }
+
+  async forgetProfile(profileId) {
+    const id = parseInt(profileId);
+    await this.identityLinkRepository.deleteByProfileId(id);
+
+    const person = await this.personRepository.findByProfileId(id);
+    if (!person) return;
+
+    const remaining = person.profile_ids.filter((pid) => pid !== id);
+    if (remaining.length < 2) {
+      await this.personRepository.delete(person.id);
+    } else {
+      await this.personRepository.update(person.id, {
+        profile_ids: remaining,
+      });
+    }
+  }
+
+  // Prefers a real display name over a bare handle
+  pickName(profiles) {
+    const named = profiles.find(
+      (profile) => profile.name && profile.name !== profile.username
+    );
+    return (named || profiles[0]).name || profiles[0].username;
+  }
+}
+
+module.exports = IdentityResolver;
+module.exports.CANDIDATE_THRESHOLD = CANDIDATE_THRESHOLD;
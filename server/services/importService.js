@@ -0,0 +1,397 @@
+/**
+ * SocialCog.io - Import Service
+ * TM (2025) - TPCL, LLC
+ * Bulk import of profiles from CSV/TSV files and pasted handle or URL lists
+ */
+
+const logger = require("../utils/logger");
+const HttpError = require("../utils/httpError");
+const { defaultDataMode } = require("../utils/dataMode");
+const { inScope } = require("../utils/ownership");
+
+const MAX_ROWS = 1000;
+
+// Header names recognised in CSV/TSV input
+const HANDLE_COLUMNS = ["handle", "username", "user", "url", "profile_url"];
+const PLATFORM_COLUMNS = ["platform", "network", "site"];
+
+// Row outcomes; only "queued" rows still need a fetch. "mocked" only
+// appears on jobs from before demo mode, when failed fetches fell back to
+// placeholder profiles
+const ROW_STATUSES = [
+  "queued",
+  "imported",
+  "mocked",
+  "duplicate",
+  "not_found",
+  "invalid",
+  "failed",
+];
+
+// Minimal CSV/TSV splitter that understands quoted cells
+const splitLine = (line, delimiter) => {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      cells.push(cell.trim());
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  cells.push(cell.trim());
+  return cells;
+};
+
+const detectDelimiter = (lines) => {
+  const sample = lines.slice(0, 5).join("\n");
+  if (sample.includes("\t")) return "\t";
+  if (sample.includes(",")) return ",";
+  if (sample.includes(";")) return ";";
+  return null;
+};
+
+const countStatuses = (rows) =>
+  Object.fromEntries(
+    ROW_STATUSES.map((status) => [
+      status,
+      rows.filter((row) => row.status === status).length,
+    ])
+  );
+
+class ImportService {
+  constructor({
+    profileService,
+    profileRepository,
+    importRepository,
+    platformRegistry,
+    concurrency = 2,
+    spacingMs = 500,
+  }) {
+    this.profileService = profileService;
+    this.profileRepository = profileRepository;
+    this.importRepository = importRepository;
+    this.platformRegistry = platformRegistry;
+    this.concurrency = concurrency;
+    this.spacingMs = spacingMs;
+    this.queue = [];
+    this.active = 0;
+  }
+
+  /**
+   * Splits raw input into candidate entries. Accepts:
+   *   - CSV/TSV with a header naming a handle/url column (and optionally a
+   *     platform column)
+   *   - headerless rows of "handle[,platform]"
+   *   - plain lists, one handle or URL per line or separated by commas
+   */
+  parseInput(text) {
+    const lines = String(text || "")
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter((line) => line && !line.startsWith("#"));
+
+    const delimiter = detectDelimiter(lines);
+    if (!delimiter) {
+      // A one-column CSV still has its header word on top
+      const first = (lines[0] || "").toLowerCase();
+      const values =
+        HANDLE_COLUMNS.includes(first) || PLATFORM_COLUMNS.includes(first)
+          ? lines.slice(1)
+          : lines;
+      return values.map((line) => ({ value: line, platform: null }));
+    }
+
+    const rows = lines.map((line) => splitLine(line, delimiter));
+    const header = rows[0].map((cell) => cell.toLowerCase());
+    const handleColumn = header.findIndex((c) => HANDLE_COLUMNS.includes(c));
+
+    if (handleColumn !== -1) {
+      const platformColumn = header.findIndex((c) =>
+        PLATFORM_COLUMNS.includes(c)
+      );
+      return rows.slice(1).map((cells) => ({
+        value: cells[handleColumn] || "",
+        platform: platformColumn !== -1 ? cells[platformColumn] || null : null,
+      }));
+    }
+
+    // "handle,platform" pairs, or just a comma-separated list of handles
+    return rows.flatMap((cells) =>
+      cells.length === 2 && this.platformRegistry.has(cells[1].toLowerCase())
+        ? [{ value: cells[0], platform: cells[1] }]
+        : cells.filter(Boolean).map((value) => ({ value, platform: null }))
+    );
+  }
+
+  /**
+   * Works out platform and handle for one entry. Profile URLs pick their
+   * own platform; "github:octocat" names it inline; bare handles fall back
+   * to the row's platform column, then to the default platform.
+   */
+  resolveEntry({ value, platform }, defaultPlatform) {
+    const raw = String(value || "").trim();
+    if (!raw) {
+      return { platform: null, username: null, error: "Empty row" };
+    }
+
+    for (const adapter of this.platformRegistry.list()) {
+      const handle = adapter.parseProfileUrl(raw);
+      if (handle) {
+        return { platform: adapter.name, username: handle };
+      }
+    }
+
+    if (/^https?:\/\/|^www\./i.test(raw)) {
+      return {
+        platform: null,
+        username: null,
+        error: "URL does not match any enabled platform",
+      };
+    }
+
+    const prefixed = /^([a-z]+):(.+)$/i.exec(raw);
+    const chosen = (
+      (prefixed && prefixed[1]) ||
+      platform ||
+      defaultPlatform ||
+      ""
+    ).toLowerCase();
+    const username = (prefixed ? prefixed[2] : raw).trim().replace(/^@/, "");
+
+    if (!chosen) {
+      return {
+        platform: null,
+        username,
+        error: "Platform could not be detected; set a default platform",
+      };
+    }
+    if (!this.platformRegistry.has(chosen)) {
+      return {
+        platform: chosen,
+        username,
+        error: `Platform ${chosen} is not supported yet`,
+      };
+    }
+    if (!/^[\w.-]+$/.test(username)) {
+      return { platform: chosen, username, error: "Invalid handle" };
+    }
+
+    return { platform: chosen, username };
+  }
+
+  // Parses, dedupes and records the job, then queues the fetches; every row
+  // is fetched in the job's data mode and tracked in the job's workspace
+  async createImport({
+    text,
+    defaultPlatform = null,
+    source = "paste",
+    mode = defaultDataMode(),
+    userId = null,
+    workspaceId = null,
+  }) {
+    const entries = this.parseInput(text);
+    if (entries.length === 0) {
+      throw new HttpError(400, "No handles or profile URLs found in input");
+    }
+    if (entries.length > MAX_ROWS) {
+      throw new HttpError(
+        400,
+        `Imports are limited to ${MAX_ROWS} rows (got ${entries.length})`
+      );
+    }
+
+    const seen = new Set();
+    const rows = [];
+
+    for (const [index, entry] of entries.entries()) {
+      const resolved = this.resolveEntry(entry, defaultPlatform);
+      const row = {
+        row: index + 1,
+        input: entry.value,
+        platform: resolved.platform,
+        username: resolved.username,
+        status: "queued",
+        message: null,
+        profile_id: null,
+      };
+
+      if (resolved.error) {
+        Object.assign(row, { status: "invalid", message: resolved.error });
+      } else {
+        const key = `${row.platform}:${row.username.toLowerCase()}`;
+        const existing = await this.profileRepository.findByUsername(
+          row.platform,
+          row.username,
+          { userId, workspaceId }
+        );
+
+        if (existing) {
+          Object.assign(row, {
+            status: "duplicate",
+            message: "Already tracked",
+            profile_id: existing.id,
+          });
+        } else if (seen.has(key)) {
+          Object.assign(row, {
+            status: "duplicate",
+            message: "Repeated in this import",
+          });
+        }
+        seen.add(key);
+      }
+
+      rows.push(row);
+    }
+
+    const job = await this.importRepository.create({
+      status: rows.some((row) => row.status === "queued")
+        ? "queued"
+        : "completed",
+      source,
+      mode,
+      user_id: userId,
+      workspace_id: workspaceId,
+      default_platform: defaultPlatform,
+      totals: countStatuses(rows),
+      rows,
+    });
+
+    logger.info(
+      `📥 SocialCog.io: Import ${job.id} queued ${job.totals.queued} of ${rows.length} rows`
+    );
+
+    this.enqueue(job);
+    return job;
+  }
+
+  // Picks up jobs interrupted by a restart
+  async resume() {
+    for (const job of await this.importRepository.findUnfinished()) {
+      logger.info(`📥 SocialCog.io: Resuming import ${job.id}`);
+      this.enqueue(job);
+    }
+    return this;
+  }
+
+  enqueue(job) {
+    for (const row of job.rows) {
+      if (row.status === "queued") {
+        this.queue.push({ jobId: job.id, row });
+      }
+    }
+    this.drain();
+  }
+
+  // Runs up to `concurrency` fetches, spaced out to go easy on rate limits
+  drain() {
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      const task = this.queue.shift();
+      this.active += 1;
+
+      this.processRow(task)
+        .catch((error) =>
+          logger.error(
+            `❌ SocialCog.io: Import ${task.jobId} row ${task.row.row} crashed:`,
+            error.message
+          )
+        )
+        .finally(() =>
+          setTimeout(() => {
+            this.active -= 1;
+            this.drain();
+          }, this.spacingMs)
+        );
+    }
+  }
+
+  async processRow({ jobId, row }) {
+    const job = await this.importRepository.findById(jobId);
+    if (!job) return;
+    if (job.status === "queued") {
+      await this.importRepository.update(jobId, { status: "running" });
+    }
+
+    const outcome = await this.fetchRow(row, job);
+    await this.importRepository.updateRow(jobId, row.row, outcome);
+
+    const updated = await this.importRepository.findById(jobId);
+    const totals = countStatuses(updated.rows);
+    await this.importRepository.update(jobId, {
+      totals,
+      ...(totals.queued === 0 && {
+        status: "completed",
+        completed_at: new Date().toISOString(),
+      }),
+    });
+
+    if (totals.queued === 0) {
+      logger.info(
+        `📥 SocialCog.io: Import ${jobId} finished: ${totals.imported} imported, ${totals.duplicate} duplicate, ${totals.not_found} not found`
+      );
+    }
+  }
+
+  async fetchRow(row, job) {
+    try {
+      const profile = await this.profileService.addProfile(
+        row.platform,
+        row.username,
+        {
+          mode: job.mode,
+          userId: job.user_id ?? null,
+          workspaceId: job.workspace_id ?? null,
+        }
+      );
+
+      return {
+        status: "imported",
+        message: null,
+        profile_id: profile.id,
+        username: profile.username,
+      };
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return { status: "not_found", message: error.message };
+      }
+      if (error.statusCode === 409) {
+        return {
+          status: "duplicate",
+          message: "Already tracked",
+          profile_id: error.details?.profile_id ?? null,
+        };
+      }
+      return { status: "failed", message: error.message };
+    }
+  }
+
+  async listImports({ userId = null, workspaceId = null } = {}) {
+    return this.importRepository.findAll({ userId, workspaceId });
+  }
+
+  async getImport(id, { userId = null, workspaceId = null } = {}) {
+    const job = await this.importRepository.findById(id);
+    if (!inScope(job, { userId, workspaceId })) {
+      throw new HttpError(404, "Import not found");
+    }
+    return job;
+  }
+}
+
+module.exports = ImportService;
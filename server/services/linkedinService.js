@@ -1,64 +1,137 @@
 /**
  * SocialCog.io - LinkedIn Service
  * TM (2025) - TPCL, LLC
- * Production LinkedIn API integration
+ * Production LinkedIn API integration, as the app or a connected user
  */
 
 const axios = require("axios");
-const NodeCache = require("node-cache");
 const logger = require("../utils/logger");
+const HttpError = require("../utils/httpError");
+const { upstreamError } = require("../utils/upstreamError");
+const HttpCassette = require("../cassettes/httpCassette");
+const SharedCache = require("../cache/sharedCache");
+
+// Our own throttle, below LinkedIn's ~100 requests per minute
+const REQUESTS_PER_WINDOW = 90;
+const WINDOW_MS = 60 * 1000;
+
+const toInt = (value) => {
+  const number = parseInt(value);
+  return Number.isNaN(number) ? null : number;
+};
 
 class LinkedInService {
-  constructor() {
-    this.validateConfig();
+  // cassette (optional) records or replays every API request; replaying
+  // needs no credentials. Calls run with the connected user's token from
+  // the credential context bound by withCredentials(), else with the app's
+  // (appCredentials, see config/credentials.js); oauthEnabled says users
+  // can connect, so the service is usable without app credentials.
+  // Responses are kept in the SharedCache `cache` (a private one by default)
+  constructor({
+    cassette = HttpCassette.fromEnv("linkedin"),
+    cache = new SharedCache(),
+    appCredentials = null,
+    oauthEnabled = false,
+  } = {}) {
+    if (!cassette?.replaying && !appCredentials && !oauthEnabled) {
+      throw new Error(
+        "Missing LinkedIn API credentials: set LINKEDIN_CLIENT_ID and LINKEDIN_CLIENT_SECRET for user connections or LINKEDIN_ACCESS_TOKEN"
+      );
+    }
+
+    this.cassette = cassette;
+    this.appCredentials = appCredentials;
+    this.credentials = null;
+
+    this.http = axios.create(
+      cassette ? { adapter: cassette.axiosAdapter() } : {}
+    );
 
     // LinkedIn API base URL
     this.baseURL = "https://api.linkedin.com/v2";
 
-    // Default headers for all requests
+    // Default headers for all requests; Authorization is added per call
     this.defaultHeaders = {
-      Authorization: `Bearer ${process.env.LINKEDIN_ACCESS_TOKEN}`,
       "Content-Type": "application/json",
       "X-Restli-Protocol-Version": "2.0.0",
       "User-Agent": "SocialCog.io/1.0",
     };
 
-    // Cache for API responses (TTL: 10 minutes)
-    this.cache = new NodeCache({ stdTTL: 600, checkperiod: 120 });
+    // API responses, with per-endpoint TTLs from config/cache.js
+    this.cache = cache.namespace("linkedin");
 
-    // Rate limiting tracker
-    this.requestTracker = new Map();
+    // Rate limiting tracker per identity ("app", "user:<id>")
+    this.requestTrackers = new Map();
+    // Identity -> budget from the x-ratelimit headers of its latest response
+    this.rateLimits = new Map();
 
     logger.info("✅ SocialCog.io LinkedIn Service initialized successfully");
   }
 
-  validateConfig() {
-    const required = [
-      "LINKEDIN_CLIENT_ID",
-      "LINKEDIN_CLIENT_SECRET",
-      "LINKEDIN_ACCESS_TOKEN",
-    ];
-
-    const missing = required.filter((key) => !process.env[key]);
+  // A view of this service whose calls run with a per-request credential
+  // context (OAuthService.credentialsFor); caches and rate-limit trackers
+  // stay shared with the service itself
+  withCredentials(credentials) {
+    return Object.assign(Object.create(this), { credentials });
+  }
 
-    if (missing.length > 0) {
-      throw new Error(
-        `Missing LinkedIn API credentials: ${missing.join(", ")}`
+  // Who the next call runs as and the headers that authenticate it
+  async session() {
+    const user = this.cassette?.replaying
+      ? null
+      : await this.credentials?.resolve("linkedin");
+    const identity = user ? user.identity : "app";
+    const accessToken = user
+      ? user.accessToken
+      : this.appCredentials?.accessToken;
+
+    if (!accessToken && !this.cassette?.replaying) {
+      throw new HttpError(
+        403,
+        "Connect your LinkedIn account to fetch live LinkedIn data"
       );
     }
 
-    logger.info("✅ LinkedIn API configuration validated");
+    return {
+      identity,
+      headers: {
+        ...this.defaultHeaders,
+        Authorization: `Bearer ${accessToken || "replay"}`,
+      },
+    };
+  }
+
+  // Cached responses are kept per identity, so nobody is served data that
+  // was fetched with someone else's token
+  async cached(endpoint, request, fetch) {
+    const { identity } = await this.session();
+    return this.cache.wrap(endpoint, request, fetch, { identity });
   }
 
   async checkApiStatus() {
+    if (
+      !this.cassette?.replaying &&
+      !this.appCredentials &&
+      !this.credentials
+    ) {
+      return {
+        status: "user_auth",
+        service: "LinkedIn API",
+        message: "Live calls use each user's connected LinkedIn account",
+        timestamp: new Date().toISOString(),
+      };
+    }
+
     try {
       logger.info("🔍 SocialCog.io: Checking LinkedIn API status...");
 
       // Try to get current user profile
-      const response = await axios.get(`${this.baseURL}/people/~`, {
-        headers: this.defaultHeaders,
+      const { identity, headers } = await this.session();
+      const response = await this.http.get(`${this.baseURL}/people/~`, {
+        headers,
         timeout: 10000,
       });
+      this.updateRateLimit(response.headers, identity);
 
       return {
         status: "connected",
@@ -83,16 +156,13 @@ class LinkedInService {
   }
 
   async getUserProfile(profileUrl) {
-    const cacheKey = `linkedin_profile_${this.hashString(profileUrl)}`;
+    return this.cached("profile", this.hashString(profileUrl), () =>
+      this.fetchUserProfile(profileUrl)
+    );
+  }
 
+  async fetchUserProfile(profileUrl) {
     try {
-      // Check cache first
-      const cached = this.cache.get(cacheKey);
-      if (cached) {
-        logger.info(`📋 SocialCog.io: Returning cached LinkedIn profile`);
-        return cached;
-      }
-
       logger.info(
         `🔍 SocialCog.io: Fetching LinkedIn profile for: ${profileUrl}`
       );
@@ -121,7 +191,7 @@ class LinkedInService {
       );
 
       if (!profileResponse.data) {
-        throw new Error("LinkedIn profile not found");
+        throw new HttpError(404, `LinkedIn profile ${profileId} not found`);
       }
 
       const userData = profileResponse.data;
@@ -155,9 +225,6 @@ class LinkedInService {
         `📊 Profile data: ${profile.connections} connections, ${profile.industry}`
       );
 
-      // Cache the result
-      this.cache.set(cacheKey, profile);
-
       return profile;
     } catch (error) {
       logger.error(
@@ -165,28 +232,24 @@ class LinkedInService {
         error.message
       );
 
-      // Return mock data for development/fallback
-      return this.getMockProfile(profileUrl, error.message);
+      throw upstreamError("LinkedIn", error, `profile ${profileUrl}`);
     }
   }
 
   async getUserConnections(profileId, maxResults = 100) {
-    const cacheKey = `linkedin_connections_${profileId}_${maxResults}`;
+    return this.cached("connections", `${profileId}_${maxResults}`, () =>
+      this.fetchUserConnections(profileId)
+    );
+  }
 
+  async fetchUserConnections(profileId) {
     try {
-      // Check cache first
-      const cached = this.cache.get(cacheKey);
-      if (cached) {
-        logger.info(`📋 SocialCog.io: Returning cached LinkedIn connections`);
-        return cached;
-      }
-
       logger.info(
         `🔍 SocialCog.io: Fetching connections for LinkedIn profile: ${profileId}`
       );
 
-      // Note: Direct connections API requires special permissions
-      // For now, we'll return mock data or use available public data
+      // Note: Direct connections API requires special permissions, so
+      // this comes back empty with a note rather than with made-up people
 
       const result = {
         profile_id: profileId,
@@ -197,30 +260,24 @@ class LinkedInService {
         fetched_by: "SocialCog.io",
       };
 
-      // Cache the result
-      this.cache.set(cacheKey, result);
-
       return result;
     } catch (error) {
       logger.error(
         `❌ SocialCog.io: Error fetching LinkedIn connections:`,
         error.message
       );
-
-      return this.getMockConnections(profileId, maxResults, error.message);
+      throw upstreamError("LinkedIn", error, `profile ${profileId}`);
     }
   }
 
   async getCompanyProfile(companyUrl) {
-    const cacheKey = `linkedin_company_${this.hashString(companyUrl)}`;
+    return this.cached("company", this.hashString(companyUrl), () =>
+      this.fetchCompanyProfile(companyUrl)
+    );
+  }
 
+  async fetchCompanyProfile(companyUrl) {
     try {
-      // Check cache first
-      const cached = this.cache.get(cacheKey);
-      if (cached) {
-        return cached;
-      }
-
       logger.info(
         `🔍 SocialCog.io: Fetching LinkedIn company profile: ${companyUrl}`
       );
@@ -266,9 +323,6 @@ class LinkedInService {
         api_version: "v2",
       };
 
-      // Cache the result
-      this.cache.set(cacheKey, companyProfile);
-
       logger.info(
         `✅ SocialCog.io: Successfully fetched company profile for ${companyProfile.name}`
       );
@@ -278,20 +332,20 @@ class LinkedInService {
         `❌ SocialCog.io: Error fetching LinkedIn company:`,
         error.message
       );
-      return this.getMockCompany(companyUrl, error.message);
+      throw upstreamError("LinkedIn", error, `company ${companyUrl}`);
     }
   }
 
   async searchPeople(query, maxResults = 10) {
-    const cacheKey = `linkedin_search_${this.hashString(query)}_${maxResults}`;
+    return this.cached(
+      "search",
+      `${this.hashString(query)}_${maxResults}`,
+      () => this.fetchPeople(query, maxResults)
+    );
+  }
 
+  async fetchPeople(query, maxResults) {
     try {
-      // Check cache first
-      const cached = this.cache.get(cacheKey);
-      if (cached) {
-        return cached;
-      }
-
       logger.info(`🔍 SocialCog.io: Searching LinkedIn people: ${query}`);
 
       // LinkedIn People Search API (requires specific permissions)
@@ -324,9 +378,6 @@ class LinkedInService {
         searched_by: "SocialCog.io",
       };
 
-      // Cache the result
-      this.cache.set(cacheKey, searchResults);
-
       logger.info(
         `✅ SocialCog.io: Found ${searchResults.count} LinkedIn profiles for "${query}"`
       );
@@ -336,36 +387,46 @@ class LinkedInService {
         `❌ SocialCog.io: Error searching LinkedIn people:`,
         error.message
       );
-      return this.getMockSearchResults(query, maxResults, error.message);
+      throw upstreamError("LinkedIn", error);
     }
   }
 
   // Utility methods
   async makeAPIRequest(endpoint, params = {}) {
     try {
+      const { identity, headers } = await this.session();
+
       // Rate limiting check
-      await this.checkRateLimit();
+      await this.checkRateLimit(identity);
 
       const url = `${this.baseURL}${endpoint}`;
-      const response = await axios.get(url, {
-        headers: this.defaultHeaders,
+      const response = await this.http.get(url, {
+        headers,
         params: params,
         timeout: 15000,
       });
 
       // Track rate limit info
-      this.updateRateLimit(response.headers);
+      this.updateRateLimit(response.headers, identity);
 
       return response;
     } catch (error) {
       if (error.response?.status === 429) {
         logger.warn("⚠️ SocialCog.io: LinkedIn rate limit exceeded");
-        throw new Error("Rate limit exceeded - please try again later");
+        const rateLimitError = new Error(
+          "Rate limit exceeded - please try again later"
+        );
+        rateLimitError.statusCode = 429;
+        throw rateLimitError;
       }
 
       if (error.response?.status === 401) {
         logger.error("🔐 SocialCog.io: LinkedIn authentication failed");
-        throw new Error("LinkedIn authentication failed - check access token");
+        const authError = new Error(
+          "LinkedIn authentication failed - check access token"
+        );
+        authError.statusCode = 401;
+        throw authError;
       }
 
       throw error;
@@ -493,21 +554,26 @@ class LinkedInService {
     return hash.toString();
   }
 
-  async checkRateLimit() {
+  async checkRateLimit(identity = "app") {
     const now = Date.now();
-    const windowStart = now - 60 * 1000; // 1-minute window
+    const windowStart = now - WINDOW_MS;
+
+    if (!this.requestTrackers.has(identity)) {
+      this.requestTrackers.set(identity, new Map());
+    }
+    const requestTracker = this.requestTrackers.get(identity);
 
     // Clean old requests
-    for (const [timestamp] of this.requestTracker) {
+    for (const [timestamp] of requestTracker) {
       if (timestamp < windowStart) {
-        this.requestTracker.delete(timestamp);
+        requestTracker.delete(timestamp);
       }
     }
 
     // Check if we're at the limit (LinkedIn allows ~100 requests per minute)
-    if (this.requestTracker.size >= 90) {
-      const oldestRequest = Math.min(...this.requestTracker.keys());
-      const waitTime = oldestRequest + 60000 - now;
+    if (requestTracker.size >= REQUESTS_PER_WINDOW) {
+      const oldestRequest = Math.min(...requestTracker.keys());
+      const waitTime = oldestRequest + WINDOW_MS - now;
 
       if (waitTime > 0) {
         logger.warn(`⏳ SocialCog.io: Rate limiting - waiting ${waitTime}ms`);
@@ -515,145 +581,60 @@ class LinkedInService {
       }
     }
 
-    this.requestTracker.set(now, true);
+    requestTracker.set(now, true);
   }
 
-  updateRateLimit(headers) {
-    const limit = headers["x-ratelimit-limit"];
-    const remaining = headers["x-ratelimit-remaining"];
-    const reset = headers["x-ratelimit-reset"];
+  updateRateLimit(headers, identity = "app") {
+    const { limit, remaining, reset } = this.extractRateLimit(headers);
 
-    if (limit && remaining) {
+    if (limit != null && remaining != null) {
       logger.debug(
         `📊 LinkedIn API Rate Limit: ${remaining}/${limit} remaining`
       );
+      this.rateLimits.set(identity, {
+        limit,
+        remaining,
+        reset_at: reset ? new Date(reset * 1000).toISOString() : null,
+        updated_at: new Date().toISOString(),
+      });
     }
   }
 
   extractRateLimit(headers) {
     return {
-      limit: parseInt(headers["x-ratelimit-limit"]) || null,
-      remaining: parseInt(headers["x-ratelimit-remaining"]) || null,
-      reset: parseInt(headers["x-ratelimit-reset"]) || null,
+      limit: toInt(headers["x-ratelimit-limit"]),
+      remaining: toInt(headers["x-ratelimit-remaining"]),
+      reset: toInt(headers["x-ratelimit-reset"]),
     };
   }
 
-  // Mock data methods for fallback/development
-  getMockProfile(profileUrl, errorReason = "API_LIMIT") {
-    const username = this.extractProfileId(profileUrl);
+  // The app's budget as LinkedIn last reported it, else what is left of
+  // our own per-minute throttle
+  rateLimitStatus() {
+    if (this.rateLimits.has("app")) return this.rateLimits.get("app");
 
+    const windowStart = Date.now() - WINDOW_MS;
+    const recent = [...(this.requestTrackers.get("app")?.keys() || [])].filter(
+      (timestamp) => timestamp >= windowStart
+    );
     return {
-      id: Math.random().toString(36).substr(2, 9),
-      username: username,
-      name: `Mock LinkedIn User`,
-      platform: "linkedin",
-      connections: Math.floor(Math.random() * 500) + 50,
-      headline: "Mock Professional Title at Mock Company",
-      summary: "Mock professional summary for development purposes.",
-      industry: "Technology",
-      location: "Global",
-      profile_url: profileUrl,
-      profile_image_url: `https://via.placeholder.com/128x128?text=LI`,
-      verified: true,
-      created_at: null,
+      limit: REQUESTS_PER_WINDOW,
+      remaining: Math.max(0, REQUESTS_PER_WINDOW - recent.length),
+      reset_at: recent.length
+        ? new Date(Math.min(...recent) + WINDOW_MS).toISOString()
+        : null,
       updated_at: new Date().toISOString(),
-      fetched_by: "SocialCog.io (Mock)",
-      api_version: "v2-mock",
-      mock_reason: errorReason,
-    };
-  }
-
-  getMockConnections(
-    profileId,
-    count = 10,
-    errorReason = "API_ACCESS_REQUIRED"
-  ) {
-    const connections = [];
-
-    for (let i = 0; i < count; i++) {
-      connections.push({
-        id: Math.random().toString(36).substr(2, 9),
-        name: `Mock Connection ${i + 1}`,
-        headline: `Mock Title ${i + 1}`,
-        industry: ["Technology", "Finance", "Healthcare", "Education"][i % 4],
-        location: ["New York", "San Francisco", "London", "Toronto"][i % 4],
-        profile_url: `https://linkedin.com/in/mock-connection-${i + 1}`,
-        profile_image_url: `https://via.placeholder.com/64x64?text=C${i + 1}`,
-        platform: "linkedin",
-      });
-    }
-
-    return {
-      profile_id: profileId,
-      count: connections.length,
-      connections: connections,
-      fetched_at: new Date().toISOString(),
-      fetched_by: "SocialCog.io (Mock)",
-      mock_reason: errorReason,
-    };
-  }
-
-  getMockCompany(companyUrl, errorReason = "API_LIMIT") {
-    const companyName = this.extractCompanyId(companyUrl);
-
-    return {
-      id: Math.random().toString(36).substr(2, 9),
-      name: `Mock Company (${companyName})`,
-      platform: "linkedin",
-      description: "Mock company description for development purposes.",
-      industry: "Technology",
-      employee_count: "1001-5000",
-      headquarters: "San Francisco, CA, USA",
-      founded_year: 2010,
-      website: "https://example.com",
-      followers: Math.floor(Math.random() * 100000),
-      logo_url: `https://via.placeholder.com/128x128?text=${companyName}`,
-      profile_url: companyUrl,
-      updated_at: new Date().toISOString(),
-      fetched_by: "SocialCog.io (Mock)",
-      api_version: "v2-mock",
-      mock_reason: errorReason,
-    };
-  }
-
-  getMockSearchResults(query, count = 10, errorReason = "API_LIMIT") {
-    const results = [];
-
-    for (let i = 0; i < count; i++) {
-      results.push({
-        id: Math.random().toString(36).substr(2, 9),
-        name: `${query} Result ${i + 1}`,
-        headline: `Mock Professional matching "${query}"`,
-        industry: "Technology",
-        location: "Global",
-        profile_url: `https://linkedin.com/in/mock-search-${i + 1}`,
-        profile_image_url: `https://via.placeholder.com/64x64?text=S${i + 1}`,
-        platform: "linkedin",
-      });
-    }
-
-    return {
-      query: query,
-      count: results.length,
-      results: results,
-      searched_at: new Date().toISOString(),
-      searched_by: "SocialCog.io (Mock)",
-      mock_reason: errorReason,
     };
   }
 
   // Cache management
-  clearCache() {
-    this.cache.flushAll();
+  async clearCache() {
+    await this.cache.flush();
     logger.info("🗑️ SocialCog.io: LinkedIn service cache cleared");
   }
 
-  getCacheStats() {
-    return {
-      keys: this.cache.keys().length,
-      hits: this.cache.getStats().hits,
-      misses: this.cache.getStats().misses,
-    };
+  async getCacheStats() {
+    return this.cache.stats();
   }
 }
 
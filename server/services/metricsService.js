@@ -0,0 +1,201 @@
+/**
+ * SocialCog.io - Metrics Service
+ * TM (2025) - TPCL, LLC
+ * Snapshots profile counts on every fetch and reports growth over time
+ */
+
+const logger = require("../utils/logger");
+const HttpError = require("../utils/httpError");
+const { inScope } = require("../utils/ownership");
+
+const METRICS = ["followers", "following", "posts", "likes", "connections"];
+
+const INTERVALS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+};
+
+const DAY_MS = INTERVALS.day;
+
+const round = (value, places = 4) =>
+  value == null ? null : Math.round(value * 10 ** places) / 10 ** places;
+
+// First/last/min/max and growth of one metric across the snapshots
+const summarise = (snapshots, metric) => {
+  const points = snapshots.filter((s) => typeof s[metric] === "number");
+  if (points.length === 0) return null;
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  const delta = last[metric] - first[metric];
+  const days =
+    (Date.parse(last.captured_at) - Date.parse(first.captured_at)) / DAY_MS;
+  const values = points.map((s) => s[metric]);
+
+  return {
+    first: first[metric],
+    last: last[metric],
+    delta,
+    percent_change:
+      first[metric] !== 0 ? round((delta / first[metric]) * 100, 2) : null,
+    // Rates over spans shorter than an hour are mostly noise
+    per_day: days >= 1 / 24 ? round(delta / days) : null,
+    min: Math.min(...values),
+    max: Math.max(...values),
+    samples: points.length,
+    first_at: first.captured_at,
+    last_at: last.captured_at,
+  };
+};
+
+class MetricsService {
+  constructor({ profileRepository, snapshotRepository }) {
+    this.profileRepository = profileRepository;
+    this.snapshotRepository = snapshotRepository;
+  }
+
+  // Each create/refresh of a profile leaves a snapshot behind
+  watch() {
+    const record = (profile) =>
+      this.recordSnapshot(profile).catch((error) =>
+        logger.error(
+          `❌ SocialCog.io: Failed to snapshot metrics for @${profile.username}:`,
+          error.message
+        )
+      );
+
+    this.profileRepository.on("created", record);
+    this.profileRepository.on("updated", record);
+    this.profileRepository.on("deleted", (profile) =>
+      this.snapshotRepository
+        .deleteByProfileId(profile.id)
+        .catch((error) =>
+          logger.error(
+            `❌ SocialCog.io: Failed to drop snapshots for profile ${profile.id}:`,
+            error.message
+          )
+        )
+    );
+
+    return this;
+  }
+
+  // One snapshot per fetch: updates that did not refetch are skipped
+  async recordSnapshot(profile) {
+    const capturedAt = profile.fetch?.fetched_at || profile.updated_at;
+    const latest = await this.snapshotRepository.findLatest(profile.id);
+    if (latest && latest.captured_at === capturedAt) {
+      return null;
+    }
+
+    const values = Object.fromEntries(
+      METRICS.filter((metric) => typeof profile[metric] === "number").map(
+        (metric) => [metric, profile[metric]]
+      )
+    );
+
+    return this.snapshotRepository.create({
+      profile_id: profile.id,
+      platform: profile.platform,
+      captured_at: capturedAt,
+      source: profile.fetch?.source || "live",
+      ...values,
+    });
+  }
+
+  /**
+   * Options:
+   *   from, to      ISO timestamps bounding the window (inclusive)
+   *   metrics       subset of METRICS to report (default: all)
+   *   includeMock   keep snapshots taken from the mock fallbacks of older
+   *                 versions (demo snapshots are always kept)
+   *   interval      hour | day | week: one point per period (its last
+   *                 snapshot) with deltas against the previous period
+   *   userId        404 unless the profile belongs to this user
+   *   workspaceId   404 unless the profile is in this workspace
+   */
+  async getHistory(
+    profileId,
+    {
+      from = null,
+      to = null,
+      metrics = METRICS,
+      includeMock = false,
+      interval = null,
+      userId = null,
+      workspaceId = null,
+    } = {}
+  ) {
+    const profile = await this.profileRepository.findById(profileId);
+    if (!inScope(profile, { userId, workspaceId })) {
+      throw new HttpError(404, "Profile not found");
+    }
+
+    const snapshots = (
+      await this.snapshotRepository.findByProfileId(profile.id, { from, to })
+    ).filter((snapshot) => includeMock || snapshot.source !== "mock");
+
+    const pick = (snapshot) =>
+      Object.fromEntries(
+        metrics
+          .filter((metric) => typeof snapshot[metric] === "number")
+          .map((metric) => [metric, snapshot[metric]])
+      );
+
+    let series = snapshots.map((snapshot) => ({
+      captured_at: snapshot.captured_at,
+      source: snapshot.source,
+      ...pick(snapshot),
+    }));
+
+    if (interval) {
+      const size = INTERVALS[interval];
+      const buckets = new Map();
+      for (const point of series) {
+        const start = Math.floor(Date.parse(point.captured_at) / size) * size;
+        buckets.set(start, point);
+      }
+
+      let previous = null;
+      series = [...buckets].map(([start, point]) => {
+        const bucket = {
+          period_start: new Date(start).toISOString(),
+          ...point,
+          delta: Object.fromEntries(
+            metrics
+              .filter((metric) => typeof point[metric] === "number")
+              .map((metric) => [
+                metric,
+                typeof previous?.[metric] === "number"
+                  ? point[metric] - previous[metric]
+                  : null,
+              ])
+          ),
+        };
+        previous = point;
+        return bucket;
+      });
+    }
+
+    return {
+      profile_id: profile.id,
+      platform: profile.platform,
+      username: profile.username,
+      window: { from, to },
+      interval,
+      include_mock: includeMock,
+      snapshot_count: snapshots.length,
+      summary: Object.fromEntries(
+        metrics
+          .map((metric) => [metric, summarise(snapshots, metric)])
+          .filter(([, summary]) => summary)
+      ),
+      series,
+    };
+  }
+}
+
+module.exports = MetricsService;
+module.exports.METRICS = METRICS;
+module.exports.INTERVALS = INTERVALS;
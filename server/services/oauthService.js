@@ -0,0 +1,422 @@
+/**
+ * SocialCog.io - OAuth Service
+ * TM (2025) - TPCL, LLC
+ * Per-user OAuth 2.0 connections to Twitter and LinkedIn
+ */
+
+const crypto = require("crypto");
+const axios = require("axios");
+const logger = require("../utils/logger");
+const HttpError = require("../utils/httpError");
+const TokenCipher = require("../utils/tokenCipher");
+const { upstreamError } = require("../utils/upstreamError");
+const {
+  OAUTH_PLATFORMS,
+  oauthProvider,
+  oauthRedirectUri,
+} = require("../config/credentials");
+
+// How long a user has to approve the app at the provider
+const PENDING_TTL_MS = 10 * 60 * 1000;
+
+// Access tokens are refreshed when they have less than this left
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+// Never leave the service
+const TOKEN_FIELDS = ["access_token", "refresh_token"];
+
+// The rate-limit identity of calls made with a user's own token
+const userIdentity = (userId) => `user:${userId}`;
+
+const randomToken = (bytes) => crypto.randomBytes(bytes).toString("base64url");
+
+// S256 code challenge for a PKCE code verifier
+const codeChallenge = (verifier) =>
+  crypto.createHash("sha256").update(verifier).digest("base64url");
+
+/**
+ * connect() starts the authorization code flow with PKCE: the code verifier
+ * stays here under the `state` sent along, and callback() trades the code
+ * for tokens. Tokens are stored encrypted with ENCRYPTION_KEY and refreshed
+ * whenever a call finds them about to expire; a refresh token the provider
+ * rejects marks the connection expired until the user connects again.
+ *
+ * credentialsFor(userId) is the credential context platform services take
+ * per call: resolve(platform) yields { identity, accessToken } for the
+ * user's connected account, or null when there is none and the app's own
+ * credentials should be used.
+ */
+class OAuthService {
+  constructor({
+    oauthConnectionRepository,
+    providers = Object.fromEntries(
+      OAUTH_PLATFORMS.map((platform) => [platform, oauthProvider(platform)])
+    ),
+    cipher = null,
+    http = axios.create({ timeout: 15000 }),
+  }) {
+    this.connectionRepository = oauthConnectionRepository;
+    this.providers = providers;
+    this.http = http;
+
+    // Without ENCRYPTION_KEY there is nowhere safe to keep tokens, so
+    // connecting is turned off rather than storing them in the clear
+    this.cipher = cipher;
+    this.disabledReason = null;
+    if (!this.cipher) {
+      try {
+        this.cipher = new TokenCipher();
+      } catch (error) {
+        this.disabledReason = error.message;
+        logger.warn(
+          `⚠️ SocialCog.io: OAuth connections disabled: ${error.message}`
+        );
+      }
+    }
+
+    // state -> authorization waiting for its callback
+    this.pending = new Map();
+    // Connection ID -> refresh in flight, shared by concurrent callers
+    this.refreshes = new Map();
+  }
+
+  // The configured provider, or a 503 saying what is missing
+  requireProvider(platform) {
+    if (this.disabledReason) {
+      throw new HttpError(503, this.disabledReason);
+    }
+
+    const provider = this.providers[platform];
+    if (!provider) {
+      throw new HttpError(
+        503,
+        `${platform} OAuth is not configured on this server`
+      );
+    }
+    return provider;
+  }
+
+  toPublicConnection(connection) {
+    const visible = { ...connection };
+    TOKEN_FIELDS.forEach((field) => delete visible[field]);
+    return visible;
+  }
+
+  // Every OAuth platform, connected or not
+  async listConnections(userId) {
+    const connections = await this.connectionRepository.findByUser(userId);
+
+    return OAUTH_PLATFORMS.map((platform) => {
+      const connection = connections.find((c) => c.platform === platform);
+      return {
+        platform,
+        configured: Boolean(this.providers[platform]) && !this.disabledReason,
+        connected: Boolean(connection),
+        connection: connection ? this.toPublicConnection(connection) : null,
+      };
+    });
+  }
+
+  // Returns the provider URL to send the user to
+  connect(userId, platform) {
+    const provider = this.requireProvider(platform);
+    this.sweepPending();
+
+    const state = randomToken(24);
+    const codeVerifier = randomToken(48);
+    const redirectUri = oauthRedirectUri(platform);
+    const expiresAt = Date.now() + PENDING_TTL_MS;
+    this.pending.set(state, {
+      userId,
+      platform,
+      codeVerifier,
+      redirectUri,
+      expiresAt,
+    });
+
+    const url = new URL(provider.authorizeUrl);
+    url.search = new URLSearchParams({
+      response_type: "code",
+      client_id: provider.clientId,
+      redirect_uri: redirectUri,
+      scope: provider.scopes.join(" "),
+      state,
+      code_challenge: codeChallenge(codeVerifier),
+      code_challenge_method: "S256",
+    }).toString();
+
+    logger.info(
+      `🔑 SocialCog.io: User ${userId} started connecting ${provider.label}`
+    );
+    return {
+      platform,
+      authorize_url: url.toString(),
+      expires_at: new Date(expiresAt).toISOString(),
+    };
+  }
+
+  /**
+   * Completes a connection from the provider's redirect. `error` is set
+   * when the user declined; either way the state is used up.
+   */
+  async callback(platform, { code = null, state = null, error = null } = {}) {
+    const pending = state ? this.pending.get(state) : null;
+    if (state) this.pending.delete(state);
+
+    if (
+      !pending ||
+      pending.platform !== platform ||
+      pending.expiresAt < Date.now()
+    ) {
+      throw new HttpError(400, "Unknown or expired authorization request");
+    }
+
+    const provider = this.requireProvider(platform);
+    if (error || !code) {
+      throw new HttpError(
+        400,
+        `${provider.label} authorization was not granted${error ? `: ${error}` : ""}`
+      );
+    }
+
+    let tokens;
+    try {
+      tokens = await this.requestToken(provider, {
+        grant_type: "authorization_code",
+        code,
+        redirect_uri: pending.redirectUri,
+        code_verifier: pending.codeVerifier,
+      });
+    } catch (tokenError) {
+      throw upstreamError(provider.label, tokenError);
+    }
+
+    const connection = await this.connectionRepository.save(
+      pending.userId,
+      platform,
+      {
+        ...this.tokenFields(provider, tokens),
+        account: await this.fetchAccount(provider, tokens.access_token),
+      }
+    );
+
+    logger.info(
+      `🔗 SocialCog.io: User ${pending.userId} connected ${provider.label}${
+        connection.account?.username ? ` as ${connection.account.username}` : ""
+      }`
+    );
+    return this.toPublicConnection(connection);
+  }
+
+  // Forgets the tokens; the provider is asked to revoke them where it can
+  async disconnect(userId, platform) {
+    const connection = await this.connectionRepository.delete(userId, platform);
+    if (!connection) {
+      throw new HttpError(404, `No ${platform} account connected`);
+    }
+
+    const provider = this.providers[platform];
+    if (provider?.revokeUrl && this.cipher && connection.status === "active") {
+      try {
+        await this.http.post(
+          provider.revokeUrl,
+          new URLSearchParams({
+            token: this.cipher.decrypt(connection.access_token),
+            token_type_hint: "access_token",
+            client_id: provider.clientId,
+          }).toString(),
+          { headers: this.clientHeaders(provider) }
+        );
+      } catch (error) {
+        logger.warn(
+          `⚠️ SocialCog.io: Could not revoke ${provider.label} token for user ${userId}: ${error.message}`
+        );
+      }
+    }
+
+    logger.info(`🔌 SocialCog.io: User ${userId} disconnected ${platform}`);
+    return this.toPublicConnection(connection);
+  }
+
+  credentialsFor(userId) {
+    return {
+      userId,
+      resolve: async (platform) => {
+        if (userId == null) return null;
+        const accessToken = await this.accessToken(userId, platform);
+        return accessToken
+          ? { identity: userIdentity(userId), accessToken }
+          : null;
+      },
+    };
+  }
+
+  // The user's current access token for the platform, refreshed first if
+  // it is about to expire; null without a usable connection
+  async accessToken(userId, platform) {
+    if (!this.cipher) return null;
+
+    const connection = await this.connectionRepository.find(userId, platform);
+    if (!connection || connection.status !== "active") return null;
+
+    const expiresAt = connection.expires_at
+      ? Date.parse(connection.expires_at)
+      : Infinity;
+    if (expiresAt - Date.now() > REFRESH_MARGIN_MS) {
+      return this.readToken(connection, "access_token");
+    }
+
+    if (!this.refreshes.has(connection.id)) {
+      this.refreshes.set(
+        connection.id,
+        this.refresh(connection).finally(() =>
+          this.refreshes.delete(connection.id)
+        )
+      );
+    }
+    return this.refreshes.get(connection.id);
+  }
+
+  async refresh(connection) {
+    const provider = this.providers[connection.platform];
+    if (!provider || !connection.refresh_token) {
+      await this.markExpired(connection, "Access token expired");
+      return null;
+    }
+
+    const refreshToken = await this.readToken(connection, "refresh_token");
+    if (!refreshToken) return null;
+
+    try {
+      const tokens = await this.requestToken(provider, {
+        grant_type: "refresh_token",
+        refresh_token: refreshToken,
+      });
+      await this.connectionRepository.save(
+        connection.user_id,
+        connection.platform,
+        this.tokenFields(provider, tokens, connection)
+      );
+
+      logger.info(
+        `🔑 SocialCog.io: Refreshed ${provider.label} token for user ${connection.user_id}`
+      );
+      return tokens.access_token;
+    } catch (error) {
+      // invalid_grant and friends: the user revoked access or the refresh
+      // token lapsed, so only reconnecting helps
+      if ([400, 401].includes(error.response?.status)) {
+        await this.markExpired(
+          connection,
+          error.response.data?.error_description ||
+            error.response.data?.error ||
+            error.message
+        );
+        return null;
+      }
+      throw upstreamError(provider.label, error);
+    }
+  }
+
+  // A stored token in the clear; one encrypted under another ENCRYPTION_KEY
+  // expires the connection
+  async readToken(connection, field) {
+    try {
+      return this.cipher.decrypt(connection[field]);
+    } catch (error) {
+      await this.markExpired(
+        connection,
+        `Stored token could not be decrypted: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  async markExpired(connection, reason) {
+    await this.connectionRepository.save(
+      connection.user_id,
+      connection.platform,
+      { status: "expired", last_error: reason }
+    );
+    logger.warn(
+      `⚠️ SocialCog.io: ${connection.platform} connection of user ${connection.user_id} expired: ${reason}`
+    );
+  }
+
+  // Stored fields for a token response. Twitter rotates refresh tokens;
+  // LinkedIn only sends one to some apps, so the previous one is kept
+  tokenFields(provider, tokens, previous = null) {
+    return {
+      access_token: this.cipher.encrypt(tokens.access_token),
+      refresh_token: tokens.refresh_token
+        ? this.cipher.encrypt(tokens.refresh_token)
+        : previous?.refresh_token || null,
+      token_type: tokens.token_type || "bearer",
+      scopes: tokens.scope
+        ? String(tokens.scope)
+            .split(/[\s,]+/)
+            .filter(Boolean)
+        : previous?.scopes || provider.scopes,
+      expires_at: tokens.expires_in
+        ? new Date(Date.now() + tokens.expires_in * 1000).toISOString()
+        : null,
+      status: "active",
+      last_error: null,
+      refreshed_at: new Date().toISOString(),
+    };
+  }
+
+  clientHeaders(provider) {
+    const headers = { "Content-Type": "application/x-www-form-urlencoded" };
+    if (provider.clientAuth === "basic") {
+      const basic = Buffer.from(
+        `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`
+      ).toString("base64");
+      headers.Authorization = `Basic ${basic}`;
+    }
+    return headers;
+  }
+
+  async requestToken(provider, params) {
+    const body = new URLSearchParams({
+      ...params,
+      client_id: provider.clientId,
+    });
+    if (provider.clientAuth === "body") {
+      body.set("client_secret", provider.clientSecret);
+    }
+
+    const response = await this.http.post(provider.tokenUrl, body.toString(), {
+      headers: this.clientHeaders(provider),
+    });
+    if (!response.data?.access_token) {
+      throw new Error(`${provider.label} returned no access token`);
+    }
+    return response.data;
+  }
+
+  // Who the user connected as; the connection works without it
+  async fetchAccount(provider, accessToken) {
+    try {
+      const response = await this.http.get(provider.accountUrl, {
+        headers: { Authorization: `Bearer ${accessToken}` },
+      });
+      return provider.toAccount(response.data);
+    } catch (error) {
+      logger.warn(
+        `⚠️ SocialCog.io: Could not look up the connected ${provider.label} account: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  sweepPending() {
+    const now = Date.now();
+    for (const [state, pending] of this.pending) {
+      if (pending.expiresAt < now) this.pending.delete(state);
+    }
+  }
+}
+
+module.exports = OAuthService;
+module.exports.userIdentity = userIdentity;
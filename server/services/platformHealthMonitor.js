@@ -0,0 +1,251 @@
+/**
+ * SocialCog.io - Platform Health Monitor
+ * TM (2025) - TPCL, LLC
+ * Checks each platform's live API in the background, so a missing key or
+ * an upstream outage degrades one platform instead of stopping startup
+ */
+
+const logger = require("../utils/logger");
+
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000;
+
+// Failing platforms are re-checked sooner, backing off to the interval
+const RETRY_BASE_MS = 30 * 1000;
+
+// A check that hangs (e.g. waiting out a rate limit) counts as failed
+const CHECK_TIMEOUT_MS = 15 * 1000;
+
+// How often due checks are looked for
+const TICK_MS = 5 * 1000;
+
+// checkApiStatus() results that mean live calls can be made; "user_auth"
+// services have no app credentials to check but serve connected users
+const UP_STATUSES = ["connected", "user_auth"];
+
+// Platform states that can serve requests
+const USABLE_STATES = ["up", "unknown", "pending"];
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`Status check timed out after ${ms}ms`)),
+      ms
+    );
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Each platform is "pending" until its first check, then "up", "down" or
+ * "unknown" (a service with nothing to check). Platforms whose live
+ * adapter could not be built are "unavailable" until a restart with
+ * working config; they may still serve demo data.
+ */
+class PlatformHealthMonitor {
+  constructor({
+    platformRegistry,
+    cache = null,
+    database = null,
+    intervalMs = parseInt(process.env.HEALTH_CHECK_INTERVAL_MS, 10) ||
+      DEFAULT_INTERVAL_MS,
+    timeoutMs = CHECK_TIMEOUT_MS,
+  }) {
+    this.platformRegistry = platformRegistry;
+    this.cache = cache;
+    this.database = database;
+    this.intervalMs = intervalMs;
+    this.timeoutMs = timeoutMs;
+    this.timer = null;
+    this.startedAt = new Date().toISOString();
+
+    // Platform -> latest check
+    this.platforms = new Map();
+    // Platform -> check in progress
+    this.checking = new Map();
+  }
+
+  start() {
+    const registry = this.platformRegistry;
+    const names = new Set([
+      ...registry.names(),
+      ...registry.unavailable.keys(),
+    ]);
+    for (const name of names) {
+      this.platforms.set(name, this.initialState(name));
+    }
+
+    this.timer = setInterval(() => this.tick(), TICK_MS);
+    this.timer.unref();
+    this.tick();
+
+    logger.info(
+      `🩺 SocialCog.io: Checking platform APIs in the background every ${
+        this.intervalMs / 1000
+      }s`
+    );
+    return this;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  initialState(name) {
+    const registry = this.platformRegistry;
+    const reason = registry.unavailableReason(name);
+    const live = reason ? null : registry.get(name, { mode: "live" });
+    const demo = registry.get(name, { mode: "demo" });
+
+    return {
+      platform: name,
+      label: (live || demo)?.label || name,
+      state: live ? "pending" : "unavailable",
+      api_status: null,
+      reason: live ? null : reason || "No live adapter",
+      demo_available: Boolean(demo),
+      checked_at: null,
+      last_up_at: null,
+      latency_ms: null,
+      consecutive_failures: 0,
+      next_check_at: live ? new Date().toISOString() : null,
+    };
+  }
+
+  tick(now = Date.now()) {
+    for (const state of this.platforms.values()) {
+      if (state.next_check_at && Date.parse(state.next_check_at) <= now) {
+        this.check(state.platform).catch((error) =>
+          logger.error(
+            `❌ SocialCog.io: Health check for ${state.platform} failed:`,
+            error.message
+          )
+        );
+      }
+    }
+  }
+
+  // Concurrent checks of one platform share a single status call
+  check(name) {
+    if (!this.checking.has(name)) {
+      this.checking.set(
+        name,
+        this.runCheck(name).finally(() => this.checking.delete(name))
+      );
+    }
+    return this.checking.get(name);
+  }
+
+  async runCheck(name) {
+    const state = this.platforms.get(name);
+    const adapter = this.platformRegistry.get(name, { mode: "live" });
+    if (!state || !adapter) return state;
+
+    const startedAt = Date.now();
+    let result;
+    try {
+      result = await withTimeout(adapter.status(), this.timeoutMs);
+    } catch (error) {
+      result = { status: "error", error: error.message };
+    }
+
+    const now = Date.now();
+    const previous = state.state;
+    const up = UP_STATUSES.includes(result.status);
+    const failed = !up && result.status !== "unknown";
+
+    state.state = up ? "up" : failed ? "down" : "unknown";
+    state.api_status = result.status;
+    state.reason = failed ? result.error || result.message || null : null;
+    state.checked_at = new Date(now).toISOString();
+    state.latency_ms = now - startedAt;
+    state.consecutive_failures = failed ? state.consecutive_failures + 1 : 0;
+    if (!failed) state.last_up_at = state.checked_at;
+
+    const delay = failed
+      ? Math.min(
+          this.intervalMs,
+          RETRY_BASE_MS * 2 ** (state.consecutive_failures - 1)
+        )
+      : this.intervalMs;
+    state.next_check_at = new Date(now + delay).toISOString();
+
+    if (failed && previous !== "down") {
+      logger.warn(
+        `⚠️ SocialCog.io: ${state.label} API is down, re-checking in ${
+          delay / 1000
+        }s: ${state.reason}`
+      );
+    } else if (!failed && previous === "down") {
+      logger.info(`✅ SocialCog.io: ${state.label} API is back up`);
+    }
+    return state;
+  }
+
+  // Remaining API budget of the platform's own credentials, with the
+  // share left as `headroom`
+  rateLimit(name) {
+    const adapter = this.platformRegistry.get(name, { mode: "live" });
+    const rateLimit = adapter?.rateLimit() || null;
+    if (!rateLimit) return null;
+
+    return {
+      ...rateLimit,
+      headroom:
+        rateLimit.limit > 0
+          ? Math.round((rateLimit.remaining / rateLimit.limit) * 1e4) / 1e4
+          : null,
+    };
+  }
+
+  /**
+   * "healthy" when no platform is down or unavailable, "degraded" when
+   * some are but others still serve, "unhealthy" when none can. `ready`
+   * is false only in the last case.
+   */
+  async report() {
+    const cache = this.cache ? await this.cache.stats() : null;
+    const platforms = [...this.platforms.values()].map((state) => ({
+      ...state,
+      rate_limit: this.rateLimit(state.platform),
+      cache: cache?.platforms[state.platform] || null,
+    }));
+
+    const usable = platforms.filter(
+      (platform) =>
+        USABLE_STATES.includes(platform.state) || platform.demo_available
+    );
+    const impaired = platforms.filter(
+      (platform) => !USABLE_STATES.includes(platform.state)
+    );
+    const status =
+      platforms.length > 0 && usable.length === 0
+        ? "unhealthy"
+        : impaired.length > 0
+          ? "degraded"
+          : "healthy";
+
+    return {
+      status,
+      ready: status !== "unhealthy",
+      started_at: this.startedAt,
+      uptime_s: Math.round(process.uptime()),
+      checks_pending: platforms.filter((p) => p.state === "pending").length,
+      check_interval_ms: this.intervalMs,
+      database: this.database
+        ? { schema_version: this.database.getSchemaInfo().schema_version }
+        : null,
+      cache: cache && {
+        backend: cache.backend,
+        keys: cache.keys,
+      },
+      platforms: Object.fromEntries(
+        platforms.map((platform) => [platform.platform, platform])
+      ),
+      timestamp: new Date().toISOString(),
+    };
+  }
+}
+
+module.exports = PlatformHealthMonitor;
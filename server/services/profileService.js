@@ -0,0 +1,204 @@
+/**
+ * SocialCog.io - Profile Service
+ * TM (2025) - TPCL, LLC
+ * Fetches platform profiles and keeps the tracked profile store up to date
+ */
+
+const _ = require("lodash");
+const logger = require("../utils/logger");
+const HttpError = require("../utils/httpError");
+const { defaultDataMode, profileMode } = require("../utils/dataMode");
+const { inScope } = require("../utils/ownership");
+
+// Fields that describe the fetch itself rather than the profile
+const FETCH_FIELDS = [
+  "id",
+  "created_at",
+  "updated_at",
+  "fetched_by",
+  "api_version",
+  "demo",
+];
+
+class ProfileService {
+  constructor({
+    profileRepository,
+    connectionRepository,
+    networkRepository,
+    connectionBuilder,
+    platformRegistry,
+  }) {
+    this.profileRepository = profileRepository;
+    this.connectionRepository = connectionRepository;
+    this.networkRepository = networkRepository;
+    this.connectionBuilder = connectionBuilder;
+    this.platformRegistry = platformRegistry;
+
+    // Handles being added right now, per scope, so concurrent adds of the
+    // same profile cannot both pass the duplicate check
+    this.adding = new Set();
+  }
+
+  // userId and workspaceId scope every lookup to that user's workspace;
+  // without them (the scheduler, crawls) any profile is reachable
+  async listProfiles({ userId = null, workspaceId = null } = {}) {
+    return this.profileRepository.findAll({ userId, workspaceId });
+  }
+
+  async listConnections({ userId = null, workspaceId = null } = {}) {
+    return this.connectionRepository.findAll({ userId, workspaceId });
+  }
+
+  async getProfile(id, { userId = null, workspaceId = null } = {}) {
+    const profile = await this.profileRepository.findById(id);
+    if (!inScope(profile, { userId, workspaceId })) {
+      throw new HttpError(404, "Profile not found");
+    }
+    return profile;
+  }
+
+  // mode: fetch from the live platform or the demo network; the profile
+  // stays in that mode for every later refresh
+  async addProfile(
+    platform,
+    username,
+    { mode = defaultDataMode(), userId = null, workspaceId = null } = {}
+  ) {
+    if (!username || !platform) {
+      throw new HttpError(400, "Username and platform are required");
+    }
+
+    // Live calls run as the user's connected account, if they have one
+    const adapter = this.platformRegistry.require(platform, { mode, userId });
+    const scope = { userId, workspaceId };
+
+    await this.assertNotTracked(platform, username, scope);
+
+    const key = [userId, workspaceId, platform, username.toLowerCase()].join(
+      ":"
+    );
+    if (this.adding.has(key)) {
+      throw new HttpError(409, "Profile is already being added");
+    }
+    this.adding.add(key);
+
+    let profile;
+    try {
+      const fetched = await adapter.getProfile(username);
+      const record = this.toProfileRecord(platform, username, fetched);
+
+      // Checked again right before the insert: the platform may
+      // canonicalise the handle (case, URL -> slug) into one added since
+      await this.assertNotTracked(platform, record.username, scope);
+
+      profile = await this.profileRepository.create({
+        ...record,
+        user_id: userId,
+        workspace_id: workspaceId,
+      });
+    } finally {
+      this.adding.delete(key);
+    }
+
+    logger.info(
+      `✅ SocialCog.io: Tracking ${platform} profile @${profile.username} (${profile.fetch.source})`
+    );
+
+    // Follower lists can take a while; edges arrive over the live channel
+    this.buildConnectionsInBackground(profile);
+
+    return profile;
+  }
+
+  // 409 when the handle is already tracked in this scope; details carry the
+  // existing profile's ID
+  async assertNotTracked(platform, username, { userId, workspaceId }) {
+    const existing = await this.profileRepository.findByUsername(
+      platform,
+      username,
+      { userId, workspaceId }
+    );
+    if (existing) {
+      throw new HttpError(409, "Profile already exists", {
+        profile_id: existing.id,
+      });
+    }
+  }
+
+  // connections: false refetches the profile but not its follower lists
+  async refreshProfile(
+    id,
+    { connections = true, userId = null, workspaceId = null } = {}
+  ) {
+    const existing = await this.getProfile(id, { userId, workspaceId });
+
+    const adapter = this.platformRegistry.require(existing.platform, {
+      mode: profileMode(existing),
+      userId: existing.user_id ?? null,
+    });
+    const fetched = await adapter.getProfile(existing.username);
+    const profile = await this.profileRepository.update(
+      existing.id,
+      this.toProfileRecord(existing.platform, existing.username, fetched)
+    );
+
+    if (connections && this.connectionBuilder) {
+      await this.connectionBuilder.refreshProfile(profile.id);
+    }
+
+    logger.info(
+      `🔄 SocialCog.io: Refreshed ${profile.platform} profile @${profile.username} (${profile.fetch.source})`
+    );
+    return profile;
+  }
+
+  buildConnectionsInBackground(profile) {
+    if (!this.connectionBuilder) return;
+
+    this.connectionBuilder.refreshProfile(profile.id).catch((error) => {
+      logger.error(
+        `❌ SocialCog.io: Failed to build connections for @${profile.username}:`,
+        error.message
+      );
+    });
+  }
+
+  async deleteProfile(id, { userId = null, workspaceId = null } = {}) {
+    const profile = await this.getProfile(id, { userId, workspaceId });
+
+    await this.connectionRepository.deleteByProfileId(profile.id);
+    if (this.networkRepository) {
+      await this.networkRepository.deleteByProfileId(profile.id);
+    }
+    await this.profileRepository.delete(profile.id);
+
+    logger.info(
+      `🗑️ SocialCog.io: Stopped tracking ${profile.platform} profile @${profile.username}`
+    );
+    return profile;
+  }
+
+  toProfileRecord(platform, requestedUsername, fetched) {
+    return {
+      ..._.omit(fetched, FETCH_FIELDS),
+      platform,
+      username: fetched.username || requestedUsername,
+      platform_user_id: fetched.id != null ? String(fetched.id) : null,
+      name: fetched.name || fetched.username || requestedUsername,
+      followers: fetched.followers ?? 0,
+      following: fetched.following ?? 0,
+      posts: fetched.posts ?? 0,
+      bio: fetched.bio ?? "",
+      verified: Boolean(fetched.verified),
+      platform_created_at: fetched.created_at || null,
+      fetch: {
+        source: fetched.demo ? "demo" : "live",
+        fetched_at: fetched.updated_at || new Date().toISOString(),
+        fetched_by: fetched.fetched_by || null,
+        api_version: fetched.api_version || null,
+      },
+    };
+  }
+}
+
+module.exports = ProfileService;
@@ -0,0 +1,593 @@
+/**
+ * SocialCog.io - Refresh Scheduler
+ * TM (2025) - TPCL, LLC
+ * Re-fetches tracked profiles on cron schedules within each platform's budget
+ */
+
+const logger = require("../utils/logger");
+const HttpError = require("../utils/httpError");
+const { parseCron } = require("../utils/cron");
+const { inScope } = require("../utils/ownership");
+const { profileMode } = require("../utils/dataMode");
+
+const SCOPES = ["profile", "workspace"];
+
+// Run outcomes; "mocked" only appears on runs from before demo mode, when
+// a failed refresh fell back to placeholder data
+const RUN_STATUSES = [
+  "queued",
+  "running",
+  "succeeded",
+  "mocked",
+  "failed",
+  "skipped",
+];
+
+// How many upcoming run times each schedule previews
+const UPCOMING_RUNS = 5;
+
+// Refreshes run as the profile owner's connected account or the app, and
+// each of those has its own API budget, so each gets its own queue
+const queueKey = (identity, platform) => `${identity} ${platform}`;
+
+class RefreshScheduler {
+  constructor({
+    scheduleRepository,
+    refreshRunRepository,
+    profileRepository,
+    workspaceRepository = null,
+    profileService,
+    platformRegistry,
+    credentialProvider = null,
+    tickMs = 30 * 1000,
+  }) {
+    this.scheduleRepository = scheduleRepository;
+    this.refreshRunRepository = refreshRunRepository;
+    this.profileRepository = profileRepository;
+    this.workspaceRepository = workspaceRepository;
+    this.profileService = profileService;
+    this.platformRegistry = platformRegistry;
+    this.credentialProvider = credentialProvider;
+    this.tickMs = tickMs;
+    this.timer = null;
+
+    // Work queues per identity and platform, and the profiles with a
+    // refresh pending
+    this.queues = new Map();
+    this.pending = new Set();
+  }
+
+  async start() {
+    const abandoned = await this.refreshRunRepository.abandonUnfinished();
+    if (abandoned > 0) {
+      logger.warn(
+        `⚠️ SocialCog.io: Marked ${abandoned} interrupted refresh runs as skipped`
+      );
+    }
+
+    for (const schedule of await this.scheduleRepository.findAll()) {
+      if (schedule.enabled && !schedule.next_run_at) {
+        await this.scheduleRepository.update(schedule.id, {
+          next_run_at: this.nextRunAt(schedule.cron),
+        });
+      }
+    }
+
+    this.profileRepository.on("deleted", (profile) =>
+      this.scheduleRepository
+        .deleteByProfileId(profile.id)
+        .catch((error) =>
+          logger.error(
+            `❌ SocialCog.io: Failed to drop schedules for profile ${profile.id}:`,
+            error.message
+          )
+        )
+    );
+
+    this.timer = setInterval(() => this.tickSafely(), this.tickMs);
+    this.timer.unref();
+    this.tickSafely();
+
+    logger.info(
+      `⏰ SocialCog.io: Refresh scheduler checking schedules every ${
+        this.tickMs / 1000
+      }s`
+    );
+    return this;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    for (const queue of this.queues.values()) {
+      clearTimeout(queue.timer);
+      queue.timer = null;
+    }
+  }
+
+  nextRunAt(cron, from = new Date()) {
+    return parseCron(cron).next(from)?.toISOString() || null;
+  }
+
+  tickSafely() {
+    this.tick().catch((error) =>
+      logger.error(
+        "❌ SocialCog.io: Refresh scheduler tick failed:",
+        error.message
+      )
+    );
+  }
+
+  // Fires every due schedule; missed runs (e.g. while down) fire once.
+  // Schedules of archived workspaces keep their slot but do not fire
+  async tick(now = new Date()) {
+    for (const schedule of await this.scheduleRepository.findDue(
+      now.toISOString()
+    )) {
+      const updated = await this.scheduleRepository.update(schedule.id, {
+        last_triggered_at: now.toISOString(),
+        next_run_at: this.nextRunAt(schedule.cron, now),
+      });
+      if (await this.isArchived(schedule)) continue;
+      await this.trigger(updated, "schedule");
+    }
+  }
+
+  async isArchived(schedule) {
+    if (!this.workspaceRepository || schedule.workspace_id == null) {
+      return false;
+    }
+    const workspace = await this.workspaceRepository.findById(
+      schedule.workspace_id
+    );
+    return Boolean(workspace?.archived_at);
+  }
+
+  // Queues a refresh of every profile the schedule covers
+  async trigger(schedule, trigger) {
+    const profiles = await this.profilesFor(schedule);
+    let queued = 0;
+
+    for (const profile of profiles) {
+      if (await this.enqueue(profile, schedule, trigger)) {
+        queued += 1;
+      }
+    }
+
+    logger.info(
+      `⏰ SocialCog.io: Schedule "${schedule.name}" queued ${queued} of ${profiles.length} profiles (${trigger})`
+    );
+    return {
+      schedule_id: schedule.id,
+      trigger,
+      profiles: profiles.length,
+      queued,
+      already_pending: profiles.length - queued,
+    };
+  }
+
+  async profilesFor(schedule) {
+    if (schedule.scope === "profile") {
+      const profile = await this.profileRepository.findById(
+        schedule.profile_id
+      );
+      return profile ? [profile] : [];
+    }
+
+    // Everything the schedule's workspace tracks
+    const profiles = await this.profileRepository.findAll({
+      userId: schedule.user_id ?? null,
+      workspaceId: schedule.workspace_id ?? null,
+    });
+    return schedule.platforms
+      ? profiles.filter((profile) =>
+          schedule.platforms.includes(profile.platform)
+        )
+      : profiles;
+  }
+
+  // One pending refresh per profile; overlapping triggers piggyback on it
+  async enqueue(profile, schedule, trigger) {
+    if (this.pending.has(profile.id)) return false;
+    this.pending.add(profile.id);
+
+    const run = await this.refreshRunRepository.create({
+      user_id: schedule.user_id ?? null,
+      workspace_id: schedule.workspace_id ?? null,
+      schedule_id: schedule.id,
+      profile_id: profile.id,
+      platform: profile.platform,
+      username: profile.username,
+      trigger,
+      status: "queued",
+      error: null,
+      queued_at: new Date().toISOString(),
+      started_at: null,
+      finished_at: null,
+      duration_ms: null,
+    });
+
+    // Demo profiles never reach the platform; they pace as the app
+    const identity =
+      profileMode(profile) === "live"
+        ? await this.identityFor(profile.platform, profile.user_id ?? null)
+        : "app";
+    const queue = this.queueFor(profile.platform, identity);
+    queue.tasks.push({
+      run,
+      profileId: profile.id,
+      scheduleId: schedule.id,
+      connections: schedule.include_connections !== false,
+    });
+    this.drain(queue);
+    return true;
+  }
+
+  // The rate-limit identity live calls for userId run as: their connected
+  // account's, or the app's when they have none
+  async identityFor(platform, userId) {
+    if (!this.credentialProvider || userId == null) return "app";
+    try {
+      const credentials = await this.credentialProvider
+        .credentialsFor(userId)
+        .resolve(platform);
+      return credentials?.identity || "app";
+    } catch (error) {
+      return "app";
+    }
+  }
+
+  queueFor(platform, identity = "app") {
+    const key = queueKey(identity, platform);
+    if (!this.queues.has(key)) {
+      this.queues.set(key, {
+        platform,
+        identity,
+        tasks: [],
+        started: [],
+        // The task being run, or null
+        running: null,
+        timer: null,
+      });
+    }
+    return this.queues.get(key);
+  }
+
+  limitFor(platform) {
+    return this.platformRegistry.get(platform)?.refreshLimit || null;
+  }
+
+  /**
+   * Milliseconds until the queue may start another refresh. Starts are
+   * spaced windowMs / max apart, so a large schedule spreads its work over
+   * the window instead of spending the whole budget at once. Every
+   * identity gets the platform's full refreshLimit.
+   */
+  delayFor(queue, now = Date.now()) {
+    const limit = this.limitFor(queue.platform);
+    if (!limit) return 0;
+
+    queue.started = queue.started.filter((t) => t > now - limit.windowMs);
+
+    const last = queue.started[queue.started.length - 1];
+    const untilSpaced = last ? last + limit.windowMs / limit.max - now : 0;
+    const untilWindow =
+      queue.started.length >= limit.max
+        ? queue.started[0] + limit.windowMs - now
+        : 0;
+
+    return Math.max(0, untilSpaced, untilWindow);
+  }
+
+  // One refresh at a time per queue, paced by delayFor()
+  drain(queue) {
+    if (queue.running || queue.timer || queue.tasks.length === 0) return;
+
+    const wait = this.delayFor(queue);
+    if (wait > 0) {
+      queue.timer = setTimeout(() => {
+        queue.timer = null;
+        this.drain(queue);
+      }, wait);
+      queue.timer.unref();
+      return;
+    }
+
+    const task = queue.tasks.shift();
+    queue.running = task;
+    queue.started.push(Date.now());
+
+    this.runTask(task)
+      .catch((error) =>
+        logger.error(
+          `❌ SocialCog.io: Refresh run ${task.run.id} crashed:`,
+          error.message
+        )
+      )
+      .finally(() => {
+        queue.running = null;
+        this.pending.delete(task.profileId);
+        this.drain(queue);
+      });
+  }
+
+  async runTask({ run, profileId, scheduleId, connections }) {
+    const startedAt = Date.now();
+    await this.refreshRunRepository.update(run.id, {
+      status: "running",
+      started_at: new Date(startedAt).toISOString(),
+    });
+
+    let outcome;
+    try {
+      await this.profileService.refreshProfile(profileId, { connections });
+      outcome = { status: "succeeded", error: null };
+    } catch (error) {
+      // A 404 may also be the platform saying the account is gone
+      const tracked = await this.profileRepository.findById(profileId);
+      outcome = tracked
+        ? { status: "failed", error: error.message }
+        : { status: "skipped", error: "Profile is no longer tracked" };
+    }
+
+    await this.refreshRunRepository.update(run.id, {
+      ...outcome,
+      finished_at: new Date().toISOString(),
+      duration_ms: Date.now() - startedAt,
+    });
+
+    if (outcome.status === "failed") {
+      logger.warn(
+        `⚠️ SocialCog.io: Scheduled refresh of ${run.platform} @${run.username} ${outcome.status}: ${outcome.error}`
+      );
+    }
+
+    await this.recordOutcome(scheduleId, outcome);
+  }
+
+  async recordOutcome(scheduleId, outcome) {
+    const schedule = await this.scheduleRepository.findById(scheduleId);
+    if (!schedule) return;
+
+    const failed = outcome.status === "failed";
+    await this.scheduleRepository.update(schedule.id, {
+      last_run_at: new Date().toISOString(),
+      last_status: outcome.status,
+      last_error: outcome.error,
+      consecutive_failures: failed
+        ? (schedule.consecutive_failures || 0) + 1
+        : 0,
+    });
+  }
+
+  async validateTarget({
+    scope,
+    profileId,
+    platforms,
+    userId = null,
+    workspaceId = null,
+  }) {
+    if (scope === "profile") {
+      if (profileId == null) {
+        throw new HttpError(
+          400,
+          "profile_id is required for profile schedules"
+        );
+      }
+      const profile = await this.profileRepository.findById(profileId);
+      if (!inScope(profile, { userId, workspaceId })) {
+        throw new HttpError(404, "Profile not found");
+      }
+    }
+
+    for (const platform of platforms || []) {
+      this.platformRegistry.require(platform);
+    }
+  }
+
+  // Also rejects expressions that parse but never fire, e.g. "0 0 30 2 *"
+  parseCronOrFail(cron) {
+    let schedule;
+    try {
+      schedule = parseCron(cron);
+    } catch (error) {
+      throw new HttpError(400, `Invalid cron expression: ${error.message}`);
+    }
+    if (!schedule.next()) {
+      throw new HttpError(400, `Cron expression "${cron}" never fires`);
+    }
+    return schedule;
+  }
+
+  describe(schedule) {
+    const upcoming =
+      schedule.enabled && schedule.next_run_at
+        ? [
+            schedule.next_run_at,
+            ...parseCron(schedule.cron)
+              .upcoming(UPCOMING_RUNS - 1, new Date(schedule.next_run_at))
+              .map((date) => date.toISOString()),
+          ]
+        : [];
+    return { ...schedule, upcoming_runs: upcoming };
+  }
+
+  async listSchedules({ userId = null, workspaceId = null } = {}) {
+    const schedules = await this.scheduleRepository.findAll({
+      userId,
+      workspaceId,
+    });
+    return schedules.map((schedule) => this.describe(schedule));
+  }
+
+  async requireSchedule(id, { userId = null, workspaceId = null } = {}) {
+    const schedule = await this.scheduleRepository.findById(id);
+    if (!inScope(schedule, { userId, workspaceId })) {
+      throw new HttpError(404, "Schedule not found");
+    }
+    return schedule;
+  }
+
+  async getSchedule(id, { userId = null, workspaceId = null } = {}) {
+    return this.describe(
+      await this.requireSchedule(id, { userId, workspaceId })
+    );
+  }
+
+  /**
+   * Attributes:
+   *   name                 label for the schedule
+   *   cron                 five-field cron expression or @hourly/@daily/...
+   *   scope                "profile" (one profile) or "workspace" (every
+   *                        profile the workspace tracks, optionally only
+   *                        some platforms)
+   *   profileId            the profile, for profile schedules
+   *   platforms            platform filter, for workspace schedules
+   *   includeConnections   also refetch follower/following lists
+   *   enabled
+   *   userId               the schedule's owner
+   *   workspaceId          the workspace whose profiles it refreshes
+   */
+  async createSchedule({
+    name = null,
+    cron,
+    scope,
+    profileId = null,
+    platforms = null,
+    includeConnections = true,
+    enabled = true,
+    userId = null,
+    workspaceId = null,
+  }) {
+    this.parseCronOrFail(cron);
+    await this.validateTarget({
+      scope,
+      profileId,
+      platforms,
+      userId,
+      workspaceId,
+    });
+
+    const schedule = await this.scheduleRepository.create({
+      user_id: userId,
+      workspace_id: workspaceId,
+      name:
+        name || (scope === "profile" ? `Profile ${profileId}` : "Workspace"),
+      cron,
+      scope,
+      profile_id: scope === "profile" ? profileId : null,
+      platforms: scope === "workspace" ? platforms : null,
+      include_connections: includeConnections,
+      enabled,
+      next_run_at: enabled ? this.nextRunAt(cron) : null,
+      last_triggered_at: null,
+      last_run_at: null,
+      last_status: null,
+      last_error: null,
+      consecutive_failures: 0,
+    });
+
+    logger.info(
+      `⏰ SocialCog.io: Created refresh schedule "${schedule.name}" (${schedule.cron})`
+    );
+    return this.describe(schedule);
+  }
+
+  async updateSchedule(
+    id,
+    changes,
+    { userId = null, workspaceId = null } = {}
+  ) {
+    const schedule = await this.requireSchedule(id, { userId, workspaceId });
+
+    const cron = changes.cron ?? schedule.cron;
+    const enabled = changes.enabled ?? schedule.enabled;
+    this.parseCronOrFail(cron);
+    await this.validateTarget({
+      scope: schedule.scope,
+      profileId: schedule.profile_id,
+      platforms: changes.platforms,
+      userId: schedule.user_id ?? null,
+      workspaceId: schedule.workspace_id ?? null,
+    });
+
+    const updated = await this.scheduleRepository.update(schedule.id, {
+      ...(changes.name !== undefined && { name: changes.name }),
+      ...(changes.platforms !== undefined &&
+        schedule.scope === "workspace" && { platforms: changes.platforms }),
+      ...(changes.includeConnections !== undefined && {
+        include_connections: changes.includeConnections,
+      }),
+      cron,
+      enabled,
+      next_run_at: enabled
+        ? cron === schedule.cron && schedule.next_run_at
+          ? schedule.next_run_at
+          : this.nextRunAt(cron)
+        : null,
+    });
+    return this.describe(updated);
+  }
+
+  async deleteSchedule(id, { userId = null, workspaceId = null } = {}) {
+    const schedule = await this.requireSchedule(id, { userId, workspaceId });
+    await this.scheduleRepository.delete(schedule.id);
+  }
+
+  // Queues the schedule's profiles now, without moving its next run
+  async runNow(id, { userId = null, workspaceId = null } = {}) {
+    const schedule = await this.requireSchedule(id, { userId, workspaceId });
+    return this.trigger(schedule, "manual");
+  }
+
+  async listRuns(filters) {
+    return this.refreshRunRepository.findAll(filters);
+  }
+
+  // Queue depth and budget per platform. Counts only cover the runs of
+  // userId's workspace, and the next slot is that of the identity userId's
+  // refreshes run as
+  async status({ userId = null, workspaceId = null } = {}) {
+    const now = Date.now();
+    const mine = (task) => inScope(task.run, { userId, workspaceId });
+
+    const platforms = [];
+    for (const platform of this.platformRegistry.names()) {
+      const limit = this.limitFor(platform);
+      const identity = await this.identityFor(platform, userId);
+      const own = this.queues.get(queueKey(identity, platform));
+      const queues = [...this.queues.values()].filter(
+        (queue) => queue.platform === platform
+      );
+      platforms.push({
+        platform,
+        identity,
+        limit: limit && { max: limit.max, window_ms: limit.windowMs },
+        queued: queues.reduce(
+          (sum, queue) => sum + queue.tasks.filter(mine).length,
+          0
+        ),
+        in_progress: queues.some(
+          (queue) => queue.running && mine(queue.running)
+        ),
+        next_slot_at: new Date(
+          now + (own ? this.delayFor(own, now) : 0)
+        ).toISOString(),
+      });
+    }
+
+    return {
+      running: Boolean(this.timer),
+      tick_ms: this.tickMs,
+      pending_profiles: platforms.reduce(
+        (sum, entry) => sum + entry.queued + (entry.in_progress ? 1 : 0),
+        0
+      ),
+      platforms,
+    };
+  }
+}
+
+module.exports = RefreshScheduler;
+module.exports.SCOPES = SCOPES;
+module.exports.RUN_STATUSES = RUN_STATUSES;
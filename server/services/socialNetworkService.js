@@ -4,42 +4,39 @@
  * Cross-platform social network mapping and analysis
  */
 
-const TwitterService = require("./twitterService");
-const LinkedInService = require("./linkedinService");
-const { logger } = require("../utils/logger");
+const logger = require("../utils/logger");
 
 class SocialNetworkService {
-  constructor(twitterService, linkedinService) {
-    if (!twitterService || !linkedinService) {
-      throw new Error(
-        "SocialNetworkService requires both Twitter and LinkedIn services."
-      );
+  constructor(platformRegistry) {
+    if (!platformRegistry) {
+      throw new Error("SocialNetworkService requires a platform registry.");
     }
-    this.twitterService = twitterService;
-    this.linkedinService = linkedinService;
+    this.platformRegistry = platformRegistry;
     logger.info(
       "✅ SocialCog.io SocialNetworkService initialized successfully"
     );
   }
 
-  // Example method for future use
-  async getCombinedProfile(twitterHandle, linkedinProfileUrl) {
+  // accounts: map of platform name -> handle or profile URL
+  async getCombinedProfile(accounts) {
+    const entries = Object.entries(accounts).filter(([, handle]) => handle);
+
     logger.info(
-      `Analyzing combined profiles for ${twitterHandle} and ${linkedinProfileUrl}`
+      `Analyzing combined profiles for ${entries
+        .map(([platform, handle]) => `${platform}:${handle}`)
+        .join(", ")}`
     );
 
-    // In the future, you would get tokens and make real calls
-    // For now, this is a placeholder
-    const twitterProfile = await this.twitterService.getUserProfile(
-      twitterHandle
+    const profiles = await Promise.all(
+      entries.map(([platform, handle]) =>
+        this.platformRegistry.require(platform).getProfile(handle)
+      )
     );
-    const linkedinProfile = await this.linkedinService.getMockProfile(
-      linkedinProfileUrl
-    ); // Using mock for now
 
     return {
-      twitter: twitterProfile,
-      linkedin: linkedinProfile,
+      ...Object.fromEntries(
+        entries.map(([platform], index) => [platform, profiles[index]])
+      ),
       analysis_date: new Date().toISOString(),
     };
   }
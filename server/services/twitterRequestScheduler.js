@@ -0,0 +1,307 @@
+/**
+ * SocialCog.io - Twitter Request Scheduler
+ * TM (2025) - TPCL, LLC
+ * Per-endpoint queues that respect Twitter's x-rate-limit headers
+ *
+ * Twitter counts requests per endpoint and per token, so every identity a
+ * call can run as ("app" for the server's own credentials, "user:<id>" for
+ * a connected account) gets its own budget and queue per endpoint.
+ */
+
+const http = require("http");
+const logger = require("../utils/logger");
+const HttpError = require("../utils/httpError");
+
+// Calls wait out an exhausted window up to this long before failing
+const DEFAULT_MAX_WAIT_MS = 60 * 1000;
+
+// Twitter's reset time has one-second resolution; wait slightly past it
+const RESET_MARGIN_MS = 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// "/2/users/123/followers" -> "users/:id/followers", so every user shares
+// the endpoint's budget the way Twitter counts it
+const endpointKey = (pathname) =>
+  pathname
+    .replace(/^\/(?:1\.1|2)\//, "")
+    .split("/")
+    .map((segment, index, segments) => {
+      if (segments[index - 1] === "username") return ":username";
+      return /^\d+$/.test(segment) ? ":id" : segment;
+    })
+    .join("/");
+
+// Network failures and 5xx responses are worth another try; 4xx are not
+const isTransient = (error) =>
+  error.type === "request" || (error.code >= 500 && error.code < 600);
+
+const isRateLimited = (error) =>
+  error.code === 429 || Boolean(error.rateLimitError);
+
+// "user:3" + "users/me" -> "user:3 users/me"; neither half contains a space
+const budgetKey = (identity, endpoint) => `${identity} ${endpoint}`;
+
+class TwitterRequestScheduler {
+  /**
+   * Options:
+   *   baseUrl      send requests here instead of api.twitter.com, e.g. a
+   *                local fake API ("http://localhost:4010")
+   *   maxRetries   retries for 429s and transient failures
+   *   baseDelayMs  first backoff delay, doubled per retry and jittered
+   *   maxDelayMs   backoff ceiling
+   *   maxWaitMs    longest a call waits for an exhausted window to reset;
+   *                beyond that it fails with a 429 straight away
+   */
+  constructor({
+    baseUrl = process.env.TWITTER_API_BASE_URL || null,
+    maxRetries = 3,
+    baseDelayMs = 1000,
+    maxDelayMs = 30 * 1000,
+    maxWaitMs = parseInt(process.env.TWITTER_RATE_LIMIT_MAX_WAIT_MS, 10) ||
+      DEFAULT_MAX_WAIT_MS,
+    random = Math.random,
+  } = {}) {
+    this.baseUrl = baseUrl ? new URL(baseUrl) : null;
+    this.maxRetries = maxRetries;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.maxWaitMs = maxWaitMs;
+    this.random = random;
+
+    // Budget key -> budget and counters
+    this.endpoints = new Map();
+    // Budget key -> tail of its queue
+    this.queues = new Map();
+  }
+
+  endpoint(key) {
+    if (!this.endpoints.has(key)) {
+      const [identity, endpoint] = key.split(" ");
+      this.endpoints.set(key, {
+        identity,
+        endpoint,
+        limit: null,
+        remaining: null,
+        reset: null,
+        queued: 0,
+        requests: 0,
+        retries: 0,
+        rate_limited: 0,
+        waiting_until: null,
+        last_error: null,
+        updated_at: null,
+      });
+    }
+    return this.endpoints.get(key);
+  }
+
+  // Records a twitter-api-v2 rateLimit ({ limit, remaining, reset }) under a
+  // budget key; reset is in epoch seconds
+  record(key, rateLimit) {
+    if (!rateLimit || rateLimit.remaining == null) return;
+
+    const state = this.endpoint(key);
+    state.limit = rateLimit.limit ?? state.limit;
+    state.remaining = rateLimit.remaining;
+    state.reset = rateLimit.reset ?? state.reset;
+    state.updated_at = new Date().toISOString();
+  }
+
+  /**
+   * Runs `task` once every earlier call to the same endpoint as the same
+   * identity has settled and that budget has requests left. 429s wait for
+   * the window to reset; network errors and 5xx responses back off
+   * exponentially with jitter.
+   */
+  schedule(endpoint, task, { identity = "app" } = {}) {
+    const key = budgetKey(identity, endpoint);
+    const state = this.endpoint(key);
+    state.queued += 1;
+
+    const previous = this.queues.get(key) || Promise.resolve();
+    const run = previous.then(() => this.execute(key, task));
+    const tail = run
+      .catch(() => {})
+      .finally(() => {
+        state.queued -= 1;
+        if (this.queues.get(key) === tail) this.queues.delete(key);
+      });
+    this.queues.set(key, tail);
+
+    return run;
+  }
+
+  async execute(key, task) {
+    const state = this.endpoint(key);
+
+    for (let attempt = 0; ; attempt += 1) {
+      await this.waitForBudget(key);
+
+      try {
+        state.requests += 1;
+        const result = await task();
+        state.last_error = null;
+        return result;
+      } catch (error) {
+        state.last_error = error.message;
+        const delay = this.retryDelay(key, error, attempt);
+        if (delay == null) throw error;
+
+        state.retries += 1;
+        logger.warn(
+          `⏳ SocialCog.io: Twitter ${key} failed (${
+            error.code || error.type || "error"
+          }), retrying in ${delay}ms`
+        );
+        await this.wait(state, delay);
+      }
+    }
+  }
+
+  // Milliseconds until the endpoint's window resets, or 0 if it has budget
+  resetDelay(key) {
+    const state = this.endpoint(key);
+    if (state.remaining !== 0 || !state.reset) return 0;
+    return Math.max(0, state.reset * 1000 - Date.now() + RESET_MARGIN_MS);
+  }
+
+  async waitForBudget(key) {
+    const delay = this.resetDelay(key);
+    if (delay === 0) return;
+
+    const state = this.endpoint(key);
+    if (delay > this.maxWaitMs) {
+      state.rate_limited += 1;
+      throw this.rateLimitError(key);
+    }
+
+    logger.info(
+      `⏳ SocialCog.io: Twitter ${key} budget exhausted, waiting ${delay}ms for reset`
+    );
+    await this.wait(state, delay);
+    // The window has rolled over; the next response brings the new budget
+    state.remaining = null;
+  }
+
+  async wait(state, delay) {
+    state.waiting_until = new Date(Date.now() + delay).toISOString();
+    await sleep(delay);
+    state.waiting_until = null;
+  }
+
+  // Delay before the next attempt, or null to give up
+  retryDelay(key, error, attempt) {
+    if (attempt >= this.maxRetries) return null;
+
+    if (isRateLimited(error)) {
+      this.endpoint(key).rate_limited += 1;
+      this.record(key, error.rateLimit);
+      const delay = this.resetDelay(key);
+      if (delay > this.maxWaitMs) return null;
+      return delay || this.backoff(attempt);
+    }
+
+    return isTransient(error) ? this.backoff(attempt) : null;
+  }
+
+  // Exponential backoff with "equal jitter": half fixed, half random
+  backoff(attempt) {
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+    return Math.round(ceiling / 2 + this.random() * (ceiling / 2));
+  }
+
+  // Shaped like twitter-api-v2's response errors so callers treat both alike
+  rateLimitError(key) {
+    const state = this.endpoint(key);
+    const resetAt = new Date(state.reset * 1000).toISOString();
+    const error = new HttpError(
+      429,
+      `Twitter rate limit for ${state.endpoint} exhausted until ${resetAt}`,
+      { endpoint: state.endpoint, identity: state.identity, reset_at: resetAt }
+    );
+    error.code = 429;
+    error.rateLimitError = true;
+    error.rateLimit = {
+      limit: state.limit,
+      remaining: state.remaining,
+      reset: state.reset,
+    };
+    return error;
+  }
+
+  // twitter-api-v2 plugin for one identity's client: reads the x-rate-limit
+  // headers off every response and points requests at baseUrl when one is set
+  plugin(identity = "app") {
+    const keyFor = (computedParams) =>
+      budgetKey(identity, endpointKey(new URL(computedParams.rawUrl).pathname));
+
+    return {
+      onBeforeRequest: ({ computedParams }) => {
+        if (!this.baseUrl) return;
+        const url = computedParams.url;
+        url.pathname = this.baseUrl.pathname.replace(/\/$/, "") + url.pathname;
+        url.protocol = this.baseUrl.protocol;
+        url.host = this.baseUrl.host;
+      },
+      onAfterRequest: ({ computedParams, response }) => {
+        this.record(keyFor(computedParams), response.rateLimit);
+      },
+      onResponseError: ({ computedParams, error }) => {
+        this.record(keyFor(computedParams), error.rateLimit);
+      },
+    };
+  }
+
+  // Settings for the TwitterApi constructor. twitter-api-v2 always uses the
+  // https module, which only accepts http: URLs with an http agent.
+  clientSettings(identity = "app") {
+    return {
+      plugins: [this.plugin(identity)],
+      ...(this.baseUrl?.protocol === "http:" && {
+        httpAgent: new http.Agent({ keepAlive: true }),
+      }),
+    };
+  }
+
+  // `identities` limits the report to those budgets, e.g. the app's and one
+  // user's
+  status({ identities = null } = {}) {
+    const endpoints = [...this.endpoints.entries()]
+      .filter(([, state]) => !identities || identities.includes(state.identity))
+      .map(([key, state]) => ({
+        identity: state.identity,
+        endpoint: state.endpoint,
+        limit: state.limit,
+        remaining: state.remaining,
+        reset_at: state.reset
+          ? new Date(state.reset * 1000).toISOString()
+          : null,
+        exhausted: this.resetDelay(key) > 0,
+        queued: state.queued,
+        waiting_until: state.waiting_until,
+        requests: state.requests,
+        retries: state.retries,
+        rate_limited: state.rate_limited,
+        last_error: state.last_error,
+        updated_at: state.updated_at,
+      }))
+      .sort(
+        (a, b) =>
+          a.identity.localeCompare(b.identity) ||
+          a.endpoint.localeCompare(b.endpoint)
+      );
+
+    return {
+      base_url: this.baseUrl ? this.baseUrl.origin : null,
+      max_wait_ms: this.maxWaitMs,
+      max_retries: this.maxRetries,
+      queued: endpoints.reduce((sum, endpoint) => sum + endpoint.queued, 0),
+      endpoints,
+      timestamp: new Date().toISOString(),
+    };
+  }
+}
+
+module.exports = TwitterRequestScheduler;
+module.exports.endpointKey = endpointKey;
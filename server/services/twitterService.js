@@ -1,59 +1,170 @@
 /**
  * SocialCog.io - Twitter Service
  * TM (2025) - TPCL, LLC
- * Production Twitter API integration with your live credentials
+ * Production Twitter API integration, as the app or a connected user
  */
 
 const { TwitterApi } = require("twitter-api-v2");
-const NodeCache = require("node-cache");
+const _ = require("lodash");
 const logger = require("../utils/logger");
+const HttpError = require("../utils/httpError");
+const { upstreamError } = require("../utils/upstreamError");
+const TwitterRequestScheduler = require("./twitterRequestScheduler");
+const HttpCassette = require("../cassettes/httpCassette");
+const SharedCache = require("../cache/sharedCache");
+
+// The follower endpoints return at most 1000 users per page and allow 15
+// requests per 15 minutes
+const PAGE_SIZE = 1000;
+const DEFAULT_MAX_PAGES = 15;
+
+// Why a run stops early and leaves a cursor to resume from
+const CUT_SHORT = ["page_limit", "rate_limited", "error"];
+
+// Pagination tokens from an abandoned run are not trusted after a day
+const CURSOR_TTL_MS = 24 * 60 * 60 * 1000;
+
+const USER_FIELDS =
+  "id,username,name,public_metrics,verified,profile_image_url";
+
+const toUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  name: user.name,
+  verified: user.verified || false,
+  followers: user.public_metrics?.followers_count || 0,
+  profile_image_url: user.profile_image_url || null,
+  platform: "twitter",
+});
 
 class TwitterService {
-  constructor() {
-    this.validateConfig();
-
-    // Initialize Twitter API client with your actual credentials
-    this.client = new TwitterApi({
-      appKey: process.env.TWITTER_API_KEY,
-      appSecret: process.env.TWITTER_API_SECRET,
-      accessToken: process.env.TWITTER_ACCESS_TOKEN,
-      accessSecret: process.env.TWITTER_ACCESS_TOKEN_SECRET,
-      bearerToken: process.env.TWITTER_BEARER_TOKEN,
-    });
+  // cursorRepository (optional) stores pagination tokens between runs;
+  // every API call goes through the shared request scheduler, and
+  // responses are kept in the SharedCache `cache` (a private one by
+  // default).
+  //
+  // Calls run as the user whose credential context was bound with
+  // withCredentials() when they connected Twitter, and as the app
+  // (appCredentials, see config/credentials.js) otherwise. oauthEnabled
+  // says users can connect, so the service is usable without app
+  // credentials. A replaying cassette answers from fixtures, so no
+  // credentials are needed
+  constructor({
+    cursorRepository = null,
+    scheduler = new TwitterRequestScheduler(),
+    maxPages = DEFAULT_MAX_PAGES,
+    cassette = HttpCassette.fromEnv("twitter"),
+    cache = new SharedCache(),
+    appCredentials = null,
+    oauthEnabled = false,
+  } = {}) {
+    if (!cassette?.replaying && !appCredentials && !oauthEnabled) {
+      throw new Error(
+        "Missing Twitter API credentials: set TWITTER_CLIENT_ID for user connections or the TWITTER_* app tokens"
+      );
+    }
+
+    this.scheduler = scheduler;
+    this.cassette = cassette;
+    this.appCredentials = appCredentials;
+    this.credentials = null;
 
-    // Initialize read-only client for public data
-    this.readOnlyClient = this.client.readOnly;
+    // Identity ("app", "user:<id>") -> read-only client and the token it
+    // was built with
+    this.clients = new Map();
 
-    // Cache for API responses (TTL: 5 minutes)
-    this.cache = new NodeCache({ stdTTL: 300, checkperiod: 60 });
+    this.cursorRepository = cursorRepository;
+    this.maxPages = maxPages;
+
+    // API responses, with per-endpoint TTLs from config/cache.js
+    this.cache = cache.namespace("twitter");
 
     logger.info("✅ SocialCog.io Twitter Service initialized successfully");
   }
 
-  validateConfig() {
-    const required = [
-      "TWITTER_API_KEY",
-      "TWITTER_API_SECRET",
-      "TWITTER_BEARER_TOKEN",
-      "TWITTER_ACCESS_TOKEN",
-      "TWITTER_ACCESS_TOKEN_SECRET",
-    ];
+  // A view of this service whose calls run with a per-request credential
+  // context (OAuthService.credentialsFor); caches, clients and rate-limit
+  // budgets stay shared with the service itself
+  withCredentials(credentials) {
+    return Object.assign(Object.create(this), { credentials });
+  }
 
-    const missing = required.filter((key) => !process.env[key]);
+  // The identity and client the next call runs as: the connected user's
+  // OAuth 2.0 token, else the app's credentials
+  async session() {
+    // Replayed requests are never signed, so any bearer token will do
+    if (this.cassette?.replaying) {
+      return { identity: "app", client: this.clientFor("app", "replay") };
+    }
 
-    if (missing.length > 0) {
-      throw new Error(`Missing Twitter API credentials: ${missing.join(", ")}`);
+    const user = await this.credentials?.resolve("twitter");
+    if (user) {
+      return {
+        identity: user.identity,
+        client: this.clientFor(user.identity, user.accessToken),
+      };
+    }
+    if (this.appCredentials) {
+      return {
+        identity: "app",
+        client: this.clientFor("app", this.appCredentials),
+      };
     }
+    throw new HttpError(
+      403,
+      "Connect your Twitter account to fetch live Twitter data"
+    );
+  }
 
-    logger.info("✅ Twitter API configuration validated");
+  // User tokens are bearer tokens; a refreshed token gets a new client
+  clientFor(identity, auth) {
+    const cached = this.clients.get(identity);
+    if (cached?.auth === auth) return cached.client;
+
+    const settings = this.scheduler.clientSettings(identity);
+    if (this.cassette) {
+      settings.plugins = [this.cassette.twitterPlugin(), ...settings.plugins];
+    }
+    const client = new TwitterApi(auth, settings).readOnly;
+    this.clients.set(identity, { auth, client });
+    return client;
+  }
+
+  // Cached responses are kept per identity, so nobody is served data that
+  // was fetched with someone else's token
+  async cached(endpoint, request, fetch, options = {}) {
+    const { identity } = await this.session();
+    return this.cache.wrap(endpoint, request, fetch, { identity, ...options });
+  }
+
+  // Runs one v2 API call through the scheduler, against the rate-limit
+  // budget of whoever it runs as
+  async request(endpoint, call) {
+    const { identity, client } = await this.session();
+    return this.scheduler.schedule(endpoint, () => call(client.v2), {
+      identity,
+    });
   }
 
   async checkApiStatus() {
+    if (
+      !this.cassette?.replaying &&
+      !this.appCredentials &&
+      !this.credentials
+    ) {
+      return {
+        status: "user_auth",
+        service: "Twitter API",
+        message: "Live calls use each user's connected Twitter account",
+        timestamp: new Date().toISOString(),
+      };
+    }
+
     try {
       logger.info("🔍 SocialCog.io: Checking Twitter API status...");
 
       // Try to verify credentials
-      const user = await this.readOnlyClient.v2.me();
+      const user = await this.request("users/me", (v2) => v2.me());
 
       return {
         status: "connected",
@@ -73,18 +184,13 @@ class TwitterService {
   }
 
   async getUserProfile(usernameOrId) {
-    const cacheKey = `profile_${usernameOrId}`;
+    return this.cached("profile", usernameOrId, () =>
+      this.fetchUserProfile(usernameOrId)
+    );
+  }
 
+  async fetchUserProfile(usernameOrId) {
     try {
-      // Check cache first
-      const cached = this.cache.get(cacheKey);
-      if (cached) {
-        logger.info(
-          `📋 SocialCog.io: Returning cached profile for ${usernameOrId}`
-        );
-        return cached;
-      }
-
       logger.info(
         `🔍 SocialCog.io: Fetching live Twitter profile for @${usernameOrId}`
       );
@@ -93,27 +199,31 @@ class TwitterService {
       const isUserId = /^\d+$/.test(usernameOrId);
 
       // Fetch user data with comprehensive fields
-      const user = await this.readOnlyClient.v2.userByUsername(
-        isUserId ? undefined : usernameOrId,
-        {
-          "user.fields": [
-            "id",
-            "username",
-            "name",
-            "description",
-            "location",
-            "url",
-            "verified",
-            "verified_type",
-            "profile_image_url",
-            "public_metrics",
-            "created_at",
-          ].join(","),
-        }
-      );
+      const options = {
+        "user.fields": [
+          "id",
+          "username",
+          "name",
+          "description",
+          "location",
+          "url",
+          "verified",
+          "verified_type",
+          "profile_image_url",
+          "public_metrics",
+          "created_at",
+        ].join(","),
+      };
+      const user = isUserId
+        ? await this.request("users/:id", (v2) =>
+            v2.user(usernameOrId, options)
+          )
+        : await this.request("users/by/username/:username", (v2) =>
+            v2.userByUsername(usernameOrId, options)
+          );
 
       if (!user.data) {
-        throw new Error(`User ${usernameOrId} not found`);
+        throw new HttpError(404, `Twitter user @${usernameOrId} not found`);
       }
 
       const userData = user.data;
@@ -149,122 +259,168 @@ class TwitterService {
         `📊 Profile metrics: ${profile.followers} followers, ${profile.following} following, ${profile.posts} posts`
       );
 
-      // Cache the result
-      this.cache.set(cacheKey, profile);
-
       return profile;
     } catch (error) {
       logger.error(
         `❌ SocialCog.io: Error fetching profile for ${usernameOrId}:`,
         error.message
       );
-
-      // Return mock data for development/fallback
-      return this.getMockProfile(usernameOrId, error.message);
+      throw upstreamError("Twitter", error, `user @${usernameOrId}`);
     }
   }
 
-  async getUserFollowers(userId, maxResults = 100) {
-    const cacheKey = `followers_${userId}_${maxResults}`;
+  async getUserFollowers(userId, maxResults = 100, options = {}) {
+    return this.listUsers("followers", userId, maxResults, options);
+  }
 
-    try {
-      // Check cache first
-      const cached = this.cache.get(cacheKey);
-      if (cached) {
-        logger.info(
-          `📋 SocialCog.io: Returning cached followers for ${userId}`
-        );
-        return cached;
-      }
+  async getUserFollowing(userId, maxResults = 100, options = {}) {
+    return this.listUsers("following", userId, maxResults, options);
+  }
 
-      logger.info(`🔍 SocialCog.io: Fetching followers for user ID: ${userId}`);
+  /**
+   * Pages through a user's followers or following ("kind") until
+   * maxResults, maxPages or the first failed page. Runs cut short by the
+   * page cap or an error keep their pagination token and users in the
+   * cursor store, and the next call picks up from there. Partial results
+   * are returned rather than discarded; only a run that got nothing at all
+   * fails.
+   *
+   * expectedCount (the profile's follower/following count) feeds the
+   * completeness report. It is measured after the cache read, so callers
+   * expecting different counts share the cached list.
+   */
+  async listUsers(kind, userId, maxResults, options = {}) {
+    // Partial lists are not cached so the next call can resume them
+    const result = await this.cached(
+      kind,
+      `${userId}_${maxResults}`,
+      () => this.fetchUsers(kind, userId, maxResults, options),
+      {
+        cacheIf: (result) => !CUT_SHORT.includes(result.pagination.stop_reason),
+      }
+    );
 
-      // Fetch followers (requires elevated access)
-      const followers = await this.readOnlyClient.v2.followers(userId, {
-        max_results: Math.min(maxResults, 1000),
-        "user.fields":
-          "id,username,name,public_metrics,verified,profile_image_url",
-      });
+    const expected = options.expectedCount ?? null;
+    return {
+      ...result,
+      completeness: {
+        fetched: result.count,
+        expected,
+        ratio:
+          expected > 0
+            ? Math.round(Math.min(1, result.count / expected) * 1e4) / 1e4
+            : null,
+      },
+    };
+  }
 
-      const followersList = followers.data || [];
+  async fetchUsers(
+    kind,
+    userId,
+    maxResults,
+    { maxPages = this.maxPages, resume = true } = {}
+  ) {
+    const { identity } = await this.session();
+    const cursor =
+      resume && this.cursorRepository
+        ? await this.cursorRepository.find("twitter", identity, userId, kind)
+        : null;
+    const resumed = Boolean(
+      cursor && Date.now() - Date.parse(cursor.updated_at) < CURSOR_TTL_MS
+    );
+    const users = resumed ? cursor.users : [];
+    let nextToken = resumed ? cursor.next_token : null;
+    let pages = 0;
+    let stopReason = null;
+    let lastError = null;
+
+    logger.info(
+      `🔍 SocialCog.io: Fetching ${kind} for user ID: ${userId}${
+        resumed ? ` (resuming after ${users.length})` : ""
+      }`
+    );
+
+    while (users.length < maxResults) {
+      if (pages >= maxPages) {
+        stopReason = "page_limit";
+        break;
+      }
 
-      const result = {
-        user_id: userId,
-        count: followersList.length,
-        followers: followersList.map((follower) => ({
-          id: follower.id,
-          username: follower.username,
-          name: follower.name,
-          verified: follower.verified || false,
-          followers: follower.public_metrics?.followers_count || 0,
-          profile_image_url: follower.profile_image_url || null,
-          platform: "twitter",
-        })),
-        fetched_at: new Date().toISOString(),
-        fetched_by: "SocialCog.io",
+      const params = {
+        max_results: Math.min(PAGE_SIZE, maxResults - users.length),
+        "user.fields": USER_FIELDS,
+        ...(nextToken && { pagination_token: nextToken }),
       };
 
-      // Cache the result
-      this.cache.set(cacheKey, result);
+      try {
+        const page = await this.request(`users/:id/${kind}`, (v2) =>
+          v2[kind](userId, params)
+        );
+        pages += 1;
+        users.push(...(page.data || []).map(toUser));
+        nextToken = page.meta?.next_token || null;
+        if (!nextToken) break;
+      } catch (error) {
+        lastError = error;
+        stopReason =
+          error.code === 429 || error.rateLimitError ? "rate_limited" : "error";
+        break;
+      }
+    }
 
-      logger.info(
-        `✅ SocialCog.io: Fetched ${result.count} followers for ${userId}`
+    if (users.length === 0 && lastError) {
+      logger.error(
+        `❌ SocialCog.io: Error fetching ${kind}:`,
+        lastError.message
       );
-      return result;
-    } catch (error) {
-      logger.error(`❌ SocialCog.io: Error fetching followers:`, error.message);
-
-      // Return mock followers for development/fallback
-      return this.getMockFollowers(userId, maxResults, error.message);
+      throw upstreamError("Twitter", lastError, `user ${userId}`);
     }
-  }
-
-  async getUserFollowing(userId, maxResults = 100) {
-    const cacheKey = `following_${userId}_${maxResults}`;
 
-    try {
-      // Check cache first
-      const cached = this.cache.get(cacheKey);
-      if (cached) {
-        return cached;
+    const complete = !nextToken;
+    if (!stopReason && !complete) stopReason = "max_results";
+    const cutShort = CUT_SHORT.includes(stopReason);
+
+    // A resumed run that stops at maxResults still moved the cursor on
+    if (this.cursorRepository) {
+      if (cutShort || (resumed && !complete)) {
+        await this.cursorRepository.save("twitter", identity, userId, kind, {
+          next_token: nextToken,
+          users,
+        });
+      } else if (cursor && complete) {
+        await this.cursorRepository.delete("twitter", identity, userId, kind);
       }
+    }
 
-      logger.info(`🔍 SocialCog.io: Fetching following for user ID: ${userId}`);
-
-      const following = await this.readOnlyClient.v2.following(userId, {
-        max_results: Math.min(maxResults, 1000),
-        "user.fields":
-          "id,username,name,public_metrics,verified,profile_image_url",
-      });
-
-      const followingList = following.data || [];
-
-      const result = {
-        user_id: userId,
-        count: followingList.length,
-        following: followingList.map((user) => ({
-          id: user.id,
-          username: user.username,
-          name: user.name,
-          verified: user.verified || false,
-          followers: user.public_metrics?.followers_count || 0,
-          profile_image_url: user.profile_image_url || null,
-          platform: "twitter",
-        })),
-        fetched_at: new Date().toISOString(),
-        fetched_by: "SocialCog.io",
-      };
-
-      this.cache.set(cacheKey, result);
+    const list = users.slice(0, maxResults);
+    const result = {
+      user_id: userId,
+      count: list.length,
+      [kind]: list,
+      pagination: {
+        complete,
+        pages,
+        resumed,
+        next_token: nextToken,
+        stop_reason: stopReason,
+        error: lastError ? lastError.message : null,
+      },
+      fetched_at: new Date().toISOString(),
+      fetched_by: "SocialCog.io",
+    };
 
+    if (lastError) {
+      logger.warn(
+        `⚠️ SocialCog.io: Returning ${result.count} ${kind} for ${userId} after ${stopReason}: ${lastError.message}`
+      );
+    } else {
       logger.info(
-        `✅ SocialCog.io: Fetched ${result.count} following for ${userId}`
+        `✅ SocialCog.io: Fetched ${result.count} ${kind} for ${userId} in ${pages} pages${
+          complete ? "" : ` (${stopReason})`
+        }`
       );
-      return result;
-    } catch (error) {
-      logger.error(`❌ SocialCog.io: Error fetching following:`, error.message);
-      return this.getMockFollowing(userId, maxResults, error.message);
     }
+    return result;
   }
 
   async getMutualConnections(userId1, userId2) {
@@ -273,10 +429,11 @@ class TwitterService {
         `🔍 SocialCog.io: Finding mutual connections between ${userId1} and ${userId2}`
       );
 
-      // Get followers for both users
+      // Every page both users have; completeness says if that was all
+      const limit = this.maxPages * PAGE_SIZE;
       const [user1Followers, user2Followers] = await Promise.all([
-        this.getUserFollowers(userId1, 1000),
-        this.getUserFollowers(userId2, 1000),
+        this.getUserFollowers(userId1, limit),
+        this.getUserFollowers(userId2, limit),
       ]);
 
       // Find mutual connections
@@ -292,6 +449,14 @@ class TwitterService {
         user2_id: userId2,
         count: mutualConnections.length,
         mutual_connections: mutualConnections,
+        complete: Boolean(
+          user1Followers.pagination?.complete &&
+          user2Followers.pagination?.complete
+        ),
+        completeness: {
+          [userId1]: user1Followers.completeness || null,
+          [userId2]: user2Followers.completeness || null,
+        },
         analyzed_at: new Date().toISOString(),
         analyzed_by: "SocialCog.io",
       };
@@ -303,107 +468,39 @@ class TwitterService {
         `❌ SocialCog.io: Error finding mutual connections:`,
         error.message
       );
-
-      return {
-        user1_id: userId1,
-        user2_id: userId2,
-        count: 0,
-        mutual_connections: [],
-        error: error.message,
-        analyzed_at: new Date().toISOString(),
-        analyzed_by: "SocialCog.io",
-      };
-    }
-  }
-
-  // Mock data methods for fallback/development
-  getMockProfile(username, errorReason = "API_LIMIT") {
-    return {
-      id: Math.random().toString(36).substr(2, 9),
-      username: username,
-      name: `${username} (Mock)`,
-      platform: "twitter",
-      followers: Math.floor(Math.random() * 10000),
-      following: Math.floor(Math.random() * 1000),
-      posts: Math.floor(Math.random() * 5000),
-      likes: Math.floor(Math.random() * 50000),
-      bio: `Mock profile for ${username}`,
-      verified: Math.random() > 0.5,
-      verified_type: "blue",
-      location: "Global",
-      profile_url: `https://twitter.com/${username}`,
-      profile_image_url: `https://via.placeholder.com/128x128?text=${username}`,
-      external_url: null,
-      created_at: new Date(2020, 0, 1).toISOString(),
-      updated_at: new Date().toISOString(),
-      fetched_by: "SocialCog.io (Mock)",
-      api_version: "v2-mock",
-      mock_reason: errorReason,
-    };
-  }
-
-  getMockFollowers(userId, count = 10, errorReason = "API_ACCESS_REQUIRED") {
-    const followers = [];
-
-    for (let i = 0; i < count; i++) {
-      followers.push({
-        id: Math.random().toString(36).substr(2, 9),
-        username: `user${i + 1}`,
-        name: `Mock User ${i + 1}`,
-        verified: Math.random() > 0.8,
-        followers: Math.floor(Math.random() * 1000),
-        profile_image_url: `https://via.placeholder.com/64x64?text=U${i + 1}`,
-        platform: "twitter",
-      });
+      throw upstreamError("Twitter", error);
     }
-
-    return {
-      user_id: userId,
-      count: followers.length,
-      followers: followers,
-      fetched_at: new Date().toISOString(),
-      fetched_by: "SocialCog.io (Mock)",
-      mock_reason: errorReason,
-    };
   }
 
-  getMockFollowing(userId, count = 10, errorReason = "API_ACCESS_REQUIRED") {
-    const following = [];
-
-    for (let i = 0; i < count; i++) {
-      following.push({
-        id: Math.random().toString(36).substr(2, 9),
-        username: `following${i + 1}`,
-        name: `Mock Following ${i + 1}`,
-        verified: Math.random() > 0.7,
-        followers: Math.floor(Math.random() * 5000),
-        profile_image_url: `https://via.placeholder.com/64x64?text=F${i + 1}`,
-        platform: "twitter",
-      });
-    }
-
+  // The app's tightest endpoint budget, as the scheduler last saw it
+  rateLimitStatus() {
+    const budgets = this.scheduler
+      .status({ identities: ["app"] })
+      .endpoints.filter((budget) => budget.limit != null);
+    if (budgets.length === 0) return null;
+
+    const tightest = _.minBy(
+      budgets,
+      (budget) => budget.remaining / budget.limit
+    );
     return {
-      user_id: userId,
-      count: following.length,
-      following: following,
-      fetched_at: new Date().toISOString(),
-      fetched_by: "SocialCog.io (Mock)",
-      mock_reason: errorReason,
+      limit: tightest.limit,
+      remaining: tightest.remaining,
+      reset_at: tightest.reset_at,
+      updated_at: tightest.updated_at,
+      endpoint: tightest.endpoint,
+      exhausted_endpoints: budgets.filter((budget) => budget.exhausted).length,
     };
   }
 
   // Utility methods
-  clearCache() {
-    this.cache.flushAll();
+  async clearCache() {
+    await this.cache.flush();
     logger.info("🗑️ SocialCog.io: Twitter service cache cleared");
   }
 
-  getCacheStats() {
-    return {
-      keys: this.cache.keys().length,
-      hits: this.cache.getStats().hits,
-      misses: this.cache.getStats().misses,
-    };
+  async getCacheStats() {
+    return this.cache.stats();
   }
 }
 
@@ -0,0 +1,230 @@
+/**
+ * SocialCog.io - Workspace Service
+ * TM (2025) - TPCL, LLC
+ * Named, separately stored network maps, each with its own profiles,
+ * connections, layout and refresh schedules
+ */
+
+const logger = require("../utils/logger");
+const HttpError = require("../utils/httpError");
+
+const DEFAULT_NAME = "Default";
+
+// Jobs that would write into a workspace removed under them
+const BUSY_CRAWL_STATUSES = ["running"];
+const BUSY_IMPORT_STATUSES = ["queued", "running"];
+
+class WorkspaceService {
+  constructor({ workspaceRepository, importRepository, crawlRepository }) {
+    this.workspaceRepository = workspaceRepository;
+    this.importRepository = importRepository;
+    this.crawlRepository = crawlRepository;
+
+    // User ID -> default workspace being created, shared by the concurrent
+    // first requests of a user who has none
+    this.creating = new Map();
+  }
+
+  async withCounts(workspace) {
+    return {
+      ...workspace,
+      counts: await this.workspaceRepository.countContents(workspace.id),
+    };
+  }
+
+  async listWorkspaces(userId, { includeArchived = true } = {}) {
+    const workspaces = await this.workspaceRepository.findByUser(userId, {
+      includeArchived,
+    });
+    return Promise.all(workspaces.map((w) => this.withCounts(w)));
+  }
+
+  async requireWorkspace(id, { userId = null } = {}) {
+    const workspace = await this.workspaceRepository.findById(id);
+    if (!workspace || (userId != null && workspace.user_id !== userId)) {
+      throw new HttpError(404, "Workspace not found");
+    }
+    return workspace;
+  }
+
+  async getWorkspace(id, { userId = null } = {}) {
+    return this.withCounts(await this.requireWorkspace(id, { userId }));
+  }
+
+  /**
+   * The workspace a request works in: the requested one, which must be the
+   * user's, or else the user's oldest active workspace. Users left without
+   * any get a fresh Default workspace.
+   */
+  async resolve(userId, requestedId = null) {
+    if (requestedId != null) {
+      return this.requireWorkspace(requestedId, { userId });
+    }
+
+    const [active] = await this.workspaceRepository.findByUser(userId, {
+      includeArchived: false,
+    });
+    return active || this.ensureDefault(userId);
+  }
+
+  async ensureDefault(userId) {
+    if (!this.creating.has(userId)) {
+      this.creating.set(
+        userId,
+        this.workspaceRepository
+          .create({ user_id: userId, name: DEFAULT_NAME })
+          .finally(() => this.creating.delete(userId))
+      );
+    }
+    return this.creating.get(userId);
+  }
+
+  async assertNameFree(userId, name, exceptId = null) {
+    const needle = name.toLowerCase();
+    const taken = (await this.workspaceRepository.findByUser(userId)).some(
+      (w) => w.id !== exceptId && w.name.toLowerCase() === needle
+    );
+    if (taken) {
+      throw new HttpError(409, `A workspace named "${name}" already exists`);
+    }
+  }
+
+  async createWorkspace(userId, { name, description = null }) {
+    await this.assertNameFree(userId, name);
+
+    const workspace = await this.workspaceRepository.create({
+      user_id: userId,
+      name,
+      description,
+    });
+
+    logger.info(
+      `🗂️ SocialCog.io: User ${userId} created workspace "${workspace.name}"`
+    );
+    return this.withCounts(workspace);
+  }
+
+  async updateWorkspace(id, changes, { userId = null } = {}) {
+    const workspace = await this.requireWorkspace(id, { userId });
+    if (changes.name !== undefined) {
+      await this.assertNameFree(workspace.user_id, changes.name, workspace.id);
+    }
+
+    const updated = await this.workspaceRepository.update(workspace.id, {
+      ...(changes.name !== undefined && { name: changes.name }),
+      ...(changes.description !== undefined && {
+        description: changes.description,
+      }),
+    });
+    return this.withCounts(updated);
+  }
+
+  // A new workspace holding a copy of everything in this one
+  async cloneWorkspace(
+    id,
+    { name = null, includeSnapshots = true } = {},
+    { userId = null } = {}
+  ) {
+    const source = await this.requireWorkspace(id, { userId });
+    const cloneName = name || `${source.name} (copy)`;
+    await this.assertNameFree(source.user_id, cloneName);
+
+    const clone = await this.workspaceRepository.create({
+      user_id: source.user_id,
+      name: cloneName,
+      description: source.description,
+      cloned_from: source.id,
+    });
+    const copied = await this.workspaceRepository.copyContents(
+      source.id,
+      clone.id,
+      { includeSnapshots }
+    );
+
+    logger.info(
+      `🗂️ SocialCog.io: Cloned workspace "${source.name}" into "${clone.name}": ${JSON.stringify(copied)}`
+    );
+    return this.getWorkspace(clone.id);
+  }
+
+  // Archived workspaces are read-only and their schedules stop firing
+  async archiveWorkspace(id, { userId = null } = {}) {
+    const workspace = await this.requireWorkspace(id, { userId });
+    if (workspace.archived_at) {
+      throw new HttpError(409, "Workspace is already archived");
+    }
+    await this.assertNotLast(workspace, "archive");
+
+    const updated = await this.workspaceRepository.update(workspace.id, {
+      archived_at: new Date().toISOString(),
+    });
+    logger.info(`🗂️ SocialCog.io: Archived workspace "${workspace.name}"`);
+    return this.withCounts(updated);
+  }
+
+  async restoreWorkspace(id, { userId = null } = {}) {
+    const workspace = await this.requireWorkspace(id, { userId });
+    if (!workspace.archived_at) {
+      throw new HttpError(409, "Workspace is not archived");
+    }
+
+    const updated = await this.workspaceRepository.update(workspace.id, {
+      archived_at: null,
+    });
+    logger.info(`🗂️ SocialCog.io: Restored workspace "${workspace.name}"`);
+    return this.withCounts(updated);
+  }
+
+  async deleteWorkspace(id, { userId = null } = {}) {
+    const workspace = await this.requireWorkspace(id, { userId });
+    if (!workspace.archived_at) {
+      await this.assertNotLast(workspace, "delete");
+    }
+
+    const scope = { workspaceId: workspace.id, limit: Infinity };
+    const [imports, crawls] = await Promise.all([
+      this.importRepository.findAll(scope),
+      this.crawlRepository.findAll(scope),
+    ]);
+    if (
+      imports.some((job) => BUSY_IMPORT_STATUSES.includes(job.status)) ||
+      crawls.some((crawl) => BUSY_CRAWL_STATUSES.includes(crawl.status))
+    ) {
+      throw new HttpError(
+        409,
+        "Workspace has imports or crawls in progress; wait for them or cancel them first"
+      );
+    }
+
+    const removed = await this.workspaceRepository.delete(workspace.id);
+    logger.info(
+      `🗑️ SocialCog.io: Deleted workspace "${workspace.name}": ${JSON.stringify(removed)}`
+    );
+    return removed;
+  }
+
+  // positions: profile ID -> { x, y } as the graph view last left them
+  async saveLayout(id, positions, { userId = null } = {}) {
+    const workspace = await this.requireWorkspace(id, { userId });
+    const updated = await this.workspaceRepository.update(workspace.id, {
+      layout: { ...workspace.layout, positions },
+    });
+    return updated.layout;
+  }
+
+  // Every user keeps at least one active workspace to work in
+  async assertNotLast(workspace, action) {
+    const active = await this.workspaceRepository.findByUser(
+      workspace.user_id,
+      { includeArchived: false }
+    );
+    if (active.length === 1 && active[0].id === workspace.id) {
+      throw new HttpError(
+        409,
+        `Cannot ${action} the only active workspace; create another first`
+      );
+    }
+  }
+}
+
+module.exports = WorkspaceService;
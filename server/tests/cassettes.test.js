@@ -0,0 +1,203 @@
+/**
+ * SocialCog.io - Cassette Replay Tests
+ * TM (2025) - TPCL, LLC
+ * Replays the committed fixtures in cassettes/fixtures through the platform
+ * services, so response mapping is checked without network or credentials.
+ * The fixtures are synthetic (hand-written in the recorder's format, see
+ * their "note"); recording real ones with cassettes:record replaces them
+ */
+
+const logger = require("../utils/logger");
+const HttpCassette = require("../cassettes/httpCassette");
+const TwitterService = require("../services/twitterService");
+const LinkedInService = require("../services/linkedinService");
+const GitHubService = require("../services/githubService");
+
+const replay = (name) => new HttpCassette({ name, mode: "replay" });
+
+beforeAll(() => {
+  logger.silent = true;
+});
+
+afterAll(() => {
+  logger.silent = false;
+});
+
+describe("HttpCassette", () => {
+  it("rejects a request that has no recording", () => {
+    const cassette = replay("github-octocat");
+
+    expect(() =>
+      cassette.play({ method: "get", url: "https://api.github.com/users/x" })
+    ).toThrow(
+      "No github-octocat recording for GET https://api.github.com/users/x"
+    );
+  });
+
+  it("matches requests whatever the order of their query parameters", () => {
+    const cassette = replay("twitter-TwitterDev");
+
+    const response = cassette.play({
+      method: "GET",
+      url:
+        "https://api.x.com/2/users/2244994945/following" +
+        "?user.fields=id,username,name,public_metrics,verified,profile_image_url" +
+        "&max_results=100",
+    });
+    expect(response.body.meta.result_count).toBe(3);
+  });
+
+  it("refuses to replay a cassette that was never recorded", () => {
+    expect(() => replay("github-nobody")).toThrow(/No cassette recorded at/);
+  });
+});
+
+describe("TwitterService on the twitter-TwitterDev cassette", () => {
+  let service;
+
+  beforeEach(() => {
+    service = new TwitterService({ cassette: replay("twitter-TwitterDev") });
+  });
+
+  it("maps the profile", async () => {
+    const profile = await service.getUserProfile("TwitterDev");
+
+    expect(profile).toMatchObject({
+      id: "2244994945",
+      username: "TwitterDev",
+      name: "Developers",
+      platform: "twitter",
+      followers: 531542,
+      following: 1987,
+    });
+  });
+
+  it("stops a long follower list at max_results and keeps the next token", async () => {
+    const result = await service.getUserFollowers("2244994945", 100);
+
+    expect(result.count).toBe(100);
+    expect(result.followers[0]).toMatchObject({
+      id: "1484539287456309253",
+      username: "devrel_sam",
+      platform: "twitter",
+    });
+    expect(result.pagination).toMatchObject({
+      complete: false,
+      pages: 1,
+      stop_reason: "max_results",
+      next_token: "7140dibdnow9c7btw4b0ymqpvtsnocozg3ojuqjbx5ha0",
+    });
+  });
+
+  it("marks a list that fits in one page complete", async () => {
+    const result = await service.getUserFollowing("2244994945", 100);
+
+    expect(result.count).toBe(3);
+    expect(result.pagination.complete).toBe(true);
+  });
+
+  it("turns Twitter's not-found error into a 404", async () => {
+    await expect(
+      service.getUserProfile("nosuchaccount404")
+    ).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it("rejects a request that has no recording", async () => {
+    await expect(service.getUserProfile("someoneelse")).rejects.toThrow(
+      /No twitter-TwitterDev recording for GET https:\/\/api\.x\.com\/2\/users\/by\/username\/someoneelse/
+    );
+  });
+});
+
+describe("LinkedInService on the linkedin-jane-doe-socialcog cassette", () => {
+  let service;
+
+  beforeEach(() => {
+    service = new LinkedInService({
+      cassette: replay("linkedin-jane-doe-socialcog"),
+    });
+  });
+
+  it("maps the profile", async () => {
+    const profile = await service.getUserProfile("jane-doe-socialcog");
+
+    expect(profile).toMatchObject({
+      id: "aB3xK9pQ2r",
+      username: "jane-doe-socialcog",
+      name: "Jane Doe",
+      platform: "linkedin",
+      connections: 500,
+      headline: "Network analyst | Mapping how communities connect",
+      industry: "Research Services",
+      location: "Portland, Oregon",
+      profile_url: "https://www.linkedin.com/in/jane-doe-socialcog",
+    });
+  });
+
+  it("turns LinkedIn's 404 into a not-found error", async () => {
+    await expect(
+      service.getUserProfile("nosuchaccount404")
+    ).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it("rejects a request that has no recording", async () => {
+    await expect(service.getUserProfile("someoneelse")).rejects.toThrow(
+      /No linkedin-jane-doe-socialcog recording for GET https:\/\/api\.linkedin\.com\/v2\/people\/someoneelse/
+    );
+  });
+});
+
+describe("GitHubService on the github-octocat cassette", () => {
+  let service;
+
+  beforeEach(() => {
+    service = new GitHubService({ cassette: replay("github-octocat") });
+  });
+
+  it("maps the profile and records the rate limit headers", async () => {
+    const profile = await service.getUserProfile("octocat");
+
+    expect(profile).toMatchObject({
+      id: 583231,
+      username: "octocat",
+      name: "The Octocat",
+      platform: "github",
+      followers: 21384,
+      following: 9,
+      posts: 8,
+      company: "@github",
+      profile_url: "https://github.com/octocat",
+    });
+    expect(service.rateLimitStatus()).toMatchObject({
+      limit: 5000,
+      remaining: 4999,
+    });
+  });
+
+  it("maps both user lists", async () => {
+    const followers = await service.getUserFollowers("octocat", 100);
+    const following = await service.getUserFollowing("octocat", 100);
+
+    expect(followers.count).toBe(100);
+    expect(following.count).toBe(9);
+    expect(following.following[0]).toEqual({
+      id: 1,
+      username: "mojombo",
+      profile_url: "https://github.com/mojombo",
+      profile_image_url: "https://avatars.githubusercontent.com/u/1?v=4",
+      platform: "github",
+    });
+  });
+
+  it("turns GitHub's 404 into a not-found error", async () => {
+    await expect(
+      service.getUserProfile("nosuchaccount404")
+    ).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it("rejects a request that has no recording", async () => {
+    await expect(service.getUserProfile("someoneelse")).rejects.toThrow(
+      /No github-octocat recording for GET https:\/\/api\.github\.com\/users\/someoneelse/
+    );
+  });
+});
@@ -0,0 +1,378 @@
+/**
+ * SocialCog.io - Twitter Request Scheduler Tests
+ * TM (2025) - TPCL, LLC
+ * Drives the scheduler through twitter-api-v2 against a local fake API
+ * that answers with x-rate-limit headers, 429s and 5xx responses
+ */
+
+const http = require("http");
+const express = require("express");
+const request = require("supertest");
+const { TwitterApi } = require("twitter-api-v2");
+const logger = require("../utils/logger");
+const TwitterRequestScheduler = require("../services/twitterRequestScheduler");
+const { endpointKey } = TwitterRequestScheduler;
+
+jest.setTimeout(15 * 1000);
+
+const USERS = [{ id: "2244994945", name: "Ada", username: "ada" }];
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Answers each request with the next queued response ({ status, remaining,
+ * reset, delayMs, body }), or a 200 with budget to spare once the queue is
+ * empty. Every request is logged with when it arrived and was answered.
+ */
+const startFakeApi = async () => {
+  const api = { requests: [], responses: [] };
+
+  api.server = http.createServer((req, res) => {
+    const entry = { path: req.url, started: Date.now(), finished: null };
+    api.requests.push(entry);
+
+    const {
+      status = 200,
+      limit = 15,
+      remaining = 14,
+      reset = nowSeconds() + 900,
+      delayMs = 0,
+      body = status === 200
+        ? { data: USERS, meta: { result_count: USERS.length } }
+        : { title: http.STATUS_CODES[status], status },
+    } = api.responses.shift() || {};
+
+    setTimeout(() => {
+      entry.finished = Date.now();
+      res.writeHead(status, {
+        "content-type": "application/json",
+        "x-rate-limit-limit": String(limit),
+        "x-rate-limit-remaining": String(remaining),
+        "x-rate-limit-reset": String(reset),
+      });
+      res.end(JSON.stringify(body));
+    }, delayMs);
+  });
+
+  await new Promise((resolve) => api.server.listen(0, "127.0.0.1", resolve));
+  api.url = `http://127.0.0.1:${api.server.address().port}`;
+  return api;
+};
+
+// A read-only v2 client whose requests go through the scheduler's plugin
+const clientFor = (scheduler, identity = "app") =>
+  new TwitterApi("test-bearer-token", scheduler.clientSettings(identity))
+    .readOnly.v2;
+
+const followers = (scheduler, client, { identity = "app" } = {}) =>
+  scheduler.schedule(
+    "users/:id/followers",
+    () => client.followers("2244994945", { max_results: 10 }),
+    { identity }
+  );
+
+const budget = (scheduler, identity = "app") =>
+  scheduler
+    .status()
+    .endpoints.find(
+      (endpoint) =>
+        endpoint.identity === identity &&
+        endpoint.endpoint === "users/:id/followers"
+    );
+
+describe("TwitterRequestScheduler", () => {
+  let api;
+
+  beforeAll(async () => {
+    logger.silent = true;
+    api = await startFakeApi();
+  });
+
+  afterAll(async () => {
+    logger.silent = false;
+    await new Promise((resolve) => api.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    api.requests = [];
+    api.responses = [];
+  });
+
+  it("keys endpoints the way Twitter counts them", () => {
+    expect(endpointKey("/2/users/2244994945/followers")).toBe(
+      "users/:id/followers"
+    );
+    expect(endpointKey("/2/users/by/username/ada")).toBe(
+      "users/by/username/:username"
+    );
+  });
+
+  it("sends requests to TWITTER_API_BASE_URL and records the x-rate-limit headers", async () => {
+    process.env.TWITTER_API_BASE_URL = api.url;
+    const scheduler = new TwitterRequestScheduler();
+    delete process.env.TWITTER_API_BASE_URL;
+
+    const reset = nowSeconds() + 600;
+    api.responses.push({ limit: 15, remaining: 9, reset });
+    const page = await followers(scheduler, clientFor(scheduler));
+
+    expect(page.data).toEqual(USERS);
+    expect(api.requests[0].path).toMatch(
+      /^\/2\/users\/2244994945\/followers\?/
+    );
+    expect(scheduler.status().base_url).toBe(api.url);
+    expect(budget(scheduler)).toMatchObject({
+      limit: 15,
+      remaining: 9,
+      reset_at: new Date(reset * 1000).toISOString(),
+      exhausted: false,
+      requests: 1,
+    });
+  });
+
+  it("runs one request at a time per endpoint and identity", async () => {
+    const scheduler = new TwitterRequestScheduler({ baseUrl: api.url });
+    const client = clientFor(scheduler);
+    api.responses.push({ delayMs: 100 }, { delayMs: 100 }, { delayMs: 100 });
+
+    const calls = [1, 2, 3].map(() => followers(scheduler, client));
+    expect(budget(scheduler).queued).toBe(3);
+    await Promise.all(calls);
+
+    expect(api.requests).toHaveLength(3);
+    for (let i = 1; i < api.requests.length; i++) {
+      expect(api.requests[i].started).toBeGreaterThanOrEqual(
+        api.requests[i - 1].finished
+      );
+    }
+    expect(budget(scheduler).queued).toBe(0);
+  });
+
+  it("does not hold one identity's calls behind another's", async () => {
+    const scheduler = new TwitterRequestScheduler({ baseUrl: api.url });
+    api.responses.push({ delayMs: 300 });
+
+    const slow = followers(scheduler, clientFor(scheduler, "app"));
+    const startedAt = Date.now();
+    await followers(scheduler, clientFor(scheduler, "user:7"), {
+      identity: "user:7",
+    });
+
+    expect(Date.now() - startedAt).toBeLessThan(300);
+    await slow;
+  });
+
+  it("waits for an exhausted window to reset before the next request", async () => {
+    const scheduler = new TwitterRequestScheduler({ baseUrl: api.url });
+    const client = clientFor(scheduler);
+    const reset = nowSeconds() + 1;
+    api.responses.push({ remaining: 0, reset });
+
+    await followers(scheduler, client);
+    expect(budget(scheduler).exhausted).toBe(true);
+
+    const second = followers(scheduler, client);
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    expect(api.requests).toHaveLength(1);
+    expect(budget(scheduler).waiting_until).not.toBeNull();
+
+    await second;
+    expect(api.requests).toHaveLength(2);
+    expect(api.requests[1].started).toBeGreaterThanOrEqual(reset * 1000);
+    expect(budget(scheduler)).toMatchObject({
+      remaining: 14,
+      exhausted: false,
+      waiting_until: null,
+    });
+  });
+
+  it("retries a 429 once its window resets", async () => {
+    const scheduler = new TwitterRequestScheduler({ baseUrl: api.url });
+    const reset = nowSeconds() + 1;
+    api.responses.push({ status: 429, remaining: 0, reset });
+
+    const page = await followers(scheduler, clientFor(scheduler));
+
+    expect(page.data).toEqual(USERS);
+    expect(api.requests).toHaveLength(2);
+    expect(api.requests[1].started).toBeGreaterThanOrEqual(reset * 1000);
+    expect(budget(scheduler)).toMatchObject({
+      rate_limited: 1,
+      retries: 1,
+      requests: 2,
+      last_error: null,
+    });
+  });
+
+  it("backs off exponentially with jitter on 5xx responses", async () => {
+    const scheduler = new TwitterRequestScheduler({
+      baseUrl: api.url,
+      baseDelayMs: 100,
+      random: () => 0.5,
+    });
+    api.responses.push({ status: 503 }, { status: 502 });
+
+    const page = await followers(scheduler, clientFor(scheduler));
+
+    // Equal jitter: half the ceiling plus random() of the other half, so
+    // 75ms after the first failure and 150ms after the second
+    expect(page.data).toEqual(USERS);
+    expect(api.requests).toHaveLength(3);
+    expect(
+      api.requests[1].started - api.requests[0].finished
+    ).toBeGreaterThanOrEqual(75);
+    expect(
+      api.requests[2].started - api.requests[1].finished
+    ).toBeGreaterThanOrEqual(150);
+    expect(budget(scheduler).retries).toBe(2);
+  });
+
+  it("keeps jittered delays between half the ceiling and the ceiling", () => {
+    const low = new TwitterRequestScheduler({
+      baseDelayMs: 1000,
+      maxDelayMs: 5000,
+      random: () => 0,
+    });
+    const high = new TwitterRequestScheduler({
+      baseDelayMs: 1000,
+      maxDelayMs: 5000,
+      random: () => 1,
+    });
+
+    expect([0, 1, 2].map((attempt) => low.backoff(attempt))).toEqual([
+      500, 1000, 2000,
+    ]);
+    expect([0, 1, 2].map((attempt) => high.backoff(attempt))).toEqual([
+      1000, 2000, 4000,
+    ]);
+    expect(high.backoff(10)).toBe(5000);
+  });
+
+  it("gives up on 5xx responses after maxRetries", async () => {
+    const scheduler = new TwitterRequestScheduler({
+      baseUrl: api.url,
+      baseDelayMs: 10,
+      maxRetries: 1,
+    });
+    api.responses.push({ status: 503 }, { status: 503 });
+
+    await expect(
+      followers(scheduler, clientFor(scheduler))
+    ).rejects.toMatchObject({ code: 503 });
+    expect(api.requests).toHaveLength(2);
+  });
+
+  it("fails at once when the reset is further away than maxWaitMs", async () => {
+    const scheduler = new TwitterRequestScheduler({
+      baseUrl: api.url,
+      maxWaitMs: 1000,
+    });
+    const client = clientFor(scheduler);
+    const reset = nowSeconds() + 900;
+    api.responses.push({ remaining: 0, reset });
+
+    await followers(scheduler, client);
+    const startedAt = Date.now();
+    await expect(followers(scheduler, client)).rejects.toMatchObject({
+      statusCode: 429,
+      rateLimitError: true,
+      details: {
+        endpoint: "users/:id/followers",
+        identity: "app",
+        reset_at: new Date(reset * 1000).toISOString(),
+      },
+    });
+
+    expect(Date.now() - startedAt).toBeLessThan(500);
+    expect(api.requests).toHaveLength(1);
+    expect(budget(scheduler)).toMatchObject({
+      exhausted: true,
+      rate_limited: 1,
+    });
+  });
+
+  it("does not retry a 429 whose reset is further away than maxWaitMs", async () => {
+    const scheduler = new TwitterRequestScheduler({
+      baseUrl: api.url,
+      maxWaitMs: 1000,
+    });
+    api.responses.push({
+      status: 429,
+      remaining: 0,
+      reset: nowSeconds() + 900,
+    });
+
+    await expect(
+      followers(scheduler, clientFor(scheduler))
+    ).rejects.toMatchObject({ code: 429 });
+    expect(api.requests).toHaveLength(1);
+  });
+
+  describe("GET /api/twitter/rate-limits", () => {
+    const appFor = (scheduler, userId) => {
+      const app = express();
+      app.locals.twitterScheduler = scheduler;
+      app.locals.platformRegistry = {
+        has: () => true,
+        unavailableReason: () => null,
+        require: () => ({ service: null }),
+      };
+      app.use((req, res, next) => {
+        req.user = { id: userId };
+        next();
+      });
+      app.use("/api/twitter", require("../routes/twitter"));
+      return app;
+    };
+
+    it("reports the app's budgets and the user's own, not other users'", async () => {
+      const scheduler = new TwitterRequestScheduler({
+        baseUrl: api.url,
+        maxWaitMs: 1000,
+      });
+      const reset = nowSeconds() + 900;
+      api.responses.push(
+        { remaining: 0, reset },
+        { remaining: 5 },
+        { remaining: 3 }
+      );
+
+      await followers(scheduler, clientFor(scheduler, "app"));
+      await followers(scheduler, clientFor(scheduler, "user:7"), {
+        identity: "user:7",
+      });
+      await followers(scheduler, clientFor(scheduler, "user:8"), {
+        identity: "user:8",
+      });
+
+      const response = await request(appFor(scheduler, 7)).get(
+        "/api/twitter/rate-limits"
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        base_url: api.url,
+        max_wait_ms: 1000,
+        max_retries: 3,
+        queued: 0,
+      });
+      expect(response.body.endpoints).toEqual([
+        expect.objectContaining({
+          identity: "app",
+          endpoint: "users/:id/followers",
+          limit: 15,
+          remaining: 0,
+          reset_at: new Date(reset * 1000).toISOString(),
+          exhausted: true,
+          requests: 1,
+        }),
+        expect.objectContaining({
+          identity: "user:7",
+          endpoint: "users/:id/followers",
+          remaining: 5,
+          exhausted: false,
+        }),
+      ]);
+    });
+  });
+});
@@ -0,0 +1,29 @@
+/**
+ * SocialCog.io - API Response Helpers
+ * TM (2025) - TPCL, LLC
+ * Shared success envelope for platform routes
+ */
+
+// Says whether a set of service results is live or demo data. Each part
+// is a service result; demo services mark theirs with demo: true. With no
+// parts to go on, the request's data mode decides.
+const describeSource = (parts, mode = "live") => {
+  const entries = Object.values(parts).filter(Boolean);
+  if (entries.length === 0) return { source: mode };
+
+  return { source: entries.every((part) => part.demo) ? "demo" : "live" };
+};
+
+const sendSuccess = (res, data, parts = {}, statusCode = 200) =>
+  res.status(statusCode).json({
+    success: true,
+    ...describeSource(parts, res.req.dataMode),
+    data,
+    service: "SocialCog.io API",
+    timestamp: new Date().toISOString(),
+  });
+
+module.exports = {
+  describeSource,
+  sendSuccess,
+};
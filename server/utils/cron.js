@@ -0,0 +1,192 @@
+/**
+ * SocialCog.io - Cron Expressions
+ * TM (2025) - TPCL, LLC
+ * Five-field cron schedules ("minute hour day month weekday"), evaluated in UTC
+ */
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "weekday", min: 0, max: 7 },
+];
+
+const ALIASES = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+};
+
+const MONTH_NAMES = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+const WEEKDAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// Nothing fires if no match turns up within this many days (e.g. "0 0 30 2 *")
+const SEARCH_DAYS = 366 * 5;
+
+const toNumber = (token, field) => {
+  const lower = token.toLowerCase();
+  if (field.name === "month" && MONTH_NAMES.includes(lower)) {
+    return MONTH_NAMES.indexOf(lower) + 1;
+  }
+  if (field.name === "weekday" && WEEKDAY_NAMES.includes(lower)) {
+    return WEEKDAY_NAMES.indexOf(lower);
+  }
+  if (!/^\d+$/.test(token)) {
+    throw new Error(`Invalid ${field.name} value "${token}"`);
+  }
+
+  const value = parseInt(token, 10);
+  if (value < field.min || value > field.max) {
+    throw new Error(
+      `${field.name} must be between ${field.min} and ${field.max} (got ${value})`
+    );
+  }
+  return value;
+};
+
+// "*/15", "1-5", "mon-fri", "0,30" -> the set of allowed values
+const parseField = (text, field) => {
+  const values = new Set();
+
+  for (const part of text.split(",")) {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!(step > 0) || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      throw new Error(`Invalid ${field.name} step "${part}"`);
+    }
+
+    let start;
+    let end;
+    if (range === "*") {
+      [start, end] = [field.min, field.max];
+    } else if (range.includes("-")) {
+      const [from, to] = range.split("-");
+      [start, end] = [toNumber(from, field), toNumber(to, field)];
+      if (start > end) {
+        throw new Error(`Invalid ${field.name} range "${range}"`);
+      }
+    } else {
+      start = toNumber(range, field);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  // Both 0 and 7 mean Sunday
+  if (field.name === "weekday" && values.has(7)) {
+    values.delete(7);
+    values.add(0);
+  }
+  return values;
+};
+
+class CronSchedule {
+  constructor(expression) {
+    const source = String(expression || "").trim();
+    const expanded = ALIASES[source.toLowerCase()] || source;
+    const parts = expanded.split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+      throw new Error(
+        `Cron expression "${source}" must have ${FIELDS.length} fields (minute hour day month weekday)`
+      );
+    }
+
+    this.expression = source;
+    [this.minutes, this.hours, this.days, this.months, this.weekdays] =
+      FIELDS.map((field, index) => parseField(parts[index], field));
+
+    // Standard cron: when both day fields are restricted, either may match
+    this.anyDay = parts[2] === "*" || parts[4] === "*";
+    this.dayRestricted = parts[2] !== "*";
+    this.weekdayRestricted = parts[4] !== "*";
+  }
+
+  matchesDay(date) {
+    const dayMatch = this.days.has(date.getUTCDate());
+    const weekdayMatch = this.weekdays.has(date.getUTCDay());
+
+    if (this.anyDay) {
+      return (
+        (!this.dayRestricted || dayMatch) &&
+        (!this.weekdayRestricted || weekdayMatch)
+      );
+    }
+    return dayMatch || weekdayMatch;
+  }
+
+  // First matching minute strictly after `from`, or null if none is reachable
+  next(from = new Date()) {
+    const date = new Date(from);
+    date.setUTCSeconds(0, 0);
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+    const limit = date.getTime() + SEARCH_DAYS * 24 * 60 * 60 * 1000;
+
+    while (date.getTime() <= limit) {
+      if (!this.months.has(date.getUTCMonth() + 1)) {
+        date.setUTCMonth(date.getUTCMonth() + 1, 1);
+        date.setUTCHours(0, 0);
+      } else if (!this.matchesDay(date)) {
+        date.setUTCDate(date.getUTCDate() + 1);
+        date.setUTCHours(0, 0);
+      } else if (!this.hours.has(date.getUTCHours())) {
+        date.setUTCHours(date.getUTCHours() + 1, 0);
+      } else if (!this.minutes.has(date.getUTCMinutes())) {
+        date.setUTCMinutes(date.getUTCMinutes() + 1);
+      } else {
+        return date;
+      }
+    }
+
+    return null;
+  }
+
+  // The next `count` run times, for previews
+  upcoming(count, from = new Date()) {
+    const times = [];
+    let cursor = from;
+    while (times.length < count) {
+      cursor = this.next(cursor);
+      if (!cursor) break;
+      times.push(cursor);
+    }
+    return times;
+  }
+}
+
+// Parses an expression, throwing with a readable message if it is invalid
+const parseCron = (expression) => new CronSchedule(expression);
+
+const isValidCron = (expression) => {
+  try {
+    parseCron(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = {
+  parseCron,
+  isValidCron,
+};
@@ -0,0 +1,22 @@
+/**
+ * SocialCog.io - Data Modes
+ * TM (2025) - TPCL, LLC
+ * Live platform APIs or the seeded demo network
+ */
+
+const DATA_MODES = ["live", "demo"];
+
+// DATA_MODE in .env; anything but "demo" means live
+const defaultDataMode = () =>
+  process.env.DATA_MODE === "demo" ? "demo" : "live";
+
+// Tracked profiles keep the mode they were added in, so refreshes, edges
+// and crawls never mix demo and live data
+const profileMode = (profile) =>
+  profile?.fetch?.source === "demo" ? "demo" : "live";
+
+module.exports = {
+  DATA_MODES,
+  defaultDataMode,
+  profileMode,
+};
@@ -0,0 +1,11 @@
+/**
+ * SocialCog.io - Email Addresses
+ * TM (2025) - TPCL, LLC
+ * The canonical form accounts are registered and looked up under
+ */
+
+// Lowercased with provider tags (e.g. Gmail "+tag") removed; dots in
+// Gmail addresses are kept
+const NORMALIZE_EMAIL_OPTIONS = { gmail_remove_dots: false };
+
+module.exports = { NORMALIZE_EMAIL_OPTIONS };
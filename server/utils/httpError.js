@@ -0,0 +1,16 @@
+/**
+ * SocialCog.io - HTTP Error
+ * TM (2025) - TPCL, LLC
+ * Error carrying an HTTP status code for the error handling middleware
+ */
+
+class HttpError extends Error {
+  constructor(statusCode, message, details = null) {
+    super(message);
+    this.name = "HttpError";
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+module.exports = HttpError;
@@ -0,0 +1,19 @@
+/**
+ * SocialCog.io - Record Ownership
+ * TM (2025) - TPCL, LLC
+ * Profiles, connections and jobs belong to the user who created them, and
+ * to one of that user's workspaces
+ */
+
+// A null userId is the system itself (scheduler, migrations), which sees
+// every record
+const ownedBy = (record, userId) =>
+  Boolean(record) && (userId == null || record.user_id === userId);
+
+// Each workspace is a separate network map; a null workspaceId spans all
+// of them
+const inScope = (record, { userId = null, workspaceId = null } = {}) =>
+  ownedBy(record, userId) &&
+  (workspaceId == null || record.workspace_id === workspaceId);
+
+module.exports = { ownedBy, inScope };
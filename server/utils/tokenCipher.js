@@ -0,0 +1,65 @@
+/**
+ * SocialCog.io - Token Cipher
+ * TM (2025) - TPCL, LLC
+ * Encrypts OAuth tokens at rest with AES-256-GCM under ENCRYPTION_KEY
+ */
+
+const crypto = require("crypto");
+
+const ALGORITHM = "aes-256-gcm";
+const VERSION = "v1";
+
+/**
+ * Ciphertexts look like "v1:<iv>:<auth tag>:<data>" (base64url parts). The
+ * key is the SHA-256 of ENCRYPTION_KEY, so any string of reasonable
+ * entropy works; changing it makes every stored token unreadable, and
+ * users have to connect their accounts again.
+ */
+class TokenCipher {
+  constructor(secret = process.env.ENCRYPTION_KEY) {
+    if (!secret) {
+      throw new Error("ENCRYPTION_KEY must be set to store OAuth tokens");
+    }
+    this.key = crypto.createHash("sha256").update(String(secret)).digest();
+  }
+
+  encrypt(plaintext) {
+    if (plaintext == null) return null;
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv);
+    const data = Buffer.concat([
+      cipher.update(String(plaintext), "utf8"),
+      cipher.final(),
+    ]);
+
+    return [VERSION, iv, cipher.getAuthTag(), data]
+      .map((part) =>
+        Buffer.isBuffer(part) ? part.toString("base64url") : part
+      )
+      .join(":");
+  }
+
+  // Throws if the value was tampered with or encrypted under another key
+  decrypt(ciphertext) {
+    if (ciphertext == null) return null;
+
+    const [version, iv, tag, data] = String(ciphertext).split(":");
+    if (version !== VERSION || !iv || !tag || data === undefined) {
+      throw new Error("Unrecognised token ciphertext");
+    }
+
+    const decipher = crypto.createDecipheriv(
+      ALGORITHM,
+      this.key,
+      Buffer.from(iv, "base64url")
+    );
+    decipher.setAuthTag(Buffer.from(tag, "base64url"));
+    return Buffer.concat([
+      decipher.update(Buffer.from(data, "base64url")),
+      decipher.final(),
+    ]).toString("utf8");
+  }
+}
+
+module.exports = TokenCipher;
@@ -0,0 +1,79 @@
+/**
+ * SocialCog.io - Upstream Errors
+ * TM (2025) - TPCL, LLC
+ * Turns failed platform API calls into errors the API can return as is
+ */
+
+const HttpError = require("./httpError");
+
+// Connection-level failures: the platform could not be reached at all
+const NETWORK_CODES = [
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ENOTFOUND",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "ECONNABORTED",
+];
+
+const statusOf = (error) =>
+  error.statusCode ||
+  error.status ||
+  error.response?.status ||
+  (typeof error.code === "number" ? error.code : null);
+
+// Errors with a `status` are HTTP responses; Octokit's also log a
+// deprecation warning when `code` is read
+const networkCodeOf = (error) =>
+  error.status === undefined ? error.code : null;
+
+/**
+ * label is the platform ("Twitter"); subject names what was requested
+ * ("user @jack") for not-found messages. Upstream auth failures become a
+ * 502, since the caller's own credentials were fine.
+ */
+const upstreamError = (label, error, subject = "resource") => {
+  if (error instanceof HttpError) return error;
+
+  const status = statusOf(error);
+  const details = {
+    platform: label.toLowerCase(),
+    upstream_status: status || null,
+    reason: error.message,
+  };
+
+  if (status === 404) {
+    return new HttpError(404, `${label} ${subject} not found`, details);
+  }
+  if (status === 429) {
+    return new HttpError(
+      429,
+      `${label} rate limit exceeded - please try again later`,
+      details
+    );
+  }
+  if (status === 401 || status === 403) {
+    return new HttpError(
+      502,
+      `${label} rejected the request: ${error.message}`,
+      details
+    );
+  }
+  if (
+    NETWORK_CODES.includes(networkCodeOf(error)) ||
+    error.type === "request"
+  ) {
+    return new HttpError(
+      503,
+      `${label} API unreachable: ${error.message}`,
+      details
+    );
+  }
+  return new HttpError(
+    502,
+    `${label} API request failed: ${error.message}`,
+    details
+  );
+};
+
+module.exports = { upstreamError };
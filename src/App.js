@@ -1,4 +1,10 @@
-import React, { useState, useEffect, useRef, useCallback } from "react";
+import React, {
+  useState,
+  useEffect,
+  useRef,
+  useCallback,
+  useMemo,
+} from "react";
 import {
   Users,
   Search,
@@ -12,10 +18,178 @@ import {
   WifiOff,
   X,
   Trash2,
+  Route,
+  Download,
+  Upload,
+  GitMerge,
+  Network,
+  Pause,
+  Play,
+  Square,
+  LogOut,
+  Link2,
+  Layers,
+  Copy,
+  Archive,
+  ArchiveRestore,
+  Pencil,
 } from "lucide-react";
 import "./App.css";
 
-const SocialNetworkMapper = () => {
+// Node size options; everything but followers comes from the analytics API
+const SIZE_METRICS = [
+  { name: "followers", label: "Followers" },
+  { name: "degree", label: "Degree" },
+  { name: "weighted_degree", label: "Weighted degree" },
+  { name: "betweenness", label: "Betweenness" },
+  { name: "closeness", label: "Closeness" },
+  { name: "eigenvector", label: "Eigenvector" },
+  { name: "pagerank", label: "PageRank" },
+];
+
+// Cycled through when nodes are coloured by detected community
+const CLUSTER_COLORS = [
+  "#6366F1",
+  "#10B981",
+  "#F59E0B",
+  "#EF4444",
+  "#8B5CF6",
+  "#06B6D4",
+  "#EC4899",
+  "#84CC16",
+  "#F97316",
+  "#64748B",
+];
+
+const clusterColor = (clusterId) =>
+  CLUSTER_COLORS[(clusterId - 1) % CLUSTER_COLORS.length];
+
+// Download formats offered by /api/export
+const EXPORT_FORMATS = [
+  { value: "graphml", label: "GraphML" },
+  { value: "gexf", label: "GEXF (Gephi)" },
+  { value: "jgf", label: "JSON Graph" },
+  { value: "csv?table=nodes", label: "CSV nodes" },
+  { value: "csv?table=edges", label: "CSV edges" },
+];
+
+// Used until the server reports its enabled platforms
+const DEFAULT_PLATFORMS = [
+  { name: "twitter", label: "Twitter", color: "#1DA1F2" },
+  { name: "linkedin", label: "LinkedIn", color: "#0077B5" },
+  { name: "github", label: "GitHub", color: "#333333" },
+  { name: "instagram", label: "Instagram", color: "#E4405F" },
+  { name: "facebook", label: "Facebook", color: "#4267B2" },
+];
+
+// Inline SVG trend line, scaled to the values' own min/max
+const Sparkline = ({ values, width = 240, height = 40 }) => {
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min || 1;
+  const points = values
+    .map((value, index) => {
+      const x = (index / (values.length - 1)) * width;
+      const y = height - 2 - ((value - min) / range) * (height - 4);
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(" ");
+
+  return (
+    <svg
+      className="sparkline"
+      width={width}
+      height={height}
+      viewBox={`0 0 ${width} ${height}`}
+    >
+      <polyline points={points} fill="none" strokeWidth="2" />
+    </svg>
+  );
+};
+
+// Session from the auth API ({ user, access_token, refresh_token }), kept
+// across reloads
+const SESSION_KEY = "socialcog.session";
+const SIGNED_OUT_EVENT = "socialcog:signed-out";
+
+const loadSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch (error) {
+    return null;
+  }
+};
+
+const saveSession = (session) =>
+  session
+    ? localStorage.setItem(SESSION_KEY, JSON.stringify(session))
+    : localStorage.removeItem(SESSION_KEY);
+
+// The workspace (named network map) the app shows, kept across reloads
+const WORKSPACE_KEY = "socialcog.workspace";
+
+const loadWorkspaceId = () => localStorage.getItem(WORKSPACE_KEY);
+
+const saveWorkspaceId = (id) =>
+  id != null
+    ? localStorage.setItem(WORKSPACE_KEY, String(id))
+    : localStorage.removeItem(WORKSPACE_KEY);
+
+const signOut = () => {
+  saveSession(null);
+  saveWorkspaceId(null);
+  window.dispatchEvent(new Event(SIGNED_OUT_EVENT));
+};
+
+// Times in a row the live socket may renew the session to get back in
+const MAX_SOCKET_RENEWALS = 3;
+
+// Concurrent 401s share one refresh; resolves to the new session or null
+let pendingRefresh = null;
+
+const refreshSession = () => {
+  if (!pendingRefresh) {
+    pendingRefresh = fetch("http://localhost:3001/api/auth/refresh", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refresh_token: loadSession()?.refresh_token }),
+    })
+      .then((response) => (response.ok ? response.json() : null))
+      .catch(() => null)
+      .then((session) => {
+        pendingRefresh = null;
+        if (session) saveSession(session);
+        return session;
+      });
+  }
+  return pendingRefresh;
+};
+
+// fetch() with the access token, in the current workspace. An expired token
+// is refreshed once and the request retried; if that fails too the user is
+// signed out.
+const authFetch = async (url, options = {}) => {
+  const send = (session) =>
+    fetch(url, {
+      ...options,
+      headers: {
+        ...options.headers,
+        Authorization: `Bearer ${session?.access_token}`,
+        ...(loadWorkspaceId() && { "X-Workspace-Id": loadWorkspaceId() }),
+      },
+    });
+
+  const response = await send(loadSession());
+  if (response.status !== 401) return response;
+
+  const session = await refreshSession();
+  if (!session) {
+    signOut();
+    return response;
+  }
+  return send(session);
+};
+
+const SocialNetworkMapper = ({ user }) => {
   // State management
   const canvasRef = useRef(null);
   const [profiles, setProfiles] = useState([]);
@@ -24,6 +198,19 @@ const SocialNetworkMapper = () => {
   const [searchTerm, setSearchTerm] = useState("");
   const [filterPlatform, setFilterPlatform] = useState("all");
   const [showAddModal, setShowAddModal] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [showAccountsModal, setShowAccountsModal] = useState(false);
+  const [accounts, setAccounts] = useState([]);
+  const [workspaces, setWorkspaces] = useState([]);
+  const [workspaceId, setWorkspaceId] = useState(loadWorkspaceId);
+  const [showWorkspacesModal, setShowWorkspacesModal] = useState(false);
+  const [newWorkspaceName, setNewWorkspaceName] = useState("");
+  const [importForm, setImportForm] = useState({
+    text: "",
+    defaultPlatform: "",
+    source: "paste",
+  });
+  const [importJob, setImportJob] = useState(null);
   const [zoom, setZoom] = useState(1);
   const [pan, setPan] = useState({ x: 0, y: 0 });
   const [isConnected, setIsConnected] = useState(false);
@@ -31,6 +218,25 @@ const SocialNetworkMapper = () => {
   const [nodes, setNodes] = useState([]);
   const [isDragging, setIsDragging] = useState(false);
   const [dragNode, setDragNode] = useState(null);
+  const [platforms, setPlatforms] = useState(DEFAULT_PLATFORMS);
+  const [persons, setPersons] = useState([]);
+  const [collapseIdentities, setCollapseIdentities] = useState(false);
+  const [collapsedGraph, setCollapsedGraph] = useState(null);
+  const [sizeBy, setSizeBy] = useState("followers");
+  const [centrality, setCentrality] = useState(null);
+  const [colorBy, setColorBy] = useState("platform");
+  const [communities, setCommunities] = useState(null);
+  const [pathEnds, setPathEnds] = useState({ source: null, target: null });
+  const [introPaths, setIntroPaths] = useState(null);
+  const [activePath, setActivePath] = useState(null);
+  const [metricHistory, setMetricHistory] = useState(null);
+  const [crawls, setCrawls] = useState([]);
+  const [crawlDepth, setCrawlDepth] = useState(2);
+  // Bumped to reopen the socket after renewing an expired access token
+  const [socketGeneration, setSocketGeneration] = useState(0);
+  // Token renewals since the socket last got in, capped so a server that
+  // keeps turning the socket down is not retried forever
+  const socketRenewals = useRef(0);
 
   // New profile form
   const [newProfile, setNewProfile] = useState({
@@ -38,9 +244,16 @@ const SocialNetworkMapper = () => {
     platform: "twitter",
   });
 
-  // WebSocket connection
+  // WebSocket connection, reopened on the new workspace when switching
   useEffect(() => {
-    const ws = new WebSocket("ws://localhost:3002");
+    if (!workspaceId) return;
+
+    // Browsers cannot set headers on a WebSocket, so the token and
+    // workspace ride along in the query string
+    const token = encodeURIComponent(loadSession()?.access_token || "");
+    const ws = new WebSocket(
+      `ws://localhost:3001/ws?token=${token}&workspace_id=${workspaceId}`
+    );
 
     ws.onopen = () => {
       console.log("✅ Connected to WebSocket server");
@@ -57,17 +270,62 @@ const SocialNetworkMapper = () => {
         case "connections_update":
           setConnections(data.connections);
           break;
+        case "persons_update":
+          setPersons(data.persons);
+          break;
         case "profile_added":
           console.log("New profile added:", data.profile);
           break;
+        case "import_progress":
+          setImportJob((current) =>
+            current?.id === data.import.id ? data.import : current
+          );
+          break;
+        case "imports_update":
+          break;
+        case "crawl_progress":
+          setCrawls((current) => [
+            data.crawl,
+            ...current.filter((crawl) => crawl.id !== data.crawl.id),
+          ]);
+          break;
+        case "crawls_update":
+          setCrawls(data.crawls);
+          break;
+        case "welcome":
+          socketRenewals.current = 0;
+          break;
+        case "subscribed":
+        case "pong":
+          break;
         default:
           console.log("Unknown WebSocket message:", data.type);
       }
     };
 
-    ws.onclose = () => {
+    ws.onclose = (event) => {
       console.log("❌ Disconnected from WebSocket server");
       setIsConnected(false);
+
+      // 4001: the server turned the access token down; a renewed one may
+      // get in
+      if (event.code === 4001) {
+        if (socketRenewals.current >= MAX_SOCKET_RENEWALS) {
+          console.error("WebSocket rejected again after renewing the session");
+          return;
+        }
+        socketRenewals.current += 1;
+        refreshSession().then((session) =>
+          session ? setSocketGeneration((n) => n + 1) : signOut()
+        );
+      }
+
+      // 4003: the token was fine but the workspace is gone; a new token
+      // will not help, so only forget it for the next load
+      if (event.code === 4003) {
+        console.error("WebSocket rejected: workspace not available");
+        saveWorkspaceId(null);
+      }
     };
 
     ws.onerror = (error) => {
@@ -80,17 +338,84 @@ const SocialNetworkMapper = () => {
     return () => {
       ws.close();
     };
-  }, []);
+  }, [socketGeneration, workspaceId]);
 
   // Load initial data
   useEffect(() => {
+    fetchWorkspaces();
+    fetchPlatforms();
+    fetchAccounts();
+  }, []);
+
+  // The network itself, again whenever the workspace changes
+  useEffect(() => {
+    if (!workspaceId) return;
     fetchProfiles();
     fetchConnections();
+  }, [workspaceId]);
+
+  // Back from a platform's OAuth consent screen: the API redirects here
+  // with ?oauth=<platform>&status=connected|error
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    if (!params.has("oauth")) return;
+
+    window.history.replaceState(null, "", window.location.pathname);
+    if (params.get("status") !== "connected") {
+      alert(
+        `Could not connect ${params.get("oauth")}: ${
+          params.get("message") || "unknown error"
+        }`
+      );
+    }
+    setShowAccountsModal(true);
   }, []);
 
+  const fetchPlatforms = async () => {
+    try {
+      const response = await authFetch("http://localhost:3001/api/platforms");
+      const data = await response.json();
+      if (Array.isArray(data) && data.length > 0) {
+        setPlatforms(data);
+      }
+    } catch (error) {
+      console.error("Error fetching platforms:", error);
+    }
+  };
+
+  const fetchAccounts = async () => {
+    try {
+      const response = await authFetch("http://localhost:3001/api/oauth");
+      const data = await response.json();
+      setAccounts(data.connections || []);
+    } catch (error) {
+      console.error("Error fetching connected accounts:", error);
+    }
+  };
+
+  // Also settles which workspace the app is in: the server falls back to
+  // the user's first one when none (or a stale one) was remembered
+  const fetchWorkspaces = async () => {
+    try {
+      let response = await authFetch("http://localhost:3001/api/workspaces");
+      if (response.status === 404 && loadWorkspaceId()) {
+        saveWorkspaceId(null);
+        response = await authFetch("http://localhost:3001/api/workspaces");
+      }
+      const data = await response.json();
+      setWorkspaces(data.workspaces || []);
+      if (data.current_workspace_id != null) {
+        saveWorkspaceId(data.current_workspace_id);
+        setWorkspaceId(String(data.current_workspace_id));
+      }
+    } catch (error) {
+      console.error("Error fetching workspaces:", error);
+    }
+  };
+
   const fetchProfiles = async () => {
     try {
-      const response = await fetch("http://localhost:3001/api/profiles");
+      const response = await authFetch("http://localhost:3001/api/profiles");
       const data = await response.json();
       setProfiles(data);
     } catch (error) {
@@ -100,7 +425,7 @@ const SocialNetworkMapper = () => {
 
   const fetchConnections = async () => {
     try {
-      const response = await fetch("http://localhost:3001/api/connections");
+      const response = await authFetch("http://localhost:3001/api/connections");
       const data = await response.json();
       setConnections(data);
     } catch (error) {
@@ -108,12 +433,138 @@ const SocialNetworkMapper = () => {
     }
   };
 
+  // Merged view: one node per person, refetched whenever the network changes
+  useEffect(() => {
+    if (!collapseIdentities) {
+      setCollapsedGraph(null);
+      return;
+    }
+
+    authFetch("http://localhost:3001/api/graph?collapse=persons")
+      .then((response) => response.json())
+      .then((graph) => setCollapsedGraph(graph))
+      .catch((error) => console.error("Error fetching graph:", error));
+  }, [collapseIdentities, profiles, connections, persons]);
+
+  const graphProfiles = useMemo(
+    () => (collapsedGraph ? collapsedGraph.nodes : profiles),
+    [collapsedGraph, profiles]
+  );
+  const graphConnections = collapsedGraph ? collapsedGraph.edges : connections;
+
+  const currentWorkspace = workspaces.find(
+    (workspace) => String(workspace.id) === workspaceId
+  );
+  // Where profiles were last dragged to; merged person nodes are laid out
+  // afresh each time
+  const savedPositions = collapsedGraph
+    ? null
+    : currentWorkspace?.layout?.positions;
+
+  // Centrality scores, refetched (server-cached) whenever the network changes
+  useEffect(() => {
+    if (sizeBy === "followers") {
+      setCentrality(null);
+      return;
+    }
+
+    const collapse = collapseIdentities ? "persons" : "none";
+    authFetch(
+      `http://localhost:3001/api/analytics/centrality?collapse=${collapse}`
+    )
+      .then((response) => response.json())
+      .then((result) =>
+        setCentrality(new Map(result.scores.map((score) => [score.id, score])))
+      )
+      .catch((error) => console.error("Error fetching centrality:", error));
+  }, [sizeBy, collapseIdentities, profiles, connections, persons]);
+
+  // Community assignments for colouring by cluster
+  useEffect(() => {
+    if (colorBy !== "cluster") {
+      setCommunities(null);
+      return;
+    }
+
+    const collapse = collapseIdentities ? "persons" : "none";
+    authFetch(
+      `http://localhost:3001/api/analytics/communities?collapse=${collapse}`
+    )
+      .then((response) => response.json())
+      .then((result) => setCommunities(result))
+      .catch((error) => console.error("Error fetching communities:", error));
+  }, [colorBy, collapseIdentities, profiles, connections, persons]);
+
+  // Introduction paths once both ends are picked
+  useEffect(() => {
+    const { source, target } = pathEnds;
+    if (!source || !target) {
+      setIntroPaths(null);
+      setActivePath(null);
+      return;
+    }
+
+    const collapse = collapseIdentities ? "persons" : "none";
+    authFetch(
+      `http://localhost:3001/api/analytics/paths?source=${source.profileId}&target=${target.profileId}&collapse=${collapse}`
+    )
+      .then((response) => response.json())
+      .then((result) => {
+        setIntroPaths(result);
+        setActivePath(result.strongest || result.shortest);
+      })
+      .catch((error) => console.error("Error finding paths:", error));
+  }, [pathEnds, collapseIdentities, connections, persons]);
+
+  // Follower history for the details panel; mock snapshots only for mock profiles
+  useEffect(() => {
+    if (!selectedProfile || selectedProfile.node_type === "person") {
+      setMetricHistory(null);
+      return;
+    }
+
+    const includeMock = selectedProfile.fetch?.source === "mock";
+    authFetch(
+      `http://localhost:3001/api/profiles/${selectedProfile.id}/metrics?metric=followers&include_mock=${includeMock}`
+    )
+      .then((response) => response.json())
+      .then((result) => setMetricHistory(result))
+      .catch((error) => console.error("Error fetching metrics:", error));
+  }, [selectedProfile, profiles]);
+
+  const pickPathEnd = (end, profile) =>
+    setPathEnds({
+      ...pathEnds,
+      [end]: { profileId: profile.profile_ids?.[0] ?? profile.id, profile },
+    });
+
+  const nodeRadius = useCallback(
+    (profile) => {
+      if (sizeBy === "followers" || !centrality) {
+        return Math.max(20, Math.min(40, profile.followers / 1000));
+      }
+
+      const scores = [...centrality.values()].map((score) => score[sizeBy]);
+      const max = Math.max(...scores);
+      const score = centrality.get(profile.id)?.[sizeBy] || 0;
+      return max > 0 ? 15 + (score / max) * 25 : 20;
+    },
+    [sizeBy, centrality]
+  );
+
+  // Resize in place so a new size metric keeps the current layout
+  useEffect(() => {
+    setNodes((prevNodes) =>
+      prevNodes.map((node) => ({ ...node, radius: nodeRadius(node.profile) }))
+    );
+  }, [nodeRadius]);
+
   // Update nodes when profiles change
   useEffect(() => {
-    if (profiles.length > 0) {
+    if (graphProfiles.length > 0) {
       updateNodes();
     }
-  }, [profiles]);
+  }, [graphProfiles]);
 
   const updateNodes = useCallback(() => {
     const canvas = canvasRef.current;
@@ -123,13 +574,14 @@ const SocialNetworkMapper = () => {
     const centerY = canvas.height / 2;
     const radius = Math.min(centerX, centerY) * 0.6;
 
-    const newNodes = profiles.map((profile, index) => {
-      const angle = (index / profiles.length) * 2 * Math.PI;
+    const newNodes = graphProfiles.map((profile, index) => {
+      const angle = (index / graphProfiles.length) * 2 * Math.PI;
+      const saved = savedPositions?.[profile.id];
       return {
         id: profile.id,
-        x: centerX + Math.cos(angle) * radius,
-        y: centerY + Math.sin(angle) * radius,
-        radius: Math.max(20, Math.min(40, profile.followers / 1000)),
+        x: saved ? saved.x : centerX + Math.cos(angle) * radius,
+        y: saved ? saved.y : centerY + Math.sin(angle) * radius,
+        radius: nodeRadius(profile),
         profile: profile,
         vx: 0,
         vy: 0,
@@ -137,7 +589,7 @@ const SocialNetworkMapper = () => {
     });
 
     setNodes(newNodes);
-  }, [profiles]);
+  }, [graphProfiles, nodeRadius, savedPositions]);
 
   // Canvas drawing
   const drawCanvas = useCallback(() => {
@@ -153,8 +605,15 @@ const SocialNetworkMapper = () => {
     ctx.translate(pan.x, pan.y);
     ctx.scale(zoom, zoom);
 
+    // Node pairs along the highlighted introduction path
+    const pathLinks = new Set();
+    activePath?.steps.forEach((step) => {
+      pathLinks.add(`${step.from}|${step.to}`);
+      pathLinks.add(`${step.to}|${step.from}`);
+    });
+
     // Draw connections
-    connections.forEach((connection) => {
+    graphConnections.forEach((connection) => {
       const sourceNode = nodes.find((n) => n.id === connection.source_id);
       const targetNode = nodes.find((n) => n.id === connection.target_id);
 
@@ -166,32 +625,41 @@ const SocialNetworkMapper = () => {
           connection.connection_strength * 0.6
         })`;
         ctx.lineWidth = Math.max(1, connection.connection_strength * 3);
+        if (pathLinks.has(`${connection.source_id}|${connection.target_id}`)) {
+          ctx.strokeStyle = "#F59E0B";
+          ctx.lineWidth = 5;
+        }
         ctx.stroke();
       }
     });
 
+    // Platform colors
+    const colors = Object.fromEntries(
+      [...DEFAULT_PLATFORMS, ...platforms]
+        .filter((platform) => platform.color)
+        .map((platform) => [platform.name, platform.color])
+    );
+    colors.person = "#8B5CF6";
+
     // Draw nodes
     nodes.forEach((node) => {
       const { profile } = node;
 
-      // Platform colors
-      const colors = {
-        twitter: "#1DA1F2",
-        linkedin: "#0077B5",
-        github: "#333333",
-        instagram: "#E4405F",
-        facebook: "#4267B2",
-      };
-
       // Node circle
       ctx.beginPath();
       ctx.arc(node.x, node.y, node.radius, 0, 2 * Math.PI);
-      ctx.fillStyle = colors[profile.platform] || "#6366F1";
+      const clusterId = communities?.assignments[node.id];
+      ctx.fillStyle = clusterId
+        ? clusterColor(clusterId)
+        : colors[profile.platform] || "#6366F1";
       ctx.fill();
 
       // Border
-      ctx.strokeStyle = selectedProfile?.id === node.id ? "#F59E0B" : "#ffffff";
-      ctx.lineWidth = selectedProfile?.id === node.id ? 3 : 2;
+      const highlighted =
+        selectedProfile?.id === node.id ||
+        activePath?.node_ids.includes(node.id);
+      ctx.strokeStyle = highlighted ? "#F59E0B" : "#ffffff";
+      ctx.lineWidth = highlighted ? 3 : 2;
       ctx.stroke();
 
       // Username label
@@ -206,7 +674,16 @@ const SocialNetworkMapper = () => {
     });
 
     ctx.restore();
-  }, [nodes, connections, selectedProfile, pan, zoom]);
+  }, [
+    nodes,
+    graphConnections,
+    selectedProfile,
+    pan,
+    zoom,
+    platforms,
+    communities,
+    activePath,
+  ]);
 
   // Animation loop
   useEffect(() => {
@@ -272,14 +749,149 @@ const SocialNetworkMapper = () => {
   };
 
   const handleCanvasMouseUp = () => {
+    if (isDragging && !collapsedGraph) {
+      saveLayout(nodes);
+    }
     setIsDragging(false);
     setDragNode(null);
   };
 
+  // Each workspace keeps its own layout, so maps reopen as they were left
+  const saveLayout = async (layoutNodes) => {
+    const positions = Object.fromEntries(
+      layoutNodes.map((node) => [
+        node.id,
+        { x: Math.round(node.x), y: Math.round(node.y) },
+      ])
+    );
+
+    try {
+      const response = await authFetch(
+        `http://localhost:3001/api/workspaces/${workspaceId}/layout`,
+        {
+          method: "PUT",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ positions }),
+        }
+      );
+      if (response.ok) {
+        const layout = await response.json();
+        setWorkspaces((current) =>
+          current.map((workspace) =>
+            String(workspace.id) === workspaceId
+              ? { ...workspace, layout }
+              : workspace
+          )
+        );
+      }
+    } catch (error) {
+      console.error("Error saving layout:", error);
+    }
+  };
+
+  const switchWorkspace = (id) => {
+    saveWorkspaceId(id);
+    setWorkspaceId(String(id));
+    setSelectedProfile(null);
+    setPathEnds({ source: null, target: null });
+    setIntroPaths(null);
+    setActivePath(null);
+    setCrawls([]);
+  };
+
+  // Sends a workspace request and reloads the list; resolves to the
+  // response body, or null once the error has been shown
+  const workspaceRequest = async (path, options = {}) => {
+    try {
+      const response = await authFetch(
+        `http://localhost:3001/api/workspaces${path}`,
+        {
+          ...options,
+          headers: { "Content-Type": "application/json" },
+        }
+      );
+      const result = await response.json();
+      if (!response.ok) {
+        alert(result.error);
+        return null;
+      }
+      return result;
+    } catch (error) {
+      console.error("Error updating workspaces:", error);
+      alert("Failed to update workspaces");
+      return null;
+    } finally {
+      fetchWorkspaces();
+    }
+  };
+
+  const createWorkspace = async () => {
+    const workspace = await workspaceRequest("", {
+      method: "POST",
+      body: JSON.stringify({ name: newWorkspaceName }),
+    });
+    if (workspace) {
+      setNewWorkspaceName("");
+      switchWorkspace(workspace.id);
+    }
+  };
+
+  const renameWorkspace = async (workspace) => {
+    const name = window.prompt("Rename workspace", workspace.name);
+    if (!name || name === workspace.name) return;
+
+    await workspaceRequest(`/${workspace.id}`, {
+      method: "PATCH",
+      body: JSON.stringify({ name }),
+    });
+  };
+
+  const cloneWorkspace = async (workspace) => {
+    const clone = await workspaceRequest(`/${workspace.id}/clone`, {
+      method: "POST",
+      body: JSON.stringify({}),
+    });
+    if (clone) switchWorkspace(clone.id);
+  };
+
+  // Archived workspaces are read-only, so the app moves off them
+  const leaveWorkspace = (workspace) => {
+    if (String(workspace.id) !== workspaceId) return;
+    const next = workspaces.find(
+      (other) => other.id !== workspace.id && !other.archived_at
+    );
+    if (next) switchWorkspace(next.id);
+  };
+
+  const archiveWorkspace = async (workspace) => {
+    if (
+      await workspaceRequest(`/${workspace.id}/archive`, { method: "POST" })
+    ) {
+      leaveWorkspace(workspace);
+    }
+  };
+
+  const restoreWorkspace = async (workspace) => {
+    await workspaceRequest(`/${workspace.id}/restore`, { method: "POST" });
+  };
+
+  const deleteWorkspace = async (workspace) => {
+    if (
+      !window.confirm(
+        `Delete workspace "${workspace.name}" and everything tracked in it?`
+      )
+    ) {
+      return;
+    }
+    if (await workspaceRequest(`/${workspace.id}`, { method: "DELETE" })) {
+      leaveWorkspace(workspace);
+    }
+  };
+
   // Add profile function
   const addProfile = async () => {
     try {
-      const response = await fetch("http://localhost:3001/api/profiles", {
+      const response = await authFetch("http://localhost:3001/api/profiles", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify(newProfile),
@@ -303,7 +915,7 @@ const SocialNetworkMapper = () => {
   // Delete profile function
   const deleteProfile = async (profileId) => {
     try {
-      const response = await fetch(
+      const response = await authFetch(
         `http://localhost:3001/api/profiles/${profileId}`,
         {
           method: "DELETE",
@@ -318,6 +930,167 @@ const SocialNetworkMapper = () => {
     }
   };
 
+  // Bulk import: CSV/TSV files are read client-side and sent as text
+  const loadImportFile = (file) => {
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () =>
+      setImportForm({
+        ...importForm,
+        text: reader.result,
+        source: /\.tsv$/i.test(file.name) ? "tsv" : "csv",
+      });
+    reader.readAsText(file);
+  };
+
+  const startImport = async () => {
+    try {
+      const response = await authFetch("http://localhost:3001/api/imports", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          text: importForm.text,
+          default_platform: importForm.defaultPlatform || undefined,
+          source: importForm.source,
+        }),
+      });
+
+      const result = await response.json();
+      if (response.ok) {
+        setImportJob(result);
+      } else {
+        alert(result.error);
+      }
+    } catch (error) {
+      console.error("Error starting import:", error);
+      alert("Failed to start import");
+    }
+  };
+
+  const closeImportModal = () => {
+    setShowImportModal(false);
+    setImportJob(null);
+    setImportForm({ text: "", defaultPlatform: "", source: "paste" });
+  };
+
+  // Ego-network crawls run server-side; progress arrives over the socket
+  const startCrawl = async (profile) => {
+    try {
+      const response = await authFetch("http://localhost:3001/api/crawls", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ profile_id: profile.id, depth: crawlDepth }),
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        alert(error.error);
+      }
+    } catch (error) {
+      console.error("Error starting crawl:", error);
+      alert("Failed to start crawl");
+    }
+  };
+
+  const controlCrawl = async (crawlId, action) => {
+    try {
+      const response = await authFetch(
+        `http://localhost:3001/api/crawls/${crawlId}/${action}`,
+        { method: "POST" }
+      );
+
+      if (!response.ok) {
+        const error = await response.json();
+        alert(error.error);
+      }
+    } catch (error) {
+      console.error(`Error trying to ${action} crawl:`, error);
+    }
+  };
+
+  // Downloads the graph as currently shown (platform filter, merged
+  // identities). Fetched rather than navigated to, so it carries the token.
+  const exportGraph = async (format) => {
+    const params = new URLSearchParams({
+      collapse: collapseIdentities ? "persons" : "none",
+    });
+    if (filterPlatform !== "all") {
+      params.set("platform", filterPlatform);
+    }
+
+    const separator = format.includes("?") ? "&" : "?";
+    try {
+      const response = await authFetch(
+        `http://localhost:3001/api/export/${format}${separator}${params}`
+      );
+      if (!response.ok) {
+        const error = await response.json();
+        alert(error.error);
+        return;
+      }
+
+      const disposition = response.headers.get("Content-Disposition") || "";
+      const link = document.createElement("a");
+      link.href = URL.createObjectURL(await response.blob());
+      link.download =
+        /filename="?([^";]+)"?/.exec(disposition)?.[1] || "socialcog-export";
+      link.click();
+      URL.revokeObjectURL(link.href);
+    } catch (error) {
+      console.error("Error exporting graph:", error);
+      alert("Failed to export graph");
+    }
+  };
+
+  // Leaves for the platform's consent screen; it sends the browser back here
+  const connectAccount = async (platform) => {
+    try {
+      const response = await authFetch(
+        `http://localhost:3001/api/oauth/${platform}/connect`,
+        { method: "POST" }
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data.error);
+        return;
+      }
+      window.location.assign(data.authorize_url);
+    } catch (error) {
+      console.error("Error connecting account:", error);
+      alert("Failed to connect account");
+    }
+  };
+
+  const disconnectAccount = async (platform) => {
+    try {
+      const response = await authFetch(
+        `http://localhost:3001/api/oauth/${platform}`,
+        { method: "DELETE" }
+      );
+      if (!response.ok) {
+        const error = await response.json();
+        alert(error.error);
+      }
+      fetchAccounts();
+    } catch (error) {
+      console.error("Error disconnecting account:", error);
+      alert("Failed to disconnect account");
+    }
+  };
+
+  // Revokes this user's tokens everywhere, then drops the local session
+  const logout = async () => {
+    try {
+      await authFetch("http://localhost:3001/api/auth/logout", {
+        method: "POST",
+      });
+    } catch (error) {
+      console.error("Error signing out:", error);
+    }
+    signOut();
+  };
+
   // Filter profiles
   const filteredProfiles = profiles.filter((profile) => {
     const matchesSearch = profile.username
@@ -346,10 +1119,75 @@ const SocialNetworkMapper = () => {
         </div>
 
         <div className="header-controls">
+          <div className="export-menu workspace-switcher">
+            <Layers size={16} />
+            <select
+              value={workspaceId || ""}
+              onChange={(e) => switchWorkspace(e.target.value)}
+              title="Workspace"
+            >
+              {workspaces
+                .filter(
+                  (workspace) =>
+                    !workspace.archived_at ||
+                    String(workspace.id) === workspaceId
+                )
+                .map((workspace) => (
+                  <option key={workspace.id} value={workspace.id}>
+                    {workspace.name}
+                    {workspace.archived_at ? " (archived)" : ""}
+                  </option>
+                ))}
+            </select>
+            <button
+              onClick={() => {
+                fetchWorkspaces();
+                setShowWorkspacesModal(true);
+              }}
+              title="Manage workspaces"
+            >
+              <Pencil size={14} />
+            </button>
+          </div>
+          <div className="export-menu">
+            <Download size={16} />
+            <select
+              value=""
+              onChange={(e) => e.target.value && exportGraph(e.target.value)}
+            >
+              <option value="">Export…</option>
+              {EXPORT_FORMATS.map((format) => (
+                <option key={format.value} value={format.value}>
+                  {format.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <button
+            className="btn secondary"
+            onClick={() => setShowImportModal(true)}
+          >
+            <Upload size={16} />
+            Import
+          </button>
           <button className="btn primary" onClick={() => setShowAddModal(true)}>
             <Plus size={16} />
             Add Profile
           </button>
+          <button
+            className="btn secondary"
+            onClick={() => {
+              fetchAccounts();
+              setShowAccountsModal(true);
+            }}
+          >
+            <Link2 size={16} />
+            Accounts
+          </button>
+          <button className="btn secondary" onClick={logout} title="Sign out">
+            <LogOut size={16} />
+            {user.name || user.email}
+          </button>
         </div>
       </header>
 
@@ -374,11 +1212,11 @@ const SocialNetworkMapper = () => {
               onChange={(e) => setFilterPlatform(e.target.value)}
             >
               <option value="all">All Platforms</option>
-              <option value="twitter">Twitter</option>
-              <option value="linkedin">LinkedIn</option>
-              <option value="github">GitHub</option>
-              <option value="instagram">Instagram</option>
-              <option value="facebook">Facebook</option>
+              {platforms.map((platform) => (
+                <option key={platform.name} value={platform.name}>
+                  {platform.label}
+                </option>
+              ))}
             </select>
           </div>
 
@@ -422,8 +1260,160 @@ const SocialNetworkMapper = () => {
             >
               <RotateCcw size={16} />
             </button>
+            <button
+              className={collapseIdentities ? "active" : ""}
+              title="Merge identities"
+              onClick={() => setCollapseIdentities(!collapseIdentities)}
+            >
+              <GitMerge size={16} />
+            </button>
+            <select
+              className="size-metric"
+              title="Size nodes by"
+              value={sizeBy}
+              onChange={(e) => setSizeBy(e.target.value)}
+            >
+              {SIZE_METRICS.map((metric) => (
+                <option key={metric.name} value={metric.name}>
+                  {metric.label}
+                </option>
+              ))}
+            </select>
+            <select
+              className="size-metric"
+              title="Colour nodes by"
+              value={colorBy}
+              onChange={(e) => setColorBy(e.target.value)}
+            >
+              <option value="platform">Platform</option>
+              <option value="cluster">Community</option>
+            </select>
           </div>
 
+          {(pathEnds.source || pathEnds.target) && (
+            <div className="path-panel">
+              <div className="path-panel-header">
+                <Route size={16} />
+                <span>
+                  @{pathEnds.source?.profile.username || "?"} → @
+                  {pathEnds.target?.profile.username || "?"}
+                </span>
+                <button
+                  onClick={() => setPathEnds({ source: null, target: null })}
+                >
+                  <X size={14} />
+                </button>
+              </div>
+
+              {introPaths && !introPaths.connected && (
+                <div className="path-empty">No path between these profiles</div>
+              )}
+
+              {introPaths?.connected &&
+                [
+                  ["Shortest", introPaths.shortest],
+                  ["Strongest", introPaths.strongest],
+                  ...introPaths.alternatives.map((path, index) => [
+                    `Alternative ${index + 1}`,
+                    path,
+                  ]),
+                ].map(([label, path]) => (
+                  <div
+                    key={label}
+                    className={`path-option ${
+                      activePath === path ? "selected" : ""
+                    }`}
+                    onClick={() => setActivePath(path)}
+                  >
+                    <div className="path-option-label">
+                      {label} · {path.hops} hops · strength{" "}
+                      {path.strength.toFixed(2)}
+                    </div>
+                    <div className="path-option-route">
+                      {path.nodes
+                        .map((node) => `@${node.username}`)
+                        .join(" → ")}
+                    </div>
+                  </div>
+                ))}
+            </div>
+          )}
+
+          {crawls.some((crawl) =>
+            ["running", "paused"].includes(crawl.status)
+          ) && (
+            <div className="crawl-panel">
+              {crawls
+                .filter((crawl) => ["running", "paused"].includes(crawl.status))
+                .map((crawl) => (
+                  <div key={crawl.id} className="crawl-item">
+                    <div className="crawl-item-header">
+                      <Network size={14} />
+                      <span>
+                        @{crawl.username} · depth {crawl.options.depth} ·{" "}
+                        {crawl.status}
+                      </span>
+                      {crawl.status === "running" ? (
+                        <button
+                          title="Pause"
+                          onClick={() => controlCrawl(crawl.id, "pause")}
+                        >
+                          <Pause size={14} />
+                        </button>
+                      ) : (
+                        <button
+                          title="Resume"
+                          onClick={() => controlCrawl(crawl.id, "resume")}
+                        >
+                          <Play size={14} />
+                        </button>
+                      )}
+                      <button
+                        title="Cancel"
+                        onClick={() => controlCrawl(crawl.id, "cancel")}
+                      >
+                        <Square size={14} />
+                      </button>
+                    </div>
+                    <div className="crawl-progress">
+                      <div
+                        className="crawl-progress-bar"
+                        style={{
+                          width: `${Math.min(
+                            100,
+                            (crawl.stats.requests_used /
+                              crawl.options.request_budget) *
+                              100
+                          )}%`,
+                        }}
+                      ></div>
+                    </div>
+                    <div className="crawl-stats">
+                      {crawl.stats.nodes}/{crawl.options.max_nodes} accounts ·{" "}
+                      {crawl.stats.requests_used}/{crawl.options.request_budget}{" "}
+                      requests · {crawl.frontier_size} queued
+                    </div>
+                  </div>
+                ))}
+            </div>
+          )}
+
+          {communities && communities.clusters.length > 0 && (
+            <div className="cluster-legend">
+              {communities.clusters
+                .slice(0, CLUSTER_COLORS.length)
+                .map((cluster) => (
+                  <div key={cluster.id} className="cluster-legend-item">
+                    <span
+                      className="cluster-swatch"
+                      style={{ background: clusterColor(cluster.id) }}
+                    ></span>
+                    {cluster.label} ({cluster.size})
+                  </div>
+                ))}
+            </div>
+          )}
+
           <canvas
             ref={canvasRef}
             width={800}
@@ -468,27 +1458,119 @@ const SocialNetworkMapper = () => {
               </div>
             </div>
 
-            <div className="profile-info-section">
-              <div className="info-item">
-                <strong>Platform:</strong> {selectedProfile.platform}
+            {selectedProfile.node_type === "person" ? (
+              <div className="profile-info-section">
+                {selectedProfile.profiles.map((account) => (
+                  <div className="info-item" key={account.id}>
+                    <strong>{account.platform}:</strong> @{account.username}
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div className="profile-info-section">
+                <div className="info-item">
+                  <strong>Platform:</strong> {selectedProfile.platform}
+                </div>
+                <div className="info-item">
+                  <strong>Engagement:</strong>{" "}
+                  {(selectedProfile.engagement_rate * 100).toFixed(1)}%
+                </div>
+                <div className="info-item">
+                  <strong>Verified:</strong>{" "}
+                  {selectedProfile.verified ? "✓" : "✗"}
+                </div>
               </div>
-              <div className="info-item">
-                <strong>Engagement:</strong>{" "}
-                {(selectedProfile.engagement_rate * 100).toFixed(1)}%
+            )}
+
+            {metricHistory?.profile_id === selectedProfile.id && (
+              <div className="profile-info-section metric-history">
+                <div className="info-item">
+                  <strong>Follower growth:</strong>{" "}
+                  {metricHistory.summary.followers?.samples > 1
+                    ? `${
+                        metricHistory.summary.followers.delta >= 0 ? "+" : ""
+                      }${metricHistory.summary.followers.delta.toLocaleString()}${
+                        metricHistory.summary.followers.percent_change != null
+                          ? ` (${metricHistory.summary.followers.percent_change}%)`
+                          : ""
+                      }`
+                    : "Not enough history yet"}
+                </div>
+                {metricHistory.series.length > 1 && (
+                  <Sparkline
+                    values={metricHistory.series.map(
+                      (point) => point.followers
+                    )}
+                  />
+                )}
               </div>
-              <div className="info-item">
-                <strong>Verified:</strong>{" "}
-                {selectedProfile.verified ? "✓" : "✗"}
+            )}
+
+            {communities?.assignments[selectedProfile.id] && (
+              <div className="profile-info-section">
+                <div className="info-item">
+                  <strong>Community:</strong>{" "}
+                  {
+                    communities.clusters.find(
+                      (cluster) =>
+                        cluster.id ===
+                        communities.assignments[selectedProfile.id]
+                    )?.label
+                  }
+                </div>
               </div>
+            )}
+
+            <div className="path-actions">
+              <button
+                className="btn secondary"
+                onClick={() => pickPathEnd("source", selectedProfile)}
+              >
+                <Route size={16} />
+                Path from here
+              </button>
+              <button
+                className="btn secondary"
+                onClick={() => pickPathEnd("target", selectedProfile)}
+              >
+                <Route size={16} />
+                Path to here
+              </button>
             </div>
 
-            <button
-              className="btn danger"
-              onClick={() => deleteProfile(selectedProfile.id)}
-            >
-              <Trash2 size={16} />
-              Delete Profile
-            </button>
+            {selectedProfile.node_type !== "person" && (
+              <div className="path-actions">
+                <select
+                  className="crawl-depth"
+                  title="Hops to crawl"
+                  value={crawlDepth}
+                  onChange={(e) => setCrawlDepth(Number(e.target.value))}
+                >
+                  {[1, 2, 3].map((depth) => (
+                    <option key={depth} value={depth}>
+                      {depth} {depth === 1 ? "hop" : "hops"}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  className="btn secondary"
+                  onClick={() => startCrawl(selectedProfile)}
+                >
+                  <Network size={16} />
+                  Crawl network
+                </button>
+              </div>
+            )}
+
+            {selectedProfile.node_type !== "person" && (
+              <button
+                className="btn danger"
+                onClick={() => deleteProfile(selectedProfile.id)}
+              >
+                <Trash2 size={16} />
+                Delete Profile
+              </button>
+            )}
           </div>
         )}
       </div>
@@ -525,11 +1607,11 @@ const SocialNetworkMapper = () => {
                     setNewProfile({ ...newProfile, platform: e.target.value })
                   }
                 >
-                  <option value="twitter">Twitter</option>
-                  <option value="linkedin">LinkedIn</option>
-                  <option value="github">GitHub</option>
-                  <option value="instagram">Instagram</option>
-                  <option value="facebook">Facebook</option>
+                  {platforms.map((platform) => (
+                    <option key={platform.name} value={platform.name}>
+                      {platform.label}
+                    </option>
+                  ))}
                 </select>
               </div>
             </div>
@@ -552,8 +1634,416 @@ const SocialNetworkMapper = () => {
           </div>
         </div>
       )}
+
+      {/* Connected Accounts Modal */}
+      {showAccountsModal && (
+        <div
+          className="modal-overlay"
+          onClick={() => setShowAccountsModal(false)}
+        >
+          <div className="modal" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>Connected Accounts</h3>
+              <button onClick={() => setShowAccountsModal(false)}>
+                <X size={16} />
+              </button>
+            </div>
+
+            <div className="modal-body">
+              <p className="account-hint">
+                Live data is fetched with your own accounts, under your own rate
+                limits.
+              </p>
+              {accounts.map((account) => {
+                const label =
+                  platforms.find((p) => p.name === account.platform)?.label ||
+                  account.platform;
+                const connection = account.connection;
+                return (
+                  <div key={account.platform} className="account-row">
+                    <div>
+                      <strong>{label}</strong>
+                      <div className="account-detail">
+                        {!account.connected
+                          ? account.configured
+                            ? "Not connected"
+                            : "Not available on this server"
+                          : connection.status === "active"
+                            ? `Connected${
+                                connection.account?.username
+                                  ? ` as ${connection.account.username}`
+                                  : ""
+                              }`
+                            : "Expired - connect again"}
+                      </div>
+                    </div>
+                    {account.connected ? (
+                      <div className="account-actions">
+                        {connection.status !== "active" && (
+                          <button
+                            className="btn primary"
+                            onClick={() => connectAccount(account.platform)}
+                          >
+                            Reconnect
+                          </button>
+                        )}
+                        <button
+                          className="btn danger"
+                          onClick={() => disconnectAccount(account.platform)}
+                        >
+                          Disconnect
+                        </button>
+                      </div>
+                    ) : (
+                      <button
+                        className="btn primary"
+                        onClick={() => connectAccount(account.platform)}
+                        disabled={!account.configured}
+                      >
+                        Connect
+                      </button>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Workspaces Modal */}
+      {showWorkspacesModal && (
+        <div
+          className="modal-overlay"
+          onClick={() => setShowWorkspacesModal(false)}
+        >
+          <div className="modal" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>Workspaces</h3>
+              <button onClick={() => setShowWorkspacesModal(false)}>
+                <X size={16} />
+              </button>
+            </div>
+
+            <div className="modal-body">
+              <p className="account-hint">
+                Each workspace is a separate map with its own profiles,
+                connections, layout and refresh schedules.
+              </p>
+              <div className="workspace-create">
+                <input
+                  type="text"
+                  placeholder="New workspace name"
+                  value={newWorkspaceName}
+                  onChange={(e) => setNewWorkspaceName(e.target.value)}
+                />
+                <button
+                  className="btn primary"
+                  onClick={createWorkspace}
+                  disabled={!newWorkspaceName.trim()}
+                >
+                  <Plus size={16} />
+                  Create
+                </button>
+              </div>
+              {workspaces.map((workspace) => (
+                <div key={workspace.id} className="account-row">
+                  <div>
+                    <strong>{workspace.name}</strong>
+                    {String(workspace.id) === workspaceId && " (current)"}
+                    <div className="account-detail">
+                      {workspace.archived_at
+                        ? "Archived"
+                        : `${workspace.counts.profiles} profiles · ${workspace.counts.connections} connections`}
+                    </div>
+                  </div>
+                  <div className="account-actions">
+                    {String(workspace.id) !== workspaceId && (
+                      <button
+                        className="btn secondary"
+                        onClick={() => switchWorkspace(workspace.id)}
+                      >
+                        Open
+                      </button>
+                    )}
+                    <button
+                      className="btn secondary"
+                      onClick={() => renameWorkspace(workspace)}
+                      title="Rename"
+                    >
+                      <Pencil size={14} />
+                    </button>
+                    <button
+                      className="btn secondary"
+                      onClick={() => cloneWorkspace(workspace)}
+                      title="Clone"
+                    >
+                      <Copy size={14} />
+                    </button>
+                    {workspace.archived_at ? (
+                      <button
+                        className="btn secondary"
+                        onClick={() => restoreWorkspace(workspace)}
+                        title="Restore"
+                      >
+                        <ArchiveRestore size={14} />
+                      </button>
+                    ) : (
+                      <button
+                        className="btn secondary"
+                        onClick={() => archiveWorkspace(workspace)}
+                        title="Archive"
+                      >
+                        <Archive size={14} />
+                      </button>
+                    )}
+                    <button
+                      className="btn danger"
+                      onClick={() => deleteWorkspace(workspace)}
+                      title="Delete"
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Bulk Import Modal */}
+      {showImportModal && (
+        <div className="modal-overlay" onClick={closeImportModal}>
+          <div className="modal wide" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>Import Profiles</h3>
+              <button onClick={closeImportModal}>
+                <X size={16} />
+              </button>
+            </div>
+
+            {!importJob ? (
+              <div className="modal-body">
+                <div className="form-group">
+                  <label>Handles, profile URLs or CSV/TSV:</label>
+                  <textarea
+                    rows={8}
+                    value={importForm.text}
+                    onChange={(e) =>
+                      setImportForm({
+                        ...importForm,
+                        text: e.target.value,
+                        source: "paste",
+                      })
+                    }
+                    placeholder={
+                      "https://github.com/octocat\n@jack\nlinkedin:jane-doe"
+                    }
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label>Or upload a file:</label>
+                  <input
+                    type="file"
+                    accept=".csv,.tsv,.txt"
+                    onChange={(e) => loadImportFile(e.target.files[0])}
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label>Platform for bare handles:</label>
+                  <select
+                    value={importForm.defaultPlatform}
+                    onChange={(e) =>
+                      setImportForm({
+                        ...importForm,
+                        defaultPlatform: e.target.value,
+                      })
+                    }
+                  >
+                    <option value="">Detect from URL or prefix</option>
+                    {platforms.map((platform) => (
+                      <option key={platform.name} value={platform.name}>
+                        {platform.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+            ) : (
+              <div className="modal-body">
+                <div className="import-summary">
+                  <strong>{importJob.status}</strong>
+                  {Object.entries(importJob.totals)
+                    .filter(([, count]) => count > 0)
+                    .map(([status, count]) => (
+                      <span key={status} className={`import-status ${status}`}>
+                        {status.replace("_", " ")}: {count}
+                      </span>
+                    ))}
+                </div>
+
+                <div className="import-rows">
+                  {importJob.rows.map((row) => (
+                    <div key={row.row} className="import-row">
+                      <span className="import-row-number">{row.row}</span>
+                      <span className="import-row-input">
+                        {row.platform && `${row.platform}: `}
+                        {row.username || row.input}
+                      </span>
+                      <span className={`import-status ${row.status}`}>
+                        {row.status.replace("_", " ")}
+                      </span>
+                      {row.message && (
+                        <span className="import-row-message">
+                          {row.message}
+                        </span>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <div className="modal-footer">
+              <button className="btn secondary" onClick={closeImportModal}>
+                {importJob ? "Close" : "Cancel"}
+              </button>
+              {!importJob && (
+                <button
+                  className="btn primary"
+                  onClick={startImport}
+                  disabled={!importForm.text.trim()}
+                >
+                  Import
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Email/password sign-in, or registration of a new account
+const AuthScreen = ({ onSignedIn }) => {
+  const [mode, setMode] = useState("login");
+  const [form, setForm] = useState({ email: "", password: "", name: "" });
+  const [error, setError] = useState(null);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    try {
+      const response = await fetch(`http://localhost:3001/api/auth/${mode}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(
+          mode === "register"
+            ? form
+            : { email: form.email, password: form.password }
+        ),
+      });
+
+      const result = await response.json();
+      if (!response.ok) {
+        setError(result.details?.[0]?.message || result.error);
+        return;
+      }
+      saveSession(result);
+      onSignedIn(result.user);
+    } catch (error) {
+      console.error("Error signing in:", error);
+      setError("Could not reach the server");
+    }
+  };
+
+  const switchMode = () => {
+    setMode(mode === "login" ? "register" : "login");
+    setError(null);
+  };
+
+  return (
+    <div className="modal-overlay">
+      <form className="modal" onSubmit={submit}>
+        <div className="modal-header">
+          <h3>{mode === "login" ? "Sign in" : "Create an account"}</h3>
+        </div>
+
+        <div className="modal-body">
+          {mode === "register" && (
+            <div className="form-group">
+              <label>Name:</label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                placeholder="Optional"
+              />
+            </div>
+          )}
+
+          <div className="form-group">
+            <label>Email:</label>
+            <input
+              type="email"
+              value={form.email}
+              onChange={(e) => setForm({ ...form, email: e.target.value })}
+              autoComplete="email"
+              required
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Password:</label>
+            <input
+              type="password"
+              value={form.password}
+              onChange={(e) => setForm({ ...form, password: e.target.value })}
+              autoComplete={
+                mode === "login" ? "current-password" : "new-password"
+              }
+              minLength={mode === "register" ? 8 : undefined}
+              required
+            />
+          </div>
+
+          {error && <p className="auth-error">{error}</p>}
+        </div>
+
+        <div className="modal-footer">
+          <button type="button" className="btn secondary" onClick={switchMode}>
+            {mode === "login" ? "Create an account" : "I already have one"}
+          </button>
+          <button type="submit" className="btn primary">
+            {mode === "login" ? "Sign in" : "Register"}
+          </button>
+        </div>
+      </form>
     </div>
   );
 };
 
-export default SocialNetworkMapper;
+const App = () => {
+  const [user, setUser] = useState(() => loadSession()?.user || null);
+
+  // authFetch signs out when the session can no longer be refreshed
+  useEffect(() => {
+    const onSignedOut = () => setUser(null);
+    window.addEventListener(SIGNED_OUT_EVENT, onSignedOut);
+    return () => window.removeEventListener(SIGNED_OUT_EVENT, onSignedOut);
+  }, []);
+
+  // Keyed by user so nothing of the previous account's state survives
+  return user ? (
+    <SocialNetworkMapper key={user.id} user={user} />
+  ) : (
+    <AuthScreen onSignedIn={setUser} />
+  );
+};
+
+export default App;